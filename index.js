@@ -4,7 +4,10 @@
 // With Auto Sequence Creation (쇼츠영상용 프리셋)
 // ============================================
 
-const { Project, Application } = require('premierepro');
+const {
+    Project, Application, ClipProjectItem, FolderItem, SequenceEditor, TickTime, FrameRate,
+    Markers, Marker, EncoderManager, EventManager, Constants, CloseProjectOptions, Metadata
+} = require('premierepro');
 const { storage } = require('uxp');
 const fs = storage.localFileSystem;
 const os = require('os');
@@ -12,12 +15,35 @@ const os = require('os');
 // ===================================
 // Configuration (설정)
 // ===================================
-const WS_SERVER = 'ws://localhost:8080';
-const RECONNECT_INTERVAL = 5000; // 5초
+// 워크스테이션별 연결 설정 - 플러그인 데이터 폴더의 settings.json으로 덮어씀
+// { "wsServer": "ws://192.168.0.10:8080", "authToken": "...", "reconnectIntervalMs": 5000, "reconnectMaxDelayMs": 60000 }
+const SETTINGS_FILE_NAME = 'settings.json';
+const DEFAULT_SETTINGS = {
+    wsServer: 'ws://localhost:8080',
+    // 서버 config.json의 auth.pluginSecret과 같은 값 (서버에 설정하지 않았으면 비워둠)
+    authToken: '',
+    // 서버에 연결하기 전까지 쓰는 재연결 간격 - 연결 후에는 서버 설정을 따름
+    // 실패할 때마다 2배씩 늘려 reconnectMaxDelayMs까지
+    reconnectIntervalMs: 5000,
+    reconnectMaxDelayMs: 60000
+};
+let settings = { ...DEFAULT_SETTINGS };
 
-// 프리셋 설정 - 여기서만 수정하면 됨!
-const DEFAULT_PRESET_NAME = 'forshortsvideo'; // 프리셋 파일명 (확장자 제외)
-const DEFAULT_SEQUENCE_NAME = '타임라인 01'; // 기본 시퀀스 이름
+// 프로젝트 기본값 - 연결 시 서버가 CONFIG 메시지로 전달 (서버 config의 defaults)
+let serverDefaults = null;
+
+// 저장 허용 폴더와 파일명 충돌 처리 - 서버 config의 paths { allowedRoots, onCollision }
+let serverPaths = null;
+
+// 서버와 주고받는 메시지 형식 버전 (서버 server/pluginRegistry.js의 PROTOCOL_VERSION)
+// 2: HELLO의 capabilities에 있는 명령만 받고, 모르는 명령은 바로 UNSUPPORTED_ACTION으로 응답
+const PROTOCOL_VERSION = 2;
+
+// 마커 색상 (배열 인덱스 = Premiere 색상 인덱스, 서버 markers.js와 같은 순서)
+const MARKER_COLORS = ['green', 'red', 'purple', 'orange', 'yellow', 'white', 'blue', 'cyan'];
+
+// 프리셋 폴더 이름 (한국어 / 영어 Premiere Pro)
+const PRESET_FOLDER_NAMES = ['사용자 정의', 'Custom'];
 
 // ===================================
 // UI Elements
@@ -26,12 +52,16 @@ const indicator = document.getElementById('indicator');
 const statusText = document.getElementById('statusText');
 const savePathText = document.getElementById('savePath');
 const logContainer = document.getElementById('logContainer');
+const historyContainer = document.getElementById('historyContainer');
 const testBtn = document.getElementById('testBtn');
 
 // ===================================
 // Logging
 // ===================================
-function log(message, type = 'info') {
+/**
+ * 패널과 콘솔에만 남기는 로그 - 연결, 프로토콜 메시지, 다른 명령 처리처럼 실행 중인 작업의 단계가 아닌 줄
+ */
+function logLocal(message, type = 'info') {
     const timestamp = new Date().toLocaleTimeString('ko-KR', { hour12: false });
     
     const entry = document.createElement('div');
@@ -50,6 +80,26 @@ function log(message, type = 'info') {
     }
 }
 
+/**
+ * 작업 단계 로그 - 서버 작업 실행 중이면 진행 이벤트로도 전송
+ */
+function log(message, type = 'info') {
+    logLocal(message, type);
+    if (activeJob) {
+        sendProgress(message, type);
+    }
+}
+
+/**
+ * 단계 시작 로그 - 이후 진행 이벤트에 단계 번호가 붙음
+ */
+function logStep(step, title) {
+    if (activeJob) {
+        activeJob.step = step;
+    }
+    log(`=== Step ${step}: ${title} ===`, 'info');
+}
+
 // ===================================
 // WebSocket Connection
 // ===================================
@@ -57,6 +107,18 @@ let ws = null;
 let reconnectTimer = null;
 let isConnected = false;
 
+// 응답 없이 처리하거나(CONFIG, HISTORY) 주기적으로 오는(PING) 프로토콜 메시지 - 수신 로그를 남기지 않음
+const PROTOCOL_ACTIONS = ['CONFIG', 'HISTORY', 'PING'];
+
+// 연속 재연결 실패 횟수 - 서버 핸드셰이크(CONFIG 수신)가 끝나면 0
+let reconnectAttempts = 0;
+
+// 서버 하트비트 감시 - 서버가 보내는 PING이 끊기면(응답 없는 연결) 다시 연결
+let heartbeatWatchdog = null;
+let lastServerMessageAt = 0;
+
+const pluginStartedAt = Date.now();
+
 function updateConnectionStatus(status) {
     isConnected = status === 'connected';
     
@@ -86,37 +148,52 @@ function connect() {
     
     try {
         updateConnectionStatus('connecting');
-        log('서버 연결 시도...', 'info');
+        logLocal('서버 연결 시도...', 'info');
         
-        ws = new WebSocket(WS_SERVER);
+        const socket = new WebSocket(settings.wsServer);
+        ws = socket;
         
         // 연결 성공
-        ws.onopen = () => {
-            log('✅ 서버 연결 성공!', 'success');
+        socket.onopen = () => {
+            logLocal('✅ 서버 연결 성공!', 'success');
             updateConnectionStatus('connected');
             
             // 재연결 타이머 제거
             if (reconnectTimer) {
-                clearInterval(reconnectTimer);
+                clearTimeout(reconnectTimer);
                 reconnectTimer = null;
             }
+            
+            // 서버에 이 플러그인 등록
+            sendHello();
         };
         
         // 메시지 수신
-        ws.onmessage = async (event) => {
+        socket.onmessage = async (event) => {
+            lastServerMessageAt = Date.now();
             try {
                 const message = JSON.parse(event.data);
-                log(`📨 명령 수신: ${message.action}`, 'info');
+                if (!PROTOCOL_ACTIONS.includes(message.action)) {
+                    logLocal(`📨 명령 수신: ${message.action}`, 'info');
+                }
                 
                 await handleMessage(message);
             } catch (error) {
-                log(`❌ 메시지 처리 실패: ${error.message}`, 'error');
+                logLocal(`❌ 메시지 처리 실패: ${error.message}`, 'error');
             }
         };
         
-        // 연결 종료
-        ws.onclose = () => {
-            log('⚠️ 서버 연결 해제', 'warn');
+        // 연결 종료 - 하트비트 감시가 이미 버린 연결이면 무시
+        socket.onclose = (event) => {
+            if (ws !== socket) return;
+            stopHeartbeatWatchdog();
+            if (event && event.code === 4001) {
+                logLocal('🚫 서버 인증 실패 - settings.json의 authToken이 서버의 pluginSecret과 같은지 확인하세요', 'error');
+            }
+            if (event && event.code === 4002) {
+                logLocal(`🚫 서버가 이 플러그인의 프로토콜 버전(${PROTOCOL_VERSION})을 지원하지 않습니다 - 서버 또는 플러그인을 업데이트하세요`, 'error');
+            }
+            logLocal('⚠️ 서버 연결 해제', 'warn');
             updateConnectionStatus('disconnected');
             
             // 재연결 시도
@@ -124,25 +201,213 @@ function connect() {
         };
         
         // 에러 발생
-        ws.onerror = (error) => {
-            log(`❌ 연결 에러`, 'error');
+        socket.onerror = (error) => {
+            if (ws !== socket) return;
+            logLocal(`❌ 연결 에러`, 'error');
             updateConnectionStatus('disconnected');
         };
         
     } catch (error) {
-        log(`❌ 연결 실패: ${error.message}`, 'error');
+        logLocal(`❌ 연결 실패: ${error.message}`, 'error');
         updateConnectionStatus('disconnected');
         scheduleReconnect();
     }
 }
 
+/**
+ * 재연결 예약 - 지수 백오프, 여러 워크스테이션이 동시에 몰리지 않도록 ±20% 지터
+ */
 function scheduleReconnect() {
     if (reconnectTimer) return;
     
-    reconnectTimer = setInterval(() => {
-        log('재연결 시도...', 'info');
+    const baseDelay = Math.min(settings.reconnectIntervalMs * 2 ** reconnectAttempts, settings.reconnectMaxDelayMs);
+    const delay = Math.round(baseDelay * (0.8 + Math.random() * 0.4));
+    reconnectAttempts++;
+    logLocal(`${Math.round(delay / 1000)}초 후 재연결 시도 (${reconnectAttempts}번째)`, 'info');
+    
+    reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        logLocal('재연결 시도...', 'info');
         connect();
-    }, RECONNECT_INTERVAL);
+    }, delay);
+}
+
+/**
+ * 서버 하트비트 감시 시작 - timeoutMs 동안 서버 메시지가 없으면 연결을 버리고 재연결
+ */
+function startHeartbeatWatchdog(timeoutMs) {
+    stopHeartbeatWatchdog();
+    lastServerMessageAt = Date.now();
+    
+    heartbeatWatchdog = setInterval(() => {
+        if (Date.now() - lastServerMessageAt <= timeoutMs) return;
+        
+        logLocal(`💔 서버 응답 없음 (${Math.round(timeoutMs / 1000)}초) - 다시 연결합니다`, 'warn');
+        stopHeartbeatWatchdog();
+        // 끊어진 연결은 close 완료가 늦게 올 수 있어 기다리지 않고 버림
+        const stale = ws;
+        ws = null;
+        if (stale) stale.close();
+        updateConnectionStatus('disconnected');
+        scheduleReconnect();
+    }, Math.min(timeoutMs / 3, 10000));
+}
+
+function stopHeartbeatWatchdog() {
+    if (heartbeatWatchdog) {
+        clearInterval(heartbeatWatchdog);
+        heartbeatWatchdog = null;
+    }
+}
+
+/**
+ * 하트비트(PING) 응답에 담는 상태 보고
+ */
+async function collectHealth() {
+    const health = {
+        premiereVersion: null,
+        openProjects: null,
+        busy: !!activeJob,
+        activeRequestId: activeJob ? activeJob.requestId : null,
+        memory: null,
+        uptimeSeconds: Math.round((Date.now() - pluginStartedAt) / 1000)
+    };
+    
+    try {
+        health.premiereVersion = (await Application.getApplication()).version;
+    } catch (error) {
+        // 버전은 HELLO에서 이미 보냄
+    }
+    try {
+        health.openProjects = (await getOpenProjects()).length;
+    } catch (error) {
+        // 프로젝트 조회 실패 시 null
+    }
+    // UXP 버전에 따라 os 메모리 함수가 없을 수 있음
+    if (typeof os.totalmem === 'function' && typeof os.freemem === 'function') {
+        health.memory = { totalBytes: os.totalmem(), freeBytes: os.freemem() };
+    }
+    return health;
+}
+
+/**
+ * 플러그인 데이터 폴더의 settings.json 읽기 - 파일이 없으면 기본값 사용
+ */
+async function loadSettings() {
+    try {
+        const dataFolder = await fs.getDataFolder();
+        const entries = await dataFolder.getEntries();
+        const file = entries.find(entry => entry.isFile && entry.name === SETTINGS_FILE_NAME);
+        if (!file) {
+            log(`설정 파일 없음 - 기본 연결 설정 사용 (${dataFolder.nativePath}/${SETTINGS_FILE_NAME})`, 'info');
+            return;
+        }
+        
+        const saved = JSON.parse(await file.read());
+        settings = { ...DEFAULT_SETTINGS, ...saved };
+        log(`⚙️ 설정 파일 로드: ${file.nativePath}`, 'info');
+    } catch (error) {
+        log(`⚠️ 설정 파일 읽기 실패 - 기본값 사용: ${error.message}`, 'warn');
+    }
+}
+
+/**
+ * 서버가 보낸 설정 적용 (HELLO 직후 수신)
+ */
+function applyServerConfig(data = {}) {
+    if (data.protocolVersion && data.protocolVersion !== PROTOCOL_VERSION) {
+        logLocal(`ℹ️ 서버 프로토콜 버전 ${data.protocolVersion} (플러그인 ${PROTOCOL_VERSION})`, 'info');
+    }
+    if (data.defaults) {
+        serverDefaults = data.defaults;
+        savePathText.textContent = serverDefaults.savePath.replace(/\\/g, '/');
+        logLocal(`⚙️ 서버 기본값: 프리셋 ${serverDefaults.presetName}, 시퀀스 ${serverDefaults.sequenceName}`, 'info');
+    }
+    if (data.paths) {
+        serverPaths = data.paths;
+        logLocal(`🛡️ 저장 허용 폴더: ${serverPaths.allowedRoots.join(', ')} (충돌 시 ${serverPaths.onCollision})`, 'info');
+    }
+    if (data.reconnectIntervalMs) {
+        settings.reconnectIntervalMs = data.reconnectIntervalMs;
+    }
+    if (data.reconnectMaxDelayMs) {
+        settings.reconnectMaxDelayMs = data.reconnectMaxDelayMs;
+    }
+    if (data.heartbeatTimeoutMs) {
+        startHeartbeatWatchdog(data.heartbeatTimeoutMs);
+    }
+    
+    // 핸드셰이크 완료 - 다음 끊김부터 재연결 간격을 처음부터
+    reconnectAttempts = 0;
+}
+
+/**
+ * 이 워크스테이션 고유 ID - 최초 실행 시 생성하여 저장
+ */
+function getMachineId() {
+    let machineId = localStorage.getItem('machineId');
+    if (!machineId) {
+        machineId = `pr-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        localStorage.setItem('machineId', machineId);
+    }
+    return machineId;
+}
+
+/**
+ * 핸드셰이크 - 서버가 작업을 이 플러그인으로 라우팅할 수 있도록 정보 전송
+ */
+async function sendHello() {
+    let premiereVersion = null;
+    try {
+        const app = await Application.getApplication();
+        premiereVersion = app.version;
+    } catch (error) {
+        log(`버전 감지 실패: ${error.message}`, 'warn');
+    }
+    
+    const hello = {
+        type: 'HELLO',
+        machineId: getMachineId(),
+        hostname: typeof os.hostname === 'function' ? os.hostname() : getUsername(),
+        premiereVersion,
+        protocolVersion: PROTOCOL_VERSION,
+        capabilities: Array.from(actionHandlers.keys()),
+        token: settings.authToken
+    };
+    
+    if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(hello));
+        log(`🤝 등록: ${hello.hostname} (${hello.machineId})`, 'info');
+    }
+}
+
+/**
+ * 내보내기 진행률 전송 (0~100)
+ */
+function sendExportProgress(requestId, percent) {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({
+            type: 'EXPORT_PROGRESS',
+            requestId,
+            percent
+        }));
+    }
+}
+
+/**
+ * 단계별 진행 이벤트 전송 (실행 중인 작업의 로그)
+ */
+function sendProgress(message, level) {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({
+            type: 'PROGRESS',
+            requestId: activeJob.requestId,
+            step: activeJob.step,
+            message,
+            level,
+            timestamp: new Date().toISOString()
+        }));
+    }
 }
 
 function sendResponse(requestId, status, data = {}) {
@@ -155,46 +420,305 @@ function sendResponse(requestId, status, data = {}) {
     }
 }
 
+/**
+ * 오류 코드가 붙은 Error - 코드 목록은 서버의 server/errors.js
+ */
+function codedError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * 실패 응답 - 코드가 없는 오류(UXP API 예외 등)는 PLUGIN_ERROR
+ */
+function sendErrorResponse(requestId, error) {
+    const code = typeof error.code === 'string' && /^[A-Z_]+$/.test(error.code) ? error.code : 'PLUGIN_ERROR';
+    sendResponse(requestId, 'error', {
+        error: error.message,
+        code
+    });
+}
+
+// ===================================
+// Task Serialization
+// ===================================
+// createNewProject는 동시 실행이 안전하지 않으므로 작업을 한 번에 하나씩 실행
+let taskChain = Promise.resolve();
+
+// 실행 중인 서버 작업 - 이 동안의 작업 단계 로그(log)는 PROGRESS 이벤트로 서버에 전달됨 (logLocal은 제외)
+let activeJob = null;
+
+/**
+ * @param {Function} task
+ * @param {string} [requestId] 서버 작업 ID - 지정하면 실행 중 로그를 진행 이벤트로 전송
+ */
+function runExclusive(task, requestId = null) {
+    const tracked = async () => {
+        activeJob = requestId ? { requestId, step: null } : null;
+        try {
+            return await task();
+        } finally {
+            activeJob = null;
+        }
+    };
+    const run = taskChain.then(tracked, tracked);
+    taskChain = run.catch(() => {});
+    return run;
+}
+
+// ===================================
+// Command Registry
+// ===================================
+// 서버 명령(action) → 처리기 - HELLO의 capabilities로 서버에 알림
+const actionHandlers = new Map();
+
+/**
+ * 명령 등록
+ * @param {string} action
+ * @param {object} definition
+ * @param {object} definition.schema data 형식 (validateActionData가 지원하는 JSON Schema 일부)
+ * @param {(data: object, requestId: string) => Promise<object>} definition.run 응답 데이터 반환, 실패는 throw
+ * @param {boolean} [definition.exclusive] 다른 작업과 겹치지 않게 runExclusive로 실행 (진행 이벤트 전송)
+ * @param {string} [definition.statusText] 실행 중 패널 상태 문구
+ * @param {string} [definition.startLog] 시작 로그
+ * @param {(result: object) => string} [definition.doneLog] 완료 로그
+ * @param {string} [definition.replyStatus] 성공 응답의 status (기본 'success')
+ */
+function registerAction(action, definition) {
+    actionHandlers.set(action, { replyStatus: 'success', ...definition });
+}
+
+/**
+ * 명령 data 검사 - type, required, properties, items, enum만 지원
+ * null은 "지정 안 함"으로 취급 (서버 schema.js와 같은 규칙)
+ * @returns {string[]} "필드: 메시지" 형식의 오류
+ */
+function validateActionData(schema, value, path = 'data') {
+    if (value == null) return [];
+    
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = Array.isArray(value) ? 'array' : typeof value;
+    const typeMatches = !schema.type || types.includes(actual) ||
+        (types.includes('integer') && Number.isInteger(value));
+    if (!typeMatches) {
+        return [`${path}: ${types.join(' 또는 ')} 형식이어야 합니다`];
+    }
+    
+    const errors = [];
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: ${schema.enum.join(', ')} 중 하나여야 합니다`);
+    }
+    if (actual === 'object') {
+        for (const name of schema.required || []) {
+            if (value[name] == null) {
+                errors.push(`${path}.${name}: 필수 항목입니다`);
+            }
+        }
+        for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+            errors.push(...validateActionData(propertySchema, value[name], `${path}.${name}`));
+        }
+    }
+    if (actual === 'array' && schema.items) {
+        value.forEach((item, index) => errors.push(...validateActionData(schema.items, item, `${path}[${index}]`)));
+    }
+    return errors;
+}
+
+// 명령 data 공통 필드
+const PROJECT_PATH_FIELD = { type: 'string' };
+const SEQUENCE_NAME_FIELD = { type: 'string' };
+const MEDIA_FIELD = {
+    type: 'array',
+    items: { type: 'object', required: ['path'], properties: { path: { type: 'string' }, bin: { type: 'string' } } }
+};
+const CAPTIONS_FIELD = { type: 'object', required: ['srt'], properties: { srt: { type: 'string' }, bin: { type: 'string' } } };
+const MARKERS_FIELD = { type: 'array', items: { type: 'object', required: ['start'], properties: { start: { type: 'number' } } } };
+const NO_DATA = { type: 'object' };
+
+registerAction('CREATE_PROJECT', {
+    schema: {
+        type: 'object',
+        properties: {
+            projectName: { type: 'string' },
+            sequenceName: SEQUENCE_NAME_FIELD,
+            presetName: { type: 'string' },
+            sequenceSettings: { type: 'object' },
+            onMissingPreset: { type: 'string', enum: ['fail', 'default'] },
+            savePath: { type: 'string' },
+            onCollision: { type: 'string', enum: ['timestamp', 'increment', 'fail', 'overwrite'] },
+            media: MEDIA_FIELD,
+            captions: CAPTIONS_FIELD,
+            markers: MARKERS_FIELD,
+            template: { type: 'object', required: ['sequences'], properties: { sequences: { type: 'array' } } },
+            metadata: { type: 'object' },
+            naming: { type: 'object' }
+        }
+    },
+    exclusive: true,
+    statusText: '프로젝트 생성 중...',
+    startLog: '🎬 프로젝트 생성 시작...',
+    run: data => createNewProject(data),
+    doneLog: result => `✅ 완료: ${result.projectName}`
+});
+
+registerAction('OPEN_PROJECT', {
+    schema: { type: 'object', required: ['projectPath'], properties: { projectPath: PROJECT_PATH_FIELD } },
+    exclusive: true,
+    statusText: '프로젝트 여는 중...',
+    run: data => openProject(data)
+});
+
+registerAction('CLOSE_PROJECT', {
+    schema: { type: 'object', properties: { projectPath: PROJECT_PATH_FIELD, save: { type: 'boolean' } } },
+    exclusive: true,
+    statusText: '프로젝트 닫는 중...',
+    run: data => closeProject(data)
+});
+
+registerAction('LIST_OPEN_PROJECTS', {
+    schema: NO_DATA,
+    run: async () => {
+        const projects = await getOpenProjects();
+        return { projects: await Promise.all(projects.map(project => describeProject(project))) };
+    }
+});
+
+registerAction('IMPORT_MEDIA', {
+    schema: { type: 'object', required: ['media'], properties: { sequenceName: SEQUENCE_NAME_FIELD, media: MEDIA_FIELD } },
+    exclusive: true,
+    statusText: '미디어 가져오는 중...',
+    startLog: '🎞️ 미디어 가져오기 시작...',
+    run: data => importMediaIntoProject(data),
+    doneLog: result => `✅ 완료: ${result.importedItems.length}개 가져옴`
+});
+
+registerAction('ADD_CAPTIONS', {
+    schema: {
+        type: 'object',
+        required: ['captions'],
+        properties: { projectPath: PROJECT_PATH_FIELD, sequenceName: SEQUENCE_NAME_FIELD, captions: CAPTIONS_FIELD }
+    },
+    exclusive: true,
+    statusText: '자막 추가 중...',
+    startLog: '📝 자막 추가 시작...',
+    run: data => addCaptionsToProject(data),
+    doneLog: result => `✅ 완료: 자막 ${result.captions.cueCount}개`
+});
+
+registerAction('ADD_MARKERS', {
+    schema: {
+        type: 'object',
+        required: ['markers'],
+        properties: { projectPath: PROJECT_PATH_FIELD, sequenceName: SEQUENCE_NAME_FIELD, markers: MARKERS_FIELD }
+    },
+    exclusive: true,
+    statusText: '마커 추가 중...',
+    startLog: '📍 마커 추가 시작...',
+    run: data => addMarkersToProject(data),
+    doneLog: result => `✅ 완료: 마커 ${result.markers.added}개`
+});
+
+registerAction('LIST_MARKERS', {
+    schema: { type: 'object', properties: { projectPath: PROJECT_PATH_FIELD, sequenceName: SEQUENCE_NAME_FIELD } },
+    run: data => listSequenceMarkers(data)
+});
+
+// 렌더 대기는 다른 작업을 막지 않도록 exportSequence 안에서 대기열 등록만 runExclusive로 실행
+registerAction('EXPORT_SEQUENCE', {
+    schema: {
+        type: 'object',
+        required: ['presetPath', 'outputPath'],
+        properties: {
+            projectPath: PROJECT_PATH_FIELD,
+            sequenceName: SEQUENCE_NAME_FIELD,
+            presetPath: { type: 'string' },
+            outputPath: { type: 'string' },
+            exportType: { type: 'string', enum: ['ame', 'immediate'] }
+        }
+    },
+    statusText: '내보내는 중...',
+    startLog: '📤 시퀀스 내보내기 시작...',
+    run: (data, requestId) => exportSequence(requestId, data),
+    doneLog: result => `✅ 내보내기 완료: ${result.outputPath}`
+});
+
+registerAction('LIST_PRESETS', {
+    schema: NO_DATA,
+    run: async () => {
+        // 조회 명령 - 실행 중인 작업이 있어도 그 작업의 진행 이벤트로 보내지 않음
+        const { presets, searchedFolders } = await discoverPresets({ progress: false });
+        return { premiereVersion: await getPremiereVersion({ progress: false }), presets, searchedFolders };
+    }
+});
+
+registerAction('PING', {
+    schema: NO_DATA,
+    replyStatus: 'pong',
+    run: async () => ({ health: await collectHealth() })
+});
+
 // ===================================
 // Message Handler
 // ===================================
 async function handleMessage(message) {
     const { requestId, action, data } = message;
     
-    switch (action) {
-        case 'CREATE_PROJECT':
-            statusText.textContent = '프로젝트 생성 중...';
-            log('🎬 프로젝트 생성 시작...', 'info');
-            
-            try {
-                const result = await createNewProject(data);
-                
-                sendResponse(requestId, 'success', {
-                    projectName: result.projectName,
-                    projectPath: result.projectPath,
-                    sequenceName: result.sequenceName,
-                    presetUsed: result.presetUsed
-                });
-                
-                log(`✅ 완료: ${result.projectName}`, 'success');
-                statusText.textContent = '연결됨 (대기 중)';
-                
-            } catch (error) {
-                sendResponse(requestId, 'error', {
-                    error: error.message
-                });
-                
-                log(`❌ 실패: ${error.message}`, 'error');
-                statusText.textContent = '연결됨 (대기 중)';
-            }
-            break;
-            
-        case 'PING':
-            sendResponse(requestId, 'pong');
-            break;
-            
-        default:
-            log(`⚠️ 알 수 없는 명령: ${action}`, 'warn');
+    // 서버 설정 - 응답하지 않는 프로토콜 메시지
+    if (action === 'CONFIG') {
+        applyServerConfig(data);
+        return;
+    }
+    
+    // 최근 요청 기록 - 응답하지 않는 프로토콜 메시지
+    if (action === 'HISTORY') {
+        renderHistory(data.entries || []);
+        return;
+    }
+    
+    // 모르는 명령은 서버가 제한 시간까지 기다리지 않도록 바로 실패 응답
+    const handler = actionHandlers.get(action);
+    if (!handler) {
+        logLocal(`⚠️ 지원하지 않는 명령: ${action}`, 'warn');
+        sendErrorResponse(requestId, codedError('UNSUPPORTED_ACTION',
+            `지원하지 않는 명령입니다: ${action} (지원: ${Array.from(actionHandlers.keys()).join(', ')})`));
+        return;
+    }
+    
+    const input = data || {};
+    const errors = validateActionData(handler.schema, input);
+    if (errors.length > 0) {
+        logLocal(`❌ 잘못된 명령 데이터 (${action}): ${errors.join(', ')}`, 'error');
+        sendErrorResponse(requestId, codedError('INVALID_COMMAND_DATA', `${action} 데이터가 올바르지 않습니다: ${errors.join(', ')}`));
+        return;
+    }
+    
+    if (handler.statusText) {
+        statusText.textContent = handler.statusText;
+    }
+    // 시작 / 완료 / 실패 로그는 runExclusive 밖 - 다른 작업이 실행 중일 수 있어 진행 이벤트로 보내지 않음
+    if (handler.startLog) {
+        logLocal(handler.startLog, 'info');
+    }
+    
+    try {
+        const result = handler.exclusive
+            ? await runExclusive(() => handler.run(input, requestId), requestId)
+            : await handler.run(input, requestId);
+        
+        sendResponse(requestId, handler.replyStatus, result);
+        
+        if (handler.doneLog) {
+            logLocal(handler.doneLog(result), 'success');
+        }
+    } catch (error) {
+        sendErrorResponse(requestId, error);
+        
+        logLocal(`❌ 실패 (${action}): ${error.message}`, 'error');
+    }
+    
+    if (handler.statusText) {
+        statusText.textContent = '연결됨 (대기 중)';
     }
 }
 
@@ -204,8 +728,11 @@ async function handleMessage(message) {
 
 /**
  * Premiere Pro 버전 감지
+ * @param {object} [options]
+ * @param {boolean} [options.progress] false면 로그를 실행 중인 작업의 진행 이벤트로 보내지 않음 (조회 명령)
  */
-async function getPremiereVersion() {
+async function getPremiereVersion({ progress = true } = {}) {
+    const write = progress ? log : logLocal;
     try {
         const app = await Application.getApplication();
         const fullVersion = app.version || '25.0.0';
@@ -214,21 +741,22 @@ async function getPremiereVersion() {
         const parts = fullVersion.split('.');
         const majorVersion = parts[0] + '.0';
         
-        log(`Premiere 버전: ${fullVersion} → ${majorVersion}`, 'info');
+        write(`Premiere 버전: ${fullVersion} → ${majorVersion}`, 'info');
         return majorVersion;
         
     } catch (error) {
-        log(`버전 감지 실패, 기본값 25.0 사용: ${error.message}`, 'warn');
+        write(`버전 감지 실패, 기본값 25.0 사용: ${error.message}`, 'warn');
         return '25.0';
     }
 }
 
 /**
  * 시스템 사용자명 감지
+ * UXP에서는 process.env가 불안정하므로 홈 폴더 이름을 사용자명으로 사용
  */
 function getUsername() {
-    const username = process.env.USERNAME || process.env.USER || 'DefaultUser';
-    return username;
+    const home = os.homedir().replace(/\\/g, '/').replace(/\/$/, '');
+    return home.split('/').pop() || 'DefaultUser';
 }
 
 /**
@@ -239,83 +767,121 @@ function isWindows() {
 }
 
 // ===================================
-// Helper Functions - Preset Path
+// Helper Functions - Preset Discovery
 // ===================================
 
 /**
- * 커스텀 프리셋 경로 - 하드코딩된 경로 사용
+ * 네이티브 경로 → file: URL
  */
-async function getCustomPresetPath(presetName) {
-    // 하드코딩된 경로 (UXP 환경에서 process.env가 불안정하므로)
-    const presetPath = `C:\\Users\\PC\\Documents\\Adobe\\Premiere Pro\\25.0\\Profile-PC\\Settings\\Custom\\${presetName}.sqpreset`;
-    
-    log(`프리셋 경로: ${presetPath}`, 'info');
-    return presetPath;
+function toFileUrl(nativePath) {
+    const normalized = nativePath.replace(/\\/g, '/');
+    return isWindows() ? `file:///${normalized}` : `file://${normalized}`;
 }
 
 /**
- * 프리셋 파일 존재 확인 - 항상 존재한다고 가정 (하드코딩된 경로 사용)
+ * 폴더 내용 읽기 - 폴더가 없으면 null
+ * getEntryWithUrl이 공백이 포함된 경로에서 실패하는 경우가 있어 인코딩된 URL로 한 번 더 시도
  */
-async function verifyPresetExists(presetPath) {
-    // 하드코딩된 경로를 사용하므로 파일 존재를 항상 true로 반환
-    // UXP의 fs.getEntryWithUrl이 공백이 포함된 경로에서 불안정함
-    log(`프리셋 경로 사용 (검증 생략): ${presetPath}`, 'info');
-    return {
-        exists: true,
-        file: null,
-        path: presetPath
-    };
+async function getFolderEntries(nativePath) {
+    const url = toFileUrl(nativePath);
+    for (const candidate of [url, encodeURI(url)]) {
+        try {
+            const folder = await fs.getEntryWithUrl(candidate);
+            if (folder && folder.isFolder) {
+                return await folder.getEntries();
+            }
+        } catch (error) {
+            // 다음 후보로 재시도
+        }
+    }
+    return null;
 }
 
 /**
- * 사용자 정의 폴더 내 모든 프리셋 탐색 (디버깅용)
+ * Premiere Pro 설정 폴더 (Documents/Adobe/Premiere Pro) - Windows, macOS 공통
  */
-async function findAllCustomPresets() {
-    try {
-        const version = '25.0';
-        const username = getUsername();
-        
-        let customFolderPath;
-        if (isWindows()) {
-            // 영어 Premiere Pro 경로 (Custom 폴더)
-            customFolderPath = `C:\\Users\\${username}\\Documents\\Adobe\\Premiere Pro\\${version}\\Profile-${username}\\Settings\\Custom`;
-        } else {
-            const home = os.homedir();
-            customFolderPath = `${home}/Documents/Adobe/Premiere Pro/${version}/Profile-${username}/Settings/Custom`;
-        }
-        
-        log(`프리셋 폴더 탐색: ${customFolderPath}`, 'info');
-        
-        let folderUrl;
-        if (isWindows()) {
-            folderUrl = `file:///${customFolderPath.replace(/\\/g, '/')}`;
-        } else {
-            folderUrl = `file://${customFolderPath}`;
-        }
-        
-        const customFolder = await fs.getEntryWithUrl(folderUrl);
-        const entries = await customFolder.getEntries();
+function getPremiereDocumentsPath() {
+    const home = os.homedir().replace(/\\/g, '/').replace(/\/$/, '');
+    return `${home}/Documents/Adobe/Premiere Pro`;
+}
+
+/**
+ * 설치된 모든 Premiere 버전의 프로필 폴더에서 .sqpreset 탐색
+ * 현재 사용자 프로필과 최신 버전이 앞에 오도록 정렬
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.progress] false면 결과 로그를 실행 중인 작업의 진행 이벤트로 보내지 않음 (조회 명령)
+ * @returns {{ presets: object[], searchedFolders: string[] }}
+ */
+async function discoverPresets({ progress = true } = {}) {
+    const rootPath = getPremiereDocumentsPath();
+    const username = getUsername();
+    const presets = [];
+    const searchedFolders = [];
+    
+    const versionEntries = (await getFolderEntries(rootPath)) || [];
+    const versions = versionEntries
+        .filter(entry => entry.isFolder && /^\d+\.\d+$/.test(entry.name))
+        .map(entry => entry.name)
+        .sort((a, b) => parseFloat(b) - parseFloat(a));
+    
+    for (const version of versions) {
+        const profileEntries = (await getFolderEntries(`${rootPath}/${version}`)) || [];
+        const profiles = profileEntries
+            .filter(entry => entry.isFolder && entry.name.startsWith('Profile-'))
+            .map(entry => entry.name)
+            .sort((a, b) => (b === `Profile-${username}`) - (a === `Profile-${username}`));
         
-        const presets = [];
-        for (const entry of entries) {
-            if (entry.isFile && entry.name.endsWith('.sqpreset')) {
-                presets.push({
-                    name: entry.name.replace('.sqpreset', ''),
-                    fullName: entry.name,
-                    path: entry.nativePath
-                });
+        for (const profile of profiles) {
+            for (const folderName of PRESET_FOLDER_NAMES) {
+                const folderPath = `${rootPath}/${version}/${profile}/Settings/${folderName}`;
+                const entries = await getFolderEntries(folderPath);
+                if (!entries) continue;
+                
+                searchedFolders.push(folderPath);
+                for (const entry of entries) {
+                    if (entry.isFile && entry.name.toLowerCase().endsWith('.sqpreset')) {
+                        presets.push({
+                            name: entry.name.replace(/\.sqpreset$/i, ''),
+                            fileName: entry.name,
+                            path: entry.nativePath,
+                            version,
+                            profile,
+                            folder: folderName
+                        });
+                    }
+                }
             }
         }
-        
-        log(`발견된 프리셋 ${presets.length}개`, 'info');
-        presets.forEach(p => log(`  - ${p.name}`, 'info'));
-        
-        return presets;
-        
-    } catch (error) {
-        log(`프리셋 폴더 접근 실패: ${error.message}`, 'warn');
-        return [];
     }
+    
+    const write = progress ? log : logLocal;
+    write(`프리셋 ${presets.length}개 발견 (폴더 ${searchedFolders.length}개 검색)`, 'info');
+    return { presets, searchedFolders };
+}
+
+/**
+ * 이름으로 프리셋 찾기 - 실행 중인 Premiere 버전의 프리셋을 우선 사용
+ * 여러 프리셋을 찾을 때는 discoverPresets() 결과를 넘겨 폴더를 한 번만 검색
+ */
+async function resolvePreset(presetName, discovery = null) {
+    const { presets, searchedFolders } = discovery || await discoverPresets();
+    const currentVersion = await getPremiereVersion();
+    
+    const matches = presets.filter(preset => preset.name === presetName);
+    const preset = matches.find(match => match.version === currentVersion) || matches[0] || null;
+    
+    if (preset) {
+        log(`프리셋 경로: ${preset.path}`, 'info');
+    } else {
+        log(`⚠️ 프리셋을 찾을 수 없음: ${presetName}`, 'warn');
+    }
+    
+    return {
+        preset,
+        available: Array.from(new Set(presets.map(p => p.name))),
+        searchedFolders
+    };
 }
 
 // ===================================
@@ -373,13 +939,132 @@ async function createDefaultSequence(project, sequenceName) {
 }
 
 /**
- * 시퀀스 활성화
+ * 생성한 시퀀스에 시퀀스 설정(프레임 크기, 프레임 레이트, 픽셀 종횡비, 오디오 샘플 레이트) 적용
+ * Premiere 버전에 따라 없는 API는 건너뛰고, 적용하지 못한 항목은 결과의 unapplied로 보고
+ * 트랙 수는 바꾸는 API가 없어 현재 수와 다르면 unapplied로 보고
  */
-async function setActiveSequence(project, sequence) {
-    try {
-        log(`시퀀스 활성화 중...`, 'info');
-        
-        const result = await project.setActiveSequence(sequence);
+async function applySequenceSettings(project, sequence, requested) {
+    const applied = [];
+    const unapplied = [];
+    
+    const settings = typeof sequence.getSettings === 'function' ? await sequence.getSettings() : null;
+    const canSet = name => Boolean(settings) && typeof settings[name] === 'function';
+    
+    if (requested.width != null) {
+        if (canSet('setVideoFrameRect')) {
+            const rect = await settings.getVideoFrameRect();
+            rect.width = requested.width;
+            rect.height = requested.height;
+            settings.setVideoFrameRect(rect);
+            applied.push('frameSize');
+        } else {
+            unapplied.push('frameSize');
+        }
+    }
+    if (requested.frameRate != null) {
+        if (canSet('setVideoFrameRate') && FrameRate) {
+            settings.setVideoFrameRate(FrameRate.createWithValue(requested.frameRate));
+            applied.push('frameRate');
+        } else {
+            unapplied.push('frameRate');
+        }
+    }
+    if (requested.pixelAspectRatio != null) {
+        if (canSet('setVideoPixelAspectRatio')) {
+            settings.setVideoPixelAspectRatio(requested.pixelAspectRatio);
+            applied.push('pixelAspectRatio');
+        } else {
+            unapplied.push('pixelAspectRatio');
+        }
+    }
+    if (requested.audioSampleRate != null) {
+        if (canSet('setAudioSampleRate') && FrameRate) {
+            settings.setAudioSampleRate(FrameRate.createWithValue(requested.audioSampleRate));
+            applied.push('audioSampleRate');
+        } else {
+            unapplied.push('audioSampleRate');
+        }
+    }
+    
+    if (applied.length > 0) {
+        if (typeof sequence.createSetSettingsAction !== 'function') {
+            unapplied.push(...applied.splice(0));
+        } else {
+            executeActions(project, [sequence.createSetSettingsAction(settings)], '시퀀스 설정 적용');
+        }
+    }
+    
+    const trackCounts = [
+        ['videoTracks', 'getVideoTrackCount'],
+        ['audioTracks', 'getAudioTrackCount']
+    ];
+    for (const [field, getter] of trackCounts) {
+        if (requested[field] == null) continue;
+        const current = typeof sequence[getter] === 'function' ? await sequence[getter]() : null;
+        if (current === requested[field]) {
+            applied.push(field);
+        } else {
+            unapplied.push(field);
+        }
+    }
+    
+    if (applied.length > 0) {
+        log(`✅ 시퀀스 설정 적용: ${applied.join(', ')}`, 'success');
+    }
+    if (unapplied.length > 0) {
+        log(`⚠️ 적용하지 못한 시퀀스 설정: ${unapplied.join(', ')}`, 'warn');
+    }
+    
+    return { requested, applied, unapplied };
+}
+
+/**
+ * 시퀀스 정의({ name, presetName })로 시퀀스 생성
+ * 프리셋 적용에 실패하면 missingPresetPolicy가 'default'일 때만 기본 설정으로 대체
+ */
+async function createSequenceFromSpec(project, spec, preset, missingPresetPolicy) {
+    if (preset) {
+        const result = await createSequenceWithPreset(project, spec.name, preset.path);
+        
+        if (result.success) {
+            log(`✅ 프리셋 적용됨: ${spec.presetName}`, 'success');
+            return { sequence: result.sequence, presetUsed: spec.presetName };
+        }
+        if (missingPresetPolicy !== 'default') {
+            throw codedError('SEQUENCE_CREATE_FAILED', `프리셋으로 시퀀스 생성 실패: ${spec.presetName} (${result.error})`);
+        }
+        log(`⚠️ 프리셋 적용 실패, 기본으로 대체`, 'warn');
+    }
+    
+    const fallback = await createDefaultSequence(project, spec.name);
+    if (!fallback.success) {
+        throw codedError('SEQUENCE_CREATE_FAILED', `시퀀스 생성 실패: ${spec.name}`);
+    }
+    return { sequence: fallback.sequence, presetUsed: '기본값' };
+}
+
+/**
+ * 템플릿의 기본 .prproj를 새 파일명으로 복사
+ */
+async function copyBaseProject(baseProjectPath, targetFolder, filename) {
+    const source = await fs.getEntryWithUrl(toFileUrl(baseProjectPath));
+    const contents = await source.read({ format: storage.formats.binary });
+    
+    const copy = await targetFolder.createFile(filename, { overwrite: false });
+    await copy.write(contents, { format: storage.formats.binary });
+    
+    log(`📄 템플릿 프로젝트 복사: ${baseProjectPath}`, 'info');
+    return copy.nativePath;
+}
+
+/**
+ * 시퀀스 활성화
+ */
+async function setActiveSequence(project, sequence) {
+    try {
+        log(`시퀀스 활성화 중...`, 'info');
+        
+        const result = await project.setActiveSequence(sequence);
         
         if (result) {
             log(`✅ 시퀀스 활성화 완료`, 'success');
@@ -419,156 +1104,1206 @@ async function saveProject(project) {
 }
 
 // ===================================
-// Main Function: Create New Project
+// Helper Functions - Media
 // ===================================
-async function createNewProject(data = {}) {
-    const { projectName, sequenceName, presetName, savePath } = data;
+
+/**
+ * 프로젝트 변경 액션을 하나의 트랜잭션으로 실행
+ */
+function executeActions(project, actions, undoLabel) {
+    let success = false;
+    project.lockedAccess(() => {
+        success = project.executeTransaction((compoundAction) => {
+            actions.forEach(action => compoundAction.addAction(action));
+        }, undoLabel);
+    });
+    if (!success) {
+        throw new Error(`작업 실패: ${undoLabel}`);
+    }
+}
+
+/**
+ * 파일 경로에서 파일명 추출
+ */
+function getFileName(filePath) {
+    return filePath.replace(/\\/g, '/').split('/').pop();
+}
+
+/**
+ * 폴더 안에서 이름이 같은 하위 빈 찾기
+ */
+async function findChildBin(folder, binName) {
+    const items = await folder.getItems();
+    for (const item of items) {
+        if (item.name !== binName) continue;
+        const bin = FolderItem.cast(item);
+        if (bin) return bin;
+    }
+    return null;
+}
+
+/**
+ * 빈 경로("01_Footage/Interviews")를 따라가며 없는 빈은 생성
+ */
+async function getOrCreateBin(project, binPath) {
+    let folder = await project.getRootItem();
+    const names = binPath.split('/').map(name => name.trim()).filter(Boolean);
+
+    for (const name of names) {
+        let bin = await findChildBin(folder, name);
+        if (!bin) {
+            executeActions(project, [folder.createBinAction(name, false)], `빈 생성: ${name}`);
+            bin = await findChildBin(folder, name);
+            if (!bin) {
+                throw new Error(`빈 생성 실패: ${binPath}`);
+            }
+            log(`📁 빈 생성: ${name}`, 'info');
+        }
+        folder = bin;
+    }
+
+    return folder;
+}
+
+/**
+ * 파일 하나를 빈으로 가져오고 생성된 프로젝트 아이템 반환
+ */
+async function importFileToBin(project, filePath, bin) {
+    const before = new Set((await bin.getItems()).map(item => item.name));
+
+    const imported = await project.importFiles([filePath], true, bin, false);
+    if (!imported) {
+        throw codedError('MEDIA_IMPORT_FAILED', `미디어 가져오기 실패: ${filePath}`);
+    }
+
+    // 가져오기 전에 없던 아이템 = 새로 가져온 아이템
+    const items = await bin.getItems();
+    const fileName = getFileName(filePath);
+    const created = items.filter(item => !before.has(item.name));
+    const item = created.find(candidate => candidate.name === fileName) || created[0];
+
+    if (!item) {
+        throw codedError('MEDIA_IMPORT_FAILED', `가져온 아이템을 찾을 수 없음: ${fileName}`);
+    }
+    return item;
+}
+
+/**
+ * 미디어 가져오기 및 타임라인 자동 배치
+ * 각 미디어는 지정한 빈으로 가져온 뒤 시퀀스 끝에 순서대로 배치됨
+ *
+ * @param {object[]} media - { path, bin, inPoint, outPoint, place, videoTrack, audioTrack }
+ * @param {object} [metadata] 가져온 클립마다 기록할 프로젝트 메타데이터
+ */
+async function importMedia(project, sequence, media, metadata = null) {
+    const results = [];
+    const editor = sequence ? SequenceEditor.getEditor(sequence) : null;
+
+    for (const entry of media) {
+        const binPath = entry.bin || 'Media';
+        log(`미디어 가져오기: ${getFileName(entry.path)} → ${binPath}`, 'info');
+
+        const bin = await getOrCreateBin(project, binPath);
+        const item = await importFileToBin(project, entry.path, bin);
+        const clip = ClipProjectItem.cast(item);
+
+        const result = {
+            path: entry.path,
+            name: item.name,
+            bin: binPath,
+            inPoint: null,
+            outPoint: null,
+            placed: false,
+            timeline: null
+        };
+        
+        if (metadata) {
+            result.metadataTagged = await tagProjectItem(project, item, metadata);
+        }
+
+        // 인/아웃 포인트 지정
+        if (entry.inPoint != null || entry.outPoint != null) {
+            const inPoint = entry.inPoint != null ? entry.inPoint : 0;
+            const outPoint = entry.outPoint != null
+                ? entry.outPoint
+                : (await clip.getOutPoint()).seconds;
+            executeActions(project, [
+                clip.createSetInOutPointsAction(
+                    TickTime.createWithSeconds(inPoint),
+                    TickTime.createWithSeconds(outPoint)
+                )
+            ], `인/아웃 지정: ${item.name}`);
+            result.inPoint = inPoint;
+            result.outPoint = outPoint;
+        }
+
+        // 시퀀스 끝에 배치
+        if (editor && entry.place !== false) {
+            const videoTrack = entry.videoTrack || 0;
+            const audioTrack = entry.audioTrack || 0;
+            const start = await sequence.getEndTime();
+
+            executeActions(project, [
+                editor.createOverwriteItemAction(clip, start, videoTrack, audioTrack)
+            ], `타임라인 배치: ${item.name}`);
+
+            const end = await sequence.getEndTime();
+            result.placed = true;
+            result.timeline = {
+                videoTrack,
+                audioTrack,
+                start: start.seconds,
+                end: end.seconds
+            };
+            log(`🎞️ 배치: ${item.name} (${start.seconds.toFixed(2)}s ~ ${end.seconds.toFixed(2)}s)`, 'info');
+        }
+
+        results.push(result);
+    }
+
+    log(`✅ 미디어 ${results.length}개 가져오기 완료`, 'success');
+    return results;
+}
+
+// ===================================
+// Helper Functions - Captions
+// ===================================
+
+/**
+ * 자막을 캡션 트랙으로 추가
+ * 서버가 검증해서 보낸 SRT를 프로젝트 폴더에 저장하고 빈으로 가져온 뒤 시퀀스에 캡션 트랙 생성
+ * 캡션 트랙을 만들 수 없는 Premiere 버전이면 빈에만 가져오고 trackCreated: false 반환
+ *
+ * @param {object} captions 서버의 normalizeCaptions 결과 { srt, fileName, bin, cueCount, duration }
+ * @param {string} baseName fileName이 없을 때 쓸 파일 이름 (확장자 제외)
+ */
+async function addCaptions(project, sequence, captions, baseName) {
+    const projectDir = project.path.replace(/\\/g, '/').replace(/\/[^/]*$/, '');
+    const folder = await fs.getEntryWithUrl(toFileUrl(projectDir));
+    const file = await folder.createFile(captions.fileName || `${baseName}.srt`, { overwrite: true });
+    await file.write(captions.srt);
+    log(`📝 자막 파일 저장: ${file.nativePath} (${captions.cueCount}개)`, 'info');
     
-    // 설정값
-    const targetPresetName = presetName || DEFAULT_PRESET_NAME;
-    const targetSequenceName = sequenceName || DEFAULT_SEQUENCE_NAME;
+    const bin = await getOrCreateBin(project, captions.bin);
+    const captionItem = await importFileToBin(project, file.nativePath, bin);
     
-    // ========================================
-    // Step 1: 타임스탬프 및 파일명 생성
-    // ========================================
-    log('=== Step 1: 파일명 생성 ===', 'info');
+    const result = {
+        filePath: file.nativePath,
+        bin: captions.bin,
+        cueCount: captions.cueCount,
+        duration: captions.duration,
+        sequenceName: sequence ? sequence.name : null,
+        trackCreated: false
+    };
     
-    const timestamp = new Date().toISOString()
-        .replace(/[-:]/g, '')
-        .replace(/\..+/, '')
-        .replace('T', '_');
+    if (!sequence) {
+        log('⚠️ 시퀀스 없음 - 자막은 빈에만 가져옵니다', 'warn');
+        return result;
+    }
+    if (typeof sequence.createCaptionTrack !== 'function') {
+        log('⚠️ 이 Premiere Pro 버전은 캡션 트랙 생성을 지원하지 않습니다 - 자막은 빈에만 가져옵니다', 'warn');
+        return result;
+    }
+    
+    await sequence.createCaptionTrack(captionItem, TickTime.createWithSeconds(0));
+    log(`✅ 캡션 트랙 생성: ${sequence.name}`, 'success');
+    return { ...result, trackCreated: true };
+}
+
+/**
+ * Premiere 마커 종류 ↔ 서버 마커 종류 ('comment' | 'chapter')
+ */
+function toPremiereMarkerType(type) {
+    return type === 'chapter'
+        ? (Marker.MARKER_TYPE_CHAPTER || 'Chapter')
+        : (Marker.MARKER_TYPE_COMMENT || 'Comment');
+}
+
+function fromPremiereMarkerType(type) {
+    return String(type || 'comment').toLowerCase();
+}
+
+/**
+ * 시퀀스에 마커 추가
+ * 마커 추가 액션에는 색상 인자가 없어서, 추가한 뒤 마커를 다시 찾아 색상을 설정
+ *
+ * @param {object[]} markers 서버의 normalizeMarkers 결과 { name, comment, start, duration, colorIndex, type }
+ */
+async function addMarkers(project, sequence, markers) {
+    const sequenceMarkers = await Markers.getMarkers(sequence);
     
-    const baseName = projectName || 'NewProject';
-    const safeName = baseName.replace(/[/\\?%*:|"<>]/g, '-');
-    const fullName = `${safeName}_${timestamp}`;
-    const filename = `${fullName}.prproj`;
+    const actions = markers.map(marker => sequenceMarkers.createAddMarkerAction(
+        marker.name,
+        toPremiereMarkerType(marker.type),
+        TickTime.createWithSeconds(marker.start),
+        TickTime.createWithSeconds(marker.duration),
+        marker.comment
+    ));
+    executeActions(project, actions, '마커 추가');
+    log(`📍 마커 ${markers.length}개 추가: ${sequence.name}`, 'success');
     
-    log(`파일명: ${filename}`, 'info');
+    const colored = markers.filter(marker => marker.colorIndex != null);
+    let colorsApplied = 0;
+    if (colored.length > 0) {
+        const existing = await sequenceMarkers.getMarkers();
+        const used = new Set();
+        const colorActions = [];
+        
+        for (const marker of colored) {
+            const found = existing.find(candidate => !used.has(candidate) &&
+                candidate.getName() === marker.name &&
+                Math.abs(candidate.getStart().seconds - marker.start) < 0.001);
+            if (!found || typeof found.createSetColorByIndexAction !== 'function') continue;
+            
+            used.add(found);
+            colorActions.push(found.createSetColorByIndexAction(marker.colorIndex));
+        }
+        
+        if (colorActions.length > 0) {
+            executeActions(project, colorActions, '마커 색상 설정');
+        }
+        colorsApplied = colorActions.length;
+        if (colorsApplied < colored.length) {
+            log(`⚠️ 마커 색상 ${colored.length - colorsApplied}개를 설정하지 못했습니다`, 'warn');
+        }
+    }
     
-    // ========================================
-    // Step 2: 저장 경로 결정 및 폴더 확보
-    // ========================================
-    log('=== Step 2: 폴더 확보 ===', 'info');
+    return {
+        sequenceName: sequence.name,
+        added: markers.length,
+        colorsApplied: colorsApplied
+    };
+}
+
+/**
+ * 시퀀스의 마커 목록 (시작 시간순, 서버 markers.js 형식)
+ */
+async function readMarkers(sequence) {
+    const sequenceMarkers = await Markers.getMarkers(sequence);
+    const markers = await sequenceMarkers.getMarkers();
+    const toSeconds = time => Math.round(time.seconds * 1000) / 1000;
     
-    let targetPath;
-    if (savePath) {
-        targetPath = savePath.replace(/\\/g, '/');
-    } else {
-        const homeDir = os.homedir();
-        targetPath = `${homeDir}/Desktop/inbox`.replace(/\\/g, '/');
+    return markers.map(marker => {
+        const colorIndex = typeof marker.getColorIndex === 'function' ? marker.getColorIndex() : null;
+        return {
+            name: marker.getName(),
+            comment: marker.getComments(),
+            start: toSeconds(marker.getStart()),
+            duration: toSeconds(marker.getDuration()),
+            color: MARKER_COLORS[colorIndex] || null,
+            type: fromPremiereMarkerType(marker.getType())
+        };
+    }).sort((a, b) => a.start - b.start);
+}
+
+/**
+ * 이름으로 시퀀스 찾기 (없으면 활성 시퀀스)
+ */
+async function findSequence(project, sequenceName) {
+    if (sequenceName) {
+        const sequences = await project.getSequences();
+        const found = sequences.find(sequence => sequence.name === sequenceName);
+        if (!found) {
+            throw codedError('SEQUENCE_NOT_FOUND', `시퀀스를 찾을 수 없음: ${sequenceName}`);
+        }
+        return found;
     }
+    return await project.getActiveSequence();
+}
+
+// ===================================
+// Helper Functions - Metadata
+// ===================================
+
+// 요청 메타데이터를 기록할 XMP 네임스페이스 (메타데이터 패널에 autoEdit:client 형식으로 표시)
+const METADATA_XMP_NAMESPACE = 'http://ns.autoediting.app/project/1.0/';
+const METADATA_XMP_PREFIX = 'autoEdit';
+
+// Premiere 프로젝트 메타데이터(프로젝트 패널 열) 네임스페이스와 문자열 속성 종류
+const PROJECT_METADATA_NAMESPACE = 'http://ns.adobe.com/premierePrivateProjectMetaData/1.0/';
+const PROJECT_METADATA_TYPE_STRING = 2;
+
+let xmpModule; // undefined = 아직 확인 안 함, null = 지원 안 함
+const registeredMetadataColumns = new Set();
+
+/**
+ * UXP XMP 모듈 - 없는 UXP 버전이면 null (사이드카 JSON만 기록)
+ */
+function getXmpModule() {
+    if (xmpModule !== undefined) return xmpModule;
     
-    log(`저장 경로: ${targetPath}`, 'info');
-    savePathText.textContent = targetPath;
+    xmpModule = null;
+    try {
+        const { xmp } = require('uxp');
+        if (xmp && xmp.XMPMeta && Metadata) {
+            xmp.XMPMeta.registerNamespace(METADATA_XMP_NAMESPACE, METADATA_XMP_PREFIX);
+            xmpModule = xmp;
+        }
+    } catch (error) {
+        log(`⚠️ XMP 모듈을 쓸 수 없습니다 - 메타데이터는 사이드카 JSON에만 기록합니다 (${error.message})`, 'warn');
+    }
+    return xmpModule;
+}
+
+/**
+ * 프로젝트 패널에 메타데이터 필드를 열로 등록 (세션마다 한 번)
+ */
+async function ensureMetadataColumns(fields) {
+    for (const name of fields) {
+        if (registeredMetadataColumns.has(name)) continue;
+        await Metadata.addPropertyToProjectMetadataSchema(name, name, PROJECT_METADATA_TYPE_STRING);
+        registeredMetadataColumns.add(name);
+    }
+}
+
+/**
+ * 프로젝트 아이템(시퀀스, 클립) 하나에 메타데이터 기록 - XMP와 프로젝트 메타데이터
+ * 기록하지 못해도 프로젝트 생성은 계속 (경고 후 false)
+ */
+async function tagProjectItem(project, item, metadata) {
+    const xmp = getXmpModule();
+    if (!xmp) return false;
     
-    // 폴더 확보
-    let targetFolder;
     try {
-        const folderUrl = `file:///${targetPath.replace(/^\//, '')}`;
-        targetFolder = await fs.getEntryWithUrl(folderUrl);
-        log('폴더 확인됨', 'info');
-    } catch (e) {
-        log('inbox 폴더 생성 중...', 'info');
+        const fields = Object.keys(metadata);
+        await ensureMetadataColumns(fields);
+        
+        const itemXmp = new xmp.XMPMeta(await Metadata.getXMPMetadata(item));
+        const projectXmp = new xmp.XMPMeta(await Metadata.getProjectMetadata(item));
+        for (const [name, value] of Object.entries(metadata)) {
+            itemXmp.setProperty(METADATA_XMP_NAMESPACE, name, String(value));
+            projectXmp.setProperty(PROJECT_METADATA_NAMESPACE, name, String(value));
+        }
+        
+        executeActions(project, [
+            Metadata.createSetXMPMetadataAction(item, itemXmp.serialize()),
+            Metadata.createSetProjectMetadataAction(item, projectXmp.serialize(), fields)
+        ], `메타데이터 기록: ${item.name}`);
+        return true;
+    } catch (error) {
+        log(`⚠️ 메타데이터 기록 실패 (${item.name}): ${error.message}`, 'warn');
+        return false;
+    }
+}
+
+/**
+ * 사이드카 JSON 저장 - .prproj 옆 "<프로젝트 파일 이름>.metadata.json"
+ * Premiere 없이도 검색 / 아카이브 도구가 읽을 수 있도록
+ */
+async function writeMetadataSidecar(project, metadata, info) {
+    const projectDir = project.path.replace(/\\/g, '/').replace(/\/[^/]*$/, '');
+    const baseName = getFileName(project.path).replace(/\.prproj$/i, '');
+    const folder = await fs.getEntryWithUrl(toFileUrl(projectDir));
+    const file = await folder.createFile(`${baseName}.metadata.json`, { overwrite: true });
+    
+    await file.write(JSON.stringify({
+        ...info,
+        projectPath: project.path,
+        metadata,
+        createdAt: new Date().toISOString()
+    }, null, 2));
+    log(`🏷️ 메타데이터 파일 저장: ${file.nativePath}`, 'info');
+    return file.nativePath;
+}
+
+// ===================================
+// Helper Functions - Save Path
+// ===================================
+// 서버 server/pathPolicy.js와 같은 규칙 - 서버를 거치지 않은 요청도 여기서 다시 검사
+
+// 접미사와 .prproj를 붙여도 파일명 255자를 넘지 않도록
+const MAX_NAME_LENGTH = 100;
+const INVALID_NAME_CHARS = /[<>:"/\\|?*\x00-\x1f]/g;
+const RESERVED_NAME = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+
+/**
+ * 파일명으로 쓸 수 없는 문자를 '-'로 바꾸고 Windows 예약 이름(CON, NUL ...)과 길이를 처리
+ */
+function sanitizeFileName(name, fallback = 'NewProject') {
+    let safe = String(name == null ? '' : name)
+        .replace(INVALID_NAME_CHARS, '-')
+        .trim()
+        .replace(/[. ]+$/, '');
+    if (safe === '') {
+        safe = fallback;
+    }
+    if (RESERVED_NAME.test(safe)) {
+        safe = `${safe}_`;
+    }
+    return safe.slice(0, MAX_NAME_LENGTH).replace(/[. ]+$/, '');
+}
+
+/**
+ * 경로 비교용 - 구분자 통일, 끝 구분자 제거, Windows는 대소문자 무시
+ */
+function comparablePath(nativePath) {
+    const normalized = nativePath.replace(/\\/g, '/').replace(/\/+$/, '');
+    return isWindows() ? normalized.toLowerCase() : normalized;
+}
+
+/**
+ * 저장 폴더 검사 - 상위 폴더 이동(..) 금지, 허용 폴더(서버 paths.allowedRoots) 안에 있어야 함
+ */
+function checkSaveFolder(folderPath) {
+    if (folderPath.split(/[\\/]+/).includes('..')) {
+        throw codedError('PATH_NOT_ALLOWED', `상위 폴더(..)로 이동하는 경로는 쓸 수 없습니다: ${folderPath}`);
+    }
+    
+    const roots = serverPaths ? serverPaths.allowedRoots : [serverDefaults.savePath];
+    const target = comparablePath(folderPath);
+    const allowed = roots.some(root => {
+        const base = comparablePath(root);
+        return target === base || target.startsWith(`${base}/`);
+    });
+    if (!allowed) {
+        throw codedError('PATH_NOT_ALLOWED', `허용된 저장 폴더 밖입니다: ${folderPath} (허용: ${roots.join(', ')})`);
+    }
+}
+
+/**
+ * 폴더 경로 + 파일명 - 폴더 경로의 구분자를 따름 (Windows \, macOS /)
+ */
+function joinNativePath(folderPath, name) {
+    const separator = folderPath.includes('\\') ? '\\' : '/';
+    return `${folderPath.replace(/[\\/]+$/, '')}${separator}${name}`;
+}
+
+/**
+ * 폴더 가져오기 - 없으면 존재하는 상위 폴더부터 차례로 생성
+ */
+async function ensureFolder(folderPath) {
+    const segments = folderPath.replace(/\\/g, '/').replace(/\/+$/, '').split('/');
+    const missing = [];
+    
+    while (segments.length > 1) {
+        let folder;
         try {
-            const desktopUrl = `file:///${os.homedir().replace(/\\/g, '/')}/Desktop`.replace(/^\//, '');
-            const desktopFolder = await fs.getEntryWithUrl(desktopUrl);
-            targetFolder = await desktopFolder.createFolder('inbox');
-            log('inbox 폴더 생성됨', 'success');
-        } catch (createError) {
-            throw new Error(`폴더 접근 실패: ${createError.message}`);
+            folder = await fs.getEntryWithUrl(toFileUrl(segments.join('/')));
+        } catch (error) {
+            missing.unshift(segments.pop());
+            continue;
         }
+        for (const name of missing) {
+            folder = await folder.createFolder(name);
+            log(`📁 폴더 생성: ${folder.nativePath}`, 'info');
+        }
+        return folder;
+    }
+    throw codedError('SAVE_PATH_UNAVAILABLE', `폴더 접근 실패: ${folderPath}`);
+}
+
+/**
+ * 충돌 처리 방식에 따라 프로젝트 파일명 결정
+ * 'timestamp' 이름_YYYYMMDD_HHMMSS | 'increment' 이름, 이름_2 ... | 'fail' 있으면 실패 | 'overwrite' 덮어쓰기
+ * 서버 이름 패턴으로 정한 이름(patterned)은 'timestamp'여도 그대로 쓰고, 같은 파일이 있을 때만 시각을 붙임
+ *
+ * @returns {Promise<{ filename: string, existing: object|null }>} existing: 덮어쓸 기존 파일
+ */
+async function chooseProjectFileName(folder, baseName, strategy, timestamp, patterned) {
+    const entries = await folder.getEntries();
+    const findFile = name => entries.find(entry => entry.isFile && entry.name.toLowerCase() === name.toLowerCase()) || null;
+    const stamped = strategy === 'timestamp' && !(patterned && !findFile(`${baseName}.prproj`));
+    const first = stamped ? `${baseName}_${timestamp}` : baseName;
+    
+    if (strategy === 'overwrite') {
+        return { filename: `${first}.prproj`, existing: findFile(`${first}.prproj`) };
+    }
+    if (strategy === 'fail' && findFile(`${first}.prproj`)) {
+        throw codedError('PROJECT_EXISTS', `같은 이름의 프로젝트 파일이 있습니다: ${joinNativePath(folder.nativePath, `${first}.prproj`)}`);
     }
     
+    // 같은 초에 만든 timestamp 이름도 겹치지 않도록 _2, _3 ...
+    let name = first;
+    for (let suffix = 2; findFile(`${name}.prproj`); suffix++) {
+        name = `${first}_${suffix}`;
+    }
+    return { filename: `${name}.prproj`, existing: null };
+}
+
+/**
+ * 덮어쓸 기존 프로젝트 파일을 임시 이름으로 옮겨 둠 - 새 프로젝트가 저장되면 삭제, 실패하면 되돌림
+ * @returns {Promise<{ name: string, backupName: string }>}
+ */
+async function setAsideExistingProject(folder, existing, timestamp) {
+    const backup = { name: existing.name, backupName: `${existing.name}.${timestamp}.bak` };
+    await folder.renameEntry(existing, backup.backupName, { overwrite: true });
+    log(`♻️ 기존 프로젝트 파일을 임시로 옮김: ${backup.backupName}`, 'info');
+    return backup;
+}
+
+/**
+ * 새 프로젝트 생성이 실패하면 만들다 만 프로젝트를 닫고 지운 뒤 기존 파일을 되돌림
+ */
+async function restoreSetAsideProject(folder, backup, newProject) {
+    try {
+        if (newProject) {
+            await newProject.close(new CloseProjectOptions()
+                .setPromptIfDirty(false)
+                .setShowCancelButton(false));
+        }
+        const entries = await folder.getEntries();
+        const partial = entries.find(entry => entry.isFile && entry.name.toLowerCase() === backup.name.toLowerCase());
+        if (partial) {
+            await partial.delete();
+        }
+        const saved = await folder.getEntry(backup.backupName);
+        await folder.renameEntry(saved, backup.name);
+        log(`↩️ 기존 프로젝트 파일 복원: ${backup.name}`, 'warn');
+    } catch (error) {
+        log(`❌ 기존 프로젝트 파일 복원 실패 - ${backup.backupName}로 남아 있습니다: ${error.message}`, 'error');
+    }
+}
+
+async function discardSetAsideProject(folder, backup) {
+    try {
+        const saved = await folder.getEntry(backup.backupName);
+        await saved.delete();
+        log(`♻️ 기존 프로젝트 파일 덮어쓰기 완료: ${backup.name}`, 'warn');
+    } catch (error) {
+        log(`⚠️ 기존 프로젝트 임시 파일 삭제 실패 (${backup.backupName}): ${error.message}`, 'warn');
+    }
+}
+
+// ===================================
+// Main Function: Create New Project
+// ===================================
+async function createNewProject(data = {}) {
+    const { projectName, sequenceName, presetName, savePath, onCollision, media, captions, markers, onMissingPreset, template, sequenceSettings, metadata, naming } = data;
+    
+    // 요청에 없는 값은 서버 기본값 사용 (서버가 보통 채워서 보내지만 수동 테스트 대비)
+    if (!serverDefaults) {
+        throw codedError('PLUGIN_NOT_READY', '서버 기본값을 아직 받지 못했습니다 - 서버 연결을 확인하세요');
+    }
+    // 시퀀스 설정이 있으면 프리셋 없이 기본 시퀀스를 만든 뒤 설정 적용
+    const presetFor = (ownPresetName, settings) =>
+        ownPresetName || presetName || (settings ? null : serverDefaults.presetName);
+    const missingPresetPolicy = onMissingPreset || serverDefaults.onMissingPreset;
+    const collisionStrategy = onCollision || (serverPaths && serverPaths.onCollision) || 'timestamp';
+    const targetSequenceName = sequenceName || serverDefaults.sequenceName;
+    
+    // 템플릿이 있으면 템플릿의 빈/시퀀스 구성, 없으면 시퀀스 하나
+    // 템플릿 시퀀스에 presetName/settings가 없으면 요청(또는 기본) 값 사용
+    const bins = template ? template.bins || [] : [];
+    const sequenceSpecs = (template ? template.sequences : [{ name: targetSequenceName }]).map(spec => {
+        const settings = spec.settings || sequenceSettings || null;
+        return { name: spec.name, presetName: presetFor(spec.presetName, settings), settings };
+    });
+    const activeSequenceName = template ? template.activeSequence : targetSequenceName;
+    
     // ========================================
-    // Step 3: 프로젝트 생성
+    // Step 1: 타임스탬프 및 파일명 생성
     // ========================================
-    log('=== Step 3: 프로젝트 생성 ===', 'info');
+    logStep(1, '파일명 생성');
     
-    const projectPath = `${targetFolder.nativePath}\\${filename}`;
-    log(`프로젝트 경로: ${projectPath}`, 'info');
+    // 워크스테이션 시간대 (서버 이름 패턴의 {date}와 같은 기준)
+    const now = new Date();
+    const pad = value => String(value).padStart(2, '0');
+    const timestamp = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}_${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
     
-    const newProject = await Project.createProject(projectPath);
-    log(`✅ 프로젝트 생성 완료: ${newProject.name}`, 'success');
+    const safeName = sanitizeFileName(projectName);
+    // 서버가 이름 패턴으로 정한 이름 - 'timestamp' 충돌 처리여도 시각을 붙이지 않음
+    const patterned = !!(naming && naming.project);
+    
+    log(`프로젝트 이름: ${safeName}${patterned ? ` (패턴 ${naming.project})` : ''} (충돌 시 ${collisionStrategy})`, 'info');
     
     // ========================================
-    // Step 4: 프리셋 경로 구성 및 검증
+    // Step 2: 저장 경로 결정 및 폴더 확보
     // ========================================
-    log('=== Step 4: 프리셋 검증 ===', 'info');
+    logStep(2, '폴더 확보');
+    
+    const targetPath = savePath || serverDefaults.savePath;
+    checkSaveFolder(targetPath);
+    
+    log(`저장 경로: ${targetPath}`, 'info');
+    savePathText.textContent = targetPath.replace(/\\/g, '/');
+    
+    const targetFolder = await ensureFolder(targetPath);
+    const { filename, existing } = await chooseProjectFileName(targetFolder, safeName, collisionStrategy, timestamp, patterned);
     
-    const presetPath = await getCustomPresetPath(targetPresetName);
-    const presetCheck = await verifyPresetExists(presetPath);
+    log(`파일명: ${filename}`, 'info');
     
     // ========================================
-    // Step 5: 시퀀스 생성
+    // Step 3: 프리셋 검색 및 검증
     // ========================================
-    log('=== Step 5: 시퀀스 생성 ===', 'info');
+    // 프리셋이 없어서 실패할 경우 빈 프로젝트가 남지 않도록 프로젝트 생성 전에 확인
+    logStep(3, '프리셋 검증');
     
-    let sequence;
-    let presetUsed = null;
+    // 모든 시퀀스를 시퀀스 설정만으로 만들면 프리셋 검색 생략
+    const discovery = sequenceSpecs.some(spec => spec.presetName) ? await discoverPresets() : null;
+    const resolvedPresets = new Map();
     
-    if (presetCheck.exists) {
-        // 프리셋으로 시퀀스 생성
-        const result = await createSequenceWithPreset(newProject, targetSequenceName, presetPath);
+    for (const spec of sequenceSpecs) {
+        if (!spec.presetName || resolvedPresets.has(spec.presetName)) continue;
         
-        if (result.success) {
-            sequence = result.sequence;
-            presetUsed = targetPresetName;
-            log(`✅ 프리셋 적용됨: ${targetPresetName}`, 'success');
+        const presetCheck = await resolvePreset(spec.presetName, discovery);
+        if (!presetCheck.preset) {
+            const available = presetCheck.available.length > 0 ? presetCheck.available.join(', ') : '없음';
+            if (missingPresetPolicy !== 'default') {
+                throw codedError('PRESET_NOT_FOUND', `프리셋을 찾을 수 없습니다: ${spec.presetName} (사용 가능: ${available})`);
+            }
+            log(`⚠️ 프리셋 없음, 기본 설정으로 생성 (사용 가능: ${available})`, 'warn');
+        }
+        resolvedPresets.set(spec.presetName, presetCheck.preset);
+    }
+    
+    // ========================================
+    // Step 4: 프로젝트 생성
+    // ========================================
+    logStep(4, '프로젝트 생성');
+    
+    // 덮어쓰기 - 열려 있는 프로젝트는 건드리지 않고, 새 프로젝트가 저장될 때까지 기존 파일은 옆으로 옮겨 둠
+    if (existing && await findOpenProject(existing.nativePath)) {
+        throw codedError('PROJECT_EXISTS', `열려 있는 프로젝트는 덮어쓸 수 없습니다: ${existing.nativePath}`);
+    }
+    const backup = existing ? await setAsideExistingProject(targetFolder, existing, timestamp) : null;
+    
+    let newProject = null;
+    try {
+        if (template && template.baseProject) {
+            const copiedPath = await copyBaseProject(template.baseProject, targetFolder, filename);
+            newProject = await Project.open(copiedPath);
         } else {
-            // 프리셋 시퀀스 생성 실패 → 기본으로 대체
-            log(`⚠️ 프리셋 적용 실패, 기본으로 대체`, 'warn');
-            const fallback = await createDefaultSequence(newProject, targetSequenceName);
-            if (fallback.success) {
-                sequence = fallback.sequence;
-                presetUsed = '기본값';
-            } else {
-                throw new Error('시퀀스 생성 실패');
+            const projectPath = joinNativePath(targetFolder.nativePath, filename);
+            log(`프로젝트 경로: ${projectPath}`, 'info');
+            try {
+                newProject = await Project.createProject(projectPath);
+            } catch (error) {
+                throw codedError('SAVE_FAILED', `프로젝트 파일 생성 실패: ${error.message}`);
+            }
+            if (!newProject) {
+                throw codedError('SAVE_FAILED', `프로젝트 파일 생성 실패: ${projectPath}`);
             }
         }
-    } else {
-        // 프리셋 없음 → 기본으로 생성
-        log(`⚠️ 프리셋 없음, 기본으로 생성`, 'warn');
+        trackProject(newProject);
+        log(`✅ 프로젝트 생성 완료: ${newProject.name}`, 'success');
         
-        // 디버깅: 사용 가능한 프리셋 확인
-        const availablePresets = await findAllCustomPresets();
-        if (availablePresets.length > 0) {
-            log(`사용 가능한 프리셋: ${availablePresets.map(p => p.name).join(', ')}`, 'info');
+        // ========================================
+        // Step 5: 빈 구조 생성
+        // ========================================
+        if (bins.length > 0) {
+            logStep(5, '빈 생성');
+            for (const binPath of bins) {
+                await getOrCreateBin(newProject, binPath);
+            }
         }
         
-        const fallback = await createDefaultSequence(newProject, targetSequenceName);
-        if (fallback.success) {
-            sequence = fallback.sequence;
-            presetUsed = '기본값';
-        } else {
-            throw new Error('시퀀스 생성 실패');
+        // ========================================
+        // Step 6: 시퀀스 생성
+        // ========================================
+        logStep(6, '시퀀스 생성');
+        
+        const createdSequences = [];
+        for (const spec of sequenceSpecs) {
+            const created = await createSequenceFromSpec(
+                newProject, spec, resolvedPresets.get(spec.presetName), missingPresetPolicy);
+            if (spec.settings) {
+                created.settings = await applySequenceSettings(newProject, created.sequence, spec.settings);
+            }
+            createdSequences.push({ name: spec.name, ...created });
+        }
+        
+        const active = createdSequences.find(created => created.name === activeSequenceName) || createdSequences[0];
+        const sequence = active.sequence;
+        const presetUsed = active.presetUsed;
+        
+        // ========================================
+        // Step 7: 시퀀스 활성화
+        // ========================================
+        logStep(7, '시퀀스 활성화');
+        await setActiveSequence(newProject, sequence);
+        
+        // ========================================
+        // Step 8: 미디어 가져오기 및 배치
+        // ========================================
+        let importedItems = [];
+        if (media && media.length > 0) {
+            logStep(8, '미디어 가져오기');
+            importedItems = await importMedia(newProject, sequence, media, metadata);
+        }
+        
+        // ========================================
+        // Step 9: 자막 캡션 트랙
+        // ========================================
+        let captionResult = null;
+        if (captions) {
+            logStep(9, '자막 추가');
+            captionResult = await addCaptions(newProject, sequence, captions, filename.replace(/\.prproj$/i, ''));
+        }
+        
+        // ========================================
+        // Step 10: 마커 / 챕터 추가
+        // ========================================
+        let markerResult = null;
+        if (markers && markers.length > 0) {
+            logStep(10, '마커 추가');
+            markerResult = await addMarkers(newProject, sequence, markers);
+        }
+        
+        // ========================================
+        // Step 11: 메타데이터 기록 (시퀀스, 가져온 클립, 사이드카 JSON)
+        // ========================================
+        let metadataResult = null;
+        if (metadata) {
+            logStep(11, '메타데이터 기록');
+            let taggedItems = importedItems.filter(item => item.metadataTagged).length;
+            for (const created of createdSequences) {
+                if (await tagProjectItem(newProject, await created.sequence.getProjectItem(), metadata)) {
+                    taggedItems++;
+                }
+            }
+            
+            let sidecarPath = null;
+            try {
+                sidecarPath = await writeMetadataSidecar(newProject, metadata, {
+                    projectName: newProject.name,
+                    sequenceName: sequence.name,
+                    templateName: template ? template.name : null
+                });
+            } catch (error) {
+                log(`⚠️ 메타데이터 파일 저장 실패: ${error.message}`, 'warn');
+            }
+            
+            metadataResult = {
+                fields: Object.keys(metadata),
+                xmpSupported: !!getXmpModule(),
+                taggedItems,
+                sidecarPath
+            };
+        }
+        
+        // ========================================
+        // Step 12: 프로젝트 저장
+        // ========================================
+        logStep(12, '프로젝트 저장');
+        const saved = await saveProject(newProject);
+        if (backup) {
+            // 덮어쓰기는 새 프로젝트가 저장된 경우에만 기존 파일을 버림
+            if (!saved) {
+                throw codedError('SAVE_FAILED', `새 프로젝트를 저장하지 못해 기존 파일을 되살립니다: ${filename}`);
+            }
+            await discardSetAsideProject(targetFolder, backup);
+        }
+        
+        // ========================================
+        // 완료
+        // ========================================
+        log('=== 완료! ===', 'success');
+        log(`프로젝트: ${newProject.name}`, 'success');
+        log(`시퀀스: ${sequence.name}`, 'success');
+        log(`프리셋: ${presetUsed}`, 'success');
+        
+        return {
+            projectName: newProject.name,
+            projectPath: newProject.path,
+            sequenceName: sequence.name,
+            presetUsed: presetUsed,
+            templateName: template ? template.name : null,
+            bins: bins,
+            sequences: createdSequences.map(created => ({
+                name: created.sequence.name,
+                presetUsed: created.presetUsed,
+                settings: created.settings || null,
+                active: created === active
+            })),
+            importedItems: importedItems,
+            captions: captionResult,
+            markers: markerResult,
+            metadata: metadataResult
+        };
+    } catch (error) {
+        if (backup) {
+            await restoreSetAsideProject(targetFolder, backup, newProject);
         }
+        throw error;
     }
+}
+
+// ===================================
+// Import Media Into Active Project
+// ===================================
+async function importMediaIntoProject(data = {}) {
+    const { media, sequenceName } = data;
     
-    // ========================================
-    // Step 6: 시퀀스 활성화
-    // ========================================
-    log('=== Step 6: 시퀀스 활성화 ===', 'info');
-    await setActiveSequence(newProject, sequence);
+    const project = await Project.getActiveProject();
+    if (!project) {
+        throw codedError('PROJECT_NOT_FOUND', '열려 있는 프로젝트가 없습니다');
+    }
     
-    // ========================================
-    // Step 7: 프로젝트 저장
-    // ========================================
-    log('=== Step 7: 프로젝트 저장 ===', 'info');
-    await saveProject(newProject);
+    const sequence = await findSequence(project, sequenceName);
+    if (!sequence) {
+        log('⚠️ 활성 시퀀스 없음 - 빈에만 가져옵니다', 'warn');
+    }
     
-    // ========================================
-    // 완료
-    // ========================================
-    log('=== 완료! ===', 'success');
-    log(`프로젝트: ${newProject.name}`, 'success');
-    log(`시퀀스: ${sequence.name}`, 'success');
-    log(`프리셋: ${presetUsed}`, 'success');
+    const importedItems = await importMedia(project, sequence, media || []);
+    await saveProject(project);
     
     return {
-        projectName: newProject.name,
-        projectPath: newProject.path,
+        projectName: project.name,
+        projectPath: project.path,
+        sequenceName: sequence ? sequence.name : null,
+        importedItems: importedItems
+    };
+}
+
+// ===================================
+// Add Captions Into Project
+// ===================================
+async function addCaptionsToProject(data = {}) {
+    const { projectPath, sequenceName, captions } = data;
+    
+    const project = await getProjectByPath(projectPath);
+    const sequence = await findSequence(project, sequenceName);
+    if (!sequence) {
+        throw codedError('SEQUENCE_NOT_FOUND', '자막을 추가할 시퀀스가 없습니다 - sequenceName을 지정하세요');
+    }
+    
+    const baseName = sanitizeFileName(`${project.name.replace(/\.prproj$/i, '')}_${sequence.name}`);
+    const result = await addCaptions(project, sequence, captions, baseName);
+    await saveProject(project);
+    
+    return {
+        projectName: project.name,
+        projectPath: project.path,
         sequenceName: sequence.name,
-        presetUsed: presetUsed
+        captions: result
+    };
+}
+
+// ===================================
+// Markers In Existing Project
+// ===================================
+async function addMarkersToProject(data = {}) {
+    const { projectPath, sequenceName, markers } = data;
+    
+    const project = await getProjectByPath(projectPath);
+    const sequence = await findSequence(project, sequenceName);
+    if (!sequence) {
+        throw codedError('SEQUENCE_NOT_FOUND', '마커를 추가할 시퀀스가 없습니다 - sequenceName을 지정하세요');
+    }
+    
+    const result = await addMarkers(project, sequence, markers || []);
+    await saveProject(project);
+    
+    return {
+        projectName: project.name,
+        projectPath: project.path,
+        sequenceName: sequence.name,
+        markers: result
+    };
+}
+
+async function listSequenceMarkers(data = {}) {
+    const { projectPath, sequenceName } = data;
+    
+    // 조회 명령은 다른 작업과 동시에 실행되므로 프로젝트를 새로 열지 않음
+    const project = await getOpenProjectByPath(projectPath);
+    const sequence = await findSequence(project, sequenceName);
+    if (!sequence) {
+        throw codedError('SEQUENCE_NOT_FOUND', '마커를 읽을 시퀀스가 없습니다 - sequenceName을 지정하세요');
+    }
+    
+    return {
+        projectName: project.name,
+        projectPath: project.path,
+        sequenceName: sequence.name,
+        markers: await readMarkers(sequence)
+    };
+}
+
+// ===================================
+// Open Project Management
+// ===================================
+
+// 이 플러그인이 만들거나 연 프로젝트 (guid → project)
+// Premiere UXP API에는 열린 프로젝트 전체 목록이 없어서 직접 추적
+const openProjects = new Map();
+
+function trackProject(project) {
+    if (project && project.guid) {
+        openProjects.set(project.guid, project);
+    }
+    return project;
+}
+
+function normalizeProjectPath(projectPath) {
+    return projectPath.replace(/\\/g, '/').toLowerCase();
+}
+
+/**
+ * 아직 열려 있는 프로젝트 목록 (닫힌 프로젝트는 추적 목록에서 제거)
+ */
+async function getOpenProjects() {
+    const projects = [];
+    
+    for (const [guid, project] of openProjects) {
+        const stillOpen = await Project.getProject(guid);
+        if (stillOpen) {
+            projects.push(stillOpen);
+        } else {
+            openProjects.delete(guid);
+        }
+    }
+    
+    // 사용자가 직접 연 활성 프로젝트도 포함
+    const active = await Project.getActiveProject();
+    if (active && !projects.some(project => project.guid === active.guid)) {
+        projects.push(trackProject(active));
+    }
+    
+    return projects;
+}
+
+/**
+ * 열린 프로젝트 중 경로가 같은 프로젝트
+ */
+async function findOpenProject(projectPath) {
+    const target = normalizeProjectPath(projectPath);
+    const projects = await getOpenProjects();
+    return projects.find(project => normalizeProjectPath(project.path) === target) || null;
+}
+
+/**
+ * 이미 열린 프로젝트만 찾기 (경로 없으면 활성 프로젝트) - 열려 있지 않으면 PROJECT_NOT_FOUND
+ */
+async function getOpenProjectByPath(projectPath) {
+    const project = projectPath
+        ? await findOpenProject(projectPath)
+        : await Project.getActiveProject();
+    if (!project) {
+        throw codedError('PROJECT_NOT_FOUND', projectPath
+            ? `열려 있지 않은 프로젝트입니다: ${projectPath} (POST /open-project로 먼저 여세요)`
+            : '열려 있는 프로젝트가 없습니다');
+    }
+    return trackProject(project);
+}
+
+/**
+ * 경로로 프로젝트 찾기 - 열려 있지 않으면 열기 (경로 없으면 활성 프로젝트)
+ * 프로젝트를 열 수 있으므로 exclusive 명령에서만 사용
+ */
+async function getProjectByPath(projectPath) {
+    if (!projectPath) {
+        const active = await Project.getActiveProject();
+        if (!active) {
+            throw codedError('PROJECT_NOT_FOUND', '열려 있는 프로젝트가 없습니다');
+        }
+        return trackProject(active);
+    }
+    
+    const open = await findOpenProject(projectPath);
+    if (open) {
+        return open;
+    }
+    
+    log(`프로젝트 열기: ${projectPath}`, 'info');
+    const project = await Project.open(projectPath);
+    if (!project) {
+        throw codedError('PROJECT_OPEN_FAILED', `프로젝트를 열 수 없습니다: ${projectPath}`);
+    }
+    return trackProject(project);
+}
+
+/**
+ * 프로젝트 요약 - 시퀀스와 최상위 빈 포함
+ */
+async function describeProject(project, { detailed = false } = {}) {
+    const active = await Project.getActiveProject();
+    const summary = {
+        id: project.guid,
+        projectName: project.name,
+        projectPath: project.path,
+        active: !!active && active.guid === project.guid
+    };
+    
+    if (!detailed) {
+        return summary;
+    }
+    
+    const sequences = await project.getSequences();
+    const activeSequence = await project.getActiveSequence();
+    const rootItem = await project.getRootItem();
+    const bins = (await rootItem.getItems())
+        .filter(item => FolderItem.cast(item))
+        .map(item => item.name);
+    
+    return {
+        ...summary,
+        sequences: sequences.map(sequence => ({
+            name: sequence.name,
+            active: !!activeSequence && activeSequence.guid === sequence.guid
+        })),
+        bins
+    };
+}
+
+/**
+ * 프로젝트 열기 (이미 열려 있으면 그대로 사용)
+ */
+async function openProject(data = {}) {
+    const { projectPath } = data;
+    if (!projectPath) {
+        throw new Error('projectPath가 필요합니다');
+    }
+    
+    const alreadyOpen = !!(await findOpenProject(projectPath));
+    const project = await getProjectByPath(projectPath);
+    
+    log(`✅ 프로젝트 ${alreadyOpen ? '이미 열려 있음' : '열림'}: ${project.name}`, 'success');
+    return {
+        ...(await describeProject(project, { detailed: true })),
+        alreadyOpen
+    };
+}
+
+/**
+ * 프로젝트 닫기 - save가 true면 저장 후 닫고, false면 변경 사항을 버림
+ */
+async function closeProject(data = {}) {
+    const { projectPath, save } = data;
+    
+    const project = projectPath
+        ? await findOpenProject(projectPath)
+        : await Project.getActiveProject();
+    if (!project) {
+        throw codedError('PROJECT_NOT_FOUND', `열려 있지 않은 프로젝트입니다: ${projectPath || '(활성 프로젝트 없음)'}`);
+    }
+    
+    const summary = await describeProject(project);
+    
+    if (save) {
+        const saved = await project.save();
+        if (!saved) {
+            throw codedError('SAVE_FAILED', `저장 실패로 닫지 않았습니다: ${project.name}`);
+        }
+    }
+    
+    const options = new CloseProjectOptions()
+        .setPromptIfDirty(false)
+        .setShowCancelButton(false);
+    const closed = await project.close(options);
+    if (!closed) {
+        throw new Error(`프로젝트 닫기 실패: ${project.name}`);
+    }
+    
+    openProjects.delete(summary.id);
+    log(`✅ 프로젝트 닫힘 (${save ? '저장' : '저장 안 함'}): ${summary.projectName}`, 'success');
+    
+    return {
+        projectName: summary.projectName,
+        projectPath: summary.projectPath,
+        saved: !!save
+    };
+}
+
+// ===================================
+// Export Sequence (Media Encoder)
+// ===================================
+
+/**
+ * 렌더 완료/실패 이벤트를 기다리며 진행률을 서버로 전송
+ * @returns {{ promise: Promise<{ outputPath: string }>, cancel: Function }}
+ */
+function waitForRender(requestId, outputPath) {
+    let cleanup = () => {};
+    
+    const promise = new Promise((resolve, reject) => {
+        let lastPercent = -1;
+        
+        cleanup = () => {
+            EventManager.removeGlobalEventListener(EncoderManager.EVENT_RENDER_PROGRESS, onProgress);
+            EventManager.removeGlobalEventListener(EncoderManager.EVENT_RENDER_COMPLETE, onComplete);
+            EventManager.removeGlobalEventListener(EncoderManager.EVENT_RENDER_ERROR, onError);
+            EventManager.removeGlobalEventListener(EncoderManager.EVENT_RENDER_CANCEL, onCancel);
+        };
+        
+        const onProgress = (event) => {
+            // progress는 0~1 또는 0~100으로 올 수 있음
+            const raw = Number(event.progress) || 0;
+            const percent = Math.round(raw <= 1 ? raw * 100 : raw);
+            if (percent !== lastPercent) {
+                lastPercent = percent;
+                sendExportProgress(requestId, percent);
+            }
+        };
+        const onComplete = (event) => {
+            cleanup();
+            resolve({ outputPath: (event && event.outputFilePath) || outputPath });
+        };
+        const onError = (event) => {
+            cleanup();
+            reject(codedError('EXPORT_FAILED', `렌더 실패: ${(event && event.error) || '알 수 없는 오류'}`));
+        };
+        const onCancel = () => {
+            cleanup();
+            reject(new Error('렌더가 취소되었습니다'));
+        };
+        
+        EventManager.addGlobalEventListener(EncoderManager.EVENT_RENDER_PROGRESS, onProgress);
+        EventManager.addGlobalEventListener(EncoderManager.EVENT_RENDER_COMPLETE, onComplete);
+        EventManager.addGlobalEventListener(EncoderManager.EVENT_RENDER_ERROR, onError);
+        EventManager.addGlobalEventListener(EncoderManager.EVENT_RENDER_CANCEL, onCancel);
+    });
+    
+    return { promise, cancel: () => cleanup() };
+}
+
+/**
+ * 시퀀스 내보내기
+ * 프로젝트/시퀀스 준비와 대기열 등록은 다른 작업과 겹치지 않게 실행하고, 렌더 완료는 그 밖에서 기다림
+ */
+async function exportSequence(requestId, data = {}) {
+    const { projectPath, sequenceName, presetPath, outputPath, exportType } = data;
+    
+    // 서버가 검사했더라도 렌더 파일은 저장 허용 폴더 안에만 씀
+    const outputFolder = outputPath.replace(/[\\/][^\\/]*$/, '');
+    if (!outputFolder || outputFolder === outputPath) {
+        throw codedError('PATH_NOT_ALLOWED', `출력 파일 경로에 폴더가 없습니다: ${outputPath}`);
+    }
+    checkSaveFolder(outputFolder);
+    
+    const render = await runExclusive(async () => {
+        const project = await getProjectByPath(projectPath);
+        const sequence = await findSequence(project, sequenceName);
+        
+        log(`내보내기: ${sequence.name} → ${outputPath}`, 'info');
+        log(`프리셋: ${presetPath}`, 'info');
+        
+        const manager = await EncoderManager.getManager();
+        const type = exportType === 'immediate'
+            ? Constants.ExportType.IMMEDIATELY
+            : Constants.ExportType.QUEUE_TO_AME;
+        
+        // 이벤트를 놓치지 않도록 대기열 등록 전에 리스너 등록
+        const completion = waitForRender(requestId, outputPath);
+        
+        let queued = false;
+        try {
+            queued = await manager.exportSequence(sequence, type, outputPath, presetPath, true);
+        } finally {
+            if (!queued) completion.cancel();
+        }
+        if (!queued) {
+            throw codedError('EXPORT_FAILED', '내보내기 대기열 등록 실패');
+        }
+        
+        log(`📤 ${exportType === 'immediate' ? '렌더 시작' : 'Media Encoder 대기열에 추가됨'}`, 'info');
+        sendExportProgress(requestId, 0);
+        
+        return {
+            completion,
+            projectPath: project.path,
+            sequenceName: sequence.name
+        };
+    }, requestId);
+    
+    const { outputPath: finalPath } = await render.completion.promise;
+    
+    return {
+        projectPath: render.projectPath,
+        sequenceName: render.sequenceName,
+        presetPath,
+        exportType: exportType || 'ame',
+        outputPath: finalPath
     };
 }
 
@@ -586,12 +2321,9 @@ testBtn.addEventListener('click', async () => {
     
     try {
         log('🧪 수동 테스트 시작...', 'info');
-        const result = await createNewProject({
-            projectName: 'ManualTest',
-            sequenceName: DEFAULT_SEQUENCE_NAME,
-            presetName: DEFAULT_PRESET_NAME,
-            savePath: null
-        });
+        const result = await runExclusive(() => createNewProject({
+            projectName: 'ManualTest'
+        }));
         log(`✅ 테스트 완료!`, 'success');
         log(`  프로젝트: ${result.projectName}`, 'success');
         log(`  시퀀스: ${result.sequenceName}`, 'success');
@@ -604,21 +2336,78 @@ testBtn.addEventListener('click', async () => {
     statusText.textContent = '연결됨 (대기 중)';
 });
 
+// ===================================
+// History Panel
+// ===================================
+
+// API 키 이름이 없는 요청의 출처 → 표시
+const HISTORY_SOURCES = {
+    watch: '감시 폴더',
+    schedule: '예약'
+};
+
+// 서버 요청 기록 상태 → 표시
+const HISTORY_STATUS = {
+    queued: { label: '대기', type: 'info' },
+    running: { label: '실행 중', type: 'warn' },
+    succeeded: { label: '성공', type: 'success' },
+    failed: { label: '실패', type: 'error' }
+};
+
+/**
+ * 서버가 보낸 최근 요청 기록 표시 (HISTORY 메시지 - 상태가 바뀔 때마다 전체 목록)
+ * 프로젝트 이름은 외부 요청 값이므로 textContent로만 출력
+ */
+function renderHistory(entries) {
+    historyContainer.innerHTML = '';
+    
+    if (entries.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'history-empty';
+        empty.textContent = '아직 요청이 없습니다';
+        historyContainer.appendChild(empty);
+        return;
+    }
+    
+    for (const entry of entries) {
+        const status = HISTORY_STATUS[entry.status] || { label: entry.status, type: 'info' };
+        const time = new Date(entry.createdAt).toLocaleString('ko-KR', { hour12: false, month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' });
+        const duration = entry.totalMs != null ? ` · ${(entry.totalMs / 1000).toFixed(1)}초` : '';
+        
+        const row = document.createElement('div');
+        row.className = 'history-entry';
+        
+        const title = document.createElement('div');
+        const badge = document.createElement('span');
+        badge.className = `log-${status.type}`;
+        badge.textContent = `[${status.label}] `;
+        title.appendChild(badge);
+        title.appendChild(document.createTextNode(entry.projectName || entry.action));
+        
+        const detail = document.createElement('div');
+        detail.className = 'history-detail';
+        const requester = entry.client || HISTORY_SOURCES[entry.source] || '알 수 없음';
+        detail.textContent = `${time} · ${requester}${entry.pluginId ? ` → ${entry.pluginId}` : ''}${duration}${entry.errorCode ? ` · ${entry.errorCode}` : ''}`;
+        
+        row.appendChild(title);
+        row.appendChild(detail);
+        historyContainer.appendChild(row);
+    }
+}
+
 // ===================================
 // Initialize
 // ===================================
-function init() {
+async function init() {
     // 로그 초기화
     logContainer.innerHTML = '';
     
     log('🚀 플러그인 초기화', 'info');
-    log(`WebSocket 서버: ${WS_SERVER}`, 'info');
-    log(`기본 프리셋: ${DEFAULT_PRESET_NAME}`, 'info');
-    log(`기본 시퀀스: ${DEFAULT_SEQUENCE_NAME}`, 'info');
+    await loadSettings();
+    log(`WebSocket 서버: ${settings.wsServer}`, 'info');
     
-    // 기본 저장 경로 표시
-    const defaultPath = `${os.homedir()}/Desktop/inbox`.replace(/\\/g, '/');
-    savePathText.textContent = defaultPath;
+    // 저장 경로는 서버 연결 후 CONFIG 메시지로 표시
+    savePathText.textContent = '(서버 연결 대기 중)';
     
     // 서버 연결 시작
     connect();
@@ -0,0 +1,526 @@
+// ============================================
+// API Schemas
+// 라우트별 요청 스키마 (JSON Schema) - 요청 검증(schema.js)과 OpenAPI 문서(openapi.js)가 함께 사용
+// ============================================
+const { MISSING_PRESET_POLICIES } = require('./config');
+const { CAPTION_FORMATS } = require('./captions');
+const { SEQUENCE_PROFILES, AUDIO_SAMPLE_RATES } = require('./sequenceSettings');
+const { MARKER_TYPES, MARKER_COLORS } = require('./markers');
+const { MAX_BATCH_ITEMS } = require('./batches');
+const { JOB_STATUS } = require('./jobQueue');
+const { COLLISION_STRATEGIES } = require('./pathPolicy');
+const { DELIVERY_STATUS } = require('./webhooks');
+const { CATCH_UP_POLICIES } = require('./schedules');
+
+// 내보내기 방식: 'ame' (Media Encoder 대기열) | 'immediate' (Premiere에서 바로 렌더)
+const EXPORT_TYPES = ['ame', 'immediate'];
+
+// ===================================
+// 공통 필드
+// ===================================
+const TARGET = {
+    type: 'string',
+    description: '실행할 플러그인 (machineId, hostname 또는 플러그인 번호) - 생략하면 라우팅 정책에 따름'
+};
+
+const PROJECT_PATH = {
+    type: 'string',
+    minLength: 1,
+    description: '.prproj 파일 경로 - 생략하면 활성 프로젝트'
+};
+
+const SEQUENCE_NAME = {
+    type: 'string',
+    description: '시퀀스 이름 - 생략하면 활성 시퀀스'
+};
+
+const MEDIA_ITEM = {
+    type: ['string', 'object'],
+    description: '파일 경로 문자열 또는 가져오기 옵션 객체',
+    required: ['path'],
+    properties: {
+        path: { type: 'string', minLength: 1 },
+        bin: { type: 'string', description: '가져올 빈 경로 ("01_Footage/Interviews")' },
+        inPoint: { type: 'number', minimum: 0, description: '초' },
+        outPoint: { type: 'number', minimum: 0, description: '초' },
+        place: { type: 'boolean', description: 'false면 빈에만 가져옴' },
+        videoTrack: { type: 'integer', minimum: 0 },
+        audioTrack: { type: 'integer', minimum: 0 }
+    }
+};
+
+const CAPTIONS = {
+    type: ['string', 'object'],
+    description: 'SRT / WebVTT 내용 문자열 또는 { content | path, format, bin }',
+    properties: {
+        content: { type: 'string' },
+        path: { type: 'string', minLength: 1 },
+        format: { type: 'string', enum: CAPTION_FORMATS },
+        bin: { type: 'string' }
+    }
+};
+
+const MARKER_TIME = {
+    type: ['number', 'string'],
+    description: '초 또는 "01:02:03.500"'
+};
+
+const MARKER = {
+    type: 'object',
+    required: ['start'],
+    properties: {
+        name: { type: 'string' },
+        comment: { type: 'string' },
+        start: MARKER_TIME,
+        duration: MARKER_TIME,
+        color: { type: ['string', 'integer'], description: `${MARKER_COLORS.join(', ')} 또는 0~${MARKER_COLORS.length - 1}` },
+        type: { type: 'string', description: MARKER_TYPES.join(', ') }
+    }
+};
+
+const SEQUENCE_SETTINGS = {
+    type: ['string', 'object'],
+    description: `내장 프로필 이름 (${Object.keys(SEQUENCE_PROFILES).join(', ')}) 또는 설정 객체`,
+    properties: {
+        profile: { type: 'string', enum: Object.keys(SEQUENCE_PROFILES) },
+        frameSize: { type: 'string', pattern: '^\\d+[xX]\\d+$', description: '"1080x1920"' },
+        width: { type: 'integer' },
+        height: { type: 'integer' },
+        frameRate: { type: ['number', 'string'] },
+        pixelAspectRatio: { type: ['number', 'string'], description: '"1:1" 또는 숫자' },
+        audioSampleRate: { type: 'integer', enum: AUDIO_SAMPLE_RATES },
+        videoTracks: { type: 'integer', minimum: 1, maximum: 99 },
+        audioTracks: { type: 'integer', minimum: 1, maximum: 99 }
+    }
+};
+
+const TEMPLATE_PROPERTIES = {
+    name: { type: 'string' },
+    description: { type: 'string' },
+    baseProject: { type: 'string', description: '복사해서 시작할 .prproj' },
+    bins: { type: 'array', items: { type: 'string' } },
+    sequences: {
+        type: 'array',
+        minItems: 1,
+        items: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                presetName: { type: 'string' },
+                settings: SEQUENCE_SETTINGS
+            }
+        }
+    },
+    activeSequence: { type: 'string' }
+};
+
+const TEMPLATE = {
+    type: 'object',
+    required: ['name', 'sequences'],
+    properties: TEMPLATE_PROPERTIES
+};
+
+// 이름 패턴 (naming.js) - 서버 설정(naming)을 요청별로 덮어씀, null 또는 ''이면 그 패턴을 쓰지 않음
+const NAMING = {
+    type: 'object',
+    description: '프로젝트 파일 / 시퀀스 / 저장 폴더 이름 패턴',
+    additionalProperties: false,
+    properties: {
+        project: { type: ['string', 'null'], description: '프로젝트 파일 이름 - {name}, {date:YYYYMMDD}, {time}, {counter:03}, {preset}, {client}, {user}' },
+        sequence: { type: ['string', 'null'], description: '시퀀스 이름 - 프로젝트 토큰과 {sequence}' },
+        folder: { type: ['string', 'null'], description: '저장 폴더 - savePath 기준 상대 경로 또는 절대 경로 ({counter} 제외)' }
+    }
+};
+
+// 프로젝트 생성 항목 (/create-project, 배치 items 공통)
+const CREATE_PROJECT_PROPERTIES = {
+    projectName: { type: 'string' },
+    sequenceName: { type: 'string' },
+    presetName: { type: 'string', description: '시퀀스 프리셋 파일명 (확장자 제외)' },
+    savePath: { type: 'string', description: '저장 폴더 (절대 경로, paths.allowedRoots 안)' },
+    onCollision: { type: 'string', enum: COLLISION_STRATEGIES, description: '같은 이름의 프로젝트 파일이 있을 때' },
+    onMissingPreset: { type: 'string', enum: MISSING_PRESET_POLICIES },
+    media: { type: 'array', items: MEDIA_ITEM },
+    captions: CAPTIONS,
+    markers: { type: 'array', items: MARKER },
+    sequenceSettings: SEQUENCE_SETTINGS,
+    template: {
+        type: ['string', 'object'],
+        description: '저장된 템플릿 이름 또는 인라인 템플릿 정의',
+        properties: TEMPLATE_PROPERTIES
+    },
+    metadata: {
+        type: 'object',
+        description: '프로젝트 메타데이터 { "client": "Acme", "episode": 12 } - 시퀀스 / 가져온 클립의 XMP와 사이드카 JSON에 기록'
+    },
+    naming: NAMING
+};
+
+// /create-project 본문 (예약에 저장하는 요청과 공통)
+const CREATE_PROJECT_REQUEST = {
+    type: 'object',
+    properties: {
+        ...CREATE_PROJECT_PROPERTIES,
+        callbackUrl: { type: 'string', pattern: '^https?://', description: '작업이 끝나면 결과를 POST할 URL' },
+        target: TARGET
+    }
+};
+
+const ID_PARAMS = {
+    type: 'object',
+    required: ['id'],
+    properties: { id: { type: 'string' } }
+};
+
+const NAME_PARAMS = {
+    type: 'object',
+    required: ['name'],
+    properties: { name: { type: 'string' } }
+};
+
+const TARGET_QUERY = {
+    type: 'object',
+    properties: { target: TARGET }
+};
+
+// ===================================
+// 라우트 정의
+// ===================================
+// 키: "메서드 경로" (Express 경로 형식)
+// responses: 상태 코드 → 설명 (schema는 openapi.js의 components 이름)
+const API_ROUTES = {
+    'GET /': {
+        tag: '상태',
+        summary: '서버 정보와 엔드포인트 목록'
+    },
+    'GET /status': {
+        tag: '상태',
+        summary: '연결 수, 기본값, 작업 수'
+    },
+    'GET /metrics': {
+        tag: '상태',
+        summary: 'Prometheus 지표 (작업 수, 실행 시간, 플러그인 연결/하트비트)',
+        responses: { 200: { description: 'Prometheus 텍스트 형식', contentType: 'text/plain' } }
+    },
+    'GET /openapi.json': {
+        tag: '상태',
+        summary: '이 API의 OpenAPI 문서'
+    },
+    'GET /plugins': {
+        tag: '플러그인',
+        summary: '연결된 플러그인 목록'
+    },
+    'GET /presets': {
+        tag: '플러그인',
+        summary: '플러그인 워크스테이션에 설치된 시퀀스 프리셋 목록',
+        query: TARGET_QUERY,
+        plugin: true
+    },
+    'GET /sequence-profiles': {
+        tag: '프로젝트',
+        summary: '내장 시퀀스 설정 프로필'
+    },
+    'GET /templates': {
+        tag: '템플릿',
+        summary: '템플릿 목록'
+    },
+    'GET /templates/:name': {
+        tag: '템플릿',
+        summary: '템플릿 조회',
+        params: NAME_PARAMS,
+        errors: ['TEMPLATE_NOT_FOUND']
+    },
+    'POST /templates': {
+        tag: '템플릿',
+        summary: '템플릿 저장 (같은 이름이면 교체)',
+        body: TEMPLATE,
+        responses: { 200: '교체됨', 201: '생성됨' }
+    },
+    'DELETE /templates/:name': {
+        tag: '템플릿',
+        summary: '템플릿 삭제',
+        params: NAME_PARAMS,
+        errors: ['TEMPLATE_NOT_FOUND']
+    },
+    'GET /schedules': {
+        tag: '예약',
+        summary: '예약 목록 (다음 실행 시각과 만들어질 프로젝트 이름 포함)'
+    },
+    'GET /schedules/:name': {
+        tag: '예약',
+        summary: '예약 조회',
+        params: NAME_PARAMS,
+        errors: ['SCHEDULE_NOT_FOUND']
+    },
+    'POST /schedules': {
+        tag: '예약',
+        summary: '예약 저장 (같은 이름이면 교체)',
+        body: {
+            type: 'object',
+            required: ['name', 'cron'],
+            properties: {
+                name: { type: 'string' },
+                description: { type: 'string' },
+                cron: { type: 'string', description: '"분 시 일 월 요일" (서버 시간대) 또는 @daily, @hourly 등' },
+                namePattern: { type: 'string', description: 'projectName 패턴 - {date}, {date:YYYYMMDD}, {time}, {schedule}' },
+                request: CREATE_PROJECT_REQUEST,
+                template: { type: 'string', description: '저장된 템플릿 이름 (request.template 대신)' },
+                catchUp: { type: 'string', enum: CATCH_UP_POLICIES, description: '놓친 실행 처리 (기본: schedules.catchUp)' },
+                enabled: { type: 'boolean' }
+            }
+        },
+        responses: { 200: '교체됨', 201: '생성됨' },
+        errors: ['TEMPLATE_NOT_FOUND']
+    },
+    'DELETE /schedules/:name': {
+        tag: '예약',
+        summary: '예약 삭제',
+        params: NAME_PARAMS,
+        errors: ['SCHEDULE_NOT_FOUND']
+    },
+    'POST /naming/preview': {
+        tag: '프로젝트',
+        summary: '이름 패턴 미리보기 - /create-project 본문으로 만들어질 프로젝트 / 시퀀스 / 폴더 이름 (작업을 만들지 않음)',
+        body: CREATE_PROJECT_REQUEST,
+        errors: ['TEMPLATE_NOT_FOUND']
+    },
+    'GET /jobs': {
+        tag: '작업',
+        summary: '작업 목록 (최신순)',
+        query: {
+            type: 'object',
+            properties: {
+                status: { type: 'string', enum: Object.values(JOB_STATUS) },
+                limit: { type: 'integer', minimum: 1, maximum: 500 }
+            }
+        }
+    },
+    'GET /jobs/:id': {
+        tag: '작업',
+        summary: '작업 상태와 결과',
+        params: ID_PARAMS,
+        responses: { 200: { description: '작업', schema: 'Job' } },
+        errors: ['JOB_NOT_FOUND']
+    },
+    'GET /jobs/:id/events': {
+        tag: '작업',
+        summary: '작업 진행 이벤트 스트림 (Server-Sent Events)',
+        params: ID_PARAMS,
+        responses: { 200: { description: 'text/event-stream', contentType: 'text/event-stream' } },
+        errors: ['JOB_NOT_FOUND']
+    },
+    'POST /create-project': {
+        tag: '프로젝트',
+        summary: '프로젝트 생성 작업 등록',
+        body: CREATE_PROJECT_REQUEST,
+        responses: { 202: { description: '작업 등록됨', schema: 'JobAccepted' } },
+        errors: ['TEMPLATE_NOT_FOUND']
+    },
+    'POST /create-projects/batch': {
+        tag: '프로젝트',
+        summary: '여러 프로젝트를 순서대로 생성 (JSON 또는 CSV 본문)',
+        body: {
+            type: 'object',
+            required: ['items'],
+            properties: {
+                items: {
+                    type: 'array',
+                    minItems: 1,
+                    maxItems: MAX_BATCH_ITEMS,
+                    items: { type: 'object', properties: CREATE_PROJECT_PROPERTIES }
+                },
+                continueOnError: { type: 'boolean' },
+                target: TARGET
+            }
+        },
+        csv: {
+            query: {
+                type: 'object',
+                properties: {
+                    continueOnError: { type: 'boolean' },
+                    target: TARGET
+                }
+            }
+        },
+        responses: { 202: { description: '배치 등록됨', schema: 'BatchAccepted' } }
+    },
+    'GET /create-projects/batch': {
+        tag: '프로젝트',
+        summary: '배치 목록 (최신순)',
+        query: {
+            type: 'object',
+            properties: { limit: { type: 'integer', minimum: 1, maximum: 100 } }
+        }
+    },
+    'GET /create-projects/batch/:id': {
+        tag: '프로젝트',
+        summary: '배치 상태와 항목별 결과',
+        params: ID_PARAMS,
+        errors: ['BATCH_NOT_FOUND']
+    },
+    'POST /import-media': {
+        tag: '프로젝트',
+        summary: '열린 프로젝트로 미디어 가져오기 및 타임라인 배치',
+        body: {
+            type: 'object',
+            required: ['media'],
+            properties: {
+                sequenceName: SEQUENCE_NAME,
+                media: { type: 'array', minItems: 1, items: MEDIA_ITEM },
+                target: TARGET
+            }
+        },
+        responses: { 202: { description: '작업 등록됨', schema: 'JobAccepted' } }
+    },
+    'POST /add-captions': {
+        tag: '프로젝트',
+        summary: '시퀀스에 자막 캡션 트랙 추가',
+        body: {
+            type: 'object',
+            required: ['captions'],
+            properties: {
+                projectPath: PROJECT_PATH,
+                sequenceName: SEQUENCE_NAME,
+                captions: CAPTIONS,
+                target: TARGET
+            }
+        },
+        responses: { 202: { description: '작업 등록됨', schema: 'JobAccepted' } }
+    },
+    'POST /add-markers': {
+        tag: '마커',
+        summary: '시퀀스에 마커 추가 (JSON 또는 CSV 본문)',
+        body: {
+            type: 'object',
+            required: ['markers'],
+            properties: {
+                projectPath: PROJECT_PATH,
+                sequenceName: SEQUENCE_NAME,
+                markers: { type: 'array', minItems: 1, items: MARKER },
+                target: TARGET
+            }
+        },
+        csv: {
+            query: {
+                type: 'object',
+                properties: {
+                    projectPath: PROJECT_PATH,
+                    sequenceName: SEQUENCE_NAME,
+                    target: TARGET
+                }
+            }
+        },
+        responses: { 202: { description: '작업 등록됨', schema: 'JobAccepted' } }
+    },
+    'GET /markers': {
+        tag: '마커',
+        summary: '시퀀스 마커 내보내기 (JSON 또는 CSV)',
+        query: {
+            type: 'object',
+            properties: {
+                projectPath: PROJECT_PATH,
+                sequenceName: SEQUENCE_NAME,
+                format: { type: 'string', enum: ['json', 'csv'] },
+                target: TARGET
+            }
+        },
+        plugin: true
+    },
+    'POST /export': {
+        tag: '내보내기',
+        summary: '시퀀스 내보내기 (Media Encoder 대기열 또는 바로 렌더)',
+        body: {
+            type: 'object',
+            required: ['sequenceName', 'presetPath', 'outputPath'],
+            properties: {
+                projectPath: PROJECT_PATH,
+                sequenceName: { type: 'string', minLength: 1 },
+                presetPath: { type: 'string', description: '.epr 내보내기 프리셋 경로' },
+                outputPath: { type: 'string', minLength: 1 },
+                exportType: { type: 'string', enum: EXPORT_TYPES },
+                target: TARGET
+            }
+        },
+        responses: { 202: { description: '작업 등록됨', schema: 'JobAccepted' } }
+    },
+    'POST /open-project': {
+        tag: '프로젝트',
+        summary: '프로젝트 열기',
+        body: {
+            type: 'object',
+            required: ['projectPath'],
+            properties: {
+                projectPath: { ...PROJECT_PATH, description: '.prproj 파일 경로' },
+                target: TARGET
+            }
+        },
+        responses: { 202: { description: '작업 등록됨', schema: 'JobAccepted' } }
+    },
+    'POST /close-project': {
+        tag: '프로젝트',
+        summary: '프로젝트 닫기 (save: true 저장 후 닫기 / false 변경 사항 버림)',
+        body: {
+            type: 'object',
+            required: ['save'],
+            properties: {
+                projectPath: PROJECT_PATH,
+                save: { type: 'boolean' },
+                target: TARGET
+            }
+        },
+        responses: { 202: { description: '작업 등록됨', schema: 'JobAccepted' } }
+    },
+    'GET /open-projects': {
+        tag: '플러그인',
+        summary: '열린 프로젝트 목록',
+        query: TARGET_QUERY,
+        plugin: true
+    },
+    'GET /projects': {
+        tag: '프로젝트',
+        summary: '생성된 프로젝트 검색 (최신순) - q, limit 외의 쿼리 파라미터는 메타데이터 필드 조건 (?client=Acme)',
+        query: {
+            type: 'object',
+            properties: {
+                q: { type: 'string', description: '프로젝트 이름 / 메타데이터 값에 포함된 문자열' },
+                limit: { type: 'integer', minimum: 1, maximum: 500 }
+            }
+        }
+    },
+    'GET /history': {
+        tag: '상태',
+        summary: '요청 기록 (최신순) - 누가, 언제, 어떤 설정으로 요청했고 결과가 어땠는지',
+        query: {
+            type: 'object',
+            properties: {
+                from: { type: 'string', description: '이 날짜(2024-05-01) / 시각(ISO 8601) 이후 요청' },
+                to: { type: 'string', description: '이 날짜(그날 포함) / 시각 이전 요청' },
+                status: { type: 'string', enum: Object.values(JOB_STATUS) },
+                action: { type: 'string', description: 'CREATE_PROJECT, EXPORT_SEQUENCE 등' },
+                name: { type: 'string', description: '프로젝트 이름 / 경로에 포함된 문자열' },
+                client: { type: 'string', description: '요청한 API 키 이름' },
+                format: { type: 'string', enum: ['json', 'csv'] },
+                limit: { type: 'integer', minimum: 1, description: 'JSON 기본 50, CSV 기본 전체' }
+            }
+        }
+    },
+    'GET /watch': {
+        tag: '상태',
+        summary: '감시 폴더 상태'
+    },
+    'GET /webhooks/deliveries': {
+        tag: '상태',
+        summary: '웹훅 전송 기록 (최신순)',
+        query: {
+            type: 'object',
+            properties: {
+                status: { type: 'string', enum: Object.values(DELIVERY_STATUS) },
+                jobId: { type: 'string' },
+                limit: { type: 'integer', minimum: 1, maximum: 500 }
+            }
+        }
+    }
+};
+
+module.exports = { API_ROUTES, EXPORT_TYPES };
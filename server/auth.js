@@ -0,0 +1,157 @@
+// ============================================
+// Authentication
+// HTTP API 키 검사, CORS 허용 목록, 플러그인 공유 비밀 검사
+// ============================================
+const crypto = require('crypto');
+const { sendError } = require('./errors');
+
+/**
+ * 길이가 달라도 시간 차이로 키가 드러나지 않도록 해시 후 비교
+ */
+function safeEqual(a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * 인증 실패 기록
+ */
+function logAuthFailure(source, reason, details = {}) {
+    console.warn(`🚫 인증 실패 [${source}] ${reason}`, JSON.stringify({
+        time: new Date().toISOString(),
+        ...details
+    }));
+}
+
+/**
+ * 요청에서 API 키 추출 - X-API-Key 헤더, Authorization: Bearer 또는 ?apiKey=
+ * 쿼리 파라미터는 헤더를 지정할 수 없는 브라우저 EventSource / WebSocket용
+ *
+ * @param {import('http').IncomingMessage} req Express 요청 또는 node http 요청
+ */
+function getRequestKey(req) {
+    const headerKey = req.headers['x-api-key'];
+    if (headerKey) return headerKey;
+
+    const authorization = req.headers.authorization || '';
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    if (match) return match[1];
+
+    return new URL(req.url, 'http://localhost').searchParams.get('apiKey');
+}
+
+function findApiClient(apiKeys, key) {
+    return key ? apiKeys.find(entry => safeEqual(entry.key, key)) || null : null;
+}
+
+function isOriginAllowed(origins, origin) {
+    return origins.includes('*') || origins.includes(origin);
+}
+
+/**
+ * API 키 검사 미들웨어
+ * 통과한 요청은 req.apiClient에 키 이름이 들어감
+ *
+ * @param {{ name: string, key: string }[]} apiKeys 비어 있으면 모든 요청 허용
+ */
+function createApiKeyAuth(apiKeys) {
+    return (req, res, next) => {
+        if (apiKeys.length === 0) {
+            req.apiClient = 'anonymous';
+            return next();
+        }
+
+        const key = getRequestKey(req);
+        const client = findApiClient(apiKeys, key);
+
+        if (!client) {
+            logAuthFailure('HTTP', key ? '잘못된 API 키' : 'API 키 없음', {
+                ip: req.ip,
+                method: req.method,
+                path: req.path, // 쿼리에 API 키가 있을 수 있으므로 경로만
+                origin: req.get('Origin') || null
+            });
+            return sendError(res, key ? 'API_KEY_INVALID' : 'API_KEY_MISSING');
+        }
+
+        req.apiClient = client.name;
+        next();
+    };
+}
+
+/**
+ * CORS 미들웨어 - 허용 목록에 있는 Origin만 응답 헤더를 붙이고, 그 외 브라우저 요청은 거부
+ * Origin 헤더가 없는 요청(스크립트, curl 등)은 CORS 대상이 아니므로 통과
+ *
+ * @param {string[]} origins 허용 Origin 목록 ('*' 포함 시 모두 허용)
+ */
+function createCorsMiddleware(origins) {
+    const allowAll = origins.includes('*');
+
+    return (req, res, next) => {
+        const origin = req.get('Origin');
+
+        if (origin) {
+            if (!isOriginAllowed(origins, origin)) {
+                logAuthFailure('CORS', '허용되지 않은 Origin', {
+                    ip: req.ip,
+                    method: req.method,
+                    path: req.path,
+                    origin
+                });
+                return sendError(res, 'ORIGIN_NOT_ALLOWED', { params: { origin } });
+            }
+            res.header('Access-Control-Allow-Origin', allowAll ? '*' : origin);
+            res.header('Vary', 'Origin');
+            res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, X-API-Key, Authorization');
+            res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+        }
+
+        if (req.method === 'OPTIONS') {
+            return res.sendStatus(200);
+        }
+        next();
+    };
+}
+
+/**
+ * 대시보드 WebSocket 연결 검사 (ws verifyClient) - HTTP API와 같은 API 키, Origin 규칙
+ * Origin 헤더가 있는 브라우저 연결은 corsOrigins에 있어야 함
+ */
+function createWebSocketAuth(apiKeys, origins) {
+    return ({ req }, done) => {
+        const origin = req.headers.origin;
+        const details = { ip: req.socket.remoteAddress, path: req.url.split('?')[0], origin: origin || null };
+
+        if (origin && !isOriginAllowed(origins, origin)) {
+            logAuthFailure('WebSocket', '허용되지 않은 Origin', details);
+            return done(false, 403, 'Forbidden');
+        }
+        if (apiKeys.length > 0) {
+            const key = getRequestKey(req);
+            if (!findApiClient(apiKeys, key)) {
+                logAuthFailure('WebSocket', key ? '잘못된 API 키' : 'API 키 없음', details);
+                return done(false, 401, 'Unauthorized');
+            }
+        }
+        done(true);
+    };
+}
+
+/**
+ * 플러그인 HELLO 메시지의 토큰 검사
+ * @param {string} secret 비어 있으면 검사하지 않음
+ */
+function verifyPluginToken(secret, token) {
+    if (!secret) return true;
+    return typeof token === 'string' && safeEqual(secret, token);
+}
+
+module.exports = {
+    createApiKeyAuth,
+    createCorsMiddleware,
+    createWebSocketAuth,
+    verifyPluginToken,
+    logAuthFailure
+};
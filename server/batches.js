@@ -0,0 +1,298 @@
+// ============================================
+// Batches
+// 여러 프로젝트 생성 작업을 순서대로 하나씩 실행 (앞 작업이 끝나야 다음 작업 등록)
+// ============================================
+const crypto = require('crypto');
+const { readJson, writeJsonAtomic } = require('./store');
+const { JOB_STATUS } = require('./jobQueue');
+const { parseCsv } = require('./csv');
+
+const BATCH_STATUS = {
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',     // 모든 항목 성공
+    PARTIAL: 'partial',         // continueOnError - 일부 항목 실패
+    FAILED: 'failed'            // 실패한 항목에서 중단
+};
+
+const ITEM_STATUS = {
+    PENDING: 'pending',
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    SKIPPED: 'skipped'          // 앞 항목 실패로 실행하지 않음
+};
+
+// 완료된 배치는 최근 것만 보관
+const MAX_FINISHED_BATCHES = 100;
+
+// 한 배치의 최대 항목 수
+const MAX_BATCH_ITEMS = 500;
+
+// CSV 열 이름(소문자) → 프로젝트 생성 필드
+const CSV_COLUMNS = {
+    name: 'projectName',
+    projectname: 'projectName',
+    sequence: 'sequenceName',
+    sequencename: 'sequenceName',
+    preset: 'presetName',
+    presetname: 'presetName',
+    savepath: 'savePath',
+    media: 'media',
+    captions: 'captions',
+    template: 'template',
+    profile: 'sequenceSettings',   // 내장 시퀀스 설정 프로필 이름 (shorts, square ...)
+    onmissingpreset: 'onMissingPreset',
+    oncollision: 'onCollision'
+};
+
+// 메타데이터 열 접두사 - meta.client 열 → metadata.client
+const META_COLUMN_PREFIX = 'meta.';
+
+function isMetaColumn(column) {
+    return column.toLowerCase().startsWith(META_COLUMN_PREFIX) && column.length > META_COLUMN_PREFIX.length;
+}
+
+/**
+ * 배치 CSV → 프로젝트 생성 항목 목록
+ * media 열은 여러 파일을 ; 로 구분, captions 열은 자막 파일 경로
+ * meta.<필드> 열은 프로젝트 메타데이터 (필드 이름은 대소문자 유지)
+ *
+ * name,sequence,preset,savePath,media,meta.client
+ * Day1,Main,shortsvideo,D:\Shorts,D:\Footage\a.mp4;D:\Footage\b.mp4,Acme
+ *
+ * @returns {{ items: { line: number, spec: object }[], errors: string[] }}
+ */
+function parseBatchCsv(content) {
+    let parsed;
+    try {
+        parsed = parseCsv(content);
+    } catch (error) {
+        return { items: [], errors: [`CSV ${error.message}`] };
+    }
+
+    const unknown = parsed.header.filter(column => !CSV_COLUMNS[column.toLowerCase()] && !isMetaColumn(column));
+    if (unknown.length > 0) {
+        return {
+            items: [],
+            errors: [`알 수 없는 CSV 열: ${unknown.join(', ')} (사용 가능: ${Object.keys(CSV_COLUMNS).join(', ')}, ${META_COLUMN_PREFIX}<필드>)`]
+        };
+    }
+
+    const items = parsed.records.map(record => {
+        const spec = {};
+        for (const [column, value] of Object.entries(record.values)) {
+            if (value === '') continue;
+            if (isMetaColumn(column)) {
+                spec.metadata = spec.metadata || {};
+                spec.metadata[column.slice(META_COLUMN_PREFIX.length)] = value;
+                continue;
+            }
+            const field = CSV_COLUMNS[column.toLowerCase()];
+            if (field === 'media') {
+                spec.media = value.split(';').map(item => item.trim()).filter(Boolean);
+            } else if (field === 'captions') {
+                spec.captions = { path: value };
+            } else {
+                spec[field] = value;
+            }
+        }
+        return { line: record.line, spec };
+    });
+
+    return { items, errors: [] };
+}
+
+/**
+ * 배치 실행기 생성
+ * @param {object} options
+ * @param {string} options.filePath 배치 목록을 저장할 JSON 파일 경로
+ * @param {object} options.jobQueue
+ * @param {(data: object, target: string|null, requestedBy: object|null) => object} options.enqueue 항목 하나를 작업으로 등록하고 job 반환
+ */
+function createBatchRunner({ filePath, jobQueue, enqueue }) {
+    const batches = new Map(); // id → batch (삽입 순서 = 생성 순서)
+
+    function persist() {
+        writeJsonAtomic(filePath, { batches: Array.from(batches.values()) });
+    }
+
+    function prune() {
+        const finished = Array.from(batches.values()).filter(batch => batch.status !== BATCH_STATUS.RUNNING);
+        const excess = finished.length - MAX_FINISHED_BATCHES;
+        for (let i = 0; i < excess; i++) {
+            batches.delete(finished[i].id);
+        }
+    }
+
+    function finishBatch(batch) {
+        const failed = batch.items.some(item => item.status === ITEM_STATUS.FAILED);
+        batch.status = !failed ? BATCH_STATUS.SUCCEEDED
+            : batch.continueOnError ? BATCH_STATUS.PARTIAL
+            : BATCH_STATUS.FAILED;
+        batch.finishedAt = new Date().toISOString();
+        prune();
+        console.log(`📦 배치 완료: ${batch.id} (${batch.status})`);
+    }
+
+    /**
+     * 다음 대기 항목을 작업으로 등록 - 남은 항목이 없으면 배치 완료
+     */
+    function advance(batch) {
+        const next = batch.items.find(item => item.status === ITEM_STATUS.PENDING);
+        if (!next) {
+            finishBatch(batch);
+            return;
+        }
+
+        const job = enqueue(next.data, batch.target, batch.requestedBy);
+        next.status = ITEM_STATUS.QUEUED;
+        next.jobId = job.id;
+        batch.currentIndex = next.index;
+        // 등록과 동시에 실행이 시작되거나 바로 끝날 수 있음 (유휴 플러그인, UNSUPPORTED_ACTION 등)
+        // 그 사이의 'updated' 이벤트는 jobId가 정해지기 전이라 onJobUpdated가 놓치므로 지금 상태를 반영
+        applyJob(batch, next, jobQueue.get(job.id) || job);
+    }
+
+    /**
+     * 항목 작업 상태 반영
+     */
+    function applyJob(batch, item, job) {
+        batch.updatedAt = new Date().toISOString();
+
+        if (job.status === JOB_STATUS.RUNNING) {
+            item.status = ITEM_STATUS.RUNNING;
+            return;
+        }
+        if (job.status !== JOB_STATUS.SUCCEEDED && job.status !== JOB_STATUS.FAILED) {
+            return;
+        }
+
+        item.status = job.status === JOB_STATUS.SUCCEEDED ? ITEM_STATUS.SUCCEEDED : ITEM_STATUS.FAILED;
+        item.result = job.result;
+        item.error = job.error;
+
+        if (item.status === ITEM_STATUS.FAILED && !batch.continueOnError) {
+            for (const rest of batch.items) {
+                if (rest.status === ITEM_STATUS.PENDING) rest.status = ITEM_STATUS.SKIPPED;
+            }
+        }
+        advance(batch);
+    }
+
+    function onJobUpdated(job) {
+        for (const batch of batches.values()) {
+            if (batch.status !== BATCH_STATUS.RUNNING) continue;
+
+            const item = batch.items.find(candidate => candidate.jobId === job.id);
+            if (item) {
+                applyJob(batch, item, job);
+                persist();
+                return;
+            }
+        }
+    }
+
+    /**
+     * 서버가 꺼진 사이 끝난 항목 반영
+     */
+    function load() {
+        const saved = readJson(filePath, { batches: [] });
+        for (const batch of saved.batches || []) {
+            batches.set(batch.id, batch);
+        }
+
+        for (const batch of batches.values()) {
+            if (batch.status !== BATCH_STATUS.RUNNING) continue;
+
+            const current = batch.items.find(item => item.jobId && (item.status === ITEM_STATUS.QUEUED || item.status === ITEM_STATUS.RUNNING));
+            const job = current && jobQueue.get(current.jobId);
+            if (current && !job) {
+                applyJob(batch, current, { status: JOB_STATUS.FAILED, result: null, error: '작업 기록을 찾을 수 없습니다' });
+            } else if (current) {
+                applyJob(batch, current, job);
+            } else {
+                advance(batch);
+            }
+        }
+        persist();
+    }
+
+    /**
+     * 새 배치 시작
+     * @param {object[]} items 검증된 작업 데이터 목록
+     * @param {object} [options]
+     * @param {boolean} [options.continueOnError] 실패한 항목이 있어도 나머지 실행
+     * @param {string} [options.target] 모든 항목을 실행할 플러그인
+     * @param {object} [options.requestedBy] 배치를 만든 요청자 - 항목 작업의 요청자로 기록
+     */
+    function create(items, { continueOnError = false, target = null, requestedBy = null } = {}) {
+        const now = new Date().toISOString();
+        const id = crypto.randomUUID();
+        const batch = {
+            id,
+            status: BATCH_STATUS.RUNNING,
+            continueOnError,
+            target,
+            requestedBy: requestedBy ? { ...requestedBy, source: 'batch', batchId: id } : null,
+            currentIndex: 0,
+            items: items.map((data, index) => ({
+                index,
+                projectName: data.projectName,
+                status: ITEM_STATUS.PENDING,
+                jobId: null,
+                result: null,
+                error: null,
+                data
+            })),
+            createdAt: now,
+            updatedAt: now,
+            finishedAt: null
+        };
+
+        batches.set(batch.id, batch);
+        advance(batch);
+        persist();
+        return batch;
+    }
+
+    function get(id) {
+        return batches.get(id) || null;
+    }
+
+    /**
+     * 배치 목록 (최신순)
+     */
+    function list({ limit } = {}) {
+        const result = Array.from(batches.values()).reverse();
+        return limit ? result.slice(0, limit) : result;
+    }
+
+    /**
+     * 항목별 결과 요약 (API 응답용)
+     */
+    function summarize(batch) {
+        const counts = {};
+        for (const status of Object.values(ITEM_STATUS)) counts[status] = 0;
+        for (const item of batch.items) counts[item.status]++;
+
+        return {
+            id: batch.id,
+            status: batch.status,
+            continueOnError: batch.continueOnError,
+            target: batch.target,
+            counts,
+            items: batch.items.map(({ data, ...item }) => item),
+            createdAt: batch.createdAt,
+            updatedAt: batch.updatedAt,
+            finishedAt: batch.finishedAt
+        };
+    }
+
+    load();
+    jobQueue.events.on('updated', onJobUpdated);
+
+    return { create, get, list, summarize };
+}
+
+module.exports = { createBatchRunner, parseBatchCsv, BATCH_STATUS, ITEM_STATUS, MAX_BATCH_ITEMS };
@@ -0,0 +1,286 @@
+// ============================================
+// Captions
+// SRT / WebVTT 자막 파싱 및 검증 - Premiere 없이 동작 (플러그인에는 정리된 SRT를 전달)
+// ============================================
+const fs = require('fs');
+const path = require('path');
+const { isInsideRoot } = require('./pathPolicy');
+
+const CAPTION_FORMATS = ['srt', 'vtt'];
+const DEFAULT_CAPTION_BIN = 'Captions';
+
+// 00:00:01,000 (SRT) / 00:00:01.000, 00:01.000 (VTT - 시간 생략 가능)
+const SRT_TIMESTAMP = /^(\d{1,3}):(\d{2}):(\d{2})[,.](\d{3})$/;
+const VTT_TIMESTAMP = /^(?:(\d{1,3}):)?(\d{2}):(\d{2})\.(\d{3})$/;
+const TIMING_SEPARATOR = /\s+-->\s+/;
+
+// captions.path로 읽을 수 있는 파일 확장자
+const CAPTION_EXTENSIONS = ['.srt', '.vtt'];
+
+/**
+ * 타임스탬프 문자열 → 초
+ * @returns {number|null} 형식이 틀리면 null
+ */
+function parseTimestamp(value, format) {
+    const match = value.match(format === 'vtt' ? VTT_TIMESTAMP : SRT_TIMESTAMP);
+    if (!match) return null;
+
+    const [hours, minutes, seconds, millis] = match.slice(1).map(part => parseInt(part || '0', 10));
+    if (minutes > 59 || seconds > 59) return null;
+    return hours * 3600 + minutes * 60 + seconds + millis / 1000;
+}
+
+/**
+ * 초 → SRT 타임스탬프 (00:00:01,000)
+ */
+function formatSrtTimestamp(totalSeconds) {
+    const totalMillis = Math.round(totalSeconds * 1000);
+    const hours = Math.floor(totalMillis / 3600000);
+    const minutes = Math.floor(totalMillis / 60000) % 60;
+    const seconds = Math.floor(totalMillis / 1000) % 60;
+    const millis = totalMillis % 1000;
+    const pad = (number, size = 2) => String(number).padStart(size, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)},${pad(millis, 3)}`;
+}
+
+/**
+ * 빈 줄로 구분된 블록 목록 (각 블록은 시작 줄 번호 포함)
+ */
+function splitBlocks(lines) {
+    const blocks = [];
+    let current = null;
+
+    lines.forEach((text, index) => {
+        if (text.trim() === '') {
+            current = null;
+            return;
+        }
+        if (!current) {
+            current = { line: index + 1, lines: [] };
+            blocks.push(current);
+        }
+        current.lines.push(text);
+    });
+
+    return blocks;
+}
+
+/**
+ * 자막 형식 추정 - WEBVTT 헤더가 있으면 vtt, 아니면 파일 확장자, 그 외 srt
+ */
+function detectFormat(content, filePath) {
+    if (/^WEBVTT(?:[ \t].*)?$/m.test(content.split(/\r?\n/, 1)[0])) return 'vtt';
+    if (filePath && path.extname(filePath).toLowerCase() === '.vtt') return 'vtt';
+    return 'srt';
+}
+
+/**
+ * SRT / WebVTT 내용 파싱
+ * 타임스탬프 오류, 끝 시간이 시작 시간보다 빠른 자막, 앞 자막과 겹치는 자막을 줄 번호와 함께 보고
+ * 오류 메시지에는 파일 내용을 넣지 않음 (줄 번호만)
+ *
+ * @param {string} content 자막 파일 내용
+ * @param {object} [options]
+ * @param {'srt'|'vtt'} [options.format] 생략하면 내용으로 추정
+ * @returns {{ format: string, cues: { index: number, start: number, end: number, text: string, line: number }[], errors: { line: number, message: string }[] }}
+ */
+function parseCaptions(content, { format } = {}) {
+    const cues = [];
+    const errors = [];
+    const text = String(content).replace(/^\uFEFF/, '');
+    const captionFormat = format || detectFormat(text);
+    const lines = text.split(/\r?\n/);
+
+    let blocks = splitBlocks(lines);
+
+    if (captionFormat === 'vtt') {
+        if (blocks.length === 0 || !/^WEBVTT(?:[ \t].*)?$/.test(blocks[0].lines[0])) {
+            errors.push({ line: 1, message: 'WebVTT 파일은 WEBVTT 헤더로 시작해야 합니다' });
+        } else {
+            blocks = blocks.slice(1);
+        }
+        // 주석, 스타일, 영역 정의 블록은 자막이 아님
+        blocks = blocks.filter(block => !/^(NOTE|STYLE|REGION)(\s|$)/.test(block.lines[0]));
+    }
+
+    for (const block of blocks) {
+        // SRT 번호 / VTT 식별자 줄은 선택 - 타이밍 줄 위치로 판단
+        const timingOffset = block.lines[0].includes('-->') ? 0 : 1;
+        const timingLine = block.lines[timingOffset];
+        const lineNumber = block.line + timingOffset;
+
+        if (!timingLine || !timingLine.includes('-->')) {
+            errors.push({ line: block.line, message: '타이밍 줄(시작 --> 끝)이 없습니다' });
+            continue;
+        }
+
+        // VTT 타이밍 줄 뒤의 위치 설정(align:start 등)은 무시
+        const [startText, rest = ''] = timingLine.trim().split(TIMING_SEPARATOR);
+        const endText = rest.split(/\s+/)[0];
+        const start = parseTimestamp(startText, captionFormat);
+        const end = parseTimestamp(endText, captionFormat);
+
+        if (start === null) {
+            errors.push({ line: lineNumber, message: '잘못된 시작 타임스탬프' });
+        }
+        if (end === null) {
+            errors.push({ line: lineNumber, message: '잘못된 끝 타임스탬프' });
+        }
+        if (start === null || end === null) continue;
+
+        if (end <= start) {
+            errors.push({ line: lineNumber, message: '끝 시간이 시작 시간보다 늦어야 합니다' });
+            continue;
+        }
+
+        const cueText = block.lines.slice(timingOffset + 1).join('\n');
+        const plainText = captionFormat === 'vtt' ? cueText.replace(/<[^>]+>/g, '') : cueText;
+        if (plainText.trim() === '') {
+            errors.push({ line: lineNumber, message: '자막 텍스트가 없습니다' });
+            continue;
+        }
+
+        const previous = cues[cues.length - 1];
+        if (previous && start < previous.end) {
+            errors.push({ line: lineNumber, message: `앞 자막(${previous.line}번째 줄)과 겹칩니다` });
+        }
+
+        cues.push({ index: cues.length + 1, start, end, text: plainText, line: lineNumber });
+    }
+
+    if (cues.length === 0 && errors.length === 0) {
+        errors.push({ line: 1, message: '자막이 하나도 없습니다' });
+    }
+
+    return { format: captionFormat, cues, errors };
+}
+
+/**
+ * 자막 목록 → SRT 내용
+ */
+function toSrt(cues) {
+    return cues
+        .map((cue, index) => `${index + 1}\n${formatSrtTimestamp(cue.start)} --> ${formatSrtTimestamp(cue.end)}\n${cue.text}\n`)
+        .join('\n');
+}
+
+/**
+ * captions.path 검사 - 허용된 폴더 안의 .srt / .vtt 파일만 읽음
+ * 심볼릭 링크로 폴더 밖을 가리키지 않도록 실제 경로도 다시 확인
+ * @returns {{ path: string|null, errors: string[] }}
+ */
+function checkCaptionPath(filePath, allowedRoots) {
+    if (filePath.split(/[\\/]+/).includes('..')) {
+        return { path: null, errors: ['captions.path: 상위 폴더(..)로 이동하는 경로는 쓸 수 없습니다'] };
+    }
+    if (!path.isAbsolute(filePath)) {
+        return { path: null, errors: ['captions.path: 절대 경로여야 합니다'] };
+    }
+    if (!CAPTION_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+        return { path: null, errors: [`captions.path: ${CAPTION_EXTENSIONS.join(', ')} 파일이어야 합니다`] };
+    }
+
+    const outside = { path: null, errors: ['captions.path: 허용된 폴더(저장 폴더, 감시 폴더) 밖입니다'] };
+    const normalized = path.normalize(filePath);
+    if (!allowedRoots.some(root => isInsideRoot(root, normalized))) {
+        return outside;
+    }
+
+    let realPath;
+    try {
+        realPath = fs.realpathSync(normalized);
+    } catch (error) {
+        return { path: null, errors: [`captions.path: 파일을 읽을 수 없습니다 (${error.code || error.message})`] };
+    }
+    const realRoots = allowedRoots.map(root => {
+        try {
+            return fs.realpathSync(root);
+        } catch (error) {
+            return root;
+        }
+    });
+    if (!realRoots.some(root => isInsideRoot(root, realPath))) {
+        return outside;
+    }
+    return { path: realPath, errors: [] };
+}
+
+/**
+ * 요청의 captions 값 검증 및 정규화
+ * 자막 내용 문자열 또는 { content | path, format, bin } 객체를 받음
+ * path는 allowedRoots 안에 있고 서버에서 읽을 수 있는 파일이어야 함
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.allowedRoots] captions.path로 읽을 수 있는 폴더 (하위 폴더 포함) - 비어 있으면 path 사용 불가
+ * @returns {{ captions: object|null, errors: string[] }}
+ */
+function normalizeCaptions(captions, { allowedRoots = [] } = {}) {
+    if (captions == null) {
+        return { captions: null, errors: [] };
+    }
+
+    const spec = typeof captions === 'string' ? { content: captions } : captions;
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        return { captions: null, errors: ['captions: 자막 내용 문자열 또는 { content | path, format, bin } 객체여야 합니다'] };
+    }
+    if (spec.format != null && !CAPTION_FORMATS.includes(spec.format)) {
+        return { captions: null, errors: [`captions.format: ${CAPTION_FORMATS.join(', ')} 중 하나여야 합니다`] };
+    }
+    if (spec.bin != null && typeof spec.bin !== 'string') {
+        return { captions: null, errors: ['captions.bin: 문자열이어야 합니다'] };
+    }
+
+    let content = spec.content;
+    if (content == null) {
+        if (typeof spec.path !== 'string' || spec.path.trim() === '') {
+            return { captions: null, errors: ['captions: content 또는 path가 필요합니다'] };
+        }
+        const pathCheck = checkCaptionPath(spec.path, allowedRoots);
+        if (pathCheck.errors.length > 0) {
+            return { captions: null, errors: pathCheck.errors };
+        }
+        try {
+            content = fs.readFileSync(pathCheck.path, 'utf8');
+        } catch (error) {
+            return { captions: null, errors: [`captions.path: 파일을 읽을 수 없습니다 (${error.code || error.message})`] };
+        }
+    } else if (typeof content !== 'string') {
+        return { captions: null, errors: ['captions.content: 문자열이어야 합니다'] };
+    }
+
+    const format = spec.format || detectFormat(content.replace(/^\uFEFF/, ''), spec.path);
+    const parsed = parseCaptions(content, { format });
+    if (parsed.errors.length > 0) {
+        return {
+            captions: null,
+            errors: parsed.errors.map(error => `captions ${error.line}번째 줄: ${error.message}`)
+        };
+    }
+
+    const fileName = spec.path
+        ? `${path.basename(spec.path, path.extname(spec.path))}.srt`
+        : null;
+
+    return {
+        captions: {
+            format: parsed.format,
+            fileName,
+            bin: spec.bin || DEFAULT_CAPTION_BIN,
+            cueCount: parsed.cues.length,
+            duration: parsed.cues[parsed.cues.length - 1].end,
+            srt: toSrt(parsed.cues)
+        },
+        errors: []
+    };
+}
+
+module.exports = {
+    parseCaptions,
+    parseTimestamp,
+    formatSrtTimestamp,
+    toSrt,
+    normalizeCaptions,
+    checkCaptionPath,
+    CAPTION_FORMATS,
+    CAPTION_EXTENSIONS
+};
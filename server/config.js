@@ -0,0 +1,387 @@
+// ============================================
+// Server Configuration
+// 기본값 → 설정 파일(JSON) → 환경 변수 → CLI 플래그 순으로 덮어쓰고 시작 시 검증
+// ============================================
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { ROUTING_POLICIES } = require('./pluginRegistry');
+const { COLLISION_STRATEGIES, isInsideRoot } = require('./pathPolicy');
+const { checkCallbackUrl } = require('./webhooks');
+const { CATCH_UP_POLICIES } = require('./schedules');
+const { COUNTER_SCOPES, validatePatterns } = require('./naming');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'config.json');
+
+const MISSING_PRESET_POLICIES = ['fail', 'default'];
+
+const DEFAULT_CONFIG = {
+    server: {
+        httpPort: 3000,
+        wsPort: 8080,
+        // 상대 경로는 server 폴더 기준
+        dataDir: 'data'
+    },
+    defaults: {
+        savePath: path.join(os.homedir(), 'Desktop', 'inbox'),
+        presetName: 'shortsvideo', // 프리셋 파일명 (확장자 제외)
+        sequenceName: '타임라인 01',
+        // 프리셋을 찾지 못했을 때: 'fail' (작업 실패) | 'default' (Premiere 기본 설정으로 시퀀스 생성)
+        onMissingPreset: 'fail'
+    },
+    jobs: {
+        timeoutMs: 30000,
+        queryTimeoutMs: 10000,
+        handshakeTimeoutMs: 10000,
+        // 대상(target) 없는 작업을 어느 플러그인에 보낼지: 'round-robin' | 'least-busy'
+        routingPolicy: 'round-robin'
+    },
+    paths: {
+        // 프로젝트를 저장할 수 있는 폴더 (하위 폴더 포함) - 비어 있으면 defaults.savePath만 허용
+        allowedRoots: [],
+        // 같은 이름의 프로젝트 파일이 있을 때: 'timestamp' | 'increment' | 'fail' | 'overwrite'
+        onCollision: 'timestamp'
+    },
+    watch: {
+        // 감시 폴더 - 하위 폴더에 미디어가 들어오면 폴더 이름으로 프로젝트 생성 (비어 있으면 사용 안 함)
+        folders: [],
+        // 이 시간 동안 파일 수/크기가 그대로면 복사가 끝난 것으로 봄
+        stableMs: 10000,
+        pollIntervalMs: 2000,
+        extensions: ['mp4', 'mov', 'mxf', 'avi', 'mkv', 'm4v', 'mts', 'wav', 'mp3', 'aif', 'aiff', 'm4a', 'png', 'jpg', 'jpeg', 'psd']
+    },
+    plugin: {
+        // 플러그인 재연결 간격 - 연결 시 플러그인에 전달됨
+        // 첫 재연결은 reconnectIntervalMs 후, 실패할 때마다 2배씩 늘려 reconnectMaxDelayMs까지
+        reconnectIntervalMs: 5000,
+        reconnectMaxDelayMs: 60000,
+        // 서버가 PING을 보내는 간격, 이 시간 동안 아무 메시지도 없으면 연결을 끊음
+        heartbeatIntervalMs: 15000,
+        heartbeatTimeoutMs: 45000
+    },
+    webhooks: {
+        // 모든 작업 결과(성공/실패)를 받을 URL - 요청별 callbackUrl과 별개
+        urls: [],
+        // X-Webhook-Signature 서명 비밀 - 비어 있으면 서명하지 않음
+        secret: '',
+        // 전송 시도 횟수 (첫 시도 포함), 첫 재시도 대기 시간 (이후 2배씩)
+        maxAttempts: 6,
+        retryBaseMs: 5000,
+        timeoutMs: 10000
+    },
+    naming: {
+        // 이름 패턴 - 비어 있으면 사용 안 함 (요청의 naming으로 요청마다 바꿀 수 있음)
+        // 프로젝트 파일 이름 (예: '{name}_{date:YYYYMMDD}_{counter:03}') - 비어 있으면 projectName
+        project: '',
+        // 시퀀스 이름 (예: '{sequence} {date:MMDD}') - {sequence}는 sequenceName 또는 템플릿의 시퀀스 이름
+        sequence: '',
+        // 저장 폴더 (예: '{date}/{client}') - 상대 경로는 savePath 기준, 결과는 paths.allowedRoots 안이어야 함
+        folder: '',
+        // {counter}: 'day' 날마다 1부터 | 'folder' 저장 폴더마다 1부터
+        counterScope: 'day'
+    },
+    schedules: {
+        // 서버가 꺼져 있어 놓친 예약 실행: 'skip' 건너뜀 | 'once' 가장 최근 것 한 번만 | 'all' 놓친 횟수만큼 (최대 24회)
+        // 예약별 catchUp이 있으면 그 값을 씀
+        catchUp: 'once'
+    },
+    history: {
+        // 요청 기록(GET /history) 보관 수 - 넘으면 오래된 것부터 삭제
+        maxEntries: 5000,
+        // 플러그인 패널에 보여 줄 최근 기록 수 (0 = 보내지 않음)
+        panelEntries: 20
+    },
+    auth: {
+        // HTTP API 키 목록 - 비어 있으면 인증 없이 허용 (시작 시 경고)
+        apiKeys: [],
+        // 플러그인이 HELLO 메시지로 보내야 하는 공유 비밀 - 비어 있으면 검사 안 함
+        pluginSecret: '',
+        // CORS 허용 Origin ('*' = 모두 허용)
+        corsOrigins: []
+    }
+};
+
+// 환경 변수 / CLI 플래그로 지정할 수 있는 항목
+const OPTIONS = [
+    { key: 'server.httpPort', env: 'PREMIERE_HTTP_PORT', flag: 'http-port', type: 'port' },
+    { key: 'server.wsPort', env: 'PREMIERE_WS_PORT', flag: 'ws-port', type: 'port' },
+    { key: 'server.dataDir', env: 'PREMIERE_DATA_DIR', flag: 'data-dir', type: 'string' },
+    { key: 'defaults.savePath', env: 'PREMIERE_SAVE_PATH', flag: 'save-path', type: 'string' },
+    { key: 'defaults.presetName', env: 'PREMIERE_PRESET_NAME', flag: 'preset-name', type: 'string' },
+    { key: 'defaults.sequenceName', env: 'PREMIERE_SEQUENCE_NAME', flag: 'sequence-name', type: 'string' },
+    { key: 'defaults.onMissingPreset', env: 'PREMIERE_ON_MISSING_PRESET', flag: 'on-missing-preset', type: 'enum', values: MISSING_PRESET_POLICIES },
+    { key: 'paths.allowedRoots', env: 'PREMIERE_ALLOWED_ROOTS', flag: 'allowed-roots', type: 'list' },
+    { key: 'paths.onCollision', env: 'PREMIERE_ON_COLLISION', flag: 'on-collision', type: 'enum', values: COLLISION_STRATEGIES },
+    { key: 'jobs.timeoutMs', env: 'PREMIERE_JOB_TIMEOUT_MS', flag: 'job-timeout-ms', type: 'positiveInt' },
+    { key: 'jobs.queryTimeoutMs', env: 'PREMIERE_QUERY_TIMEOUT_MS', flag: 'query-timeout-ms', type: 'positiveInt' },
+    { key: 'jobs.handshakeTimeoutMs', env: 'PREMIERE_HANDSHAKE_TIMEOUT_MS', flag: 'handshake-timeout-ms', type: 'positiveInt' },
+    { key: 'jobs.routingPolicy', env: 'PREMIERE_ROUTING_POLICY', flag: 'routing-policy', type: 'enum', values: ROUTING_POLICIES },
+    { key: 'watch.folders', env: 'PREMIERE_WATCH_FOLDERS', flag: 'watch-folders', type: 'list' },
+    { key: 'watch.stableMs', env: 'PREMIERE_WATCH_STABLE_MS', flag: 'watch-stable-ms', type: 'positiveInt' },
+    { key: 'watch.pollIntervalMs', env: 'PREMIERE_WATCH_POLL_INTERVAL_MS', flag: 'watch-poll-interval-ms', type: 'positiveInt' },
+    { key: 'watch.extensions', env: 'PREMIERE_WATCH_EXTENSIONS', flag: 'watch-extensions', type: 'list' },
+    { key: 'plugin.reconnectIntervalMs', env: 'PREMIERE_RECONNECT_INTERVAL_MS', flag: 'reconnect-interval-ms', type: 'positiveInt' },
+    { key: 'plugin.reconnectMaxDelayMs', env: 'PREMIERE_RECONNECT_MAX_DELAY_MS', flag: 'reconnect-max-delay-ms', type: 'positiveInt' },
+    { key: 'plugin.heartbeatIntervalMs', env: 'PREMIERE_HEARTBEAT_INTERVAL_MS', flag: 'heartbeat-interval-ms', type: 'positiveInt' },
+    { key: 'plugin.heartbeatTimeoutMs', env: 'PREMIERE_HEARTBEAT_TIMEOUT_MS', flag: 'heartbeat-timeout-ms', type: 'positiveInt' },
+    { key: 'webhooks.urls', env: 'PREMIERE_WEBHOOK_URLS', flag: 'webhook-urls', type: 'list' },
+    { key: 'webhooks.secret', env: 'PREMIERE_WEBHOOK_SECRET', flag: 'webhook-secret', type: 'string', secret: true },
+    { key: 'webhooks.maxAttempts', env: 'PREMIERE_WEBHOOK_MAX_ATTEMPTS', flag: 'webhook-max-attempts', type: 'positiveInt' },
+    { key: 'webhooks.retryBaseMs', env: 'PREMIERE_WEBHOOK_RETRY_BASE_MS', flag: 'webhook-retry-base-ms', type: 'positiveInt' },
+    { key: 'webhooks.timeoutMs', env: 'PREMIERE_WEBHOOK_TIMEOUT_MS', flag: 'webhook-timeout-ms', type: 'positiveInt' },
+    { key: 'naming.project', env: 'PREMIERE_NAMING_PROJECT', flag: 'naming-project', type: 'string', optional: true },
+    { key: 'naming.sequence', env: 'PREMIERE_NAMING_SEQUENCE', flag: 'naming-sequence', type: 'string', optional: true },
+    { key: 'naming.folder', env: 'PREMIERE_NAMING_FOLDER', flag: 'naming-folder', type: 'string', optional: true },
+    { key: 'naming.counterScope', env: 'PREMIERE_NAMING_COUNTER_SCOPE', flag: 'naming-counter-scope', type: 'enum', values: COUNTER_SCOPES },
+    { key: 'schedules.catchUp', env: 'PREMIERE_SCHEDULE_CATCH_UP', flag: 'schedule-catch-up', type: 'enum', values: CATCH_UP_POLICIES },
+    { key: 'history.maxEntries', env: 'PREMIERE_HISTORY_MAX_ENTRIES', flag: 'history-max-entries', type: 'positiveInt' },
+    { key: 'history.panelEntries', env: 'PREMIERE_HISTORY_PANEL_ENTRIES', flag: 'history-panel-entries', type: 'nonNegativeInt' },
+    { key: 'auth.pluginSecret', env: 'PREMIERE_PLUGIN_SECRET', flag: 'plugin-secret', type: 'string', secret: true },
+    { key: 'auth.corsOrigins', env: 'PREMIERE_CORS_ORIGINS', flag: 'cors-origins', type: 'list' }
+];
+
+// ===================================
+// Helpers
+// ===================================
+
+function getPath(object, key) {
+    return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), object);
+}
+
+function setPath(object, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((target, part) => (target[part] = target[part] || {}), object);
+    parent[last] = value;
+}
+
+function expandHome(filePath) {
+    return filePath.startsWith('~') ? path.join(os.homedir(), filePath.slice(1)) : filePath;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 객체 깊은 병합 (배열은 통째로 교체)
+ */
+function merge(base, override) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override || {})) {
+        result[key] = isPlainObject(value) && isPlainObject(base[key])
+            ? merge(base[key], value)
+            : value;
+    }
+    return result;
+}
+
+/**
+ * 문자열 값(환경 변수, CLI)을 항목 타입으로 변환 - 검증은 validateConfig에서
+ */
+function parseValue(option, raw) {
+    switch (option.type) {
+        case 'port':
+        case 'positiveInt':
+        case 'nonNegativeInt':
+            return /^\d+$/.test(raw) ? parseInt(raw, 10) : raw;
+        case 'list':
+            return raw.split(',').map(item => item.trim()).filter(Boolean);
+        default:
+            return raw;
+    }
+}
+
+/**
+ * CLI 인자 파싱 (--http-port 3001 또는 --http-port=3001)
+ */
+function parseArgs(argv) {
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            throw new Error(`알 수 없는 인자: ${arg}`);
+        }
+
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        if (name === 'help') {
+            flags.help = true;
+            continue;
+        }
+
+        const value = inlineValue !== undefined ? inlineValue : argv[++i];
+        if (value === undefined) {
+            throw new Error(`--${name} 값이 없습니다`);
+        }
+        flags[name] = value;
+    }
+    return flags;
+}
+
+// ===================================
+// Validation
+// ===================================
+
+/**
+ * 설정 검증
+ * @returns {string[]} 오류 목록
+ */
+function validateConfig(config) {
+    const errors = [];
+
+    for (const option of OPTIONS) {
+        const value = getPath(config, option.key);
+        switch (option.type) {
+            case 'port':
+                if (!Number.isInteger(value) || value < 1 || value > 65535) {
+                    errors.push(`${option.key}: 1~65535 사이의 포트 번호여야 합니다 (현재: ${JSON.stringify(value)})`);
+                }
+                break;
+            case 'positiveInt':
+                if (!Number.isInteger(value) || value <= 0) {
+                    errors.push(`${option.key}: 양의 정수여야 합니다 (현재: ${JSON.stringify(value)})`);
+                }
+                break;
+            case 'nonNegativeInt':
+                if (!Number.isInteger(value) || value < 0) {
+                    errors.push(`${option.key}: 0 이상의 정수여야 합니다 (현재: ${JSON.stringify(value)})`);
+                }
+                break;
+            case 'enum':
+                if (!option.values.includes(value)) {
+                    errors.push(`${option.key}: ${option.values.join(', ')} 중 하나여야 합니다 (현재: ${JSON.stringify(value)})`);
+                }
+                break;
+            case 'list':
+                if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+                    errors.push(`${option.key}: 문자열 배열이어야 합니다`);
+                }
+                break;
+            default:
+                if (typeof value !== 'string' || (!option.secret && !option.optional && value.trim() === '')) {
+                    errors.push(`${option.key}: 비어 있지 않은 문자열이어야 합니다`);
+                }
+        }
+    }
+
+    if (config.server.httpPort === config.server.wsPort) {
+        errors.push('server.httpPort와 server.wsPort는 달라야 합니다');
+    }
+
+    if (config.plugin.heartbeatTimeoutMs <= config.plugin.heartbeatIntervalMs) {
+        errors.push('plugin.heartbeatTimeoutMs는 plugin.heartbeatIntervalMs보다 커야 합니다 (PING 응답을 기다릴 시간)');
+    }
+    if (config.plugin.reconnectMaxDelayMs < config.plugin.reconnectIntervalMs) {
+        errors.push('plugin.reconnectMaxDelayMs는 plugin.reconnectIntervalMs 이상이어야 합니다');
+    }
+
+    errors.push(...validatePatterns(config.naming));
+
+    if (Array.isArray(config.webhooks.urls)) {
+        config.webhooks.urls.forEach((url, index) => {
+            errors.push(...checkCallbackUrl(url, `webhooks.urls[${index}]`));
+        });
+    }
+
+    if (!Array.isArray(config.auth.apiKeys) ||
+        config.auth.apiKeys.some(entry => !entry || typeof entry.name !== 'string' || typeof entry.key !== 'string' || entry.key === '')) {
+        errors.push('auth.apiKeys: { "name": "...", "key": "..." } 객체 배열이어야 합니다');
+    }
+
+    return errors;
+}
+
+// ===================================
+// Load
+// ===================================
+
+/**
+ * 설정 읽기
+ * @param {object} [options]
+ * @param {string[]} [options.argv] CLI 인자 (process.argv.slice(2))
+ * @param {object} [options.env] 환경 변수
+ * @returns {{ config: object, sources: object, configPath: string, help: boolean }}
+ */
+function loadConfig({ argv = [], env = {} } = {}) {
+    const flags = parseArgs(argv);
+    const sources = {};
+
+    // 1. 설정 파일 (--config > PREMIERE_CONFIG > server/config.json)
+    const configPath = path.resolve(flags.config || env.PREMIERE_CONFIG || DEFAULT_CONFIG_PATH);
+    let fileConfig = {};
+    if (fs.existsSync(configPath)) {
+        try {
+            fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`설정 파일을 읽을 수 없습니다 (${configPath}): ${error.message}`);
+        }
+    } else if (flags.config || env.PREMIERE_CONFIG) {
+        throw new Error(`설정 파일이 없습니다: ${configPath}`);
+    }
+
+    const config = merge(DEFAULT_CONFIG, fileConfig);
+    for (const option of OPTIONS) {
+        sources[option.key] = getPath(fileConfig, option.key) !== undefined ? 'file' : 'default';
+    }
+
+    // 2. 환경 변수
+    for (const option of OPTIONS) {
+        if (env[option.env] !== undefined && env[option.env] !== '') {
+            setPath(config, option.key, parseValue(option, env[option.env]));
+            sources[option.key] = `env ${option.env}`;
+        }
+    }
+
+    // 3. CLI 플래그
+    const knownFlags = new Set(['config', 'help', ...OPTIONS.map(option => option.flag)]);
+    for (const name of Object.keys(flags)) {
+        if (!knownFlags.has(name)) {
+            throw new Error(`알 수 없는 옵션: --${name}`);
+        }
+    }
+    for (const option of OPTIONS) {
+        if (flags[option.flag] !== undefined) {
+            setPath(config, option.key, parseValue(option, flags[option.flag]));
+            sources[option.key] = `--${option.flag}`;
+        }
+    }
+
+    const errors = validateConfig(config);
+    if (errors.length > 0) {
+        const error = new Error(`잘못된 설정:\n  - ${errors.join('\n  - ')}`);
+        error.details = errors;
+        throw error;
+    }
+
+    // 경로 정리 (~ 확장, 상대 경로는 server 폴더 기준)
+    config.defaults.savePath = expandHome(config.defaults.savePath);
+    config.paths.allowedRoots = config.paths.allowedRoots.length > 0
+        ? config.paths.allowedRoots.map(expandHome)
+        : [config.defaults.savePath];
+    if (!config.paths.allowedRoots.some(root => isInsideRoot(root, config.defaults.savePath))) {
+        throw new Error(`잘못된 설정:\n  - defaults.savePath가 paths.allowedRoots 밖에 있습니다 (${config.defaults.savePath})`);
+    }
+    config.server.dataDir = path.resolve(__dirname, config.server.dataDir);
+    config.watch.folders = config.watch.folders.map(folder => path.resolve(__dirname, expandHome(folder)));
+    config.watch.extensions = config.watch.extensions.map(extension => extension.replace(/^\./, '').toLowerCase());
+
+    return { config, sources, configPath, help: !!flags.help };
+}
+
+/**
+ * --help 출력용 옵션 설명
+ */
+function describeOptions() {
+    return OPTIONS.map(option => {
+        const values = option.values ? ` (${option.values.join(' | ')})` : '';
+        return `  --${option.flag.padEnd(24)} ${option.env.padEnd(32)} ${option.key}${values}`;
+    }).join('\n');
+}
+
+module.exports = {
+    loadConfig,
+    validateConfig,
+    describeOptions,
+    OPTIONS,
+    MISSING_PRESET_POLICIES
+};
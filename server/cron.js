@@ -0,0 +1,178 @@
+// ============================================
+// Cron Expressions
+// 5필드 cron 식(분 시 일 월 요일) 해석과 다음 실행 시각 계산 - 서버 시간대 기준
+// ============================================
+
+const FIELDS = [
+    { name: 'minute', label: '분', min: 0, max: 59 },
+    { name: 'hour', label: '시', min: 0, max: 23 },
+    { name: 'dayOfMonth', label: '일', min: 1, max: 31 },
+    { name: 'month', label: '월', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    // 0과 7 모두 일요일
+    { name: 'dayOfWeek', label: '요일', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const ALIASES = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+// 다음 실행 시각을 찾을 최대 범위 (2월 30일처럼 오지 않는 날짜 방지)
+const MAX_SEARCH_YEARS = 5;
+
+function parseValue(text, field) {
+    const upper = text.toUpperCase();
+    if (field.names && field.names.includes(upper)) {
+        return field.names.indexOf(upper) + (field.name === 'month' ? 1 : 0);
+    }
+    return /^\d+$/.test(text) ? parseInt(text, 10) : NaN;
+}
+
+/**
+ * 필드 하나 해석 - *, 목록(1,15), 범위(1-5), 간격(*\/15, 8-18/2), 이름(MON, JAN)
+ * @returns {{ values: Set<number>, any: boolean, error: string|null }}
+ */
+function parseField(text, field) {
+    const values = new Set();
+    const fail = message => ({ values, any: false, error: `${field.label}(${text}): ${message}` });
+
+    for (const part of text.split(',')) {
+        const [rangeText, stepText, extra] = part.split('/');
+        if (extra !== undefined || rangeText === '') {
+            return fail('형식이 올바르지 않습니다');
+        }
+
+        const step = stepText === undefined ? 1 : parseValue(stepText, {});
+        if (!Number.isInteger(step) || step < 1) {
+            return fail('간격은 1 이상의 정수여야 합니다');
+        }
+
+        let start;
+        let end;
+        if (rangeText === '*') {
+            start = field.min;
+            end = field.name === 'dayOfWeek' ? 6 : field.max;
+        } else if (rangeText.includes('-')) {
+            [start, end] = rangeText.split('-').map(value => parseValue(value, field));
+        } else {
+            start = parseValue(rangeText, field);
+            // 5/15 = 5부터 끝까지 15 간격
+            end = stepText === undefined ? start : field.max;
+        }
+
+        if (!Number.isInteger(start) || !Number.isInteger(end)) {
+            return fail('숫자 또는 이름이어야 합니다');
+        }
+        if (start < field.min || end > field.max || start > end) {
+            return fail(`${field.min}~${field.max} 범위여야 합니다`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(field.name === 'dayOfWeek' ? value % 7 : value);
+        }
+    }
+
+    return { values, any: text === '*', error: null };
+}
+
+/**
+ * cron 식 해석
+ * "0 7 * * *" (매일 7시), "30 6 * * MON-FRI" (평일 6시 30분), "@hourly"
+ * 일과 요일을 모두 지정하면 둘 중 하나만 맞아도 실행 (일반 cron과 같음)
+ *
+ * @returns {{ cron: object|null, errors: string[] }}
+ */
+function parseCron(expression) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+        return { cron: null, errors: ['cron: 비어 있지 않은 문자열이어야 합니다'] };
+    }
+
+    const normalized = ALIASES[expression.trim().toLowerCase()] || expression.trim();
+    const parts = normalized.split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        return { cron: null, errors: [`cron: "분 시 일 월 요일" 5개 필드여야 합니다 (현재: ${parts.length}개)`] };
+    }
+
+    const cron = { expression: expression.trim() };
+    const errors = [];
+    FIELDS.forEach((field, index) => {
+        const parsed = parseField(parts[index], field);
+        if (parsed.error) {
+            errors.push(`cron: ${parsed.error}`);
+        }
+        cron[field.name] = parsed;
+    });
+    if (errors.length > 0) {
+        return { cron: null, errors };
+    }
+
+    if (!nextRun(cron, new Date())) {
+        return { cron: null, errors: [`cron: ${MAX_SEARCH_YEARS}년 안에 실행될 날짜가 없습니다`] };
+    }
+    return { cron, errors };
+}
+
+function matchesDay(cron, date) {
+    const dayOfMonth = cron.dayOfMonth.values.has(date.getDate());
+    const dayOfWeek = cron.dayOfWeek.values.has(date.getDay());
+    if (!cron.dayOfMonth.any && !cron.dayOfWeek.any) {
+        return dayOfMonth || dayOfWeek;
+    }
+    return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * after 다음(after 제외)의 첫 실행 시각
+ * @returns {Date|null} MAX_SEARCH_YEARS 안에 없으면 null
+ */
+function nextRun(cron, after) {
+    const date = new Date(after);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = new Date(after);
+    limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+    // 맞지 않는 가장 큰 단위부터 건너뜀
+    while (date <= limit) {
+        if (!cron.month.values.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!matchesDay(cron, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!cron.hour.values.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!cron.minute.values.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+    return null;
+}
+
+/**
+ * after 이후 until까지(after 제외, until 포함)의 실행 시각 목록 (오래된 순)
+ * @param {number} [limit] 최근 것만 남길 개수
+ * @returns {{ runs: Date[], total: number }} total은 잘라내기 전 개수
+ */
+function listRuns(cron, after, until, limit = Infinity) {
+    const runs = [];
+    let total = 0;
+    let next = nextRun(cron, after);
+    while (next && next <= until) {
+        total++;
+        runs.push(next);
+        if (runs.length > limit) runs.shift();
+        next = nextRun(cron, next);
+    }
+    return { runs, total };
+}
+
+module.exports = { parseCron, nextRun, listRuns };
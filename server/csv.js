@@ -0,0 +1,97 @@
+// ============================================
+// CSV
+// 따옴표, 줄바꿈이 들어간 값을 처리하는 CSV 읽기 / 쓰기 (RFC 4180)
+// ============================================
+
+/**
+ * CSV 내용 → 행 목록 (첫 행은 헤더)
+ * 빈 줄은 건너뜀
+ *
+ * @returns {{ header: string[], records: { line: number, values: object }[] }}
+ *          values는 헤더 이름 → 값
+ */
+function parseCsv(content) {
+    const text = String(content).replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push({ line: rowLine, cells: row });
+            row = [];
+            field = '';
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error(`${rowLine}번째 줄: 닫히지 않은 따옴표가 있습니다`);
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push({ line: rowLine, cells: row });
+    }
+
+    const nonEmpty = rows.filter(entry => entry.cells.some(cell => cell.trim() !== ''));
+    if (nonEmpty.length === 0) {
+        return { header: [], records: [] };
+    }
+
+    const header = nonEmpty[0].cells.map(cell => cell.trim());
+    const records = nonEmpty.slice(1).map(entry => ({
+        line: entry.line,
+        values: Object.fromEntries(header.map((name, index) => [name, (entry.cells[index] || '').trim()]))
+    }));
+
+    return { header, records };
+}
+
+function escapeCell(value) {
+    if (value == null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 객체 목록 → CSV 내용
+ * @param {object[]} rows
+ * @param {string[]} columns 출력할 필드 (헤더 순서)
+ */
+function toCsv(rows, columns) {
+    const lines = [columns.map(escapeCell).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => escapeCell(row[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsv };
@@ -0,0 +1,244 @@
+// ============================================
+// Errors
+// API 오류 코드 목록과 언어별 메시지 - 클라이언트는 문구 대신 code로 분기
+// ============================================
+
+const LANGUAGES = ['ko', 'en'];
+const DEFAULT_LANGUAGE = 'ko';
+
+/**
+ * 오류 코드 → HTTP 상태, 언어별 메시지
+ * 메시지의 {이름}은 params 값으로 바뀜
+ * 플러그인이 보내는 코드(source: 'plugin')는 작업 결과의 errorCode에도 기록됨
+ */
+const ERROR_CODES = {
+    // 요청
+    VALIDATION_FAILED: {
+        status: 400,
+        messages: { ko: '요청 값이 올바르지 않습니다', en: 'Request validation failed' }
+    },
+    INVALID_JSON: {
+        status: 400,
+        messages: { ko: 'JSON 본문을 해석할 수 없습니다', en: 'Request body is not valid JSON' }
+    },
+    PAYLOAD_TOO_LARGE: {
+        status: 413,
+        messages: { ko: '요청 본문이 너무 큽니다', en: 'Request body is too large' }
+    },
+    UNSUPPORTED_MEDIA_TYPE: {
+        status: 415,
+        messages: { ko: '받을 수 없는 본문 형식입니다: {contentType}', en: 'Unsupported request body type: {contentType}' }
+    },
+    NOT_FOUND: {
+        status: 404,
+        messages: { ko: '없는 경로입니다: {method} {path}', en: 'No such route: {method} {path}' }
+    },
+
+    // 인증
+    API_KEY_MISSING: {
+        status: 401,
+        messages: { ko: 'API 키가 필요합니다. X-API-Key 헤더를 지정하세요.', en: 'API key required. Set the X-API-Key header.' }
+    },
+    API_KEY_INVALID: {
+        status: 401,
+        messages: { ko: '잘못된 API 키입니다.', en: 'Invalid API key.' }
+    },
+    ORIGIN_NOT_ALLOWED: {
+        status: 403,
+        messages: { ko: '허용되지 않은 Origin입니다: {origin}', en: 'Origin not allowed: {origin}' }
+    },
+
+    // 저장된 리소스
+    JOB_NOT_FOUND: {
+        status: 404,
+        messages: { ko: '작업을 찾을 수 없습니다: {id}', en: 'Job not found: {id}' }
+    },
+    BATCH_NOT_FOUND: {
+        status: 404,
+        messages: { ko: '배치를 찾을 수 없습니다: {id}', en: 'Batch not found: {id}' }
+    },
+    TEMPLATE_NOT_FOUND: {
+        status: 404,
+        messages: { ko: '템플릿을 찾을 수 없습니다: {name}', en: 'Template not found: {name}' }
+    },
+    SCHEDULE_NOT_FOUND: {
+        status: 404,
+        messages: { ko: '예약을 찾을 수 없습니다: {name}', en: 'Schedule not found: {name}' }
+    },
+
+    // 플러그인 연결
+    PLUGIN_NOT_CONNECTED: {
+        status: 503,
+        messages: { ko: '연결된 Premiere Pro 플러그인이 없습니다', en: 'No Premiere Pro plugin is connected' }
+    },
+    TARGET_NOT_CONNECTED: {
+        status: 503,
+        messages: { ko: '대상 플러그인이 연결되어 있지 않습니다: {target}', en: 'Target plugin is not connected: {target}' }
+    },
+    PLUGIN_TIMEOUT: {
+        status: 504,
+        messages: { ko: '플러그인 응답 시간 초과 ({seconds}초)', en: 'Plugin did not respond in time ({seconds}s)' }
+    },
+    UNSUPPORTED_ACTION: {
+        status: 501,
+        source: 'plugin',
+        messages: { ko: '플러그인이 지원하지 않는 명령입니다', en: 'The plugin does not support this action' }
+    },
+    PLUGIN_DISCONNECTED: {
+        status: 503,
+        messages: { ko: '작업 중 플러그인 연결이 끊어졌습니다', en: 'Plugin disconnected while running the job' }
+    },
+
+    // 플러그인 작업 실패
+    PLUGIN_ERROR: {
+        status: 502,
+        source: 'plugin',
+        messages: { ko: 'Premiere Pro 플러그인에서 작업이 실패했습니다', en: 'The Premiere Pro plugin failed to run the request' }
+    },
+    INVALID_COMMAND_DATA: {
+        status: 502,
+        source: 'plugin',
+        messages: { ko: '플러그인이 명령 데이터를 거부했습니다 (서버와 플러그인 버전 확인)', en: 'The plugin rejected the command data (check server and plugin versions)' }
+    },
+    PLUGIN_NOT_READY: {
+        status: 503,
+        source: 'plugin',
+        messages: { ko: '플러그인이 아직 서버 설정을 받지 못했습니다', en: 'Plugin has not received the server configuration yet' }
+    },
+    PRESET_NOT_FOUND: {
+        status: 404,
+        source: 'plugin',
+        messages: { ko: '시퀀스 프리셋을 찾을 수 없습니다', en: 'Sequence preset not found' }
+    },
+    SEQUENCE_CREATE_FAILED: {
+        status: 502,
+        source: 'plugin',
+        messages: { ko: '시퀀스를 만들지 못했습니다', en: 'Failed to create the sequence' }
+    },
+    SEQUENCE_NOT_FOUND: {
+        status: 404,
+        source: 'plugin',
+        messages: { ko: '시퀀스를 찾을 수 없습니다', en: 'Sequence not found' }
+    },
+    PROJECT_NOT_FOUND: {
+        status: 404,
+        source: 'plugin',
+        messages: { ko: '프로젝트를 찾을 수 없습니다', en: 'Project not found' }
+    },
+    PROJECT_OPEN_FAILED: {
+        status: 502,
+        source: 'plugin',
+        messages: { ko: '프로젝트를 열지 못했습니다', en: 'Failed to open the project' }
+    },
+    PATH_NOT_ALLOWED: {
+        status: 403,
+        source: 'plugin',
+        messages: { ko: '허용된 저장 폴더 밖의 경로입니다', en: 'Path is outside the allowed save folders' }
+    },
+    PROJECT_EXISTS: {
+        status: 409,
+        source: 'plugin',
+        messages: { ko: '같은 이름의 프로젝트 파일이 이미 있습니다', en: 'A project file with the same name already exists' }
+    },
+    SAVE_PATH_UNAVAILABLE: {
+        status: 502,
+        source: 'plugin',
+        messages: { ko: '저장 폴더에 접근할 수 없습니다', en: 'Save folder is not accessible' }
+    },
+    SAVE_FAILED: {
+        status: 502,
+        source: 'plugin',
+        messages: { ko: '프로젝트를 저장하지 못했습니다', en: 'Failed to save the project' }
+    },
+    MEDIA_IMPORT_FAILED: {
+        status: 502,
+        source: 'plugin',
+        messages: { ko: '미디어를 가져오지 못했습니다', en: 'Failed to import media' }
+    },
+    EXPORT_FAILED: {
+        status: 502,
+        source: 'plugin',
+        messages: { ko: '시퀀스를 내보내지 못했습니다', en: 'Failed to export the sequence' }
+    },
+
+    INTERNAL_ERROR: {
+        status: 500,
+        messages: { ko: '서버 내부 오류입니다', en: 'Internal server error' }
+    }
+};
+
+/**
+ * Accept-Language 헤더에서 응답 언어 선택 (지원하지 않으면 한국어)
+ */
+function resolveLanguage(acceptLanguage) {
+    const preferred = String(acceptLanguage || '')
+        .split(',')
+        .map(part => part.trim().split(';')[0].split('-')[0].toLowerCase())
+        .find(language => LANGUAGES.includes(language));
+    return preferred || DEFAULT_LANGUAGE;
+}
+
+/**
+ * 코드의 메시지 ({이름} 치환)
+ */
+function formatMessage(code, lang = DEFAULT_LANGUAGE, params = {}) {
+    const entry = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+    const template = entry.messages[lang] || entry.messages[DEFAULT_LANGUAGE];
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] != null ? String(params[name]) : match));
+}
+
+/**
+ * 플러그인이 보낸 코드 확인 - 모르는 코드는 PLUGIN_ERROR
+ */
+function normalizePluginErrorCode(code) {
+    return ERROR_CODES[code] ? code : 'PLUGIN_ERROR';
+}
+
+/**
+ * 코드가 붙은 Error (플러그인 조회 실패 등 라우트까지 전달할 오류)
+ */
+function createCodedError(code, message, params = {}) {
+    const error = new Error(message || formatMessage(code, DEFAULT_LANGUAGE, params));
+    error.code = code;
+    error.params = params;
+    return error;
+}
+
+/**
+ * 오류 응답 본문
+ * { success: false, code, error: 언어별 메시지, details: [필드별 오류 등] }
+ */
+function createErrorBody(code, { lang, params, details } = {}) {
+    const body = {
+        success: false,
+        code,
+        error: formatMessage(code, lang, params)
+    };
+    if (details && details.length > 0) {
+        body.details = details;
+    }
+    return body;
+}
+
+/**
+ * 오류 응답 전송 - 언어는 요청의 Accept-Language
+ * @param {object} [options]
+ * @param {object} [options.params] 메시지에 넣을 값
+ * @param {string[]} [options.details] 필드별 오류, 플러그인 원본 메시지 등
+ */
+function sendError(res, code, { params, details } = {}) {
+    const entry = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+    const lang = resolveLanguage(res.req && res.req.get('Accept-Language'));
+    return res.status(entry.status).json(createErrorBody(code, { lang, params, details }));
+}
+
+module.exports = {
+    ERROR_CODES,
+    LANGUAGES,
+    resolveLanguage,
+    formatMessage,
+    normalizePluginErrorCode,
+    createCodedError,
+    createErrorBody,
+    sendError
+};
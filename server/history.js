@@ -0,0 +1,316 @@
+// ============================================
+// Request History
+// 모든 작업 요청을 요청자, 파라미터, 실행 플러그인, 단계별 시간, 결과와 함께 기록 (GET /history)
+// 작업 큐는 끝난 작업을 500개만 보관하므로 감사 기록은 별도 파일(data/history.json)에 유지
+// ============================================
+const { EventEmitter } = require('events');
+const { readJson, writeJsonAtomic } = require('./store');
+const { JOB_STATUS } = require('./jobQueue');
+const { toCsv } = require('./csv');
+
+const HISTORY_CSV_COLUMNS = [
+    'createdAt', 'finishedAt', 'action', 'status', 'projectName', 'projectPath', 'sequenceName', 'presetUsed',
+    'client', 'source', 'ip', 'pluginId', 'attempts', 'queuedMs', 'runMs', 'totalMs', 'errorCode', 'error', 'jobId'
+];
+
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function isFinished(status) {
+    return status === JOB_STATUS.SUCCEEDED || status === JOB_STATUS.FAILED;
+}
+
+function elapsedMs(from, to) {
+    return from && to ? new Date(to) - new Date(from) : null;
+}
+
+/**
+ * 작업 데이터 → 기록용 파라미터
+ * 미디어 / 마커 목록, 자막 본문처럼 큰 값은 개수만 남김
+ */
+function summarizeParameters(data = {}) {
+    const parameters = {};
+    for (const [name, value] of Object.entries(data)) {
+        if (value == null) continue;
+        if (Array.isArray(value)) {
+            if (value.length > 0) parameters[`${name}Count`] = value.length;
+        } else if (name === 'captions') {
+            parameters.captions = { fileName: value.fileName, cueCount: value.cueCount };
+        } else if (name === 'template') {
+            parameters.template = value.name || '(인라인)';
+        } else {
+            parameters[name] = value;
+        }
+    }
+    return parameters;
+}
+
+/**
+ * 날짜 파라미터 해석 - 날짜만 주면(2024-05-01) 서버 시간대의 그날 0시, to는 그다음 날 0시 전까지
+ * @returns {Date|null} 해석할 수 없으면 null
+ */
+function parseDateBound(value, { endOfDay = false } = {}) {
+    const match = value.match(DATE_ONLY_PATTERN);
+    if (match) {
+        const [, year, month, day] = match.map(Number);
+        const date = new Date(year, month - 1, day);
+        // 2024-02-30 같은 없는 날짜
+        if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+        if (endOfDay) date.setDate(day + 1);
+        return date;
+    }
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : new Date(time);
+}
+
+/**
+ * GET /history 쿼리 → 검색 조건
+ * 형식(상태 enum, limit 범위)은 apiSchemas.js에서 먼저 검사되고, 여기서는 날짜를 해석
+ * @returns {{ filter: object, errors: string[] }}
+ */
+function parseHistoryQuery({ from, to, status, action, name, client, limit }) {
+    const errors = [];
+    const filter = { status, action, name, client, limit: limit ? parseInt(limit, 10) : undefined };
+
+    if (from) {
+        filter.from = parseDateBound(from);
+        if (!filter.from) errors.push('from: 날짜(2024-05-01) 또는 ISO 8601 시각이어야 합니다');
+    }
+    if (to) {
+        filter.to = parseDateBound(to, { endOfDay: true });
+        if (!filter.to) errors.push('to: 날짜(2024-05-01) 또는 ISO 8601 시각이어야 합니다');
+    }
+    if (filter.from && filter.to && filter.from >= filter.to) {
+        errors.push('from: to보다 앞선 시각이어야 합니다');
+    }
+    return { filter, errors };
+}
+
+/**
+ * 기록 → CSV 한 줄용 평면 객체
+ */
+function toCsvRow(entry) {
+    const requestedBy = entry.requestedBy || {};
+    return {
+        ...entry,
+        client: requestedBy.client || null,
+        source: requestedBy.source || null,
+        ip: requestedBy.ip || null,
+        queuedMs: entry.timings.queuedMs,
+        runMs: entry.timings.runMs,
+        totalMs: entry.timings.totalMs
+    };
+}
+
+function historyToCsv(entries) {
+    return toCsv(entries.map(toCsvRow), HISTORY_CSV_COLUMNS);
+}
+
+/**
+ * 요청 기록 저장소 생성
+ * 작업 큐의 상태 변화를 따라가며 기록 - 상태가 바뀔 때마다 저장, 진행 단계는 다음 상태 변화 때 함께 저장
+ *
+ * @param {object} options
+ * @param {string} options.filePath 기록을 저장할 JSON 파일 경로
+ * @param {object} options.jobQueue
+ * @param {number} options.maxEntries 보관할 최대 기록 수 (오래된 것부터 삭제)
+ */
+function createHistoryLog({ filePath, jobQueue, maxEntries }) {
+    const events = new EventEmitter();
+    const entries = new Map(); // jobId → 기록 (삽입 순서 = 요청 순서)
+
+    function persist() {
+        writeJsonAtomic(filePath, { entries: Array.from(entries.values()) });
+    }
+
+    function prune() {
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+
+    function createEntry(job) {
+        const data = job.data || {};
+        return {
+            jobId: job.id,
+            action: job.action,
+            status: job.status,
+            projectName: data.projectName || null,
+            projectPath: data.projectPath || null,
+            sequenceName: data.sequenceName || null,
+            presetUsed: null,
+            requestedBy: job.requestedBy || null,
+            parameters: summarizeParameters(data),
+            target: job.target,
+            pluginId: null,
+            attempts: 0,
+            retries: [],
+            steps: [],
+            error: null,
+            errorCode: null,
+            createdAt: job.createdAt,
+            startedAt: null,
+            finishedAt: null,
+            timings: { queuedMs: null, runMs: null, totalMs: null }
+        };
+    }
+
+    /**
+     * 진행 중인 단계를 닫음 (다음 단계 시작, 재시도, 완료 시)
+     */
+    function closeStep(entry, at) {
+        const last = entry.steps[entry.steps.length - 1];
+        if (last && last.durationMs === null) {
+            last.durationMs = elapsedMs(last.startedAt, at);
+        }
+    }
+
+    function recordStep(entry, job) {
+        const { step, message, updatedAt } = job.progress;
+        const last = entry.steps[entry.steps.length - 1];
+        if (last && last.attempt === job.attempts && last.step === step) return;
+
+        closeStep(entry, updatedAt);
+        entry.steps.push({ attempt: job.attempts, step, message: message || null, startedAt: updatedAt, durationMs: null });
+    }
+
+    /**
+     * 작업 상태 반영
+     * @returns {boolean} 상태가 바뀌었으면 true
+     */
+    function apply(entry, job) {
+        if (job.status === JOB_STATUS.RUNNING && job.progress && Number.isInteger(job.progress.step)) {
+            recordStep(entry, job);
+        }
+        if (entry.status === job.status && entry.attempts === job.attempts) return false;
+
+        // 실행 중 연결이 끊겨 대기열로 돌아간 경우
+        if (entry.status === JOB_STATUS.RUNNING && job.status === JOB_STATUS.QUEUED) {
+            closeStep(entry, job.updatedAt);
+            entry.retries.push({
+                attempt: entry.attempts,
+                pluginId: entry.pluginId,
+                error: job.error,
+                errorCode: job.errorCode,
+                at: job.updatedAt
+            });
+        }
+
+        entry.status = job.status;
+        entry.attempts = job.attempts;
+        if (job.status === JOB_STATUS.RUNNING) {
+            entry.pluginId = job.pluginId;
+            entry.startedAt = entry.startedAt || job.startedAt;
+        }
+
+        if (isFinished(job.status)) {
+            const result = job.result || {};
+            closeStep(entry, job.finishedAt);
+            entry.pluginId = job.pluginId || entry.pluginId;
+            entry.projectName = result.projectName || entry.projectName;
+            entry.projectPath = result.projectPath || entry.projectPath;
+            entry.sequenceName = result.sequenceName || entry.sequenceName;
+            entry.presetUsed = result.presetUsed || null;
+            entry.error = job.error;
+            entry.errorCode = job.errorCode;
+            entry.finishedAt = job.finishedAt;
+            entry.timings = {
+                // 재시도한 작업은 첫 실행부터 계산
+                queuedMs: elapsedMs(entry.createdAt, entry.startedAt),
+                runMs: elapsedMs(entry.startedAt, entry.finishedAt),
+                totalMs: elapsedMs(entry.createdAt, entry.finishedAt)
+            };
+        }
+        return true;
+    }
+
+    function onJobUpdated(job) {
+        let entry = entries.get(job.id);
+        const isNew = !entry;
+        if (isNew) {
+            entry = createEntry(job);
+            entries.set(job.id, entry);
+            prune();
+        }
+
+        if (apply(entry, job) || isNew) {
+            persist();
+            events.emit('changed', entry);
+        }
+    }
+
+    /**
+     * 서버가 꺼진 사이 바뀐 상태 반영 (실행 중이던 작업은 작업 큐가 대기열로 되돌림)
+     */
+    function load() {
+        const saved = readJson(filePath, { entries: [] });
+        for (const entry of saved.entries || []) {
+            entries.set(entry.jobId, entry);
+        }
+
+        let changed = false;
+        for (const entry of entries.values()) {
+            if (isFinished(entry.status)) continue;
+            const job = jobQueue.get(entry.jobId);
+            if (job && apply(entry, job)) changed = true;
+        }
+        if (changed) persist();
+    }
+
+    /**
+     * 기록 검색 (최신순)
+     * @param {object} [filter]
+     * @param {Date} [filter.from] 이 시각 이후 요청
+     * @param {Date} [filter.to] 이 시각 이전 요청
+     * @param {string} [filter.status] queued | running | succeeded | failed
+     * @param {string} [filter.action] CREATE_PROJECT 등
+     * @param {string} [filter.name] 프로젝트 이름 / 경로에 포함된 문자열 (대소문자 구분 없음)
+     * @param {string} [filter.client] API 키 이름
+     * @param {number} [filter.limit]
+     */
+    function list({ from, to, status, action, name, client, limit } = {}) {
+        const text = name ? name.toLowerCase() : null;
+
+        const result = Array.from(entries.values()).reverse().filter(entry => {
+            const createdAt = new Date(entry.createdAt);
+            if (from && createdAt < from) return false;
+            if (to && createdAt >= to) return false;
+            if (status && entry.status !== status) return false;
+            if (action && entry.action !== action) return false;
+            if (client && (!entry.requestedBy || entry.requestedBy.client !== client)) return false;
+            if (text && ![entry.projectName, entry.projectPath]
+                .some(value => value && value.toLowerCase().includes(text))) return false;
+            return true;
+        });
+        return limit ? result.slice(0, limit) : result;
+    }
+
+    /**
+     * 플러그인 패널용 최근 기록 (요약)
+     */
+    function recent(limit) {
+        return Array.from(entries.values()).slice(-limit).reverse().map(entry => ({
+            jobId: entry.jobId,
+            action: entry.action,
+            status: entry.status,
+            projectName: entry.projectName,
+            source: entry.requestedBy ? entry.requestedBy.source : null,
+            client: entry.requestedBy ? entry.requestedBy.client : null,
+            pluginId: entry.pluginId,
+            errorCode: entry.errorCode,
+            createdAt: entry.createdAt,
+            totalMs: entry.timings.totalMs
+        }));
+    }
+
+    load();
+    jobQueue.events.on('updated', onJobUpdated);
+
+    return { events, list, recent };
+}
+
+module.exports = {
+    createHistoryLog,
+    parseHistoryQuery,
+    historyToCsv,
+    summarizeParameters
+};
@@ -0,0 +1,228 @@
+// ============================================
+// Job Queue
+// 디스크에 저장되는 작업 큐 - 서버가 재시작되어도 대기 중인 작업이 유지됨
+// ============================================
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { readJson, writeJsonAtomic } = require('./store');
+
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed'
+};
+
+// 완료된 작업은 최근 것만 보관
+const MAX_FINISHED_JOBS = 500;
+
+function isFinished(job) {
+    return job.status === JOB_STATUS.SUCCEEDED || job.status === JOB_STATUS.FAILED;
+}
+
+/**
+ * 작업 큐 생성
+ * @param {object} options
+ * @param {string} options.filePath   작업 목록을 저장할 JSON 파일 경로
+ * @param {number} [options.maxAttempts] 플러그인 연결 끊김 시 재시도 횟수
+ */
+function createJobQueue({ filePath, maxAttempts = 3 }) {
+    const events = new EventEmitter();
+    const jobs = new Map(); // id → job (삽입 순서 = 생성 순서)
+
+    // ===================================
+    // 저장 / 복원
+    // ===================================
+    function persist() {
+        writeJsonAtomic(filePath, { jobs: Array.from(jobs.values()) });
+    }
+
+    function load() {
+        const saved = readJson(filePath, { jobs: [] });
+        let restored = 0;
+
+        for (const job of saved.jobs || []) {
+            // 실행 도중 서버가 종료된 작업은 다시 대기열로
+            if (job.status === JOB_STATUS.RUNNING) {
+                job.status = JOB_STATUS.QUEUED;
+                job.pluginId = null;
+                job.startedAt = null;
+            }
+            if (job.status === JOB_STATUS.QUEUED) restored++;
+            jobs.set(job.id, job);
+        }
+
+        if (restored > 0) {
+            console.log(`📦 대기 중인 작업 ${restored}개 복원됨`);
+        }
+    }
+
+    function prune() {
+        const finished = Array.from(jobs.values()).filter(isFinished);
+        const excess = finished.length - MAX_FINISHED_JOBS;
+        for (let i = 0; i < excess; i++) {
+            jobs.delete(finished[i].id);
+        }
+    }
+
+    function update(job, changes) {
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+        if (isFinished(job)) prune();
+        persist();
+        events.emit('updated', job);
+        return job;
+    }
+
+    // ===================================
+    // 작업 조작
+    // ===================================
+
+    /**
+     * 새 작업 추가
+     * @param {object} [options]
+     * @param {string} [options.target] 실행할 플러그인 (machineId, hostname 또는 플러그인 번호)
+     * @param {string} [options.callbackUrl] 작업이 끝나면 결과를 POST할 URL (webhooks.js)
+     * @param {object} [options.requestedBy] 요청자 { source, client, ip, userAgent, ... } (history.js)
+     */
+    function enqueue(action, data, { target = null, callbackUrl = null, requestedBy = null } = {}) {
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            action,
+            data,
+            target,
+            callbackUrl,
+            requestedBy,
+            status: JOB_STATUS.QUEUED,
+            result: null,
+            error: null,
+            errorCode: null,
+            progress: null,
+            attempts: 0,
+            pluginId: null,
+            createdAt: now,
+            updatedAt: now,
+            startedAt: null,
+            finishedAt: null
+        };
+
+        jobs.set(job.id, job);
+        persist();
+        events.emit('updated', job);
+        return job;
+    }
+
+    function get(id) {
+        return jobs.get(id) || null;
+    }
+
+    /**
+     * 작업 목록 (최신순)
+     */
+    function list({ status, limit } = {}) {
+        let result = Array.from(jobs.values()).reverse();
+        if (status) {
+            result = result.filter(job => job.status === status);
+        }
+        if (limit) {
+            result = result.slice(0, limit);
+        }
+        return result;
+    }
+
+    /**
+     * 대기 작업 (오래된 순)
+     */
+    function listQueued() {
+        return Array.from(jobs.values()).filter(job => job.status === JOB_STATUS.QUEUED);
+    }
+
+    function markRunning(id, pluginId) {
+        const job = jobs.get(id);
+        return update(job, {
+            status: JOB_STATUS.RUNNING,
+            pluginId,
+            attempts: job.attempts + 1,
+            startedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * 실행 중인 작업의 진행률 기록 ({ percent, message })
+     */
+    function setProgress(id, progress) {
+        return update(jobs.get(id), {
+            progress: { ...progress, updatedAt: new Date().toISOString() }
+        });
+    }
+
+    function succeed(id, result) {
+        const job = jobs.get(id);
+        return update(job, {
+            status: JOB_STATUS.SUCCEEDED,
+            result,
+            error: null,
+            errorCode: null,
+            progress: job.progress ? { ...job.progress, percent: 100 } : null,
+            finishedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * @param {string} error 실패 메시지 (플러그인 원본 메시지 등)
+     * @param {string} [errorCode] errors.js의 오류 코드
+     */
+    function fail(id, error, errorCode = null) {
+        return update(jobs.get(id), {
+            status: JOB_STATUS.FAILED,
+            error,
+            errorCode,
+            finishedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * 실행 중이던 작업을 대기열로 되돌림 (플러그인 연결 끊김 등)
+     * 재시도 횟수를 넘기면 실패 처리
+     */
+    function requeue(id, reason, errorCode = null) {
+        const job = jobs.get(id);
+        if (job.attempts >= maxAttempts) {
+            return fail(id, `${reason} (재시도 ${maxAttempts}회 초과)`, errorCode);
+        }
+        return update(job, {
+            status: JOB_STATUS.QUEUED,
+            pluginId: null,
+            startedAt: null,
+            progress: null,
+            error: reason,
+            errorCode
+        });
+    }
+
+    function counts() {
+        const result = { queued: 0, running: 0, succeeded: 0, failed: 0 };
+        for (const job of jobs.values()) {
+            result[job.status]++;
+        }
+        return result;
+    }
+
+    load();
+
+    return {
+        events,
+        enqueue,
+        get,
+        list,
+        listQueued,
+        markRunning,
+        setProgress,
+        succeed,
+        fail,
+        requeue,
+        counts
+    };
+}
+
+module.exports = { createJobQueue, JOB_STATUS };
@@ -0,0 +1,165 @@
+// ============================================
+// Markers
+// 시퀀스 마커(코멘트 / 챕터) 목록 검증 및 CSV 변환 - 촬영 목록 가져오기와 내보내기 양방향
+// ============================================
+const { parseCsv, toCsv } = require('./csv');
+
+const MARKER_TYPES = ['comment', 'chapter'];
+
+// Premiere 마커 색상 (배열 인덱스 = Premiere 색상 인덱스)
+const MARKER_COLORS = ['green', 'red', 'purple', 'orange', 'yellow', 'white', 'blue', 'cyan'];
+
+// CSV 열 순서 - 내보낸 CSV를 그대로 다시 가져올 수 있음
+const MARKER_CSV_COLUMNS = ['name', 'comment', 'start', 'duration', 'color', 'type'];
+
+// 01:02:03.500, 02:03, 02:03.5 (시간 생략 가능)
+const TIME_PATTERN = /^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?$/;
+
+/**
+ * 마커 시간 → 초
+ * 초 단위 숫자(문자열 포함) 또는 "시:분:초.밀리초" / "분:초" 형식
+ * @returns {number|null} 형식이 틀리면 null
+ */
+function parseMarkerTime(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) && value >= 0 ? value : null;
+    }
+    if (typeof value !== 'string') return null;
+
+    const text = value.trim();
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        return parseFloat(text);
+    }
+
+    const match = text.match(TIME_PATTERN);
+    if (!match) return null;
+
+    const [hours, minutes, seconds] = match.slice(1, 4).map(part => parseInt(part || '0', 10));
+    if (minutes > 59 || seconds > 59) return null;
+    const fraction = match[4] ? parseFloat(`0.${match[4]}`) : 0;
+    return hours * 3600 + minutes * 60 + seconds + fraction;
+}
+
+/**
+ * markers 목록 정규화
+ * { name, comment, start, duration, color, type } 객체 배열을 받음
+ *
+ * [
+ *   { "name": "인트로", "start": "00:00:05.000", "duration": 3, "color": "red" },
+ *   { "name": "1장", "start": 62.5, "type": "chapter" }
+ * ]
+ *
+ * @returns {{ items: object[], errors: string[] }}
+ */
+function normalizeMarkers(markers) {
+    const items = [];
+    const errors = [];
+
+    if (markers == null) {
+        return { items, errors };
+    }
+    if (!Array.isArray(markers)) {
+        return { items, errors: ['markers는 배열이어야 합니다'] };
+    }
+
+    markers.forEach((marker, index) => {
+        const label = `markers[${index}]`;
+
+        if (!marker || typeof marker !== 'object' || Array.isArray(marker)) {
+            errors.push(`${label}: 객체여야 합니다`);
+            return;
+        }
+
+        const start = parseMarkerTime(marker.start);
+        if (start == null) {
+            errors.push(`${label}.start: 0 이상의 초 또는 "00:01:02.500" 형식이어야 합니다`);
+        }
+
+        const duration = marker.duration == null || marker.duration === '' ? 0 : parseMarkerTime(marker.duration);
+        if (duration == null) {
+            errors.push(`${label}.duration: 0 이상의 초 또는 "00:00:03.000" 형식이어야 합니다`);
+        }
+
+        for (const field of ['name', 'comment']) {
+            if (marker[field] != null && typeof marker[field] !== 'string') {
+                errors.push(`${label}.${field}: 문자열이어야 합니다`);
+            }
+        }
+
+        const type = marker.type ? String(marker.type).toLowerCase() : 'comment';
+        if (!MARKER_TYPES.includes(type)) {
+            errors.push(`${label}.type: ${MARKER_TYPES.join(', ')} 중 하나여야 합니다`);
+        }
+
+        let color = null;
+        if (marker.color != null && marker.color !== '') {
+            color = Number.isInteger(marker.color) ? MARKER_COLORS[marker.color] : String(marker.color).toLowerCase();
+            if (!MARKER_COLORS.includes(color)) {
+                errors.push(`${label}.color: ${MARKER_COLORS.join(', ')} 중 하나(또는 0~${MARKER_COLORS.length - 1})여야 합니다`);
+            }
+        }
+
+        items.push({
+            name: marker.name || '',
+            comment: marker.comment || '',
+            start,
+            duration,
+            color,
+            colorIndex: color ? MARKER_COLORS.indexOf(color) : null,
+            type
+        });
+    });
+
+    return { items, errors };
+}
+
+/**
+ * 마커 CSV → markers 목록 (normalizeMarkers로 검증 전 값)
+ *
+ * name,comment,start,duration,color,type
+ * 인트로,,00:00:05.000,3,red,comment
+ *
+ * @returns {{ markers: object[], errors: string[] }}
+ */
+function parseMarkerCsv(content) {
+    let parsed;
+    try {
+        parsed = parseCsv(content);
+    } catch (error) {
+        return { markers: [], errors: [`CSV ${error.message}`] };
+    }
+
+    const unknown = parsed.header.filter(column => !MARKER_CSV_COLUMNS.includes(column.toLowerCase()));
+    if (unknown.length > 0) {
+        return {
+            markers: [],
+            errors: [`알 수 없는 CSV 열: ${unknown.join(', ')} (사용 가능: ${MARKER_CSV_COLUMNS.join(', ')})`]
+        };
+    }
+
+    const markers = parsed.records.map(record => {
+        const marker = {};
+        for (const [column, value] of Object.entries(record.values)) {
+            if (value !== '') marker[column.toLowerCase()] = value;
+        }
+        return marker;
+    });
+
+    return { markers, errors: [] };
+}
+
+/**
+ * 플러그인이 읽은 마커 목록 → CSV
+ */
+function markersToCsv(markers) {
+    return toCsv(markers, MARKER_CSV_COLUMNS);
+}
+
+module.exports = {
+    normalizeMarkers,
+    parseMarkerCsv,
+    markersToCsv,
+    parseMarkerTime,
+    MARKER_TYPES,
+    MARKER_COLORS
+};
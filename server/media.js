@@ -0,0 +1,68 @@
+// ============================================
+// Media List Validation
+// /create-project, /import-media 의 media 목록 검증 및 정규화
+// ============================================
+
+/**
+ * media 목록 정규화
+ * 문자열(파일 경로) 또는 { path, bin, inPoint, outPoint, place, videoTrack, audioTrack } 객체 배열을 받음
+ *
+ * @returns {{ items: object[], errors: string[] }}
+ */
+function normalizeMedia(media) {
+    const items = [];
+    const errors = [];
+
+    if (media == null) {
+        return { items, errors };
+    }
+    if (!Array.isArray(media)) {
+        return { items, errors: ['media는 배열이어야 합니다'] };
+    }
+
+    media.forEach((entry, index) => {
+        const item = typeof entry === 'string' ? { path: entry } : entry;
+        const label = `media[${index}]`;
+
+        if (!item || typeof item !== 'object') {
+            errors.push(`${label}: 파일 경로 문자열 또는 객체여야 합니다`);
+            return;
+        }
+        if (typeof item.path !== 'string' || item.path.trim() === '') {
+            errors.push(`${label}.path: 파일 경로가 필요합니다`);
+            return;
+        }
+        if (item.bin != null && typeof item.bin !== 'string') {
+            errors.push(`${label}.bin: 문자열이어야 합니다`);
+        }
+
+        for (const field of ['inPoint', 'outPoint']) {
+            if (item[field] != null && (typeof item[field] !== 'number' || item[field] < 0)) {
+                errors.push(`${label}.${field}: 0 이상의 초 단위 숫자여야 합니다`);
+            }
+        }
+        if (typeof item.inPoint === 'number' && typeof item.outPoint === 'number' && item.outPoint <= item.inPoint) {
+            errors.push(`${label}: outPoint는 inPoint보다 커야 합니다`);
+        }
+
+        for (const field of ['videoTrack', 'audioTrack']) {
+            if (item[field] != null && (!Number.isInteger(item[field]) || item[field] < 0)) {
+                errors.push(`${label}.${field}: 0 이상의 정수(트랙 인덱스)여야 합니다`);
+            }
+        }
+
+        items.push({
+            path: item.path,
+            bin: item.bin || null,
+            inPoint: item.inPoint != null ? item.inPoint : null,
+            outPoint: item.outPoint != null ? item.outPoint : null,
+            place: item.place !== false,
+            videoTrack: item.videoTrack || 0,
+            audioTrack: item.audioTrack || 0
+        });
+    });
+
+    return { items, errors };
+}
+
+module.exports = { normalizeMedia };
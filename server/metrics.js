@@ -0,0 +1,126 @@
+// ============================================
+// Metrics
+// Prometheus 텍스트 형식(GET /metrics)으로 내보내는 카운터 / 게이지 / 히스토그램
+// ============================================
+
+// 작업 실행 시간 구간 (초)
+const DURATION_BUCKETS = [0.5, 1, 2, 5, 10, 30, 60, 120, 300, 600];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels || {}).filter(([, value]) => value != null);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function labelKey(labels) {
+    return JSON.stringify(Object.entries(labels || {}).sort());
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+function createMetricsRegistry() {
+    const metrics = []; // 등록 순서대로 출력
+
+    /**
+     * 누적 카운터
+     */
+    function counter({ name, help }) {
+        const values = new Map(); // labelKey → { labels, value }
+
+        metrics.push({
+            name,
+            help,
+            type: 'counter',
+            samples: () => Array.from(values.values()).map(({ labels, value }) => ({ name, labels, value }))
+        });
+
+        return {
+            inc(labels = {}, amount = 1) {
+                const key = labelKey(labels);
+                const entry = values.get(key) || { labels, value: 0 };
+                entry.value += amount;
+                values.set(key, entry);
+            }
+        };
+    }
+
+    /**
+     * 수집 시점에 값을 계산하는 게이지
+     * @param {() => { labels?: object, value: number }[]} collect
+     */
+    function gauge({ name, help, collect }) {
+        metrics.push({
+            name,
+            help,
+            type: 'gauge',
+            samples: () => collect().map(({ labels, value }) => ({ name, labels, value }))
+        });
+    }
+
+    /**
+     * 히스토그램 (누적 구간 + _sum, _count)
+     */
+    function histogram({ name, help, buckets = DURATION_BUCKETS }) {
+        const series = new Map(); // labelKey → { labels, counts, sum, count }
+
+        metrics.push({
+            name,
+            help,
+            type: 'histogram',
+            samples: () => {
+                const samples = [];
+                for (const { labels, counts, sum, count } of series.values()) {
+                    buckets.forEach((le, index) => {
+                        samples.push({ name: `${name}_bucket`, labels: { ...labels, le: formatValue(le) }, value: counts[index] });
+                    });
+                    samples.push({ name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count });
+                    samples.push({ name: `${name}_sum`, labels, value: sum });
+                    samples.push({ name: `${name}_count`, labels, value: count });
+                }
+                return samples;
+            }
+        });
+
+        return {
+            observe(labels, value) {
+                const key = labelKey(labels);
+                let entry = series.get(key);
+                if (!entry) {
+                    entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+                    series.set(key, entry);
+                }
+                buckets.forEach((le, index) => {
+                    if (value <= le) entry.counts[index]++;
+                });
+                entry.sum += value;
+                entry.count++;
+            }
+        };
+    }
+
+    /**
+     * Prometheus 텍스트 형식 (text/plain; version=0.0.4)
+     */
+    function render() {
+        const lines = [];
+        for (const metric of metrics) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            for (const sample of metric.samples()) {
+                lines.push(`${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+            }
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    return { counter, gauge, histogram, render };
+}
+
+module.exports = { createMetricsRegistry, DURATION_BUCKETS };
@@ -0,0 +1,343 @@
+// ============================================
+// Mock Plugin
+// Premiere 없이 서버를 시험하기 위한 가짜 UXP 플러그인 (index.js와 같은 WebSocket 프로토콜)
+// 프로젝트 / 시퀀스 생성을 흉내 내고 저장 실패, 느린 응답, 응답 없음, 연결 끊김을 재현
+//
+// node mockPlugin.js --scenario slow --hostname EDIT-PC-09
+// ============================================
+const WebSocket = require('ws');
+const os = require('os');
+const { sanitizeFileName, isInsideRoot } = require('./pathPolicy');
+
+const PROTOCOL_VERSION = 2;
+
+// 작업 명령을 받았을 때의 동작
+// 'success' 성공 | 'save-failure' 프로젝트 저장 실패 | 'sequence-failure' 시퀀스 생성 실패
+// 'slow' slowMs 동안 진행 이벤트를 보내며 지연 후 성공 | 'hang' 응답 없음 | 'disconnect' 명령을 받자마자 연결 종료
+const SCENARIOS = ['success', 'save-failure', 'sequence-failure', 'slow', 'hang', 'disconnect'];
+
+// 작업 명령 (PING, 조회 명령은 시나리오와 관계없이 바로 응답)
+const JOB_ACTIONS = ['CREATE_PROJECT', 'IMPORT_MEDIA', 'OPEN_PROJECT', 'CLOSE_PROJECT'];
+
+const DEFAULT_CAPABILITIES = [...JOB_ACTIONS, 'LIST_OPEN_PROJECTS', 'LIST_PRESETS', 'PING'];
+
+function joinPath(folderPath, name) {
+    const separator = folderPath.includes('\\') ? '\\' : '/';
+    return `${folderPath.replace(/[\\/]+$/, '')}${separator}${name}`;
+}
+
+function timestampSuffix() {
+    const now = new Date();
+    const pad = value => String(value).padStart(2, '0');
+    return `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}_${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+}
+
+function codedError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * 가짜 플러그인 생성
+ * @param {object} options
+ * @param {string} options.url 서버 WebSocket 주소
+ * @param {string} [options.token] 서버의 auth.pluginSecret
+ * @param {string} [options.machineId]
+ * @param {string} [options.hostname]
+ * @param {string[]} [options.capabilities] HELLO로 알릴 지원 명령
+ * @param {number} [options.protocolVersion]
+ * @param {string} [options.scenario] SCENARIOS 중 하나 - 실행 중에 바꿀 수 있음 (mock.scenario = 'hang')
+ * @param {number} [options.delayMs] 작업 명령 응답 지연
+ * @param {number} [options.slowMs] 'slow' 시나리오의 지연
+ * @param {string[]} [options.presets] 설치된 것으로 칠 프리셋 이름
+ * @param {boolean} [options.quiet] 콘솔 로그 끄기
+ */
+function createMockPlugin({
+    url,
+    token = '',
+    machineId = `mock-${process.pid}`,
+    hostname = 'mock-plugin',
+    capabilities = DEFAULT_CAPABILITIES,
+    protocolVersion = PROTOCOL_VERSION,
+    scenario = 'success',
+    delayMs = 20,
+    slowMs = 2000,
+    presets = ['shortsvideo'],
+    quiet = false
+}) {
+    let ws = null;
+    let serverConfig = null;
+    let history = []; // 서버가 보낸 최근 요청 기록 (패널 표시용 HISTORY)
+    const openProjects = new Set(); // 만들거나 연 프로젝트 경로 - 열린 프로젝트 목록, 파일명 충돌 검사
+    const received = []; // 받은 명령 기록 { requestId, action, data }
+    const startedAt = Date.now();
+
+    function log(message) {
+        if (!quiet) console.log(`[mock ${hostname}] ${message}`);
+    }
+
+    function send(message) {
+        if (ws && ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    }
+
+    function reply(requestId, status, data = {}) {
+        send({ requestId, status, ...data });
+    }
+
+    function replyError(requestId, error) {
+        reply(requestId, 'error', { error: error.message, code: error.code || 'PLUGIN_ERROR' });
+    }
+
+    function progress(requestId, step, message) {
+        send({ type: 'PROGRESS', requestId, step, message, level: 'info', timestamp: new Date().toISOString() });
+    }
+
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    /**
+     * index.js createNewProject 흉내 - 파일명, 저장 폴더, 프리셋, 시퀀스, 저장 순서
+     */
+    async function createProject(requestId, data) {
+        if (!serverConfig) {
+            throw codedError('PLUGIN_NOT_READY', '서버 기본값을 아직 받지 못했습니다');
+        }
+        const defaults = serverConfig.defaults;
+        const paths = serverConfig.paths || { allowedRoots: [defaults.savePath], onCollision: 'timestamp' };
+
+        progress(requestId, 1, '=== Step 1: 파일명 생성 ===');
+        const strategy = data.onCollision || paths.onCollision;
+        const baseName = sanitizeFileName(data.projectName);
+
+        progress(requestId, 2, '=== Step 2: 폴더 확보 ===');
+        const savePath = data.savePath || defaults.savePath;
+        // 이름 패턴으로 정한 이름은 같은 파일이 있을 때만 시각을 붙임
+        const patterned = !!(data.naming && data.naming.project) && !openProjects.has(joinPath(savePath, `${baseName}.prproj`));
+        const name = strategy === 'timestamp' && !patterned ? `${baseName}_${timestampSuffix()}` : baseName;
+        if (!paths.allowedRoots.some(root => isInsideRoot(root, savePath))) {
+            throw codedError('PATH_NOT_ALLOWED', `허용된 저장 폴더 밖입니다: ${savePath}`);
+        }
+        let projectPath = joinPath(savePath, `${name}.prproj`);
+        if (openProjects.has(projectPath) && strategy === 'fail') {
+            throw codedError('PROJECT_EXISTS', `같은 이름의 프로젝트 파일이 있습니다: ${projectPath}`);
+        }
+        for (let suffix = 2; openProjects.has(projectPath) && strategy !== 'overwrite'; suffix++) {
+            projectPath = joinPath(savePath, `${name}_${suffix}.prproj`);
+        }
+
+        progress(requestId, 3, '=== Step 3: 프리셋 검증 ===');
+        const presetName = data.presetName || (data.sequenceSettings ? null : defaults.presetName);
+        const presetFound = !presetName || presets.includes(presetName);
+        if (!presetFound && (data.onMissingPreset || defaults.onMissingPreset) !== 'default') {
+            throw codedError('PRESET_NOT_FOUND', `프리셋을 찾을 수 없습니다: ${presetName} (사용 가능: ${presets.join(', ') || '없음'})`);
+        }
+
+        progress(requestId, 4, '=== Step 4: 프로젝트 생성 ===');
+        progress(requestId, 6, '=== Step 6: 시퀀스 생성 ===');
+        if (mock.scenario === 'sequence-failure') {
+            throw codedError('SEQUENCE_CREATE_FAILED', '시퀀스 생성 실패 (mock)');
+        }
+
+        progress(requestId, 12, '=== Step 12: 프로젝트 저장 ===');
+        if (mock.scenario === 'save-failure') {
+            throw codedError('SAVE_FAILED', `프로젝트 파일 생성 실패: ${projectPath} (mock)`);
+        }
+
+        openProjects.add(projectPath);
+        const sequenceNames = data.template ? data.template.sequences.map(spec => spec.name) : [data.sequenceName || defaults.sequenceName];
+        const sequenceName = (data.template && data.template.activeSequence) || sequenceNames[0];
+        return {
+            projectName: projectPath.replace(/^.*[\\/]/, '').replace(/\.prproj$/, ''),
+            projectPath,
+            sequenceName,
+            presetUsed: presetName && presetFound ? presetName : '기본 설정',
+            templateName: data.template ? data.template.name : null,
+            bins: data.template ? data.template.bins || [] : [],
+            sequences: sequenceNames.map(name => ({ name, presetUsed: presetName, settings: null, active: name === sequenceName })),
+            importedItems: (data.media || []).map(item => ({ path: item.path, name: item.path.replace(/^.*[\\/]/, ''), bin: item.bin || 'Media', placed: item.place !== false })),
+            captions: null,
+            markers: null,
+            metadata: data.metadata ? { fields: Object.keys(data.metadata), xmpSupported: false, taggedItems: 0, sidecarPath: null } : null
+        };
+    }
+
+    async function runJob(requestId, action, data) {
+        if (mock.scenario === 'hang') {
+            log(`응답하지 않음: ${action}`);
+            return;
+        }
+        if (mock.scenario === 'disconnect') {
+            log(`연결 끊기: ${action}`);
+            ws.terminate();
+            return;
+        }
+        if (mock.scenario === 'slow') {
+            // 진행 이벤트가 오는 동안 서버는 제한 시간을 다시 잼
+            for (let elapsed = 0; elapsed < slowMs; elapsed += 250) {
+                progress(requestId, null, `대기 중 (${elapsed}ms)`);
+                await wait(250);
+            }
+        }
+        await wait(delayMs);
+
+        try {
+            let result;
+            if (action === 'CREATE_PROJECT') {
+                result = await createProject(requestId, data);
+            } else if (action === 'OPEN_PROJECT') {
+                openProjects.add(data.projectPath);
+                result = { projectName: data.projectPath.replace(/^.*[\\/]/, ''), projectPath: data.projectPath };
+            } else if (action === 'CLOSE_PROJECT') {
+                openProjects.delete(data.projectPath);
+                result = { closed: true, saved: !!data.save, projectPath: data.projectPath };
+            } else {
+                result = { importedItems: (data.media || []).map(item => ({ path: item.path, placed: false })) };
+            }
+            reply(requestId, 'success', result);
+        } catch (error) {
+            replyError(requestId, error);
+        }
+    }
+
+    function handleMessage(message) {
+        const { requestId, action, data = {} } = message;
+
+        if (action === 'CONFIG') {
+            serverConfig = data;
+            return;
+        }
+        if (action === 'HISTORY') {
+            history = data.entries || [];
+            return;
+        }
+        received.push({ requestId, action, data });
+
+        if (!capabilities.includes(action)) {
+            replyError(requestId, codedError('UNSUPPORTED_ACTION', `지원하지 않는 명령입니다: ${action}`));
+            return;
+        }
+        switch (action) {
+            case 'PING':
+                reply(requestId, 'pong', {
+                    health: {
+                        premiereVersion: '25.0.0-mock',
+                        openProjects: openProjects.size,
+                        busy: false,
+                        activeRequestId: null,
+                        memory: { totalBytes: os.totalmem(), freeBytes: os.freemem() },
+                        uptimeSeconds: Math.round((Date.now() - startedAt) / 1000)
+                    }
+                });
+                break;
+            case 'LIST_PRESETS':
+                reply(requestId, 'success', {
+                    premiereVersion: '25.0',
+                    presets: presets.map(name => ({ name, path: `/mock/presets/${name}.sqpreset` })),
+                    searchedFolders: ['/mock/presets']
+                });
+                break;
+            case 'LIST_OPEN_PROJECTS':
+                reply(requestId, 'success', {
+                    projects: Array.from(openProjects).map(projectPath => ({ projectPath, name: projectPath.replace(/^.*[\\/]/, '') }))
+                });
+                break;
+            default:
+                log(`명령 수신: ${action} (${mock.scenario})`);
+                runJob(requestId, action, data);
+        }
+    }
+
+    /**
+     * 연결하고 HELLO 전송 - 서버가 CONFIG를 보내면 resolve
+     * 서버가 연결을 끊으면(인증 실패 등) reject
+     */
+    function connect() {
+        return new Promise((resolve, reject) => {
+            ws = new WebSocket(url);
+            let ready = false;
+
+            ws.on('open', () => {
+                send({ type: 'HELLO', machineId, hostname, premiereVersion: '25.0.0-mock', protocolVersion, capabilities, token });
+            });
+            ws.on('message', raw => {
+                const message = JSON.parse(raw.toString());
+                handleMessage(message);
+                if (message.action === 'CONFIG' && !ready) {
+                    ready = true;
+                    log('연결됨');
+                    resolve(mock);
+                }
+            });
+            ws.on('close', (code, reason) => {
+                if (!ready) {
+                    reject(new Error(`서버가 연결을 닫았습니다 (${code} ${reason})`));
+                }
+            });
+            ws.on('error', error => {
+                if (!ready) reject(error);
+            });
+        });
+    }
+
+    /**
+     * 연결 종료 - 서버가 close 이벤트를 처리할 때까지 기다림
+     */
+    function close() {
+        return new Promise(resolve => {
+            if (!ws || ws.readyState === WebSocket.CLOSED) return resolve();
+            ws.once('close', () => resolve());
+            ws.close();
+        });
+    }
+
+    const mock = {
+        scenario,
+        machineId,
+        hostname,
+        received,
+        connect,
+        close,
+        get config() {
+            return serverConfig;
+        },
+        get history() {
+            return history;
+        }
+    };
+    return mock;
+}
+
+module.exports = { createMockPlugin, SCENARIOS, DEFAULT_CAPABILITIES };
+
+// 명령줄 실행 - 서버에 붙어 있다가 Ctrl+C로 종료
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const index = args.indexOf(`--${name}`);
+        return index >= 0 ? args[index + 1] : fallback;
+    };
+
+    const scenario = option('scenario', 'success');
+    if (!SCENARIOS.includes(scenario)) {
+        console.error(`❌ --scenario: ${SCENARIOS.join(', ')} 중 하나여야 합니다`);
+        process.exit(1);
+    }
+
+    const mock = createMockPlugin({
+        url: option('url', process.env.PREMIERE_WS_URL || 'ws://localhost:8080'),
+        token: option('token', process.env.PREMIERE_PLUGIN_SECRET || ''),
+        machineId: option('machine-id', `mock-${os.hostname()}`),
+        hostname: option('hostname', `mock-${os.hostname()}`),
+        scenario,
+        delayMs: parseInt(option('delay-ms', '20'), 10),
+        slowMs: parseInt(option('slow-ms', '2000'), 10)
+    });
+    mock.connect()
+        .then(() => console.log(`🧪 가짜 플러그인 실행 중 (시나리오: ${scenario}) - Ctrl+C로 종료`))
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            process.exit(1);
+        });
+}
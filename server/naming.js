@@ -0,0 +1,316 @@
+// ============================================
+// Naming Patterns
+// 프로젝트 파일 / 시퀀스 / 저장 폴더 이름 패턴 - "{name}_{date:YYYYMMDD}_{counter:03}", "{date}/{client}"
+// 서버가 작업을 등록할 때 이름을 정해 플러그인에 보냄 (플러그인은 받은 이름 그대로 사용)
+// ============================================
+const { readJson, writeJsonAtomic } = require('./store');
+const { sanitizeFileName, checkSavePath, MAX_NAME_LENGTH } = require('./pathPolicy');
+
+// {token} 또는 {token:형식}
+const TOKEN_PATTERN = /\{(\w+)(?::([^{}]*))?\}/g;
+const DATE_FORMAT_PATTERN = /YYYY|YY|MM|DD|HH|mm|ss/g;
+// {counter:03} = 3자리
+const COUNTER_FORMAT_PATTERN = /^\d{1,2}$/;
+
+// 형식을 지정할 수 있는 토큰
+const FORMATTED_TOKENS = ['date', 'time', 'counter'];
+
+// 패턴 종류별 토큰 - 번호는 저장 폴더별로 매길 수 있어 폴더 패턴에는 쓸 수 없음
+const PATTERN_TOKENS = {
+    project: ['name', 'date', 'time', 'counter', 'preset', 'client', 'user'],
+    sequence: ['sequence', 'name', 'date', 'time', 'counter', 'preset', 'client', 'user'],
+    folder: ['name', 'date', 'time', 'preset', 'client', 'user']
+};
+const PATTERN_KINDS = Object.keys(PATTERN_TOKENS);
+
+// {counter}: 'day' 날마다 1부터 | 'folder' 저장 폴더마다 1부터
+const COUNTER_SCOPES = ['day', 'folder'];
+
+// 값이 없을 때 오류 메시지에 붙일 안내
+const MISSING_VALUE_HINTS = {
+    preset: 'presetName을 지정하세요',
+    client: 'metadata.client를 지정하세요'
+};
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+/**
+ * 서버 시간대 날짜 형식 (YYYY, YY, MM, DD, HH, mm, ss)
+ */
+function formatDate(date, format) {
+    const parts = {
+        YYYY: String(date.getFullYear()),
+        YY: String(date.getFullYear()).slice(-2),
+        MM: pad(date.getMonth() + 1),
+        DD: pad(date.getDate()),
+        HH: pad(date.getHours()),
+        mm: pad(date.getMinutes()),
+        ss: pad(date.getSeconds())
+    };
+    return format.replace(DATE_FORMAT_PATTERN, token => parts[token]);
+}
+
+/**
+ * 패턴의 토큰을 resolve(token, format) 결과로 바꿈 (null이면 그대로 둠)
+ */
+function renderPattern(pattern, resolve) {
+    return pattern.replace(TOKEN_PATTERN, (match, token, format) => {
+        const value = resolve(token, format);
+        return value == null ? match : value;
+    });
+}
+
+function usesToken(pattern, token) {
+    return Array.from(pattern.matchAll(TOKEN_PATTERN)).some(match => match[1] === token);
+}
+
+/**
+ * 패턴 문법 검사 - 알 수 없는 토큰, 닫히지 않은 {, 형식
+ * @param {string[]} tokens 쓸 수 있는 토큰
+ * @returns {string[]} 오류 목록
+ */
+function checkPatternSyntax(pattern, tokens, label) {
+    const errors = [];
+    const matches = Array.from(pattern.matchAll(TOKEN_PATTERN));
+
+    const unknown = matches.map(match => match[1]).filter(token => !tokens.includes(token));
+    if (unknown.length > 0) {
+        errors.push(`${label}: 알 수 없는 토큰 ${unknown.map(token => `{${token}}`).join(', ')} (사용 가능: ${tokens.map(token => `{${token}}`).join(', ')})`);
+    }
+    if (pattern.replace(TOKEN_PATTERN, '').includes('{')) {
+        errors.push(`${label}: 닫히지 않은 { 가 있습니다`);
+    }
+
+    for (const [match, token, format] of matches) {
+        if (format === undefined || !tokens.includes(token)) continue;
+        if (!FORMATTED_TOKENS.includes(token)) {
+            errors.push(`${label}: {${token}}에는 형식을 지정할 수 없습니다 (${match})`);
+        } else if (token === 'counter' && !COUNTER_FORMAT_PATTERN.test(format)) {
+            errors.push(`${label}: {counter:03}처럼 자릿수를 지정해야 합니다 (${match})`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * 이름 패턴 묶음 검사 (config.json의 naming, 요청의 naming)
+ * 빈 문자열과 null은 "패턴 없음"
+ * @returns {string[]} 오류 목록
+ */
+function validatePatterns(patterns, label = 'naming') {
+    const errors = [];
+    for (const kind of PATTERN_KINDS) {
+        const pattern = patterns[kind];
+        if (pattern == null || pattern === '') continue;
+
+        const fieldLabel = `${label}.${kind}`;
+        if (typeof pattern !== 'string') {
+            errors.push(`${fieldLabel}: 문자열이어야 합니다`);
+            continue;
+        }
+        errors.push(...checkPatternSyntax(pattern, PATTERN_TOKENS[kind], fieldLabel));
+
+        const literal = pattern.replace(TOKEN_PATTERN, '');
+        if (kind !== 'folder' && /[\\/]/.test(literal)) {
+            errors.push(`${fieldLabel}: 경로(/, \\)를 포함할 수 없습니다 - 저장 폴더는 ${label}.folder로 지정하세요`);
+        }
+        if (kind === 'folder' && pattern.split(/[\\/]+/).some(segment => segment.trim() === '..')) {
+            errors.push(`${fieldLabel}: 상위 폴더(..)로 이동하는 경로는 쓸 수 없습니다`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * C:\..., \\server\share, /... 형식이면 절대 경로 - 아니면 savePath 기준 상대 경로
+ */
+function isAbsoluteFolder(folder) {
+    return /^([A-Za-z]:[\\/]|[\\/])/.test(folder);
+}
+
+/**
+ * {user} 값 - API 키 이름 (감시 폴더 / 예약은 watch / schedule)
+ */
+function requesterName(requestedBy) {
+    if (!requestedBy) return null;
+    return requestedBy.client || requestedBy.source || null;
+}
+
+/**
+ * 이름 패턴 처리기 생성
+ * @param {object} options
+ * @param {string} options.filePath {counter} 번호를 저장할 JSON 파일 경로
+ * @param {object} options.patterns config.json의 naming { project, sequence, folder } - 빈 문자열은 사용 안 함
+ * @param {string} options.counterScope 'day' | 'folder'
+ * @param {string[]} options.allowedRoots 저장 허용 폴더 (폴더 패턴 결과 검사)
+ */
+function createNamer({ filePath, patterns, counterScope, allowedRoots }) {
+    const counters = readJson(filePath, { counters: {} }).counters || {};
+
+    /**
+     * 서버 설정 패턴에 요청의 naming을 덮어쓴 결과 - 요청에서 null / ''이면 그 패턴은 사용 안 함
+     */
+    function activePatterns(data) {
+        const merged = { ...patterns, ...(data.naming || {}) };
+        const active = {};
+        for (const kind of PATTERN_KINDS) {
+            if (merged[kind]) active[kind] = merged[kind];
+        }
+        return active;
+    }
+
+    /**
+     * 작업 데이터(prepareCreateProject 결과)에 패턴을 적용한 이름
+     * @param {object} data CREATE_PROJECT 작업 데이터
+     * @param {object} [requestedBy] 요청자 ({user})
+     * @param {object} [options]
+     * @param {boolean} [options.commit] true면 {counter} 번호를 사용 (미리보기 / 검증은 false)
+     * @returns {{ names: object|null, errors: string[] }}
+     */
+    function resolve(data, requestedBy, { commit = false } = {}) {
+        const active = activePatterns(data);
+        const date = new Date();
+        const errors = [];
+        const values = {
+            name: data.projectName,
+            preset: data.presetName,
+            client: data.metadata ? data.metadata.client : null,
+            user: requesterName(requestedBy)
+        };
+        let counter = null;
+
+        function render(kind, extra = {}) {
+            const missing = new Set();
+            const label = `naming.${kind}`;
+            const result = renderPattern(active[kind], (token, format) => {
+                switch (token) {
+                    case 'date': return formatDate(date, format || 'YYYY-MM-DD');
+                    case 'time': return formatDate(date, format || 'HHmm');
+                    case 'counter': return String(counter).padStart(format ? parseInt(format, 10) : 1, '0');
+                    default: {
+                        const value = token in extra ? extra[token] : values[token];
+                        if (value == null || String(value).trim() === '') {
+                            missing.add(token);
+                            return '';
+                        }
+                        // 값에 든 / \ 등이 폴더 구분자나 잘못된 파일명이 되지 않도록
+                        return sanitizeFileName(String(value), '');
+                    }
+                }
+            });
+            // 값이 빠진 결과는 더 검사하지 않음 (빈 폴더 이름 때문에 절대 경로가 되는 등)
+            if (missing.size > 0) {
+                for (const token of missing) {
+                    errors.push(`${label}: {${token}} 값이 없습니다${MISSING_VALUE_HINTS[token] ? ` - ${MISSING_VALUE_HINTS[token]}` : ''}`);
+                }
+                return null;
+            }
+
+            const trimmed = result.trim();
+            if (kind !== 'folder' && trimmed.length > MAX_NAME_LENGTH) {
+                errors.push(`${label}: 결과가 ${MAX_NAME_LENGTH}자 이하여야 합니다 (현재: ${trimmed.length}자, ${trimmed})`);
+            } else if (sanitizeFileName(trimmed, '') === '') {
+                errors.push(`${label}: 결과가 비어 있습니다`);
+            }
+            return trimmed;
+        }
+
+        // 1. 저장 폴더 - 폴더별 번호가 폴더에 따라 정해지므로 먼저
+        let savePath = data.savePath;
+        const folder = active.folder ? render('folder') : null;
+        if (folder !== null) {
+            const joined = isAbsoluteFolder(folder) ? folder : `${data.savePath}/${folder}`;
+            const check = checkSavePath(joined, allowedRoots, 'naming.folder');
+            errors.push(...check.errors);
+            savePath = check.path;
+        }
+
+        // 2. 번호 - 프로젝트와 시퀀스 패턴이 같은 번호를 씀
+        const counterKey = counterScope === 'folder'
+            ? `folder:${savePath}`
+            : `day:${formatDate(date, 'YYYY-MM-DD')}`;
+        const usesCounter = ['project', 'sequence'].some(kind => active[kind] && usesToken(active[kind], 'counter'));
+        if (usesCounter) {
+            counter = (counters[counterKey] || 0) + 1;
+        }
+
+        // 3. 프로젝트 파일 이름
+        const projectName = active.project ? sanitizeFileName(render('project') || '') : data.projectName;
+
+        // 4. 시퀀스 이름 - 템플릿이면 템플릿의 시퀀스마다 ({sequence} = 원래 이름)
+        const baseNames = data.template ? data.template.sequences.map(spec => spec.name) : [data.sequenceName];
+        const sequenceNames = active.sequence
+            ? baseNames.map(name => render('sequence', { sequence: name }))
+            : baseNames;
+        if (!sequenceNames.includes(null) && new Set(sequenceNames).size !== sequenceNames.length) {
+            errors.push(`naming.sequence: 템플릿 시퀀스 이름이 겹칩니다 (${sequenceNames.join(', ')}) - {sequence}를 넣으세요`);
+        }
+
+        if (errors.length > 0) {
+            return { names: null, errors };
+        }
+
+        if (commit && usesCounter) {
+            counters[counterKey] = counter;
+            writeJsonAtomic(filePath, { counters });
+        }
+
+        const renamed = new Map(baseNames.map((name, index) => [name, sequenceNames[index]]));
+        return {
+            names: {
+                patterns: active,
+                projectName,
+                savePath,
+                sequenceNames,
+                activeSequence: data.template ? renamed.get(data.template.activeSequence) : sequenceNames[0],
+                counter
+            },
+            errors
+        };
+    }
+
+    /**
+     * 작업 등록 직전 패턴 적용 (번호 사용) - 요청 검증 때 resolve로 미리 확인한 뒤 호출
+     * 감시 폴더처럼 미리 확인하지 않은 요청은 여기서 오류 (error.details)
+     * @returns {object} 이름을 바꾼 작업 데이터 - naming: 적용한 패턴 (플러그인이 파일명 처리에 사용)
+     */
+    function apply(data, requestedBy) {
+        const { names, errors } = resolve(data, requestedBy, { commit: true });
+        if (errors.length > 0) {
+            const error = new Error('이름 패턴을 적용할 수 없습니다');
+            error.details = errors;
+            throw error;
+        }
+
+        const applied = {
+            ...data,
+            projectName: names.projectName,
+            savePath: names.savePath,
+            naming: Object.keys(names.patterns).length > 0 ? names.patterns : null
+        };
+        if (data.template) {
+            applied.template = {
+                ...data.template,
+                sequences: data.template.sequences.map((spec, index) => ({ ...spec, name: names.sequenceNames[index] })),
+                activeSequence: names.activeSequence
+            };
+        } else {
+            applied.sequenceName = names.sequenceNames[0];
+        }
+        return applied;
+    }
+
+    return { resolve, apply };
+}
+
+module.exports = {
+    createNamer,
+    validatePatterns,
+    checkPatternSyntax,
+    renderPattern,
+    formatDate,
+    PATTERN_TOKENS,
+    COUNTER_SCOPES
+};
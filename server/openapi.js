@@ -0,0 +1,181 @@
+// ============================================
+// OpenAPI
+// apiSchemas.js의 라우트 정의와 오류 코드 목록으로 OpenAPI 3.1 문서 생성 (GET /openapi.json)
+// ============================================
+const { ERROR_CODES, LANGUAGES } = require('./errors');
+
+// 응답 본문 스키마
+const COMPONENT_SCHEMAS = {
+    Error: {
+        type: 'object',
+        required: ['success', 'code', 'error'],
+        properties: {
+            success: { type: 'boolean', const: false },
+            code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+            error: { type: 'string', description: 'Accept-Language에 따른 메시지' },
+            details: { type: 'array', items: { type: 'string' }, description: '필드별 오류 ("필드: 메시지") 또는 플러그인 원본 메시지' }
+        }
+    },
+    JobAccepted: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            jobId: { type: 'string' },
+            status: { type: 'string' },
+            statusUrl: { type: 'string' }
+        }
+    },
+    BatchAccepted: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            batchId: { type: 'string' },
+            status: { type: 'string' },
+            itemCount: { type: 'integer' },
+            statusUrl: { type: 'string' }
+        }
+    },
+    Job: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            action: { type: 'string' },
+            status: { type: 'string', enum: ['queued', 'running', 'succeeded', 'failed'] },
+            result: { type: ['object', 'null'] },
+            error: { type: ['string', 'null'], description: '플러그인 원본 메시지' },
+            errorCode: { type: ['string', 'null'], enum: [...Object.keys(ERROR_CODES), null] },
+            progress: { type: ['object', 'null'] },
+            createdAt: { type: 'string', format: 'date-time' },
+            finishedAt: { type: ['string', 'null'], format: 'date-time' }
+        }
+    }
+};
+
+/**
+ * Express 경로 → OpenAPI 경로 (/jobs/:id → /jobs/{id})
+ */
+function toOpenApiPath(path) {
+    return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function toParameters(schema, location) {
+    if (!schema) return [];
+    return Object.entries(schema.properties || {}).map(([name, property]) => ({
+        name,
+        in: location,
+        required: location === 'path' || (schema.required || []).includes(name),
+        description: property.description,
+        schema: property
+    }));
+}
+
+function errorResponse(codes) {
+    return {
+        description: codes.join(', '),
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    };
+}
+
+/**
+ * 라우트 하나 → OpenAPI operation
+ */
+function toOperation(key, route) {
+    const operation = {
+        summary: route.summary,
+        tags: route.tag ? [route.tag] : undefined,
+        parameters: [
+            ...toParameters(route.params, 'path'),
+            ...toParameters(route.query || (route.csv && route.csv.query), 'query')
+        ],
+        responses: {}
+    };
+
+    if (route.body) {
+        const content = { 'application/json': { schema: route.body } };
+        if (route.csv) {
+            content['text/csv'] = { schema: { type: 'string' } };
+        }
+        operation.requestBody = { required: true, content };
+    }
+
+    for (const [status, response] of Object.entries(route.responses || { 200: '성공' })) {
+        const { description, schema, contentType = 'application/json' } =
+            typeof response === 'string' ? { description: response } : response;
+        const fallback = contentType === 'application/json' ? { type: 'object' } : { type: 'string' };
+        operation.responses[status] = {
+            description,
+            content: { [contentType]: { schema: schema ? { $ref: `#/components/schemas/${schema}` } : fallback } }
+        };
+    }
+
+    // 라우트에서 날 수 있는 오류를 상태 코드별로 묶음
+    const codes = ['API_KEY_MISSING', 'API_KEY_INVALID', 'ORIGIN_NOT_ALLOWED', ...(route.errors || [])];
+    if (route.params || route.query || route.body) {
+        codes.push('VALIDATION_FAILED');
+    }
+    if (route.body) {
+        codes.push('INVALID_JSON', 'PAYLOAD_TOO_LARGE', 'UNSUPPORTED_MEDIA_TYPE');
+    }
+    if (route.plugin) {
+        codes.push('PLUGIN_NOT_CONNECTED', 'TARGET_NOT_CONNECTED', 'PLUGIN_TIMEOUT',
+            ...Object.keys(ERROR_CODES).filter(code => ERROR_CODES[code].source === 'plugin'));
+    }
+    const byStatus = {};
+    for (const code of codes) {
+        const status = ERROR_CODES[code].status;
+        (byStatus[status] = byStatus[status] || []).push(code);
+    }
+    for (const [status, statusCodes] of Object.entries(byStatus)) {
+        operation.responses[status] = errorResponse([...new Set(statusCodes)]);
+    }
+
+    operation.operationId = key.replace(/[^\w]+/g, '_').replace(/_$/, '');
+    return operation;
+}
+
+/**
+ * OpenAPI 문서 생성
+ * @param {object} options
+ * @param {object} options.routes apiSchemas.js의 API_ROUTES
+ * @param {string} options.version 서버 버전
+ */
+function buildOpenApiDocument({ routes, version }) {
+    const paths = {};
+    for (const [key, route] of Object.entries(routes)) {
+        const [method, path] = key.split(' ');
+        const openApiPath = toOpenApiPath(path);
+        paths[openApiPath] = paths[openApiPath] || {};
+        paths[openApiPath][method.toLowerCase()] = toOperation(key, route);
+    }
+
+    const errorCodes = Object.entries(ERROR_CODES)
+        .map(([code, entry]) => `| \`${code}\` | ${entry.status} | ${entry.messages.ko} |`)
+        .join('\n');
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Premiere Pro Remote Server',
+            version,
+            description: [
+                'Premiere Pro 프로젝트를 원격으로 만드는 HTTP API.',
+                `오류 응답의 \`error\` 메시지는 Accept-Language (${LANGUAGES.join(', ')})에 따라 바뀝니다. 분기는 \`code\`로 하세요.`,
+                '',
+                '| code | HTTP | 메시지 |',
+                '|------|------|--------|',
+                errorCodes
+            ].join('\n')
+        },
+        security: [{ apiKey: [] }, { bearer: [] }],
+        paths,
+        components: {
+            schemas: COMPONENT_SCHEMAS,
+            securitySchemes: {
+                apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+                bearer: { type: 'http', scheme: 'bearer' }
+            }
+        }
+    };
+}
+
+module.exports = { buildOpenApiDocument };
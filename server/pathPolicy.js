@@ -0,0 +1,170 @@
+// ============================================
+// Path Policy
+// 프로젝트 저장 경로 / 파일명 규칙 - 허용된 저장 폴더, 상위 폴더 이동(..) 금지, Windows 예약 이름, 길이 제한
+// 플러그인(index.js)도 같은 규칙으로 다시 검사
+// ============================================
+const path = require('path');
+
+// 같은 이름의 프로젝트 파일이 있을 때:
+// 'timestamp' (항상 _YYYYMMDD_HHMMSS를 붙임, 기존 동작 - 이름 패턴으로 정한 이름은 겹칠 때만) | 'increment' (_2, _3 ...) | 'fail' (작업 실패) | 'overwrite' (덮어쓰기)
+const COLLISION_STRATEGIES = ['timestamp', 'increment', 'fail', 'overwrite'];
+
+// 접미사(_20260103_161234, _2)와 .prproj를 붙여도 파일명 255자를 넘지 않도록
+const MAX_NAME_LENGTH = 100;
+// Windows MAX_PATH(260)에서 파일명 자리를 뺀 폴더 경로 길이
+const MAX_FOLDER_PATH_LENGTH = 140;
+
+const INVALID_NAME_CHAR = /[<>:"/\\|?*\x00-\x1f]/;
+const INVALID_NAME_CHARS = new RegExp(INVALID_NAME_CHAR.source, 'g');
+const RESERVED_NAME = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+
+/**
+ * C:\..., \\server\share 형식이면 Windows 경로
+ * 서버와 플러그인의 OS가 다를 수 있어 서버 OS가 아닌 경로 모양으로 판단
+ */
+function isWindowsPath(filePath) {
+    return /^[A-Za-z]:[\\/]/.test(filePath) || filePath.startsWith('\\\\');
+}
+
+function pathApi(filePath) {
+    return isWindowsPath(filePath) ? path.win32 : path.posix;
+}
+
+function splitSegments(filePath) {
+    return filePath.split(/[\\/]+/).filter(Boolean);
+}
+
+/**
+ * Windows 예약 이름 (CON, NUL, COM1 ... - 확장자가 붙어도 예약됨)
+ */
+function isReservedName(name) {
+    return RESERVED_NAME.test(name);
+}
+
+/**
+ * 파일명으로 쓸 수 없는 문자를 '-'로 바꾸고 예약 이름/길이를 처리
+ * 끝의 점과 공백은 Windows에서 사라지므로 제거
+ */
+function sanitizeFileName(name, fallback = 'NewProject') {
+    let safe = String(name == null ? '' : name)
+        .replace(INVALID_NAME_CHARS, '-')
+        .trim()
+        .replace(/[. ]+$/, '');
+    if (safe === '') {
+        safe = fallback;
+    }
+    if (isReservedName(safe)) {
+        safe = `${safe}_`;
+    }
+    return safe.slice(0, MAX_NAME_LENGTH).replace(/[. ]+$/, '');
+}
+
+/**
+ * projectName 검사 - 경로가 섞인 이름은 거부하고, 나머지 문자는 sanitizeFileName이 바꿈
+ * @returns {string[]} 필드별 오류
+ */
+function checkProjectName(projectName) {
+    if (projectName == null) return [];
+
+    const errors = [];
+    if (/[\\/]/.test(projectName) || projectName.trim() === '..' || projectName.trim() === '.') {
+        errors.push('projectName: 경로(/, \\, ..)를 포함할 수 없습니다 - 저장 폴더는 savePath로 지정하세요');
+    }
+    if (projectName.length > MAX_NAME_LENGTH) {
+        errors.push(`projectName: ${MAX_NAME_LENGTH}자 이하여야 합니다 (현재: ${projectName.length}자)`);
+    }
+    return errors;
+}
+
+/**
+ * 경로가 root 안(root 자신 포함)에 있는지
+ */
+function isInsideRoot(root, target) {
+    if (isWindowsPath(root) !== isWindowsPath(target)) return false;
+
+    const api = pathApi(root);
+    // Windows 경로는 대소문자 구분 없음
+    const fold = value => (api === path.win32 ? value.toLowerCase() : value);
+    const relative = api.relative(fold(api.normalize(root)), fold(api.normalize(target)));
+    return relative === '' || (!relative.startsWith('..') && !api.isAbsolute(relative));
+}
+
+/**
+ * savePath 검사 및 정리
+ * @param {string} savePath 요청의 저장 폴더 (생략 시 호출하지 않음)
+ * @param {string[]} allowedRoots 허용된 저장 폴더 (하위 폴더 포함)
+ * @returns {{ path: string|null, errors: string[] }}
+ */
+function checkSavePath(savePath, allowedRoots, label = 'savePath') {
+    const errors = [];
+    const segments = splitSegments(savePath);
+
+    if (segments.includes('..')) {
+        return { path: null, errors: [`${label}: 상위 폴더(..)로 이동하는 경로는 쓸 수 없습니다`] };
+    }
+    const api = pathApi(savePath);
+    if (!api.isAbsolute(savePath)) {
+        return { path: null, errors: [`${label}: 절대 경로여야 합니다`] };
+    }
+
+    // Windows 드라이브(C:)와 UNC 서버 이름을 뺀 폴더 이름 검사
+    const folderNames = isWindowsPath(savePath) ? segments.slice(savePath.startsWith('\\\\') ? 2 : 1) : segments;
+    for (const name of folderNames) {
+        if (INVALID_NAME_CHAR.test(name)) {
+            errors.push(`${label}: 폴더 이름에 쓸 수 없는 문자가 있습니다 (${name})`);
+        } else if (isReservedName(name)) {
+            errors.push(`${label}: Windows 예약 이름은 폴더 이름으로 쓸 수 없습니다 (${name})`);
+        }
+    }
+
+    // 끝의 구분자 제거 (드라이브 루트 C:\ 는 그대로)
+    let normalized = api.normalize(savePath);
+    if (normalized !== api.parse(normalized).root) {
+        normalized = normalized.replace(/[\\/]+$/, '');
+    }
+    if (normalized.length > MAX_FOLDER_PATH_LENGTH) {
+        errors.push(`${label}: ${MAX_FOLDER_PATH_LENGTH}자 이하여야 합니다 (현재: ${normalized.length}자)`);
+    }
+    if (!allowedRoots.some(root => isInsideRoot(root, normalized))) {
+        errors.push(`${label}: 허용된 저장 폴더 밖입니다 (허용: ${allowedRoots.join(', ')})`);
+    }
+
+    return { path: errors.length > 0 ? null : normalized, errors };
+}
+
+/**
+ * 출력 파일 경로 검사 (내보내기 outputPath) - 폴더는 savePath와 같은 규칙, 파일명은 쓸 수 있는 이름이어야 함
+ * @returns {{ path: string|null, errors: string[] }}
+ */
+function checkOutputPath(outputPath, allowedRoots, label = 'outputPath') {
+    const separator = Math.max(outputPath.lastIndexOf('/'), outputPath.lastIndexOf('\\'));
+    const folderPath = separator >= 0 ? outputPath.slice(0, separator + 1) : '';
+    const fileName = outputPath.slice(separator + 1);
+
+    if (fileName.trim() === '' || fileName === '.' || fileName === '..') {
+        return { path: null, errors: [`${label}: 파일명이 있는 경로여야 합니다`] };
+    }
+    const folderCheck = checkSavePath(folderPath || fileName, allowedRoots, label);
+    const errors = [...folderCheck.errors];
+    if (INVALID_NAME_CHAR.test(fileName)) {
+        errors.push(`${label}: 파일명에 쓸 수 없는 문자가 있습니다 (${fileName})`);
+    } else if (isReservedName(fileName)) {
+        errors.push(`${label}: Windows 예약 이름은 파일명으로 쓸 수 없습니다 (${fileName})`);
+    }
+    if (errors.length > 0) {
+        return { path: null, errors };
+    }
+    return { path: pathApi(outputPath).join(folderCheck.path, fileName), errors: [] };
+}
+
+module.exports = {
+    COLLISION_STRATEGIES,
+    MAX_NAME_LENGTH,
+    MAX_FOLDER_PATH_LENGTH,
+    sanitizeFileName,
+    checkProjectName,
+    checkSavePath,
+    checkOutputPath,
+    isInsideRoot,
+    isReservedName
+};
@@ -0,0 +1,282 @@
+// ============================================
+// Plugin Registry
+// 연결된 UXP 플러그인 추적 및 작업 라우팅
+// ============================================
+const WebSocket = require('ws');
+
+// 대상 지정 없는 작업을 배분하는 정책
+const ROUTING_POLICIES = ['round-robin', 'least-busy'];
+
+// least-busy가 최근 부하로 보는 구간 - 이 시간 안에 받은 작업 수를 비교
+const RECENT_LOAD_WINDOW_MS = 10 * 60 * 1000;
+
+// 플러그인 메시지 형식 버전 - HELLO의 protocolVersion (없으면 1)
+// 1: capabilities가 비어 있으면 모든 명령을 보냄
+// 2: capabilities에 있는 명령만 보냄, 플러그인은 모르는 명령에 바로 UNSUPPORTED_ACTION 응답
+// 서버보다 새 플러그인은 서버 버전으로 맞춤 - 정한 버전은 CONFIG의 protocolVersion으로 알림
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 1;
+
+/**
+ * HELLO의 protocolVersion으로 이 연결에서 쓸 버전 결정 - 서버가 구현한 버전을 넘지 않음
+ * @returns {number|null} 받아들일 수 없는 버전이면 null
+ */
+function resolveProtocolVersion(version) {
+    if (version == null) return 1;
+    if (!Number.isInteger(version) || version < MIN_PROTOCOL_VERSION) return null;
+    return Math.min(version, PROTOCOL_VERSION);
+}
+
+function createPluginRegistry() {
+    const plugins = new Map(); // ws → plugin
+    let nextPluginId = 0;
+    let lastAssignedId = 0; // round-robin 위치
+
+    /**
+     * 새 연결 추가 - HELLO 핸드셰이크 전까지는 작업을 받지 않음
+     */
+    function add(ws) {
+        const plugin = {
+            id: ++nextPluginId,
+            ws,
+            registered: false,
+            machineId: null,
+            hostname: null,
+            premiereVersion: null,
+            protocolVersion: null,
+            capabilities: [],
+            currentJobId: null,
+            jobsAssigned: 0,
+            recentJobStarts: [], // 최근 작업 배정 시각 (least-busy)
+            connectedAt: new Date().toISOString(),
+            registeredAt: null,
+            lastJobAt: null,
+            // 하트비트 - 마지막 메시지 수신 시각, 마지막 PING 왕복 시간, PING 응답의 상태 보고
+            lastSeenAt: Date.now(),
+            pingSentAt: null,
+            latencyMs: null,
+            health: null
+        };
+        plugins.set(ws, plugin);
+        return plugin;
+    }
+
+    function remove(ws) {
+        const plugin = plugins.get(ws);
+        plugins.delete(ws);
+        return plugin || null;
+    }
+
+    function get(ws) {
+        return plugins.get(ws) || null;
+    }
+
+    /**
+     * HELLO 핸드셰이크 정보 등록
+     * @param {number} protocolVersion resolveProtocolVersion으로 확인한 버전
+     */
+    function register(ws, info, protocolVersion) {
+        const plugin = plugins.get(ws);
+        if (!plugin) return null;
+
+        Object.assign(plugin, {
+            registered: true,
+            machineId: info.machineId || null,
+            hostname: info.hostname || null,
+            premiereVersion: info.premiereVersion || null,
+            protocolVersion,
+            capabilities: Array.isArray(info.capabilities) ? info.capabilities : [],
+            registeredAt: new Date().toISOString()
+        });
+        return plugin;
+    }
+
+    /**
+     * 플러그인에서 메시지를 받을 때마다 호출 (하트비트 기준 시각)
+     */
+    function touch(plugin) {
+        plugin.lastSeenAt = Date.now();
+    }
+
+    /**
+     * PING 응답 기록
+     * @param {object} [health] 플러그인 상태 보고 { premiereVersion, openProjects, memory, busy, ... }
+     */
+    function recordPong(plugin, health) {
+        if (plugin.pingSentAt) {
+            plugin.latencyMs = Date.now() - plugin.pingSentAt;
+            plugin.pingSentAt = null;
+        }
+        if (health && typeof health === 'object') {
+            plugin.health = { ...health, reportedAt: new Date().toISOString() };
+        }
+    }
+
+    /**
+     * 제한 시간 동안 아무 메시지도 보내지 않은 연결 (응답 없는 소켓)
+     */
+    function listStale(timeoutMs) {
+        const now = Date.now();
+        return Array.from(plugins.values()).filter(plugin => plugin.registered && now - plugin.lastSeenAt > timeoutMs);
+    }
+
+    /**
+     * 작업 대상(target)과 일치하는지 - machineId, hostname, 플러그인 번호 순으로 비교
+     */
+    function matchesTarget(plugin, target) {
+        return plugin.machineId === target ||
+            plugin.hostname === target ||
+            String(plugin.id) === String(target);
+    }
+
+    function hasTarget(target) {
+        return Array.from(plugins.values()).some(plugin => plugin.registered && matchesTarget(plugin, target));
+    }
+
+    /**
+     * 조회용 요청을 보낼 플러그인 - target이 없으면 action을 지원하는 유휴 플러그인 우선
+     * target이 있으면 지원 여부와 관계없이 해당 플러그인 (지원하지 않으면 요청 시 UNSUPPORTED_ACTION)
+     */
+    function find(target, action = null) {
+        const registered = Array.from(plugins.values()).filter(plugin =>
+            plugin.registered && plugin.ws.readyState === WebSocket.OPEN);
+        if (target) {
+            return registered.find(plugin => matchesTarget(plugin, target)) || null;
+        }
+        const capable = action ? registered.filter(plugin => supports(plugin, action)) : registered;
+        return capable.find(isIdle) || capable[0] || registered[0] || null;
+    }
+
+    function isIdle(plugin) {
+        return plugin.registered &&
+            plugin.ws.readyState === WebSocket.OPEN &&
+            !plugin.currentJobId;
+    }
+
+    /**
+     * 플러그인이 명령을 지원하는지 - 프로토콜 1은 capabilities가 비어 있으면 모두 지원으로 간주
+     */
+    function supports(plugin, action) {
+        if (plugin.protocolVersion < 2 && plugin.capabilities.length === 0) return true;
+        return plugin.capabilities.includes(action);
+    }
+
+    /**
+     * 대상 작업을 영영 실행할 수 없는지 - 대상 플러그인이 연결되어 있고 모두 명령을 지원하지 않음
+     */
+    function targetLacksAction(target, action) {
+        const matching = Array.from(plugins.values()).filter(plugin => plugin.registered && matchesTarget(plugin, target));
+        return matching.length > 0 && !matching.some(plugin => supports(plugin, action));
+    }
+
+    /**
+     * 최근 RECENT_LOAD_WINDOW_MS 동안 받은 작업 수 (지난 기록은 정리)
+     */
+    function recentLoad(plugin, now = Date.now()) {
+        plugin.recentJobStarts = plugin.recentJobStarts.filter(startedAt => now - startedAt < RECENT_LOAD_WINDOW_MS);
+        return plugin.recentJobStarts.length;
+    }
+
+    /**
+     * 작업을 실행할 유휴 플러그인 선택
+     * target이 있으면 해당 플러그인만, 없으면 정책에 따라 하나를 고름
+     */
+    function select(job, policy) {
+        const candidates = Array.from(plugins.values())
+            .filter(plugin => isIdle(plugin) && supports(plugin, job.action))
+            .filter(plugin => !job.target || matchesTarget(plugin, job.target));
+
+        if (candidates.length === 0) return null;
+        if (job.target) return candidates[0];
+
+        if (policy === 'least-busy') {
+            // 후보는 모두 유휴 상태 - 최근에 받은 작업이 가장 적은 플러그인, 같으면 가장 오래 쉰 플러그인
+            const now = Date.now();
+            return candidates.reduce((best, plugin) => {
+                const load = recentLoad(plugin, now);
+                const bestLoad = recentLoad(best, now);
+                if (load !== bestLoad) {
+                    return load < bestLoad ? plugin : best;
+                }
+                return (plugin.lastJobAt || '') < (best.lastJobAt || '') ? plugin : best;
+            });
+        }
+
+        // round-robin: 마지막으로 작업을 받은 플러그인 다음 번호
+        const sorted = candidates.sort((a, b) => a.id - b.id);
+        return sorted.find(plugin => plugin.id > lastAssignedId) || sorted[0];
+    }
+
+    function assign(plugin, jobId) {
+        plugin.currentJobId = jobId;
+        plugin.jobsAssigned++;
+        recentLoad(plugin);
+        plugin.recentJobStarts.push(Date.now());
+        plugin.lastJobAt = new Date().toISOString();
+        lastAssignedId = plugin.id;
+    }
+
+    function release(plugin) {
+        plugin.currentJobId = null;
+    }
+
+    /**
+     * API 응답용 플러그인 정보 (소켓 제외)
+     */
+    function describe(plugin) {
+        const { ws, lastSeenAt, pingSentAt, recentJobStarts, ...info } = plugin;
+        return {
+            ...info,
+            recentJobs: recentLoad(plugin),
+            lastSeenAt: new Date(lastSeenAt).toISOString(),
+            status: !plugin.registered ? 'handshaking' : plugin.currentJobId ? 'busy' : 'idle'
+        };
+    }
+
+    function list() {
+        return Array.from(plugins.values()).map(describe);
+    }
+
+    function registeredCount() {
+        return Array.from(plugins.values()).filter(plugin => plugin.registered).length;
+    }
+
+    /**
+     * 등록된 플러그인 (소켓 포함 - 하트비트, 지표 수집용)
+     */
+    function registered() {
+        return Array.from(plugins.values()).filter(plugin => plugin.registered);
+    }
+
+    return {
+        add,
+        remove,
+        get,
+        register,
+        touch,
+        recordPong,
+        listStale,
+        registered,
+        hasTarget,
+        find,
+        supports,
+        targetLacksAction,
+        select,
+        assign,
+        release,
+        list,
+        registeredCount,
+        get size() {
+            return plugins.size;
+        }
+    };
+}
+
+module.exports = {
+    createPluginRegistry,
+    resolveProtocolVersion,
+    ROUTING_POLICIES,
+    RECENT_LOAD_WINDOW_MS,
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION
+};
@@ -0,0 +1,96 @@
+// ============================================
+// Progress Events
+// 플러그인이 보낸 단계별 진행 이벤트와 작업 상태 변화를 API 클라이언트(SSE, 대시보드 WebSocket)에 전달
+// ============================================
+const { EventEmitter } = require('events');
+
+const LEVELS = ['info', 'success', 'warn', 'error'];
+
+// 작업별로 보관하는 최근 이벤트 수 (늦게 연결한 클라이언트에게 다시 보내줌)
+const MAX_EVENTS_PER_JOB = 200;
+const MAX_JOBS = 200;
+
+function createProgressHub() {
+    const events = new EventEmitter();
+    const history = new Map(); // jobId → 이벤트 목록 (삽입 순서 = 오래된 순)
+    let nextEventId = 0;
+
+    events.setMaxListeners(0); // SSE 연결마다 리스너가 붙음
+
+    function remember(event) {
+        let list = history.get(event.jobId);
+        if (!list) {
+            list = [];
+            history.set(event.jobId, list);
+            if (history.size > MAX_JOBS) {
+                history.delete(history.keys().next().value);
+            }
+        }
+        list.push(event);
+        if (list.length > MAX_EVENTS_PER_JOB) list.shift();
+    }
+
+    function publish(event) {
+        const full = { id: ++nextEventId, ...event };
+        remember(full);
+        events.emit('event', full);
+        return full;
+    }
+
+    /**
+     * 플러그인 PROGRESS 메시지 → 진행 이벤트
+     * { requestId, step, message, level, timestamp }
+     */
+    function publishProgress(jobId, data) {
+        return publish({
+            type: 'progress',
+            jobId,
+            requestId: data.requestId,
+            step: Number.isInteger(data.step) ? data.step : null,
+            message: String(data.message || ''),
+            level: LEVELS.includes(data.level) ? data.level : 'info',
+            timestamp: data.timestamp || new Date().toISOString()
+        });
+    }
+
+    /**
+     * 작업 상태 변화 → 상태 이벤트
+     */
+    function publishStatus(job) {
+        // 진행률만 바뀐 업데이트는 건너뜀
+        const last = (history.get(job.id) || []).filter(event => event.type === 'status').pop();
+        if (last && last.status === job.status) return null;
+
+        return publish({
+            type: 'status',
+            jobId: job.id,
+            requestId: job.id,
+            status: job.status,
+            error: job.error || null,
+            timestamp: job.updatedAt
+        });
+    }
+
+    /**
+     * 작업의 지난 이벤트 (afterId 이후만)
+     */
+    function getHistory(jobId, afterId = 0) {
+        return (history.get(jobId) || []).filter(event => event.id > afterId);
+    }
+
+    /**
+     * 이벤트 구독 - jobId를 주면 그 작업 이벤트만
+     * @returns {() => void} 구독 해제 함수
+     */
+    function subscribe(listener, { jobId } = {}) {
+        const handler = event => {
+            if (!jobId || event.jobId === jobId) listener(event);
+        };
+        events.on('event', handler);
+        return () => events.off('event', handler);
+    }
+
+    return { publishProgress, publishStatus, getHistory, subscribe };
+}
+
+module.exports = { createProgressHub };
@@ -0,0 +1,143 @@
+// ============================================
+// Project Metadata
+// 프로젝트 메타데이터(client, campaign, episode ...) 검증과 생성된 프로젝트 목록 (GET /projects)
+// 플러그인은 같은 값을 시퀀스 / 가져온 클립의 XMP와 .prproj 옆 사이드카 JSON에 기록
+// ============================================
+const { readJson, writeJsonAtomic } = require('./store');
+const { JOB_STATUS } = require('./jobQueue');
+
+// XMP 속성 이름으로 그대로 쓰므로 XML 이름 규칙의 안전한 부분만 허용
+const FIELD_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,39}$/;
+const MAX_FIELDS = 30;
+const MAX_VALUE_LENGTH = 500;
+
+// GET /projects 쿼리에서 검색 옵션으로 쓰는 이름 - 메타데이터 필드 이름으로 쓸 수 없음
+const RESERVED_FIELDS = ['q', 'limit'];
+
+// 목록에 보관할 최대 프로젝트 수 (오래된 것부터 삭제)
+const MAX_PROJECTS = 5000;
+
+/**
+ * metadata 객체 검증
+ * 값은 문자열 / 숫자 / 불리언만 (null은 생략), 중첩 객체는 받지 않음
+ *
+ * { "client": "Acme", "campaign": "Spring Sale", "episode": 12 }
+ *
+ * @returns {{ metadata: object|null, errors: string[] }}
+ */
+function normalizeMetadata(metadata) {
+    if (metadata == null) {
+        return { metadata: null, errors: [] };
+    }
+    if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+        return { metadata: null, errors: ['metadata: 객체여야 합니다'] };
+    }
+
+    const errors = [];
+    const result = {};
+    const entries = Object.entries(metadata).filter(([, value]) => value != null);
+
+    if (entries.length > MAX_FIELDS) {
+        errors.push(`metadata: 필드는 ${MAX_FIELDS}개 이하여야 합니다 (현재: ${entries.length}개)`);
+    }
+    for (const [name, value] of entries) {
+        const label = `metadata.${name}`;
+        if (!FIELD_NAME_PATTERN.test(name)) {
+            errors.push(`${label}: 필드 이름은 영문자로 시작하는 영문자/숫자/_ 40자 이하여야 합니다`);
+        } else if (RESERVED_FIELDS.includes(name)) {
+            errors.push(`${label}: 검색 옵션 이름(${RESERVED_FIELDS.join(', ')})은 필드 이름으로 쓸 수 없습니다`);
+        } else if (!['string', 'number', 'boolean'].includes(typeof value)) {
+            errors.push(`${label}: 문자열, 숫자 또는 불리언이어야 합니다`);
+        } else if (typeof value === 'number' && !Number.isFinite(value)) {
+            errors.push(`${label}: 올바른 숫자가 아닙니다`);
+        } else if (String(value).length > MAX_VALUE_LENGTH) {
+            errors.push(`${label}: ${MAX_VALUE_LENGTH}자 이하여야 합니다`);
+        } else {
+            result[name] = typeof value === 'string' ? value.trim() : value;
+        }
+    }
+
+    if (errors.length > 0) {
+        return { metadata: null, errors };
+    }
+    return { metadata: Object.keys(result).length > 0 ? result : null, errors };
+}
+
+/**
+ * 생성된 프로젝트 목록 생성
+ * 끝난 CREATE_PROJECT 작업을 기록 - 같은 경로에 다시 만들면(덮어쓰기) 새 기록으로 교체
+ *
+ * @param {object} options
+ * @param {string} options.filePath 목록을 저장할 JSON 파일 경로
+ * @param {object} options.jobQueue
+ */
+function createProjectIndex({ filePath, jobQueue }) {
+    const projects = new Map(); // `${machineId}|${projectPath}` → 기록 (삽입 순서 = 생성 순서)
+
+    function persist() {
+        writeJsonAtomic(filePath, { projects: Array.from(projects.values()) });
+    }
+
+    function onJobUpdated(job) {
+        if (job.action !== 'CREATE_PROJECT' || job.status !== JOB_STATUS.SUCCEEDED) return;
+
+        const result = job.result || {};
+        const data = job.data || {};
+        const key = `${job.pluginId}|${result.projectPath}`;
+        const metadataResult = result.metadata || {};
+
+        projects.delete(key);
+        projects.set(key, {
+            jobId: job.id,
+            projectName: result.projectName || data.projectName,
+            projectPath: result.projectPath || null,
+            sequenceName: result.sequenceName || null,
+            machineId: job.pluginId,
+            metadata: data.metadata || {},
+            sidecarPath: metadataResult.sidecarPath || null,
+            createdAt: job.finishedAt
+        });
+
+        while (projects.size > MAX_PROJECTS) {
+            projects.delete(projects.keys().next().value);
+        }
+        persist();
+    }
+
+    /**
+     * 프로젝트 검색 (최신순)
+     * @param {object} [filter]
+     * @param {object} [filter.fields] 메타데이터 필드 → 값 (대소문자 구분 없이 일치)
+     * @param {string} [filter.q] 프로젝트 이름 / 메타데이터 값에 포함된 문자열
+     * @param {number} [filter.limit]
+     */
+    function search({ fields = {}, q, limit } = {}) {
+        const wanted = Object.entries(fields).map(([name, value]) => [name, String(value).toLowerCase()]);
+        const text = q ? q.toLowerCase() : null;
+
+        let result = Array.from(projects.values()).reverse().filter(project =>
+            wanted.every(([name, value]) =>
+                project.metadata[name] != null && String(project.metadata[name]).toLowerCase() === value));
+
+        if (text) {
+            result = result.filter(project =>
+                [project.projectName, ...Object.values(project.metadata)]
+                    .some(value => value != null && String(value).toLowerCase().includes(text)));
+        }
+        return limit ? result.slice(0, limit) : result;
+    }
+
+    const saved = readJson(filePath, { projects: [] });
+    for (const project of saved.projects || []) {
+        projects.set(`${project.machineId}|${project.projectPath}`, project);
+    }
+    jobQueue.events.on('updated', onJobUpdated);
+
+    return { search };
+}
+
+module.exports = {
+    normalizeMetadata,
+    createProjectIndex,
+    RESERVED_FIELDS
+};
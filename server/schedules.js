@@ -0,0 +1,272 @@
+// ============================================
+// Schedules
+// cron 식에 맞춰 저장된 /create-project 요청을 작업으로 등록 (매일 아침 7시 브이로그 프로젝트 등)
+// 서버가 꺼져 있던 동안 놓친 실행은 catchUp 정책으로 처리
+// ============================================
+const { readJson, writeJsonAtomic } = require('./store');
+const { parseCron, nextRun, listRuns } = require('./cron');
+const { checkPatternSyntax, renderPattern, formatDate } = require('./naming');
+
+// 예약 이름은 URL 경로에 그대로 쓰므로 템플릿 이름과 같은 규칙
+const SCHEDULE_NAME_PATTERN = /^[\w가-힣-]{1,64}$/;
+
+// 놓친 실행: 'skip' 건너뜀 | 'once' 가장 최근 것 한 번만 | 'all' 놓친 횟수만큼 (최대 MAX_CATCH_UP_RUNS)
+const CATCH_UP_POLICIES = ['skip', 'once', 'all'];
+const MAX_CATCH_UP_RUNS = 24;
+
+// 예정 시각에서 이 시간 안이면 놓친 것이 아니라 제시간 실행 (타이머 지연, 절전 복귀 직후)
+const ON_TIME_GRACE_MS = 60 * 1000;
+
+// 타이머 최대 대기 - 시스템 시계가 바뀌어도 한 시간 안에는 다시 계산
+const MAX_TIMER_MS = 60 * 60 * 1000;
+
+// projectName 패턴 토큰 (날짜 형식은 naming.js와 같음)
+const NAME_TOKENS = ['date', 'time', 'schedule'];
+
+/**
+ * projectName 패턴 적용 - 날짜는 실행 예정 시각 기준 (놓친 실행을 나중에 만들어도 그날 날짜)
+ * "daily-vlog_{date}" → "daily-vlog_2026-05-03"
+ */
+function applyNamePattern(pattern, { date, schedule }) {
+    return renderPattern(pattern, (token, format) => {
+        switch (token) {
+            case 'date': return formatDate(date, format || 'YYYY-MM-DD');
+            case 'time': return formatDate(date, format || 'HHmm');
+            case 'schedule': return schedule;
+            default: return null;
+        }
+    });
+}
+
+/**
+ * 예약 정의 검증 (형식은 apiSchemas.js에서 먼저 검사)
+ * 저장된 요청 내용(템플릿 존재, 저장 경로 등)은 server.js에서 /create-project와 같은 검사를 거침
+ * @returns {string[]} 오류 목록
+ */
+function validateSchedule(spec) {
+    const errors = [];
+
+    if (!SCHEDULE_NAME_PATTERN.test(spec.name)) {
+        errors.push('name: 1~64자의 영문, 한글, 숫자, _, - 만 사용할 수 있습니다');
+    }
+    errors.push(...parseCron(spec.cron).errors);
+
+    if (spec.namePattern != null) {
+        errors.push(...checkPatternSyntax(spec.namePattern, NAME_TOKENS, 'namePattern'));
+    }
+
+    if (spec.template != null && spec.request && spec.request.template != null) {
+        errors.push('template: request.template과 함께 지정할 수 없습니다');
+    }
+    return errors;
+}
+
+/**
+ * 예약 실행기 생성
+ * @param {object} options
+ * @param {string} options.filePath 예약 목록을 저장할 JSON 파일 경로
+ * @param {string} options.defaultCatchUp 예약에 catchUp이 없을 때의 정책
+ * @param {(spec: object, requestedBy: object) => ({ data: object }|{ error: string, details?: string[] })} options.prepare /create-project 요청 검증 (server.js)
+ * @param {(data: object, options: object) => object} options.enqueue 작업 등록 후 job 반환
+ */
+function createScheduler({ filePath, defaultCatchUp, prepare, enqueue }) {
+    const schedules = new Map(); // name → schedule
+    let timer = null;
+
+    function persist() {
+        writeJsonAtomic(filePath, { schedules: Array.from(schedules.values()) });
+    }
+
+    /**
+     * 실행 예정 시각의 /create-project 요청 (namePattern 적용)
+     */
+    function buildRequest(schedule, date) {
+        const spec = { ...schedule.request };
+        if (schedule.namePattern) {
+            spec.projectName = applyNamePattern(schedule.namePattern, { date, schedule: schedule.name });
+        }
+        return spec;
+    }
+
+    /**
+     * 한 번 실행 - 요청 검증이 실패하면(템플릿 삭제 등) 작업 없이 lastRun에 오류 기록
+     */
+    function fire(schedule, scheduledAt) {
+        const spec = buildRequest(schedule, scheduledAt);
+        const run = { scheduledAt: scheduledAt.toISOString(), at: new Date().toISOString(), jobId: null, error: null, details: null };
+        const requestedBy = { source: 'schedule', client: null, schedule: schedule.name, scheduledAt: run.scheduledAt };
+
+        const prepared = prepare(spec, requestedBy);
+        if (prepared.error) {
+            Object.assign(run, { error: prepared.error, details: prepared.details || null });
+            console.error(`❌ 예약 실행 실패 "${schedule.name}": ${prepared.error}`, prepared.details || '');
+        } else {
+            const job = enqueue(prepared.data, {
+                target: spec.target || null,
+                callbackUrl: spec.callbackUrl || null,
+                requestedBy
+            });
+            run.jobId = job.id;
+            schedule.runCount++;
+            console.log(`⏰ 예약 실행 "${schedule.name}": ${prepared.data.projectName} (작업 ${job.id})`);
+        }
+        schedule.lastRun = run;
+    }
+
+    /**
+     * 마지막 처리 시각 이후 도래한 실행 처리
+     * 방금 지난 실행은 그대로, 그 전에 놓친 실행은 catchUp 정책대로
+     */
+    function runDue(schedule, now) {
+        const { cron } = parseCron(schedule.cron);
+        const { runs, total } = listRuns(cron, new Date(schedule.lastScheduledAt), now, MAX_CATCH_UP_RUNS + 1);
+        if (total === 0) return false;
+
+        const latest = runs[runs.length - 1];
+        const onTime = now - latest < ON_TIME_GRACE_MS ? latest : null;
+        const missed = onTime ? runs.slice(0, -1) : runs;
+        const missedCount = onTime ? total - 1 : total;
+
+        const due = [];
+        if (missedCount > 0) {
+            const policy = schedule.catchUp || defaultCatchUp;
+            if (policy === 'all') {
+                due.push(...missed.slice(-MAX_CATCH_UP_RUNS));
+            } else if (policy === 'once' && !onTime) {
+                due.push(missed[missed.length - 1]);
+            }
+            console.log(`⏰ 예약 "${schedule.name}" 놓친 실행 ${missedCount}회 - ${policy} 정책으로 ${due.length}회 실행`);
+        }
+        if (onTime) {
+            due.push(onTime);
+        }
+
+        for (const scheduledAt of due) {
+            fire(schedule, scheduledAt);
+        }
+        schedule.lastScheduledAt = latest.toISOString();
+        return true;
+    }
+
+    function enabledSchedules() {
+        return Array.from(schedules.values()).filter(schedule => schedule.enabled);
+    }
+
+    /**
+     * 도래한 예약을 실행하고 가장 가까운 다음 실행 시각에 타이머 설정
+     */
+    function tick() {
+        const now = new Date();
+        let changed = false;
+        for (const schedule of enabledSchedules()) {
+            if (runDue(schedule, now)) changed = true;
+        }
+        if (changed) persist();
+
+        clearTimeout(timer);
+        const nextTimes = enabledSchedules().map(schedule => describe(schedule).nextRunAt).filter(Boolean);
+        if (nextTimes.length === 0) return;
+
+        const delayMs = Math.min(...nextTimes.map(time => new Date(time) - Date.now()), MAX_TIMER_MS);
+        timer = setTimeout(tick, Math.max(0, delayMs));
+        timer.unref();
+    }
+
+    /**
+     * 응답용 예약 - 다음 실행 시각과 그때 만들어질 프로젝트 이름 포함
+     */
+    function describe(schedule) {
+        const { cron } = parseCron(schedule.cron);
+        const next = schedule.enabled ? nextRun(cron, new Date(Math.max(Date.now(), new Date(schedule.lastScheduledAt)))) : null;
+        return {
+            ...schedule,
+            catchUp: schedule.catchUp || defaultCatchUp,
+            nextRunAt: next ? next.toISOString() : null,
+            nextProjectName: next ? buildRequest(schedule, next).projectName || null : null
+        };
+    }
+
+    function list() {
+        return Array.from(schedules.values())
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(describe);
+    }
+
+    function get(name) {
+        const schedule = schedules.get(name);
+        return schedule ? describe(schedule) : null;
+    }
+
+    /**
+     * 다음 실행 때 보낼 /create-project 요청 (저장 전 검증용)
+     */
+    function preview(spec) {
+        const { cron } = parseCron(spec.cron);
+        const next = nextRun(cron, new Date());
+        return buildRequest({ ...spec, request: { ...spec.request, ...(spec.template ? { template: spec.template } : {}) } }, next);
+    }
+
+    /**
+     * 예약 저장 (같은 이름이 있으면 교체)
+     * cron을 바꾸거나 다시 켜면 그 전 시간의 실행은 놓친 것으로 보지 않음
+     * @returns {{ schedule: object, created: boolean }}
+     */
+    function save(spec) {
+        const existing = schedules.get(spec.name);
+        const now = new Date().toISOString();
+        const enabled = spec.enabled !== false;
+        const keepProgress = existing && existing.enabled && enabled && existing.cron === spec.cron.trim();
+
+        const schedule = {
+            name: spec.name,
+            description: spec.description || '',
+            cron: spec.cron.trim(),
+            namePattern: spec.namePattern || null,
+            request: { ...spec.request, ...(spec.template ? { template: spec.template } : {}) },
+            catchUp: spec.catchUp || null,
+            enabled,
+            lastScheduledAt: keepProgress ? existing.lastScheduledAt : now,
+            lastRun: existing ? existing.lastRun : null,
+            runCount: existing ? existing.runCount : 0,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+
+        schedules.set(schedule.name, schedule);
+        persist();
+        tick();
+        return { schedule: describe(schedule), created: !existing };
+    }
+
+    function remove(name) {
+        if (!schedules.delete(name)) return false;
+        persist();
+        tick();
+        return true;
+    }
+
+    /**
+     * 저장된 예약 복원 후 서버가 꺼져 있던 동안 놓친 실행 처리
+     */
+    function load() {
+        const saved = readJson(filePath, { schedules: [] });
+        for (const schedule of saved.schedules || []) {
+            schedules.set(schedule.name, schedule);
+        }
+        if (schedules.size > 0) {
+            console.log(`⏰ 예약 ${schedules.size}개 (사용 ${enabledSchedules().length}개)`);
+        }
+        tick();
+    }
+
+    load();
+
+    return { list, get, save, remove, preview };
+}
+
+module.exports = {
+    createScheduler,
+    validateSchedule,
+    applyNamePattern,
+    CATCH_UP_POLICIES
+};
@@ -0,0 +1,184 @@
+// ============================================
+// Request Schema Validation
+// JSON Schema의 필요한 부분만 구현한 요청 검증기 (apiSchemas.js의 라우트 정의 사용)
+// 형식 검사만 담당 - 자막 파싱 같은 내용 검사는 각 모듈(captions.js, media.js ...)이 이어서 수행
+// ============================================
+const { sendError, resolveLanguage } = require('./errors');
+
+// 지원 키워드: type, properties, required, additionalProperties, items, enum,
+//             minimum, maximum, minLength, maxLength, pattern, minItems, maxItems
+const MESSAGES = {
+    ko: {
+        type: types => `${types.join(' 또는 ')} 형식이어야 합니다`,
+        required: () => '필수 항목입니다',
+        additional: () => '알 수 없는 필드입니다',
+        enum: values => `${values.join(', ')} 중 하나여야 합니다`,
+        minimum: limit => `${limit} 이상이어야 합니다`,
+        maximum: limit => `${limit} 이하여야 합니다`,
+        minLength: limit => `${limit}자 이상이어야 합니다`,
+        maxLength: limit => `${limit}자 이하여야 합니다`,
+        pattern: pattern => `형식이 맞지 않습니다 (${pattern})`,
+        minItems: limit => `항목이 ${limit}개 이상이어야 합니다`,
+        maxItems: limit => `항목이 ${limit}개 이하여야 합니다`
+    },
+    en: {
+        type: types => `must be ${types.join(' or ')}`,
+        required: () => 'is required',
+        additional: () => 'is not a known field',
+        enum: values => `must be one of ${values.join(', ')}`,
+        minimum: limit => `must be >= ${limit}`,
+        maximum: limit => `must be <= ${limit}`,
+        minLength: limit => `must be at least ${limit} characters`,
+        maxLength: limit => `must be at most ${limit} characters`,
+        pattern: pattern => `does not match ${pattern}`,
+        minItems: limit => `must have at least ${limit} items`,
+        maxItems: limit => `must have at most ${limit} items`
+    }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function joinPath(base, key) {
+    if (typeof key === 'number') return `${base}[${key}]`;
+    return base ? `${base}.${key}` : key;
+}
+
+/**
+ * 값 검증
+ * @param {string} [path] 오류 메시지 앞에 붙일 필드 경로
+ * @returns {string[]} "필드: 메시지" 형식의 오류 목록
+ */
+function validateSchema(schema, value, { path = '', lang = 'ko' } = {}) {
+    const messages = MESSAGES[lang] || MESSAGES.ko;
+    const errors = [];
+    const fail = (message) => errors.push(path ? `${path}: ${message}` : message);
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            fail(messages.type(types));
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(messages.enum(schema.enum));
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum != null && value < schema.minimum) fail(messages.minimum(schema.minimum));
+        if (schema.maximum != null && value > schema.maximum) fail(messages.maximum(schema.maximum));
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength != null && value.length < schema.minLength) fail(messages.minLength(schema.minLength));
+        if (schema.maxLength != null && value.length > schema.maxLength) fail(messages.maxLength(schema.maxLength));
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(messages.pattern(schema.pattern));
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems != null && value.length < schema.minItems) fail(messages.minItems(schema.minItems));
+        if (schema.maxItems != null && value.length > schema.maxItems) fail(messages.maxItems(schema.maxItems));
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateSchema(schema.items, item, { path: joinPath(path, index), lang }));
+            });
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) {
+                errors.push(`${joinPath(path, name)}: ${messages.required()}`);
+            }
+        }
+        for (const [name, item] of Object.entries(value)) {
+            const propertySchema = schema.properties && schema.properties[name];
+            if (propertySchema) {
+                // null은 "지정 안 함"으로 취급 (기존 클라이언트 호환)
+                if (item !== null || schema.required && schema.required.includes(name)) {
+                    errors.push(...validateSchema(propertySchema, item, { path: joinPath(path, name), lang }));
+                }
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${joinPath(path, name)}: ${messages.additional()}`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * 쿼리 문자열 값을 스키마 타입에 맞게 변환 (?limit=20 → 20)
+ * 변환할 수 없는 값은 그대로 두어 검증에서 걸리게 함
+ */
+function coerceQuery(schema, query) {
+    const result = { ...query };
+    for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+        const value = result[name];
+        if (typeof value !== 'string') continue;
+
+        const types = Array.isArray(propertySchema.type) ? propertySchema.type : [propertySchema.type];
+        if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !isNaN(Number(value))) {
+            result[name] = Number(value);
+        } else if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+            result[name] = value === 'true';
+        }
+    }
+    return result;
+}
+
+/**
+ * 라우트 정의로 요청 검증 미들웨어 생성
+ * 실패하면 400 VALIDATION_FAILED와 필드별 오류(details)를 응답
+ *
+ * @param {object} route apiSchemas.js의 라우트 정의 { params, query, body, csv }
+ */
+function validateRequest(route) {
+    return (req, res, next) => {
+        const lang = resolveLanguage(req.get('Accept-Language'));
+        const errors = [];
+
+        // 본문은 JSON만 (CSV 라우트는 text/csv도) - 해석하지 않은 형식의 본문을 빈 요청으로 처리하지 않도록
+        // req.is()는 본문이 없으면 null
+        const bodyTypes = route.csv ? ['json', 'text/csv'] : ['json'];
+        if (req.is() && !req.is(bodyTypes)) {
+            return sendError(res, 'UNSUPPORTED_MEDIA_TYPE', {
+                params: { contentType: req.get('Content-Type') },
+                details: [`Content-Type: ${route.csv ? 'application/json, text/csv' : 'application/json'}`]
+            });
+        }
+
+        if (route.params) {
+            errors.push(...validateSchema(route.params, req.params, { lang }));
+        }
+
+        // CSV 본문이면 옵션은 쿼리 파라미터로 받음 (text/csv 해석기는 CSV 라우트에만 있음)
+        const isCsv = route.csv && typeof req.body === 'string';
+        const querySchema = isCsv && route.csv ? route.csv.query : route.query;
+        if (querySchema) {
+            errors.push(...validateSchema(querySchema, coerceQuery(querySchema, req.query), { lang }));
+        }
+
+        if (route.body && !isCsv) {
+            errors.push(...validateSchema(route.body, req.body === undefined ? {} : req.body, { lang }));
+        }
+
+        if (errors.length > 0) {
+            return sendError(res, 'VALIDATION_FAILED', { details: errors });
+        }
+        next();
+    };
+}
+
+module.exports = { validateSchema, validateRequest, coerceQuery };
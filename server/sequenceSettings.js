@@ -0,0 +1,156 @@
+// ============================================
+// Sequence Settings
+// .sqpreset 없이 시퀀스 설정(프레임 크기, 프레임 레이트, 픽셀 종횡비, 오디오, 트랙 수) 지정
+// ============================================
+
+// 내장 화면비 프로필 - 명시한 필드가 프로필 값보다 우선
+const SEQUENCE_PROFILES = {
+    shorts: { width: 1080, height: 1920, frameRate: 30 },
+    reels: { width: 1080, height: 1920, frameRate: 30 },
+    youtube: { width: 1920, height: 1080, frameRate: 30 },
+    square: { width: 1080, height: 1080, frameRate: 30 }
+};
+
+const PROFILE_DEFAULTS = {
+    pixelAspectRatio: '1:1',
+    audioSampleRate: 48000
+};
+
+const AUDIO_SAMPLE_RATES = [32000, 44100, 48000, 96000];
+const MAX_FRAME_SIZE = 8192;
+const MAX_FRAME_RATE = 120;
+const MAX_TRACKS = 99;
+
+function gcd(a, b) {
+    return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * 픽셀 종횡비 → "가로:세로" 문자열 (1 → "1:1", "10:11" 그대로)
+ * @returns {string|null} 형식이 틀리면 null
+ */
+function parsePixelAspectRatio(value) {
+    if (typeof value === 'number' && value > 0) {
+        const numerator = Math.round(value * 1000);
+        const divisor = gcd(numerator, 1000);
+        return `${numerator / divisor}:${1000 / divisor}`;
+    }
+    const match = typeof value === 'string' && value.match(/^(\d+):(\d+)$/);
+    if (!match || match[1] === '0' || match[2] === '0') return null;
+    return `${match[1]}:${match[2]}`;
+}
+
+/**
+ * 요청의 sequenceSettings 검증 및 정규화
+ * 프로필 이름 문자열 또는 객체를 받음
+ *
+ * {
+ *   "profile": "shorts",          // 선택 - shorts | reels | youtube | square
+ *   "frameSize": "1080x1920",     // 또는 "width": 1080, "height": 1920
+ *   "frameRate": 29.97,
+ *   "pixelAspectRatio": "1:1",
+ *   "audioSampleRate": 48000,
+ *   "videoTracks": 3,
+ *   "audioTracks": 4
+ * }
+ *
+ * @param {string} [label] 오류 메시지 앞에 붙일 필드 이름
+ * @returns {{ settings: object|null, errors: string[] }}
+ */
+function normalizeSequenceSettings(input, label = 'sequenceSettings') {
+    if (input == null) {
+        return { settings: null, errors: [] };
+    }
+
+    const spec = typeof input === 'string' ? { profile: input } : input;
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        return { settings: null, errors: [`${label}: 프로필 이름 또는 설정 객체여야 합니다`] };
+    }
+
+    const errors = [];
+    let base = {};
+    if (spec.profile != null) {
+        base = SEQUENCE_PROFILES[spec.profile];
+        if (!base) {
+            return {
+                settings: null,
+                errors: [`${label}.profile: ${Object.keys(SEQUENCE_PROFILES).join(', ')} 중 하나여야 합니다`]
+            };
+        }
+        base = { ...PROFILE_DEFAULTS, ...base };
+    }
+
+    let { width, height } = spec;
+    if (spec.frameSize != null) {
+        const match = typeof spec.frameSize === 'string' && spec.frameSize.match(/^(\d+)x(\d+)$/i);
+        if (!match) {
+            errors.push(`${label}.frameSize: "1080x1920" 형식이어야 합니다`);
+        } else {
+            width = parseInt(match[1], 10);
+            height = parseInt(match[2], 10);
+        }
+    }
+
+    const settings = {
+        profile: spec.profile || null,
+        width: width != null ? width : base.width,
+        height: height != null ? height : base.height,
+        frameRate: spec.frameRate != null ? spec.frameRate : base.frameRate,
+        pixelAspectRatio: spec.pixelAspectRatio != null ? spec.pixelAspectRatio : base.pixelAspectRatio,
+        audioSampleRate: spec.audioSampleRate != null ? spec.audioSampleRate : base.audioSampleRate,
+        videoTracks: spec.videoTracks,
+        audioTracks: spec.audioTracks
+    };
+
+    for (const field of ['width', 'height']) {
+        const value = settings[field];
+        if (value != null && (!Number.isInteger(value) || value < 16 || value > MAX_FRAME_SIZE || value % 2 !== 0)) {
+            errors.push(`${label}.${field}: 16~${MAX_FRAME_SIZE} 사이의 짝수여야 합니다`);
+        }
+    }
+    if ((settings.width == null) !== (settings.height == null)) {
+        errors.push(`${label}: width와 height는 함께 지정해야 합니다`);
+    }
+
+    if (settings.frameRate != null) {
+        const frameRate = Number(settings.frameRate);
+        if (!Number.isFinite(frameRate) || frameRate <= 0 || frameRate > MAX_FRAME_RATE) {
+            errors.push(`${label}.frameRate: 0보다 크고 ${MAX_FRAME_RATE} 이하인 숫자여야 합니다`);
+        } else {
+            settings.frameRate = frameRate;
+        }
+    }
+
+    if (settings.pixelAspectRatio != null) {
+        const ratio = parsePixelAspectRatio(settings.pixelAspectRatio);
+        if (!ratio) {
+            errors.push(`${label}.pixelAspectRatio: "1:1" 형식 또는 양수여야 합니다`);
+        } else {
+            settings.pixelAspectRatio = ratio;
+        }
+    }
+
+    if (settings.audioSampleRate != null && !AUDIO_SAMPLE_RATES.includes(settings.audioSampleRate)) {
+        errors.push(`${label}.audioSampleRate: ${AUDIO_SAMPLE_RATES.join(', ')} 중 하나여야 합니다`);
+    }
+
+    for (const field of ['videoTracks', 'audioTracks']) {
+        const value = settings[field];
+        if (value != null && (!Number.isInteger(value) || value < 1 || value > MAX_TRACKS)) {
+            errors.push(`${label}.${field}: 1~${MAX_TRACKS} 사이의 정수여야 합니다`);
+        }
+    }
+
+    if (errors.length > 0) {
+        return { settings: null, errors };
+    }
+
+    // 지정하지 않은 항목은 프리셋(또는 Premiere 기본값) 그대로
+    const result = Object.fromEntries(Object.entries(settings).filter(([, value]) => value != null));
+    if (Object.keys(result).length === 0) {
+        return { settings: null, errors: [`${label}: 변경할 설정이 없습니다`] };
+    }
+    return { settings: result, errors: [] };
+}
+
+module.exports = { normalizeSequenceSettings, SEQUENCE_PROFILES, AUDIO_SAMPLE_RATES };
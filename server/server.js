@@ -5,59 +5,452 @@
 const express = require('express');
 const WebSocket = require('ws');
 const path = require('path');
-const os = require('os');
+const crypto = require('crypto');
+const { createJobQueue, JOB_STATUS } = require('./jobQueue');
+const { normalizeMedia } = require('./media');
+const { normalizeCaptions } = require('./captions');
+const { normalizeSequenceSettings, SEQUENCE_PROFILES } = require('./sequenceSettings');
+const { normalizeMarkers, parseMarkerCsv, markersToCsv } = require('./markers');
+const { createFolderWatcher } = require('./watchFolders');
+const { createBatchRunner, parseBatchCsv, MAX_BATCH_ITEMS } = require('./batches');
+const { createPluginRegistry, resolveProtocolVersion, PROTOCOL_VERSION } = require('./pluginRegistry');
+const { createTemplateStore, validateTemplate } = require('./templates');
+const { loadConfig, describeOptions, MISSING_PRESET_POLICIES } = require('./config');
+const { createApiKeyAuth, createCorsMiddleware, createWebSocketAuth, verifyPluginToken, logAuthFailure } = require('./auth');
+const { createProgressHub } = require('./progressEvents');
+const { sendError, createCodedError, normalizePluginErrorCode } = require('./errors');
+const { validateRequest } = require('./schema');
+const { API_ROUTES, EXPORT_TYPES } = require('./apiSchemas');
+const { buildOpenApiDocument } = require('./openapi');
+const { COLLISION_STRATEGIES, checkSavePath, checkOutputPath, checkProjectName } = require('./pathPolicy');
+const { createWebhookDispatcher, checkCallbackUrl } = require('./webhooks');
+const { createMetricsRegistry } = require('./metrics');
+const { normalizeMetadata, createProjectIndex, RESERVED_FIELDS } = require('./projectMetadata');
+const { createHistoryLog, parseHistoryQuery, historyToCsv } = require('./history');
+const { createScheduler, validateSchedule } = require('./schedules');
+const { createNamer, validatePatterns } = require('./naming');
 
 // ===================================
 // Configuration
 // ===================================
-const HTTP_PORT = 3000;
-const WS_PORT = 8080;
+// 기본값 → config.json → 환경 변수 → CLI 플래그 (server/config.js 참고)
+let loaded;
+try {
+    loaded = loadConfig({ argv: process.argv.slice(2), env: process.env });
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+if (loaded.help) {
+    console.log('사용법: node server.js [--config <파일>] [옵션]\n');
+    console.log('  옵션                       환경 변수                        설정 키');
+    console.log(describeOptions());
+    process.exit(0);
+}
+const { config, sources } = loaded;
 
-// Desktop/inbox 경로 계산
-const desktopPath = path.join(os.homedir(), 'Desktop');
-const inboxPath = path.join(desktopPath, 'inbox');
+const HTTP_PORT = config.server.httpPort;
+const WS_PORT = config.server.wsPort;
+const DATA_DIR = config.server.dataDir;
 
-// 기본값 - 여기서만 수정하면 됨!
-const DEFAULT_PRESET_NAME = 'shortsvideo'; // 프리셋 파일명 (확장자 제외)
-const DEFAULT_SEQUENCE_NAME = '타임라인 01';
+const inboxPath = config.defaults.savePath;
+const DEFAULT_PRESET_NAME = config.defaults.presetName; // 프리셋 파일명 (확장자 제외)
+const DEFAULT_SEQUENCE_NAME = config.defaults.sequenceName;
+const DEFAULT_ON_MISSING_PRESET = config.defaults.onMissingPreset;
 
+// 프로젝트 저장 허용 폴더, 파일명 충돌 처리 (pathPolicy.js)
+const PATH_POLICY = config.paths;
+
+const SERVER_VERSION = '2.0.0';
+
+// 플러그인 응답 제한 시간
+const JOB_TIMEOUT_MS = config.jobs.timeoutMs;
+const QUERY_TIMEOUT_MS = config.jobs.queryTimeoutMs;
+
+// 오래 걸리는 작업은 진행률 메시지가 올 때마다 제한 시간을 다시 잼 (마지막 진행 이후 대기 시간)
+const ACTION_TIMEOUTS_MS = {
+    EXPORT_SEQUENCE: 10 * 60 * 1000
+};
+
+// 플러그인이 연결 후 HELLO를 보내야 하는 제한 시간
+const HANDSHAKE_TIMEOUT_MS = config.jobs.handshakeTimeoutMs;
+
+// 하트비트 - PING 간격, 이 시간 동안 아무 메시지도 없는 플러그인은 연결 종료
+const HEARTBEAT_INTERVAL_MS = config.plugin.heartbeatIntervalMs;
+const HEARTBEAT_TIMEOUT_MS = config.plugin.heartbeatTimeoutMs;
+
+// 대상(target) 없는 작업을 어느 플러그인에 보낼지: 'round-robin' | 'least-busy'
+const ROUTING_POLICY = config.jobs.routingPolicy;
+
+// API 키, 플러그인 공유 비밀, CORS 허용 목록
+const AUTH_CONFIG = config.auth;
+
+// 감시 폴더 (비어 있으면 사용 안 함)
+const WATCH_CONFIG = config.watch;
+
+// captions.path로 자막 파일을 읽을 수 있는 폴더 - 저장 허용 폴더와 감시 폴더
+const CAPTION_ROOTS = [...PATH_POLICY.allowedRoots, ...WATCH_CONFIG.folders];
+
+// 작업 완료 웹훅 (전역 URL, 서명 비밀, 재시도)
+const WEBHOOK_CONFIG = config.webhooks;
+
+// 프로젝트 파일 / 시퀀스 / 저장 폴더 이름 패턴, {counter} 범위
+const NAMING_CONFIG = config.naming;
+
+// 예약 - 놓친 실행 처리 기본 정책
+const SCHEDULE_CONFIG = config.schedules;
+
+// 요청 기록 보관 수, 플러그인 패널에 보낼 최근 기록 수
+const HISTORY_CONFIG = config.history;
+
+console.log('⚙️ 설정 파일:', loaded.configPath);
+for (const [key, source] of Object.entries(sources)) {
+    if (source !== 'default') {
+        console.log(`   ${key} ← ${source}`);
+    }
+}
 console.log('📁 기본 저장 경로:', inboxPath);
+console.log('🛡️ 저장 허용 폴더:', PATH_POLICY.allowedRoots.join(', '), `(충돌 시 ${PATH_POLICY.onCollision})`);
 console.log('🎬 기본 프리셋:', DEFAULT_PRESET_NAME);
 console.log('📹 기본 시퀀스:', DEFAULT_SEQUENCE_NAME);
+if (AUTH_CONFIG.apiKeys.length === 0) {
+    console.warn(`⚠️ API 키가 설정되지 않아 HTTP API가 인증 없이 열려 있습니다 (${loaded.configPath})`);
+}
+if (WEBHOOK_CONFIG.urls.length > 0) {
+    console.log('🔔 웹훅:', WEBHOOK_CONFIG.urls.join(', '));
+}
+if (!WEBHOOK_CONFIG.secret) {
+    console.warn('⚠️ webhooks.secret이 설정되지 않아 웹훅을 서명 없이 보냅니다');
+}
+if (!AUTH_CONFIG.pluginSecret) {
+    console.warn('⚠️ pluginSecret이 설정되지 않아 모든 WebSocket 클라이언트를 플러그인으로 받아들입니다');
+}
 
 // ===================================
-// WebSocket Server (포트 8080)
+// WebSocket Server
 // ===================================
 const wss = new WebSocket.Server({ port: WS_PORT });
 
-// 연결된 클라이언트 추적
-const clients = new Set();
+// 연결된 플러그인 추적
+// createNewProject는 동시 실행이 안전하지 않으므로 플러그인당 한 번에 하나의 작업만 보냄
+const pluginRegistry = createPluginRegistry();
 
 // 대기 중인 응답 콜백
 const pendingCallbacks = new Map();
-let requestId = 0;
+
+// ===================================
+// Job Queue
+// ===================================
+const jobQueue = createJobQueue({
+    filePath: path.join(DATA_DIR, 'jobs.json')
+});
+
+// 진행 이벤트 - GET /jobs/:id/events (SSE), 대시보드 WebSocket(/events)으로 전달
+const progressHub = createProgressHub();
+jobQueue.events.on('updated', job => progressHub.publishStatus(job));
+
+/**
+ * 작업을 플러그인에 전송하고 응답을 기다림
+ */
+function runJobOnPlugin(plugin, job) {
+    pluginRegistry.assign(plugin, job.id);
+    jobQueue.markRunning(job.id, plugin.machineId || plugin.id);
+
+    const timeoutMs = ACTION_TIMEOUTS_MS[job.action] || JOB_TIMEOUT_MS;
+    // 시간 초과 - 작업은 실패 처리하지만 플러그인은 아직 그 작업을 실행 중일 수 있으므로
+    // 늦은 응답이 오거나 연결이 끊길 때까지 바쁜 상태로 두고 다음 작업을 보내지 않음
+    const onTimeout = () => {
+        console.log(`❌ 작업 시간 초과: ${job.id} - 플러그인 #${plugin.id} 응답을 기다리는 동안 새 작업을 보내지 않음`);
+        pendingCallbacks.set(job.id, {
+            plugin,
+            onResponse: () => {
+                console.log(`⌛ 시간 초과된 작업의 늦은 응답: ${job.id} (결과는 기록하지 않음)`);
+                pluginRegistry.release(plugin);
+                dispatchJobs();
+            }
+        });
+        jobQueue.fail(job.id, `플러그인 응답 시간 초과 (${timeoutMs / 1000}초)`, 'PLUGIN_TIMEOUT');
+    };
+
+    const pending = {
+        plugin,
+        timeout: setTimeout(onTimeout, timeoutMs),
+        // 진행률 수신 시 제한 시간 연장
+        touch: () => {
+            clearTimeout(pending.timeout);
+            pending.timeout = setTimeout(onTimeout, timeoutMs);
+        },
+        onResponse: (response) => {
+            clearTimeout(pending.timeout);
+            pluginRegistry.release(plugin);
+            handleJobResponse(job, response);
+            dispatchJobs();
+        }
+    };
+    pendingCallbacks.set(job.id, pending);
+
+    const message = JSON.stringify({
+        requestId: job.id,
+        action: job.action,
+        data: job.data
+    });
+
+    console.log(`→ 작업 전송 [${job.action}] ${job.id} → 플러그인 #${plugin.id} (${plugin.hostname || plugin.machineId})`);
+    plugin.ws.send(message);
+}
+
+/**
+ * 플러그인 응답을 작업 결과로 기록
+ */
+function handleJobResponse(job, response) {
+    const { requestId, status, error, code, ...result } = response;
+
+    if (status === 'success') {
+        console.log(`✅ 작업 성공: ${job.id}`);
+        if (job.action === 'CREATE_PROJECT') {
+            console.log('   프로젝트:', result.projectName);
+            console.log('   시퀀스:', result.sequenceName);
+            console.log('   프리셋:', result.presetUsed);
+            console.log('   경로:', result.projectPath);
+        } else if (job.action === 'EXPORT_SEQUENCE') {
+            console.log('   출력 파일:', result.outputPath);
+        }
+        jobQueue.succeed(job.id, result);
+    } else {
+        const errorCode = normalizePluginErrorCode(code);
+        console.log(`❌ 작업 실패: ${job.id} [${errorCode}]`, error);
+        jobQueue.fail(job.id, error || '프로젝트 생성 실패', errorCode);
+    }
+}
+
+/**
+ * 대기 중인 작업을 유휴 플러그인에 배분
+ * 대상이 지정된 작업은 해당 플러그인이 쉴 때까지 기다리고, 나머지 작업은 정책에 따라 하나의 플러그인에만 보냄
+ * 명령을 지원하는 플러그인에만 보내며, 대상 플러그인이 지원하지 않는 명령이면 기다리지 않고 실패 처리
+ */
+function dispatchJobs() {
+    for (const job of jobQueue.listQueued()) {
+        if (job.target && pluginRegistry.targetLacksAction(job.target, job.action)) {
+            console.log(`❌ 대상 플러그인이 지원하지 않는 명령: ${job.id} [${job.action}] → ${job.target}`);
+            jobQueue.fail(job.id, `대상 플러그인이 지원하지 않는 명령입니다: ${job.action}`, 'UNSUPPORTED_ACTION');
+            continue;
+        }
+        const plugin = pluginRegistry.select(job, ROUTING_POLICY);
+        if (plugin) {
+            runJobOnPlugin(plugin, job);
+        }
+    }
+}
+
+/**
+ * 내보내기 진행률 기록
+ */
+function handleExportProgress(plugin, data) {
+    const pending = pendingCallbacks.get(data.requestId);
+    if (!pending || pending.plugin !== plugin || !pending.touch) return;
+
+    pending.touch();
+
+    const job = jobQueue.get(data.requestId);
+    const percent = Math.max(0, Math.min(100, Math.round(Number(data.percent) || 0)));
+    // 진행률이 바뀔 때만 저장 (디스크 쓰기 최소화)
+    if (!job.progress || job.progress.percent !== percent) {
+        jobQueue.setProgress(job.id, { percent, message: data.message || null });
+    }
+}
+
+/**
+ * 플러그인의 단계별 진행 이벤트 (PROGRESS)
+ * { requestId, step, message, level, timestamp }
+ */
+function handleProgress(plugin, data) {
+    const pending = pendingCallbacks.get(data.requestId);
+    if (!pending || pending.plugin !== plugin || !pending.touch) return;
+
+    pending.touch();
+    progressHub.publishProgress(data.requestId, data);
+
+    // 작업 기록에는 현재 단계만 저장 (디스크 쓰기 최소화)
+    const job = jobQueue.get(data.requestId);
+    if (Number.isInteger(data.step) && (!job.progress || job.progress.step !== data.step)) {
+        jobQueue.setProgress(job.id, { ...job.progress, step: data.step, message: data.message || null });
+    }
+}
+
+/**
+ * 작업 큐를 거치지 않는 조회용 요청 (프리셋 목록 등 읽기 전용 명령)
+ */
+function requestPlugin(plugin, action, data = {}) {
+    if (!pluginRegistry.supports(plugin, action)) {
+        return Promise.reject(createCodedError('UNSUPPORTED_ACTION',
+            `플러그인 #${plugin.id} (${plugin.hostname || plugin.machineId})이 지원하지 않는 명령입니다: ${action}`));
+    }
+    const requestId = `query-${crypto.randomUUID()}`;
+
+    return new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => {
+            pendingCallbacks.delete(requestId);
+            reject(createCodedError('PLUGIN_TIMEOUT', null, { seconds: QUERY_TIMEOUT_MS / 1000 }));
+        }, QUERY_TIMEOUT_MS);
+
+        pendingCallbacks.set(requestId, {
+            plugin,
+            timeout,
+            onResponse: (response) => {
+                clearTimeout(timeout);
+                const { requestId: _, status, error, code, ...result } = response;
+                if (status === 'success') {
+                    resolve(result);
+                } else {
+                    reject(createCodedError(normalizePluginErrorCode(code), error || `${action} 실패`));
+                }
+            }
+        });
+
+        plugin.ws.send(JSON.stringify({ requestId, action, data }));
+    });
+}
+
+/**
+ * 플러그인에 전달하는 유효 설정
+ * @param {number} protocolVersion 이 연결에서 쓸 프로토콜 버전 (resolveProtocolVersion)
+ */
+function getPluginConfig(protocolVersion) {
+    return {
+        protocolVersion,
+        defaults: {
+            savePath: inboxPath,
+            presetName: DEFAULT_PRESET_NAME,
+            sequenceName: DEFAULT_SEQUENCE_NAME,
+            onMissingPreset: DEFAULT_ON_MISSING_PRESET
+        },
+        paths: PATH_POLICY,
+        reconnectIntervalMs: config.plugin.reconnectIntervalMs,
+        reconnectMaxDelayMs: config.plugin.reconnectMaxDelayMs,
+        heartbeatIntervalMs: HEARTBEAT_INTERVAL_MS,
+        heartbeatTimeoutMs: HEARTBEAT_TIMEOUT_MS
+    };
+}
+
+/**
+ * 플러그인 HELLO 핸드셰이크 처리
+ */
+function handleHello(ws, data) {
+    if (!verifyPluginToken(AUTH_CONFIG.pluginSecret, data.token)) {
+        logAuthFailure('WebSocket', data.token ? '잘못된 플러그인 토큰' : '플러그인 토큰 없음', {
+            ip: ws._socket && ws._socket.remoteAddress,
+            machineId: data.machineId || null,
+            hostname: data.hostname || null
+        });
+        ws.close(4001, 'Unauthorized');
+        return;
+    }
+    
+    const protocolVersion = resolveProtocolVersion(data.protocolVersion);
+    if (protocolVersion === null) {
+        console.warn(`🚫 지원하지 않는 플러그인 프로토콜 버전: ${JSON.stringify(data.protocolVersion)} (${data.hostname || data.machineId})`);
+        ws.close(4002, 'Unsupported protocol version');
+        return;
+    }
+    
+    const plugin = pluginRegistry.register(ws, data, protocolVersion);
+    const requestedVersion = data.protocolVersion == null ? 1 : data.protocolVersion;
+    const versionNote = requestedVersion !== protocolVersion ? ` (플러그인 ${requestedVersion} → 서버 버전으로 맞춤)` : '';
+    console.log(`🤝 플러그인 등록 #${plugin.id}: ${plugin.hostname} (${plugin.machineId}), Premiere ${plugin.premiereVersion}, 프로토콜 ${protocolVersion}${versionNote}`);
+    console.log(`   지원 기능: ${plugin.capabilities.join(', ') || '(미지정)'}`);
+    
+    // 플러그인이 자체 기본값 대신 서버 설정을 쓰도록 전달
+    ws.send(JSON.stringify({
+        action: 'CONFIG',
+        data: getPluginConfig(protocolVersion)
+    }));
+    sendHistory([plugin]);
+    
+    dispatchJobs();
+}
 
 wss.on('connection', (ws) => {
-    console.log('✅ UXP 플러그인 연결됨');
-    clients.add(ws);
+    const plugin = pluginRegistry.add(ws);
+    pluginConnections.inc();
+    console.log(`✅ UXP 플러그인 연결됨 (#${plugin.id}) - 핸드셰이크 대기`);
+    
+    // 제한 시간 안에 HELLO를 보내지 않으면 연결 종료
+    const handshakeTimer = setTimeout(() => {
+        if (!plugin.registered) {
+            logAuthFailure('WebSocket', '핸드셰이크 시간 초과', {
+                ip: ws._socket && ws._socket.remoteAddress
+            });
+            ws.close(4000, 'Handshake timeout');
+        }
+    }, HANDSHAKE_TIMEOUT_MS);
     
     // 연결 해제 시
     ws.on('close', () => {
-        console.log('❌ UXP 플러그인 연결 해제');
-        clients.delete(ws);
+        clearTimeout(handshakeTimer);
+        console.log(`❌ UXP 플러그인 연결 해제 (#${plugin.id})`);
+        pluginRegistry.remove(ws);
+        pluginDisconnections.inc({ reason: plugin.evicted ? 'evicted' : 'closed' });
+
+        // 실행 중이던 작업은 대기열로 되돌려 다른 플러그인(또는 재연결)에서 실행
+        const jobId = plugin.currentJobId;
+        if (jobId) {
+            const pending = pendingCallbacks.get(jobId);
+            if (pending) {
+                clearTimeout(pending.timeout);
+                pendingCallbacks.delete(jobId);
+            }
+            // 시간 초과로 이미 실패한 작업(완료 기록 정리로 없어졌을 수도 있음)은 다시 실행하지 않음
+            const job = jobQueue.get(jobId);
+            if (job && job.status === JOB_STATUS.RUNNING) {
+                jobQueue.requeue(jobId, '작업 중 플러그인 연결이 끊어졌습니다', 'PLUGIN_DISCONNECTED');
+            }
+        }
+        dispatchJobs();
     });
     
     // 메시지 수신 (플러그인 → 서버)
     ws.on('message', (message) => {
         try {
             const data = JSON.parse(message.toString());
+            pluginRegistry.touch(plugin);
+            
+            // 핸드셰이크 (토큰이 로그에 남지 않도록 출력 전에 처리)
+            if (data.type === 'HELLO') {
+                handleHello(ws, data);
+                return;
+            }
+            
+            // 등록되지 않은 연결의 메시지는 무시
+            if (!plugin.registered) {
+                logAuthFailure('WebSocket', '핸드셰이크 전 메시지', {
+                    ip: ws._socket && ws._socket.remoteAddress
+                });
+                return;
+            }
+            
+            // 하트비트 응답 (플러그인 상태 보고 포함)
+            if (data.status === 'pong' && String(data.requestId).startsWith('ping-')) {
+                pluginRegistry.recordPong(plugin, data.health);
+                return;
+            }
+            
+            // 진행률은 자주 오므로 로그 없이 처리
+            if (data.type === 'EXPORT_PROGRESS') {
+                handleExportProgress(plugin, data);
+                return;
+            }
+            if (data.type === 'PROGRESS') {
+                handleProgress(plugin, data);
+                return;
+            }
+            
             console.log('📨 플러그인으로부터 메시지:', JSON.stringify(data, null, 2));
             
-            // 응답 콜백 처리
-            if (data.requestId && pendingCallbacks.has(data.requestId)) {
-                const callback = pendingCallbacks.get(data.requestId);
+            // 응답 콜백 처리 - 요청을 받은 플러그인의 응답만 인정
+            const pending = data.requestId && pendingCallbacks.get(data.requestId);
+            if (pending && pending.plugin === plugin) {
                 pendingCallbacks.delete(data.requestId);
-                callback(data);
+                pending.onResponse(data);
             }
         } catch (e) {
             console.error('메시지 파싱 오류:', e);
@@ -69,160 +462,1228 @@ wss.on('connection', (ws) => {
     });
 });
 
+/**
+ * 하트비트 - 응답 없는 플러그인을 끊고(실행 중이던 작업은 close 처리에서 대기열로), 나머지에 PING 전송
+ * 플러그인은 PING 응답(pong)에 상태 보고(health)를 담아 보냄
+ */
+function sendHeartbeats() {
+    for (const plugin of pluginRegistry.listStale(HEARTBEAT_TIMEOUT_MS)) {
+        const silentSeconds = Math.round((Date.now() - plugin.lastSeenAt) / 1000);
+        console.warn(`💔 플러그인 응답 없음 #${plugin.id} (${plugin.hostname}) - ${silentSeconds}초, 연결 종료`);
+        plugin.evicted = true;
+        plugin.ws.terminate();
+    }
+    
+    for (const plugin of pluginRegistry.registered()) {
+        if (plugin.evicted || plugin.ws.readyState !== WebSocket.OPEN) continue;
+        plugin.pingSentAt = Date.now();
+        plugin.ws.send(JSON.stringify({ requestId: `ping-${crypto.randomUUID()}`, action: 'PING', data: {} }));
+    }
+}
+setInterval(sendHeartbeats, HEARTBEAT_INTERVAL_MS);
+
 console.log(`📡 WebSocket 서버 실행: ws://localhost:${WS_PORT}`);
 
 // ===================================
-// HTTP API Server (포트 3000)
+// Naming Patterns
 // ===================================
-const app = express();
-app.use(express.json());
+const namer = createNamer({
+    filePath: path.join(DATA_DIR, 'naming-counters.json'),
+    patterns: NAMING_CONFIG,
+    counterScope: NAMING_CONFIG.counterScope,
+    allowedRoots: PATH_POLICY.allowedRoots
+});
+
+/**
+ * CREATE_PROJECT 작업 등록 - 등록 직전 이름 패턴 적용 ({counter} 번호 사용)
+ */
+function enqueueCreateProject(data, options) {
+    return jobQueue.enqueue('CREATE_PROJECT', namer.apply(data, options.requestedBy), options);
+}
 
-// CORS 허용 (개발용)
-app.use((req, res, next) => {
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, X-API-Key');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    if (req.method === 'OPTIONS') {
-        return res.sendStatus(200);
+// ===================================
+// Project Templates
+// ===================================
+const templateStore = createTemplateStore({
+    dir: path.join(DATA_DIR, 'templates')
+});
+
+/**
+ * /create-project의 template 필드 해석 - 저장된 템플릿 이름 또는 인라인 정의
+ * @returns {{ template: object|null, error: string|null, details?: string[] }} error는 errors.js의 오류 코드
+ */
+function resolveTemplate(template) {
+    if (template == null) {
+        return { template: null, error: null };
     }
-    next();
+    
+    if (typeof template === 'string') {
+        const stored = templateStore.get(template);
+        if (!stored) {
+            return { template: null, error: 'TEMPLATE_NOT_FOUND', params: { name: template } };
+        }
+        return { template: stored, error: null };
+    }
+    
+    const errors = validateTemplate(template, { requireName: false });
+    if (errors.length > 0) {
+        return { template: null, error: 'VALIDATION_FAILED', details: errors.map(error => `template.${error}`) };
+    }
+    return {
+        template: {
+            name: template.name || null,
+            baseProject: template.baseProject || null,
+            bins: template.bins || [],
+            sequences: template.sequences,
+            activeSequence: template.activeSequence || template.sequences[0].name
+        },
+        error: null
+    };
+}
+
+/**
+ * CREATE_PROJECT 작업 데이터 - 요청에 없는 값은 서버 기본값으로 채움
+ * savePath, media, captions, markers, template, sequenceSettings, metadata는 이미 검증/정규화된 값
+ */
+function buildCreateProjectData({ projectName, sequenceName, presetName, onMissingPreset, savePath, onCollision, media, captions, markers, template, sequenceSettings, metadata, naming }) {
+    return {
+        projectName: projectName || 'NewProject',
+        sequenceName: sequenceName || DEFAULT_SEQUENCE_NAME,
+        // 시퀀스 설정만 지정하면 프리셋 없이 기본 시퀀스를 만든 뒤 설정 적용
+        presetName: presetName || (sequenceSettings ? null : DEFAULT_PRESET_NAME),
+        sequenceSettings: sequenceSettings || null,
+        onMissingPreset: onMissingPreset || DEFAULT_ON_MISSING_PRESET,
+        savePath: savePath || inboxPath,
+        onCollision: onCollision || PATH_POLICY.onCollision,
+        media: media || [],
+        captions: captions || null,
+        markers: markers || [],
+        template: template || null,
+        metadata: metadata || null,
+        // 요청별 이름 패턴 (서버 설정 패턴을 덮어씀) - 작업 등록 때 적용
+        naming: naming || null
+    };
+}
+
+/**
+ * 프로젝트 생성 요청 검증 (/create-project, 배치 항목 공통)
+ * 형식은 apiSchemas.js 스키마로 먼저 검사되고, 여기서는 내용(자막 파싱, 템플릿 존재, 이름 패턴 결과 등)을 검사
+ * @param {object} [requestedBy] 요청자 - 이름 패턴의 {user}
+ * @returns {{ data: object }|{ error: string, details?: string[], params?: object }} error는 errors.js의 오류 코드
+ */
+function prepareCreateProject(spec, requestedBy) {
+    const { projectName, sequenceName, presetName, savePath, onCollision, media, captions, markers, onMissingPreset, template, sequenceSettings, metadata, naming } = spec;
+    
+    // CSV 배치 항목은 스키마 검사를 거치지 않으므로 선택 값도 여기서 확인
+    const optionErrors = [];
+    if (onMissingPreset && !MISSING_PRESET_POLICIES.includes(onMissingPreset)) {
+        optionErrors.push(`onMissingPreset: ${MISSING_PRESET_POLICIES.join(', ')} 중 하나여야 합니다`);
+    }
+    if (onCollision && !COLLISION_STRATEGIES.includes(onCollision)) {
+        optionErrors.push(`onCollision: ${COLLISION_STRATEGIES.join(', ')} 중 하나여야 합니다`);
+    }
+    
+    const saveCheck = savePath ? checkSavePath(savePath, PATH_POLICY.allowedRoots) : { path: null, errors: [] };
+    const mediaCheck = normalizeMedia(media);
+    const captionCheck = normalizeCaptions(captions, { allowedRoots: CAPTION_ROOTS });
+    const markerCheck = normalizeMarkers(markers);
+    const settingsCheck = normalizeSequenceSettings(sequenceSettings);
+    const metadataCheck = normalizeMetadata(metadata);
+    
+    // 필드별 오류를 한 번에 모두 돌려줌
+    const details = [
+        ...optionErrors,
+        ...checkProjectName(projectName),
+        ...saveCheck.errors,
+        ...mediaCheck.errors,
+        ...captionCheck.errors,
+        ...markerCheck.errors,
+        ...settingsCheck.errors,
+        ...metadataCheck.errors,
+        ...(naming ? validatePatterns(naming) : [])
+    ];
+    if (details.length > 0) {
+        return { error: 'VALIDATION_FAILED', details };
+    }
+    
+    const templateCheck = resolveTemplate(template);
+    if (templateCheck.error) {
+        return { error: templateCheck.error, details: templateCheck.details, params: templateCheck.params };
+    }
+    
+    const data = buildCreateProjectData({
+        projectName,
+        sequenceName,
+        presetName,
+        onMissingPreset,
+        savePath: saveCheck.path,
+        onCollision,
+        media: mediaCheck.items,
+        captions: captionCheck.captions,
+        markers: markerCheck.items,
+        template: templateCheck.template,
+        sequenceSettings: settingsCheck.settings,
+        metadata: metadataCheck.metadata,
+        naming
+    });
+    
+    // 패턴 결과(값 없는 토큰, 허용 폴더 밖 등)는 작업을 등록하기 전에 확인
+    const { errors: namingErrors } = namer.resolve(data, requestedBy);
+    if (namingErrors.length > 0) {
+        return { error: 'VALIDATION_FAILED', details: namingErrors };
+    }
+    return { data };
+}
+
+/**
+ * /create-project 본문 검증 (예약에 저장된 요청 공통) - prepareCreateProject + callbackUrl 검사
+ */
+function prepareCreateRequest(body, requestedBy) {
+    const prepared = prepareCreateProject(body, requestedBy);
+    if (!prepared.error && body.callbackUrl) {
+        const callbackErrors = checkCallbackUrl(body.callbackUrl);
+        if (callbackErrors.length > 0) {
+            return { error: 'VALIDATION_FAILED', details: callbackErrors };
+        }
+    }
+    return prepared;
+}
+
+// ===================================
+// Batches
+// ===================================
+const batchRunner = createBatchRunner({
+    filePath: path.join(DATA_DIR, 'batches.json'),
+    jobQueue,
+    enqueue: (data, target, requestedBy) => {
+        const job = enqueueCreateProject(data, { target, requestedBy });
+        dispatchJobs();
+        return job;
+    }
+});
+
+// ===================================
+// Watch Folders
+// ===================================
+const folderWatcher = createFolderWatcher({
+    folders: WATCH_CONFIG.folders,
+    stableMs: WATCH_CONFIG.stableMs,
+    pollIntervalMs: WATCH_CONFIG.pollIntervalMs,
+    extensions: WATCH_CONFIG.extensions,
+    stateFile: path.join(DATA_DIR, 'watch.json'),
+    jobQueue,
+    createJob: ({ name, media, captionsPath, watchFolder, folderPath }) => {
+        const mediaCheck = normalizeMedia(media);
+        const captionCheck = normalizeCaptions(captionsPath ? { path: captionsPath } : null, { allowedRoots: CAPTION_ROOTS });
+        const errors = [...mediaCheck.errors, ...captionCheck.errors];
+        if (errors.length > 0) {
+            const error = new Error('폴더 내용을 가져올 수 없습니다');
+            error.details = errors;
+            throw error;
+        }
+        
+        const job = enqueueCreateProject(buildCreateProjectData({
+            projectName: name,
+            media: mediaCheck.items,
+            captions: captionCheck.captions
+        }), {
+            requestedBy: { source: 'watch', client: null, watchFolder, folderPath }
+        });
+        dispatchJobs();
+        return job;
+    }
+});
+
+// ===================================
+// Webhooks
+// ===================================
+const webhookDispatcher = createWebhookDispatcher({
+    filePath: path.join(DATA_DIR, 'webhooks.json'),
+    jobQueue,
+    urls: WEBHOOK_CONFIG.urls,
+    secret: WEBHOOK_CONFIG.secret,
+    maxAttempts: WEBHOOK_CONFIG.maxAttempts,
+    retryBaseMs: WEBHOOK_CONFIG.retryBaseMs,
+    timeoutMs: WEBHOOK_CONFIG.timeoutMs
+});
+
+// ===================================
+// Project Index
+// ===================================
+const projectIndex = createProjectIndex({
+    filePath: path.join(DATA_DIR, 'projects.json'),
+    jobQueue
+});
+
+// ===================================
+// Request History
+// ===================================
+const historyLog = createHistoryLog({
+    filePath: path.join(DATA_DIR, 'history.json'),
+    jobQueue,
+    maxEntries: HISTORY_CONFIG.maxEntries
 });
 
+/**
+ * 플러그인 패널에 최근 기록 전달 - 응답하지 않는 프로토콜 메시지 (CONFIG와 같음)
+ * 프로토콜 1 플러그인은 HISTORY를 모르므로 보내지 않음
+ */
+function sendHistory(plugins) {
+    if (HISTORY_CONFIG.panelEntries === 0) return;
+    const message = JSON.stringify({
+        action: 'HISTORY',
+        data: { entries: historyLog.recent(HISTORY_CONFIG.panelEntries) }
+    });
+    for (const plugin of plugins) {
+        if (plugin.protocolVersion >= 2 && plugin.ws.readyState === WebSocket.OPEN) {
+            plugin.ws.send(message);
+        }
+    }
+}
+historyLog.events.on('changed', () => sendHistory(pluginRegistry.registered()));
+
+// ===================================
+// Metrics
+// ===================================
+const metrics = createMetricsRegistry();
+const serverStartedAt = Date.now();
+
+const pluginConnections = metrics.counter({
+    name: 'premiere_plugin_connections_total',
+    help: '플러그인 WebSocket 연결 수'
+});
+const pluginDisconnections = metrics.counter({
+    name: 'premiere_plugin_disconnections_total',
+    help: '플러그인 연결 종료 수 (reason: closed 정상 종료 | evicted 하트비트 응답 없음)'
+});
+const jobsFinished = metrics.counter({
+    name: 'premiere_jobs_finished_total',
+    help: '끝난 작업 수'
+});
+const jobDuration = metrics.histogram({
+    name: 'premiere_job_duration_seconds',
+    help: '작업 실행 시간 (플러그인 전송 → 응답)'
+});
+const jobQueueWait = metrics.histogram({
+    name: 'premiere_job_queue_wait_seconds',
+    help: '작업 대기 시간 (등록 → 플러그인 전송)'
+});
+
+jobQueue.events.on('updated', job => {
+    if (job.status !== JOB_STATUS.SUCCEEDED && job.status !== JOB_STATUS.FAILED) return;
+    
+    const labels = { action: job.action, status: job.status };
+    jobsFinished.inc({ ...labels, error_code: job.errorCode || undefined });
+    if (job.startedAt) {
+        jobDuration.observe(labels, (new Date(job.finishedAt) - new Date(job.startedAt)) / 1000);
+        jobQueueWait.observe({ action: job.action }, (new Date(job.startedAt) - new Date(job.createdAt)) / 1000);
+    }
+});
+
+metrics.gauge({
+    name: 'premiere_jobs',
+    help: '상태별 작업 수 (보관 중인 작업 기준)',
+    collect: () => Object.entries(jobQueue.counts()).map(([status, value]) => ({ labels: { status }, value }))
+});
+metrics.gauge({
+    name: 'premiere_plugins',
+    help: '등록된 플러그인 수 (state: idle | busy)',
+    collect: () => {
+        const plugins = pluginRegistry.registered();
+        const busy = plugins.filter(plugin => plugin.currentJobId).length;
+        return [
+            { labels: { state: 'idle' }, value: plugins.length - busy },
+            { labels: { state: 'busy' }, value: busy }
+        ];
+    }
+});
+
+// 플러그인별 지표 - 라벨: 플러그인 번호, machineId, hostname
+function pluginSamples(valueOf) {
+    return pluginRegistry.registered()
+        .map(plugin => ({
+            labels: { plugin: plugin.id, machine_id: plugin.machineId, hostname: plugin.hostname },
+            value: valueOf(plugin)
+        }))
+        .filter(sample => sample.value != null);
+}
+
+metrics.gauge({
+    name: 'premiere_plugin_heartbeat_latency_seconds',
+    help: '마지막 PING 왕복 시간',
+    collect: () => pluginSamples(plugin => (plugin.latencyMs != null ? plugin.latencyMs / 1000 : null))
+});
+metrics.gauge({
+    name: 'premiere_plugin_last_seen_seconds',
+    help: '플러그인이 마지막으로 메시지를 보낸 뒤 지난 시간',
+    collect: () => pluginSamples(plugin => (Date.now() - plugin.lastSeenAt) / 1000)
+});
+metrics.gauge({
+    name: 'premiere_plugin_open_projects',
+    help: '플러그인이 보고한 열린 프로젝트 수',
+    collect: () => pluginSamples(plugin => (plugin.health ? plugin.health.openProjects : null))
+});
+metrics.gauge({
+    name: 'premiere_plugin_memory_free_bytes',
+    help: '플러그인 워크스테이션의 남은 메모리',
+    collect: () => pluginSamples(plugin => (plugin.health && plugin.health.memory ? plugin.health.memory.freeBytes : null))
+});
+metrics.gauge({
+    name: 'premiere_server_uptime_seconds',
+    help: '서버 실행 시간',
+    collect: () => [{ value: Math.round((Date.now() - serverStartedAt) / 1000) }]
+});
+metrics.gauge({
+    name: 'process_resident_memory_bytes',
+    help: '서버 프로세스 메모리 (RSS)',
+    collect: () => [{ value: process.memoryUsage().rss }]
+});
+
+// ===================================
+// Schedules
+// ===================================
+// 요청 기록, 웹훅 등이 작업 이벤트를 받을 수 있도록 그 뒤에 생성 (시작하면서 놓친 실행을 바로 등록)
+const scheduler = createScheduler({
+    filePath: path.join(DATA_DIR, 'schedules.json'),
+    defaultCatchUp: SCHEDULE_CONFIG.catchUp,
+    prepare: prepareCreateRequest,
+    enqueue: (data, options) => {
+        const job = enqueueCreateProject(data, options);
+        dispatchJobs();
+        return job;
+    }
+});
+
+// ===================================
+// HTTP API Server
+// ===================================
+const app = express();
+// 자막 내용(captions.content)을 본문에 그대로 담을 수 있도록 기본 100kb보다 크게
+app.use(express.json({ limit: '5mb' }));
+// 배치 / 마커 CSV 업로드 (Content-Type: text/csv) - apiSchemas.js에 csv 정의가 있는 라우트에만
+const csvBody = express.text({ type: 'text/csv', limit: '5mb' });
+
+// CORS - config.json의 auth.corsOrigins에 있는 Origin만 허용
+app.use(createCorsMiddleware(AUTH_CONFIG.corsOrigins));
+
+// 모든 라우트에 API 키 검사
+app.use(createApiKeyAuth(AUTH_CONFIG.apiKeys));
+
+/**
+ * 라우트의 요청 스키마 검사 미들웨어 (apiSchemas.js)
+ */
+function validateRoute(key) {
+    const route = API_ROUTES[key];
+    if (!route) {
+        throw new Error(`apiSchemas.js에 라우트 정의가 없습니다: ${key}`);
+    }
+    return validateRequest(route);
+}
+
+/**
+ * projectPath 확장자 검사 (생략 가능한 필드 - 필수 여부는 스키마에서 검사)
+ * @returns {string[]} 필드별 오류
+ */
+function checkProjectPath(projectPath) {
+    if (projectPath == null || projectPath.toLowerCase().endsWith('.prproj')) {
+        return [];
+    }
+    return ['projectPath: .prproj 파일 경로여야 합니다'];
+}
+
+/**
+ * 요청 기록에 남길 요청자 - API 키 이름(인증을 끄면 'anonymous'), IP, User-Agent
+ */
+function getRequester(req) {
+    return {
+        source: 'http',
+        client: req.apiClient,
+        ip: req.ip,
+        userAgent: req.get('User-Agent') || null
+    };
+}
+
+/**
+ * 조회 요청을 받을 플러그인 - 없으면 503 응답 후 null
+ */
+function findQueryPlugin(req, res, action) {
+    const plugin = pluginRegistry.find(req.query.target, action);
+    if (!plugin) {
+        if (req.query.target) {
+            sendError(res, 'TARGET_NOT_CONNECTED', { params: { target: req.query.target } });
+        } else {
+            sendError(res, 'PLUGIN_NOT_CONNECTED');
+        }
+    }
+    return plugin;
+}
+
+/**
+ * 플러그인 조회 실패 응답 - 플러그인 원본 메시지는 details로
+ */
+function sendPluginError(res, action, error) {
+    console.error(`❌ ${action} 실패:`, error.message);
+    sendError(res, error.code || 'PLUGIN_ERROR', {
+        params: error.params,
+        details: [error.message]
+    });
+}
+
+/**
+ * 조회용 라우트 공통 처리 - ?target= 플러그인(없으면 유휴 플러그인)에 요청하고 결과를 응답
+ */
+async function respondWithPluginQuery(req, res, action, formatResult, data = {}) {
+    const plugin = findQueryPlugin(req, res, action);
+    if (!plugin) return;
+    
+    try {
+        const result = await requestPlugin(plugin, action, data);
+        res.json({
+            success: true,
+            plugin: { id: plugin.id, machineId: plugin.machineId, hostname: plugin.hostname },
+            ...formatResult(result)
+        });
+    } catch (error) {
+        sendPluginError(res, action, error);
+    }
+}
+
 // 상태 확인 엔드포인트
-app.get('/', (req, res) => {
+app.get('/', validateRoute('GET /'), (req, res) => {
     res.json({
         name: 'Premiere Pro Remote Server',
-        version: '2.0.0',
+        version: SERVER_VERSION,
         status: 'running',
-        connectedPlugins: clients.size,
+        connectedPlugins: pluginRegistry.registeredCount(),
+        routingPolicy: ROUTING_POLICY,
         defaults: {
             savePath: inboxPath,
             presetName: DEFAULT_PRESET_NAME,
-            sequenceName: DEFAULT_SEQUENCE_NAME
+            sequenceName: DEFAULT_SEQUENCE_NAME,
+            onMissingPreset: DEFAULT_ON_MISSING_PRESET
         },
+        paths: PATH_POLICY,
+        naming: NAMING_CONFIG,
         endpoints: {
             createProject: 'POST /create-project',
-            status: 'GET /status'
+            createProjectsBatch: 'POST /create-projects/batch, GET /create-projects/batch/:id',
+            importMedia: 'POST /import-media',
+            addCaptions: 'POST /add-captions',
+            markers: 'POST /add-markers, GET /markers?format=json|csv',
+            watch: 'GET /watch',
+            export: 'POST /export',
+            openProject: 'POST /open-project',
+            closeProject: 'POST /close-project',
+            openProjects: 'GET /open-projects',
+            projects: 'GET /projects?<메타데이터 필드>=값&q=',
+            jobs: 'GET /jobs',
+            plugins: 'GET /plugins',
+            presets: 'GET /presets',
+            sequenceProfiles: 'GET /sequence-profiles',
+            templates: 'GET/POST /templates, GET/DELETE /templates/:name',
+            schedules: 'GET/POST /schedules, GET/DELETE /schedules/:name',
+            namingPreview: 'POST /naming/preview',
+            job: 'GET /jobs/:id',
+            jobEvents: 'GET /jobs/:id/events (SSE), WS /events?jobId=',
+            status: 'GET /status',
+            metrics: 'GET /metrics',
+            webhookDeliveries: 'GET /webhooks/deliveries',
+            history: 'GET /history?from=&to=&status=&name=&format=json|csv',
+            openapi: 'GET /openapi.json'
         }
     });
 });
 
-app.get('/status', (req, res) => {
+app.get('/status', validateRoute('GET /status'), (req, res) => {
     res.json({
-        connectedClients: clients.size,
+        connectedClients: pluginRegistry.registeredCount(),
         websocketPort: WS_PORT,
         httpPort: HTTP_PORT,
         defaultSavePath: inboxPath,
         defaultPreset: DEFAULT_PRESET_NAME,
-        defaultSequence: DEFAULT_SEQUENCE_NAME
+        defaultSequence: DEFAULT_SEQUENCE_NAME,
+        jobs: jobQueue.counts()
+    });
+});
+
+// Prometheus 지표
+app.get('/metrics', validateRoute('GET /metrics'), (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// OpenAPI 문서 - 라우트 스키마(apiSchemas.js)와 오류 코드(errors.js)로 생성
+app.get('/openapi.json', validateRoute('GET /openapi.json'), (req, res) => {
+    res.json(buildOpenApiDocument({ routes: API_ROUTES, version: SERVER_VERSION }));
+});
+
+// 연결된 플러그인 목록
+app.get('/plugins', validateRoute('GET /plugins'), (req, res) => {
+    res.json({
+        routingPolicy: ROUTING_POLICY,
+        plugins: pluginRegistry.list()
+    });
+});
+
+// 플러그인 워크스테이션에 설치된 시퀀스 프리셋 목록
+app.get('/presets', validateRoute('GET /presets'), (req, res) => {
+    respondWithPluginQuery(req, res, 'LIST_PRESETS', (result) => ({
+        defaultPreset: DEFAULT_PRESET_NAME,
+        defaultPresetInstalled: (result.presets || []).some(preset => preset.name === DEFAULT_PRESET_NAME),
+        ...result
+    }));
+});
+
+// 내장 시퀀스 설정 프로필 (sequenceSettings에 이름으로 지정)
+app.get('/sequence-profiles', validateRoute('GET /sequence-profiles'), (req, res) => {
+    res.json({
+        profiles: Object.keys(SEQUENCE_PROFILES).map(name => {
+            const { profile, ...settings } = normalizeSequenceSettings(name).settings;
+            return { name: profile, ...settings };
+        })
+    });
+});
+
+// 템플릿 목록
+app.get('/templates', validateRoute('GET /templates'), (req, res) => {
+    res.json({ templates: templateStore.list() });
+});
+
+// 템플릿 조회
+app.get('/templates/:name', validateRoute('GET /templates/:name'), (req, res) => {
+    const template = templateStore.get(req.params.name);
+    if (!template) {
+        return sendError(res, 'TEMPLATE_NOT_FOUND', { params: { name: req.params.name } });
+    }
+    res.json(template);
+});
+
+// 템플릿 저장 (같은 이름이면 교체)
+app.post('/templates', validateRoute('POST /templates'), (req, res) => {
+    const errors = validateTemplate(req.body);
+    if (errors.length > 0) {
+        return sendError(res, 'VALIDATION_FAILED', { details: errors });
+    }
+    
+    const { template, created } = templateStore.save(req.body);
+    console.log(`📐 템플릿 ${created ? '생성' : '수정'}: ${template.name}`);
+    res.status(created ? 201 : 200).json({ success: true, template });
+});
+
+// 템플릿 삭제
+app.delete('/templates/:name', validateRoute('DELETE /templates/:name'), (req, res) => {
+    if (!templateStore.remove(req.params.name)) {
+        return sendError(res, 'TEMPLATE_NOT_FOUND', { params: { name: req.params.name } });
+    }
+    console.log(`🗑️ 템플릿 삭제: ${req.params.name}`);
+    res.json({ success: true });
+});
+
+// 예약 목록
+app.get('/schedules', validateRoute('GET /schedules'), (req, res) => {
+    res.json({ schedules: scheduler.list() });
+});
+
+// 예약 조회
+app.get('/schedules/:name', validateRoute('GET /schedules/:name'), (req, res) => {
+    const schedule = scheduler.get(req.params.name);
+    if (!schedule) {
+        return sendError(res, 'SCHEDULE_NOT_FOUND', { params: { name: req.params.name } });
+    }
+    res.json(schedule);
+});
+
+// 예약 저장 (같은 이름이면 교체)
+app.post('/schedules', validateRoute('POST /schedules'), (req, res) => {
+    const errors = validateSchedule(req.body);
+    if (errors.length > 0) {
+        return sendError(res, 'VALIDATION_FAILED', { details: errors });
+    }
+    
+    // 다음 실행 때 보낼 요청을 /create-project와 같은 검사로 미리 확인 (실행 때도 다시 검사)
+    const prepared = prepareCreateRequest(scheduler.preview(req.body), { source: 'schedule', client: null, schedule: req.body.name });
+    if (prepared.error) {
+        return sendError(res, prepared.error, { params: prepared.params, details: prepared.details });
+    }
+    
+    const { schedule, created } = scheduler.save(req.body);
+    console.log(`⏰ 예약 ${created ? '생성' : '수정'}: ${schedule.name} (${schedule.cron}, 다음 실행 ${schedule.nextRunAt || '없음'})`);
+    res.status(created ? 201 : 200).json({ success: true, schedule });
+});
+
+// 예약 삭제
+app.delete('/schedules/:name', validateRoute('DELETE /schedules/:name'), (req, res) => {
+    if (!scheduler.remove(req.params.name)) {
+        return sendError(res, 'SCHEDULE_NOT_FOUND', { params: { name: req.params.name } });
+    }
+    console.log(`🗑️ 예약 삭제: ${req.params.name}`);
+    res.json({ success: true });
+});
+
+// 이름 패턴 미리보기 - /create-project 본문으로 만들어질 프로젝트 / 시퀀스 / 폴더 이름 ({counter}는 쓰지 않음)
+app.post('/naming/preview', validateRoute('POST /naming/preview'), (req, res) => {
+    const requestedBy = getRequester(req);
+    const prepared = prepareCreateProject(req.body || {}, requestedBy);
+    if (prepared.error) {
+        return sendError(res, prepared.error, { params: prepared.params, details: prepared.details });
+    }
+    
+    const { names } = namer.resolve(prepared.data, requestedBy);
+    res.json({
+        success: true,
+        patterns: names.patterns,
+        counterScope: NAMING_CONFIG.counterScope,
+        projectName: names.projectName,
+        savePath: names.savePath,
+        sequenceNames: names.sequenceNames,
+        activeSequence: names.activeSequence || null,
+        counter: names.counter
+    });
+});
+
+// 작업 목록
+app.get('/jobs', validateRoute('GET /jobs'), (req, res) => {
+    const { status } = req.query;
+    const limit = parseInt(req.query.limit, 10) || 50;
+
+    res.json({
+        jobs: jobQueue.list({ status, limit }),
+        counts: jobQueue.counts()
+    });
+});
+
+// 작업 상태 조회
+app.get('/jobs/:id', validateRoute('GET /jobs/:id'), (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+        return sendError(res, 'JOB_NOT_FOUND', { params: { id: req.params.id } });
+    }
+    res.json(job);
+});
+
+// 작업 진행 이벤트 스트림 (Server-Sent Events)
+// 지난 이벤트를 먼저 보낸 뒤 실시간으로 전달하고, 작업이 끝나면 end 이벤트(작업 정보)를 보내고 닫음
+app.get('/jobs/:id/events', validateRoute('GET /jobs/:id/events'), (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+        return sendError(res, 'JOB_NOT_FOUND', { params: { id: req.params.id } });
+    }
+    
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+    
+    const send = (event) => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+    const isFinished = () => {
+        const current = jobQueue.get(job.id);
+        return !current || current.status === JOB_STATUS.SUCCEEDED || current.status === JOB_STATUS.FAILED;
+    };
+    
+    let unsubscribe = () => {};
+    let heartbeat = null;
+    const end = () => {
+        unsubscribe();
+        clearInterval(heartbeat);
+        res.write(`event: end\ndata: ${JSON.stringify(jobQueue.get(job.id))}\n\n`);
+        res.end();
+    };
+    
+    // 재연결 시 Last-Event-ID 이후 이벤트만
+    const lastEventId = parseInt(req.get('Last-Event-ID'), 10) || 0;
+    progressHub.getHistory(job.id, lastEventId).forEach(send);
+    if (isFinished()) {
+        return end();
+    }
+    
+    unsubscribe = progressHub.subscribe((event) => {
+        send(event);
+        if (event.type === 'status' && isFinished()) end();
+    }, { jobId: job.id });
+    
+    // 프록시가 연결을 끊지 않도록 주기적으로 주석 전송
+    heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    req.on('close', () => {
+        unsubscribe();
+        clearInterval(heartbeat);
     });
 });
 
 // 프로젝트 생성 트리거 엔드포인트
-app.post('/create-project', async (req, res) => {
+// 작업을 큐에 넣고 바로 jobId를 반환 - 결과는 GET /jobs/:id 로 확인
+app.post('/create-project', validateRoute('POST /create-project'), (req, res) => {
     console.log('\n' + '='.repeat(50));
     console.log('📥 프로젝트 생성 요청');
     console.log('='.repeat(50));
     console.log('Body:', JSON.stringify(req.body, null, 2));
     
-    // 연결된 플러그인 확인
-    if (clients.size === 0) {
-        console.log('❌ 연결된 플러그인 없음');
-        return res.status(503).json({ 
-            success: false, 
-            error: '연결된 Premiere Pro 플러그인이 없습니다. Premiere Pro가 실행 중이고 플러그인이 로드되어 있는지 확인하세요.' 
-        });
+    const { target, callbackUrl } = req.body || {};
+    const requestedBy = getRequester(req);
+    
+    const prepared = prepareCreateRequest(req.body || {}, requestedBy);
+    if (prepared.error) {
+        console.log('❌', prepared.error, prepared.details || '');
+        return sendError(res, prepared.error, { params: prepared.params, details: prepared.details });
     }
     
-    // 요청 데이터 구성
-    const currentRequestId = ++requestId;
-    const { projectName, sequenceName, presetName, savePath } = req.body || {};
+    const job = enqueueCreateProject(prepared.data, {
+        target,
+        callbackUrl: callbackUrl || null,
+        requestedBy
+    });
+    
+    const targetConnected = target ? pluginRegistry.hasTarget(target) : pluginRegistry.registeredCount() > 0;
+    console.log(`📋 작업 등록: ${job.id}${target ? ` (대상: ${target})` : ''}`);
+    if (!targetConnected) {
+        console.log('⏳ 실행할 플러그인이 연결되어 있지 않음 - 플러그인 연결 시 실행됩니다');
+    }
+    console.log('='.repeat(50) + '\n');
     
-    const message = JSON.stringify({
-        requestId: currentRequestId,
-        action: 'CREATE_PROJECT',
-        data: {
-            projectName: projectName || 'NewProject',
-            sequenceName: sequenceName || DEFAULT_SEQUENCE_NAME,
-            presetName: presetName || DEFAULT_PRESET_NAME,
-            savePath: savePath || inboxPath
-        }
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/jobs/${job.id}`,
+        target: job.target,
+        targetConnected,
+        message: '프로젝트 생성 작업이 대기열에 등록되었습니다.'
     });
     
-    console.log('전송 메시지:', JSON.stringify(JSON.parse(message), null, 2));
+    dispatchJobs();
+});
+
+// 여러 프로젝트를 순서대로 생성
+// JSON { items: [...], continueOnError, target } 또는 CSV 본문 (?continueOnError=true&target=...)
+// 항목을 모두 검증한 뒤 하나씩 실행 - 결과는 GET /create-projects/batch/:id 로 확인
+app.post('/create-projects/batch', csvBody, validateRoute('POST /create-projects/batch'), (req, res) => {
+    const isCsv = typeof req.body === 'string';
+    const options = isCsv ? req.query : (req.body || {});
+    const continueOnError = options.continueOnError === true || options.continueOnError === 'true';
+    const target = options.target || null;
     
-    // 응답 대기 Promise 생성
-    const responsePromise = new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-            pendingCallbacks.delete(currentRequestId);
-            reject(new Error('플러그인 응답 시간 초과 (30초)'));
-        }, 30000);
-        
-        pendingCallbacks.set(currentRequestId, (response) => {
-            clearTimeout(timeout);
-            resolve(response);
+    let entries;
+    if (isCsv) {
+        const csv = parseBatchCsv(req.body);
+        if (csv.errors.length > 0) {
+            return sendError(res, 'VALIDATION_FAILED', { details: csv.errors });
+        }
+        entries = csv.items.map(item => ({ label: `${item.line}번째 줄`, spec: item.spec }));
+    } else {
+        entries = options.items.map((spec, index) => ({ label: `items[${index}]`, spec }));
+    }
+    
+    if (entries.length === 0 || entries.length > MAX_BATCH_ITEMS) {
+        return sendError(res, 'VALIDATION_FAILED', {
+            details: [`items: 항목은 1~${MAX_BATCH_ITEMS}개여야 합니다 (현재: ${entries.length}개)`]
         });
+    }
+    
+    // 항목별 오류는 "항목: 필드: 메시지"로 모아서 응답
+    const requestedBy = getRequester(req);
+    const errors = [];
+    const items = [];
+    for (const entry of entries) {
+        const prepared = prepareCreateProject(entry.spec, requestedBy);
+        if (prepared.error === 'VALIDATION_FAILED') {
+            errors.push(...prepared.details.map(detail => `${entry.label}: ${detail}`));
+        } else if (prepared.error) {
+            errors.push(`${entry.label}: template: 템플릿을 찾을 수 없습니다 (${prepared.params.name})`);
+        } else {
+            items.push(prepared.data);
+        }
+    }
+    if (errors.length > 0) {
+        return sendError(res, 'VALIDATION_FAILED', { details: errors });
+    }
+    
+    const batch = batchRunner.create(items, { continueOnError, target, requestedBy });
+    console.log(`📦 배치 등록: ${batch.id} (${items.length}개${continueOnError ? ', continueOnError' : ''})`);
+    
+    res.status(202).json({
+        success: true,
+        batchId: batch.id,
+        status: batch.status,
+        itemCount: items.length,
+        statusUrl: `/create-projects/batch/${batch.id}`
+    });
+});
+
+// 배치 목록 (?limit=20)
+app.get('/create-projects/batch', validateRoute('GET /create-projects/batch'), (req, res) => {
+    const limit = parseInt(req.query.limit, 10) || 20;
+    res.json({
+        batches: batchRunner.list({ limit }).map(batchRunner.summarize)
+    });
+});
+
+// 배치 상태 및 항목별 결과
+app.get('/create-projects/batch/:id', validateRoute('GET /create-projects/batch/:id'), (req, res) => {
+    const batch = batchRunner.get(req.params.id);
+    if (!batch) {
+        return sendError(res, 'BATCH_NOT_FOUND', { params: { id: req.params.id } });
+    }
+    res.json(batchRunner.summarize(batch));
+});
+
+// 현재 열린 프로젝트로 미디어 가져오기 및 타임라인 배치
+app.post('/import-media', validateRoute('POST /import-media'), (req, res) => {
+    const { sequenceName, media, target } = req.body || {};
+    
+    const mediaCheck = normalizeMedia(media);
+    if (mediaCheck.errors.length > 0) {
+        return sendError(res, 'VALIDATION_FAILED', { details: mediaCheck.errors });
+    }
+    
+    const job = jobQueue.enqueue('IMPORT_MEDIA', {
+        sequenceName: sequenceName || null,
+        media: mediaCheck.items
+    }, { target, requestedBy: getRequester(req) });
+    
+    console.log(`📋 미디어 가져오기 작업 등록: ${job.id} (${mediaCheck.items.length}개)`);
+    
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/jobs/${job.id}`
     });
     
-    // 모든 연결된 플러그인에 메시지 전송
-    let sent = 0;
-    clients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN) {
-            client.send(message);
-            sent++;
+    dispatchJobs();
+});
+
+// 시퀀스에 자막(SRT / WebVTT) 캡션 트랙 추가
+app.post('/add-captions', validateRoute('POST /add-captions'), (req, res) => {
+    const { projectPath, sequenceName, captions, target } = req.body || {};
+    
+    const captionCheck = normalizeCaptions(captions, { allowedRoots: CAPTION_ROOTS });
+    const errors = [...checkProjectPath(projectPath), ...captionCheck.errors];
+    if (errors.length > 0) {
+        return sendError(res, 'VALIDATION_FAILED', { details: errors });
+    }
+    
+    const job = jobQueue.enqueue('ADD_CAPTIONS', {
+        projectPath: projectPath || null,
+        sequenceName: sequenceName || null,
+        captions: captionCheck.captions
+    }, { target, requestedBy: getRequester(req) });
+    
+    console.log(`📋 자막 추가 작업 등록: ${job.id} (${captionCheck.captions.cueCount}개)`);
+    
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/jobs/${job.id}`
+    });
+    
+    dispatchJobs();
+});
+
+// 기존 프로젝트 시퀀스에 마커 추가
+// JSON { projectPath, sequenceName, markers } 또는 CSV 본문 (Content-Type: text/csv, 나머지는 쿼리 파라미터)
+app.post('/add-markers', csvBody, validateRoute('POST /add-markers'), (req, res) => {
+    const isCsv = typeof req.body === 'string';
+    const options = isCsv ? req.query : (req.body || {});
+    const { projectPath, sequenceName, target } = options;
+    
+    let markers = options.markers;
+    if (isCsv) {
+        const csv = parseMarkerCsv(req.body);
+        if (csv.errors.length > 0) {
+            return sendError(res, 'VALIDATION_FAILED', { details: csv.errors });
         }
+        markers = csv.markers;
+    }
+    
+    const markerCheck = normalizeMarkers(markers);
+    const errors = [...checkProjectPath(projectPath), ...markerCheck.errors];
+    if (markerCheck.items.length === 0) {
+        errors.push('markers: 마커가 하나 이상 필요합니다');
+    }
+    if (errors.length > 0) {
+        return sendError(res, 'VALIDATION_FAILED', { details: errors });
+    }
+    
+    const job = jobQueue.enqueue('ADD_MARKERS', {
+        projectPath: projectPath || null,
+        sequenceName: sequenceName || null,
+        markers: markerCheck.items
+    }, { target, requestedBy: getRequester(req) });
+    
+    console.log(`📍 마커 추가 작업 등록: ${job.id} (${markerCheck.items.length}개)`);
+    
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/jobs/${job.id}`
     });
     
-    console.log(`→ ${sent}개 플러그인에 전송됨`);
+    dispatchJobs();
+});
+
+// 시퀀스 마커 내보내기 - ?projectPath=&sequenceName=&format=json|csv
+// 내보낸 CSV는 POST /add-markers 로 그대로 다시 가져올 수 있음
+app.get('/markers', validateRoute('GET /markers'), async (req, res) => {
+    const { projectPath, sequenceName } = req.query;
+    const format = req.query.format || 'json';
+    
+    const errors = checkProjectPath(projectPath);
+    if (errors.length > 0) {
+        return sendError(res, 'VALIDATION_FAILED', { details: errors });
+    }
+    
+    const plugin = findQueryPlugin(req, res, 'LIST_MARKERS');
+    if (!plugin) return;
     
+    let result;
     try {
-        // 플러그인 응답 대기
-        const response = await responsePromise;
-        
-        if (response.status === 'success') {
-            console.log('✅ 성공!');
-            console.log('   프로젝트:', response.projectName);
-            console.log('   시퀀스:', response.sequenceName);
-            console.log('   프리셋:', response.presetUsed);
-            console.log('   경로:', response.projectPath);
-            
-            res.json({
-                success: true,
-                projectName: response.projectName,
-                projectPath: response.projectPath,
-                sequenceName: response.sequenceName,
-                presetUsed: response.presetUsed,
-                message: '프로젝트와 시퀀스가 성공적으로 생성되었습니다!'
-            });
-        } else {
-            console.log('❌ 실패:', response.error);
-            res.status(500).json({
-                success: false,
-                error: response.error || '프로젝트 생성 실패'
-            });
-        }
-    } catch (error) {
-        console.error('❌ 오류:', error.message);
-        res.status(500).json({
-            success: false,
-            error: error.message
+        result = await requestPlugin(plugin, 'LIST_MARKERS', {
+            projectPath: projectPath || null,
+            sequenceName: sequenceName || null
         });
+    } catch (error) {
+        return sendPluginError(res, 'LIST_MARKERS', error);
     }
     
-    console.log('='.repeat(50) + '\n');
+    if (format === 'csv') {
+        const fileName = `${result.sequenceName || 'markers'}.csv`.replace(/[^\w.-]/g, '_');
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        return res.type('text/csv').send(markersToCsv(result.markers || []));
+    }
+    
+    res.json({
+        success: true,
+        plugin: { id: plugin.id, machineId: plugin.machineId, hostname: plugin.hostname },
+        projectName: result.projectName,
+        projectPath: result.projectPath,
+        sequenceName: result.sequenceName,
+        markers: result.markers || []
+    });
+});
+
+// 시퀀스 내보내기 (Adobe Media Encoder 대기열 또는 Premiere에서 바로 렌더)
+// 진행률은 GET /jobs/:id 의 progress.percent, 완료 파일은 result.outputPath
+app.post('/export', validateRoute('POST /export'), (req, res) => {
+    const { projectPath, sequenceName, presetPath, outputPath, exportType, target } = req.body || {};
+    
+    // 필수 여부, 형식, exportType 값은 스키마에서 검사
+    const errors = checkProjectPath(projectPath);
+    if (!presetPath.toLowerCase().endsWith('.epr')) {
+        errors.push('presetPath: .epr 내보내기 프리셋 경로가 필요합니다');
+    }
+    // 렌더 파일도 프로젝트와 같은 저장 허용 폴더 안에만
+    const outputCheck = outputPath.trim() === ''
+        ? { path: null, errors: ['outputPath: 출력 파일 경로가 필요합니다'] }
+        : checkOutputPath(outputPath, PATH_POLICY.allowedRoots);
+    errors.push(...outputCheck.errors);
+    if (errors.length > 0) {
+        return sendError(res, 'VALIDATION_FAILED', { details: errors });
+    }
+    
+    const job = jobQueue.enqueue('EXPORT_SEQUENCE', {
+        projectPath: projectPath || null,
+        sequenceName,
+        presetPath,
+        outputPath: outputCheck.path,
+        exportType: exportType || EXPORT_TYPES[0]
+    }, { target, requestedBy: getRequester(req) });
+    
+    console.log(`📋 내보내기 작업 등록: ${job.id} (${sequenceName} → ${outputCheck.path})`);
+    
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/jobs/${job.id}`
+    });
+    
+    dispatchJobs();
+});
+
+// 프로젝트 열기 - 결과에 시퀀스와 최상위 빈 목록 포함
+app.post('/open-project', validateRoute('POST /open-project'), (req, res) => {
+    const { projectPath, target } = req.body || {};
+    
+    const errors = checkProjectPath(projectPath);
+    if (errors.length > 0) {
+        return sendError(res, 'VALIDATION_FAILED', { details: errors });
+    }
+    
+    const job = jobQueue.enqueue('OPEN_PROJECT', { projectPath }, { target, requestedBy: getRequester(req) });
+    console.log(`📋 프로젝트 열기 작업 등록: ${job.id} (${projectPath})`);
+    
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/jobs/${job.id}`
+    });
+    
+    dispatchJobs();
+});
+
+// 프로젝트 닫기 - save: true (저장 후 닫기) / false (변경 사항 버림)
+// 실수로 변경 사항을 잃지 않도록 저장 여부(save)는 스키마에서 필수
+app.post('/close-project', validateRoute('POST /close-project'), (req, res) => {
+    const { projectPath, save, target } = req.body || {};
+    
+    const errors = checkProjectPath(projectPath);
+    if (errors.length > 0) {
+        return sendError(res, 'VALIDATION_FAILED', { details: errors });
+    }
+    
+    const job = jobQueue.enqueue('CLOSE_PROJECT', { projectPath: projectPath || null, save }, { target, requestedBy: getRequester(req) });
+    console.log(`📋 프로젝트 닫기 작업 등록: ${job.id} (${projectPath || '활성 프로젝트'}, ${save ? '저장' : '버림'})`);
+    
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/jobs/${job.id}`
+    });
+    
+    dispatchJobs();
+});
+
+// 열린 프로젝트 목록
+app.get('/open-projects', validateRoute('GET /open-projects'), (req, res) => {
+    respondWithPluginQuery(req, res, 'LIST_OPEN_PROJECTS', (result) => ({
+        projects: result.projects || []
+    }));
+});
+
+// 생성된 프로젝트 검색 (최신순) - ?client=Acme&episode=12&q=spring&limit=50
+// q, limit 외의 쿼리 파라미터는 모두 메타데이터 필드 조건
+app.get('/projects', validateRoute('GET /projects'), (req, res) => {
+    const { q } = req.query;
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const fields = {};
+    for (const [name, value] of Object.entries(req.query)) {
+        if (RESERVED_FIELDS.includes(name)) continue;
+        if (typeof value !== 'string') {
+            return sendError(res, 'VALIDATION_FAILED', { details: [`${name}: 한 번만 지정할 수 있습니다`] });
+        }
+        fields[name] = value;
+    }
+    
+    const projects = projectIndex.search({ fields, q, limit });
+    res.json({
+        success: true,
+        count: projects.length,
+        projects
+    });
+});
+
+// 요청 기록 (최신순) - ?from=2024-05-01&to=2024-05-31&status=failed&name=&client=&format=json|csv
+app.get('/history', validateRoute('GET /history'), (req, res) => {
+    const { filter, errors } = parseHistoryQuery(req.query);
+    if (errors.length > 0) {
+        return sendError(res, 'VALIDATION_FAILED', { details: errors });
+    }
+    
+    if (req.query.format === 'csv') {
+        const fileName = `history-${new Date().toISOString().slice(0, 10)}.csv`;
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        return res.type('text/csv').send(historyToCsv(historyLog.list(filter)));
+    }
+    
+    const entries = historyLog.list({ ...filter, limit: filter.limit || 50 });
+    res.json({
+        success: true,
+        count: entries.length,
+        entries
+    });
+});
+
+// 감시 폴더 상태 - 변화가 멈추길 기다리는 폴더와 작업 중인 폴더
+app.get('/watch', validateRoute('GET /watch'), (req, res) => {
+    res.json(folderWatcher.status());
+});
+
+// 웹훅 전송 기록 (최신순) - ?status=failed&jobId=...&limit=50
+app.get('/webhooks/deliveries', validateRoute('GET /webhooks/deliveries'), (req, res) => {
+    const { status, jobId } = req.query;
+    const limit = parseInt(req.query.limit, 10) || 50;
+    
+    res.json({
+        success: true,
+        urls: WEBHOOK_CONFIG.urls,
+        signed: !!WEBHOOK_CONFIG.secret,
+        deliveries: webhookDispatcher.list({ status, jobId, limit })
+    });
+});
+
+// 없는 경로
+app.use((req, res) => {
+    sendError(res, 'NOT_FOUND', { params: { method: req.method, path: req.path } });
+});
+
+// 본문 해석 실패(express.json) 및 처리되지 않은 오류
+app.use((error, req, res, next) => {
+    if (res.headersSent) {
+        return next(error);
+    }
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, 'INVALID_JSON', { details: [error.message] });
+    }
+    if (error.type === 'entity.too.large') {
+        return sendError(res, 'PAYLOAD_TOO_LARGE');
+    }
+    console.error('❌ 요청 처리 오류:', error);
+    sendError(res, 'INTERNAL_ERROR');
 });
 
 // 서버 시작
-app.listen(HTTP_PORT, () => {
+const httpServer = app.listen(HTTP_PORT, () => {
     console.log('\n' + '='.repeat(50));
     console.log('🚀 Premiere Pro Remote Server v2.0');
     console.log('='.repeat(50));
     console.log(`HTTP API: http://localhost:${HTTP_PORT}`);
     console.log(`WebSocket: ws://localhost:${WS_PORT}`);
+    if (WATCH_CONFIG.folders.length > 0) {
+        console.log(`감시 폴더: ${WATCH_CONFIG.folders.join(', ')}`);
+    }
     console.log('\n사용 방법:');
     console.log('  # 기본 생성 (쇼츠영상용 프리셋 자동 적용)');
-    console.log('  Invoke-RestMethod -Uri "http://localhost:3000/create-project" -Method Post -ContentType "application/json" -Body "{}"');
+    console.log(`  Invoke-RestMethod -Uri "http://localhost:${HTTP_PORT}/create-project" -Method Post -ContentType "application/json" -Body "{}"`);
+    console.log('\n  # 작업 상태 확인');
+    console.log(`  Invoke-RestMethod -Uri "http://localhost:${HTTP_PORT}/jobs/<jobId>"`);
     console.log('\n  # 커스텀 이름');
-    console.log('  Invoke-RestMethod -Uri "http://localhost:3000/create-project" -Method Post -ContentType "application/json" -Body \'{"projectName": "MyVideo"}\'');
+    console.log(`  Invoke-RestMethod -Uri "http://localhost:${HTTP_PORT}/create-project" -Method Post -ContentType "application/json" -Body '{"projectName": "MyVideo"}'`);
     console.log('\n대기 중...\n');
+    
+    folderWatcher.start();
+});
+
+// ===================================
+// Dashboard WebSocket
+// ===================================
+// ws://localhost:3000/events?jobId=...&apiKey=... - 진행/상태 이벤트를 JSON으로 전달
+// jobId를 생략하면 모든 작업의 이벤트
+const dashboardWss = new WebSocket.Server({
+    server: httpServer,
+    path: '/events',
+    verifyClient: createWebSocketAuth(AUTH_CONFIG.apiKeys, AUTH_CONFIG.corsOrigins)
+});
+
+dashboardWss.on('connection', (ws, req) => {
+    const jobId = new URL(req.url, 'http://localhost').searchParams.get('jobId') || undefined;
+    
+    // 특정 작업을 구독하면 지난 이벤트부터 보냄
+    if (jobId) {
+        progressHub.getHistory(jobId).forEach(event => ws.send(JSON.stringify(event)));
+    }
+    
+    const unsubscribe = progressHub.subscribe((event) => {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(event));
+        }
+    }, { jobId });
+    
+    ws.on('close', unsubscribe);
+    ws.on('error', unsubscribe);
 });
@@ -0,0 +1,32 @@
+// ============================================
+// JSON File Store
+// 서버 상태를 디스크에 JSON으로 저장하는 헬퍼
+// ============================================
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * JSON 파일 읽기 - 파일이 없거나 깨져 있으면 fallback 반환
+ */
+function readJson(filePath, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`⚠️ JSON 파일 읽기 실패 (${filePath}):`, error.message);
+        }
+        return fallback;
+    }
+}
+
+/**
+ * JSON 파일 쓰기 - 임시 파일에 쓴 뒤 rename 하여 중간에 죽어도 파일이 깨지지 않게 함
+ */
+function writeJsonAtomic(filePath, value) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(value, null, 2), 'utf8');
+    fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = { readJson, writeJsonAtomic };
@@ -0,0 +1,164 @@
+// ============================================
+// Project Templates
+// 빈 구조와 여러 시퀀스를 정의한 프로젝트 템플릿 (이름별 JSON 파일로 저장)
+// ============================================
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJsonAtomic } = require('./store');
+const { normalizeSequenceSettings } = require('./sequenceSettings');
+
+// 템플릿 이름은 그대로 파일명이 되므로 경로 문자를 허용하지 않음
+const TEMPLATE_NAME_PATTERN = /^[\w가-힣-]{1,64}$/;
+
+/**
+ * 템플릿 정의 검증
+ *
+ * {
+ *   "name": "shorts-basic",
+ *   "description": "쇼츠 기본 구성",
+ *   "baseProject": "D:\\Templates\\base.prproj",   // 선택 - 복사해서 시작할 .prproj
+ *   "bins": ["01_Footage", "02_Audio", "03_GFX"],
+ *   "sequences": [
+ *     { "name": "Main", "presetName": "shortsvideo" },
+ *     { "name": "Square", "settings": "square" }      // settings - 프리셋 대신/위에 적용할 시퀀스 설정
+ *   ],
+ *   "activeSequence": "Main"
+ * }
+ *
+ * @returns {string[]} 오류 목록 (비어 있으면 유효)
+ */
+function validateTemplate(template, { requireName = true } = {}) {
+    const errors = [];
+
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+        return ['템플릿은 객체여야 합니다'];
+    }
+
+    if (requireName || template.name != null) {
+        if (typeof template.name !== 'string' || !TEMPLATE_NAME_PATTERN.test(template.name)) {
+            errors.push('name: 1~64자의 영문, 한글, 숫자, _, - 만 사용할 수 있습니다');
+        }
+    }
+
+    if (template.baseProject != null &&
+        (typeof template.baseProject !== 'string' || !template.baseProject.toLowerCase().endsWith('.prproj'))) {
+        errors.push('baseProject: .prproj 파일 경로여야 합니다');
+    }
+
+    if (template.bins != null) {
+        if (!Array.isArray(template.bins)) {
+            errors.push('bins: 빈 경로 문자열 배열이어야 합니다');
+        } else {
+            template.bins.forEach((bin, index) => {
+                if (typeof bin !== 'string' || bin.trim() === '') {
+                    errors.push(`bins[${index}]: 빈 경로 문자열이어야 합니다`);
+                }
+            });
+        }
+    }
+
+    if (!Array.isArray(template.sequences) || template.sequences.length === 0) {
+        errors.push('sequences: 시퀀스가 하나 이상 필요합니다');
+    } else {
+        const names = new Set();
+        template.sequences.forEach((sequence, index) => {
+            if (!sequence || typeof sequence.name !== 'string' || sequence.name.trim() === '') {
+                errors.push(`sequences[${index}].name: 시퀀스 이름이 필요합니다`);
+                return;
+            }
+            if (names.has(sequence.name)) {
+                errors.push(`sequences[${index}].name: 중복된 시퀀스 이름 ${sequence.name}`);
+            }
+            names.add(sequence.name);
+            if (sequence.presetName != null && typeof sequence.presetName !== 'string') {
+                errors.push(`sequences[${index}].presetName: 문자열이어야 합니다`);
+            }
+            errors.push(...normalizeSequenceSettings(sequence.settings, `sequences[${index}].settings`).errors);
+        });
+
+        if (template.activeSequence != null && !names.has(template.activeSequence)) {
+            errors.push(`activeSequence: sequences에 없는 시퀀스입니다 (${template.activeSequence})`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * 템플릿 저장소 생성
+ * @param {object} options
+ * @param {string} options.dir 템플릿 JSON 파일을 저장할 폴더
+ */
+function createTemplateStore({ dir }) {
+    function filePath(name) {
+        return path.join(dir, `${name}.json`);
+    }
+
+    function isValidName(name) {
+        return TEMPLATE_NAME_PATTERN.test(name);
+    }
+
+    function list() {
+        let files;
+        try {
+            files = fs.readdirSync(dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        return files
+            .filter(file => file.endsWith('.json'))
+            .map(file => readJson(path.join(dir, file), null))
+            .filter(Boolean)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    function get(name) {
+        if (!isValidName(name)) return null;
+        return readJson(filePath(name), null);
+    }
+
+    /**
+     * 템플릿 저장 (같은 이름이 있으면 교체)
+     * @returns {{ template: object, created: boolean }}
+     */
+    function save(template) {
+        const created = !fs.existsSync(filePath(template.name));
+        const now = new Date().toISOString();
+        const existing = created ? null : get(template.name);
+
+        const saved = {
+            name: template.name,
+            description: template.description || '',
+            baseProject: template.baseProject || null,
+            bins: template.bins || [],
+            sequences: template.sequences.map(sequence => ({
+                name: sequence.name,
+                presetName: sequence.presetName || null,
+                settings: normalizeSequenceSettings(sequence.settings).settings
+            })),
+            activeSequence: template.activeSequence || template.sequences[0].name,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+
+        writeJsonAtomic(filePath(template.name), saved);
+        return { template: saved, created };
+    }
+
+    function remove(name) {
+        if (!isValidName(name)) return false;
+        try {
+            fs.unlinkSync(filePath(name));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    return { list, get, save, remove };
+}
+
+module.exports = { createTemplateStore, validateTemplate };
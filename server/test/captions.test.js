@@ -0,0 +1,165 @@
+// ============================================
+// Captions Tests
+// captions.js 자막 파싱 / 검증을 서버 없이 직접 검사
+// npm test
+// ============================================
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCaptions, normalizeCaptions, parseTimestamp } = require('../captions');
+
+const SRT = [
+    '1',
+    '00:00:01,000 --> 00:00:02,500',
+    '안녕하세요',
+    '',
+    '2',
+    '00:00:03,000 --> 00:00:04,000',
+    '두 번째 줄',
+    'Second line',
+    ''
+].join('\n');
+
+describe('parseCaptions', () => {
+    test('SRT 자막을 초 단위와 시작 줄 번호로 파싱', () => {
+        const { format, cues, errors } = parseCaptions(SRT);
+        assert.equal(format, 'srt');
+        assert.deepEqual(errors, []);
+        assert.deepEqual(cues.map(cue => [cue.start, cue.end, cue.line]), [[1, 2.5, 2], [3, 4, 6]]);
+        assert.equal(cues[1].text, '두 번째 줄\nSecond line');
+    });
+
+    test('WebVTT는 헤더, NOTE 블록, 위치 설정, 태그를 건너뜀', () => {
+        const vtt = [
+            'WEBVTT',
+            '',
+            'NOTE 메모',
+            '',
+            'intro',
+            '00:01.000 --> 00:02.000 align:start',
+            '<v Host>환영합니다</v>',
+            ''
+        ].join('\n');
+        const { format, cues, errors } = parseCaptions(vtt);
+        assert.equal(format, 'vtt');
+        assert.deepEqual(errors, []);
+        assert.deepEqual(cues.map(cue => [cue.start, cue.end, cue.text, cue.line]), [[1, 2, '환영합니다', 6]]);
+    });
+
+    test('앞 자막과 겹치는 자막은 두 자막의 줄 번호로 보고', () => {
+        const overlapping = SRT.replace('00:00:03,000 --> 00:00:04,000', '00:00:02,000 --> 00:00:04,000');
+        const { errors } = parseCaptions(overlapping);
+        assert.deepEqual(errors, [{ line: 6, message: '앞 자막(2번째 줄)과 겹칩니다' }]);
+    });
+
+    test('잘못된 타임스탬프와 뒤집힌 시간은 타이밍 줄 번호로 보고', () => {
+        const broken = [
+            '1',
+            '00:00:0x,000 --> 00:00:02,000',
+            '첫 줄',
+            '',
+            '2',
+            '00:00:03,000 --> 00:00:61,000',
+            '둘째 줄',
+            '',
+            '3',
+            '00:00:05,000 --> 00:00:04,000',
+            '셋째 줄'
+        ].join('\n');
+        const { cues, errors } = parseCaptions(broken);
+        assert.equal(cues.length, 0);
+        assert.deepEqual(errors, [
+            { line: 2, message: '잘못된 시작 타임스탬프' },
+            { line: 6, message: '잘못된 끝 타임스탬프' },
+            { line: 10, message: '끝 시간이 시작 시간보다 늦어야 합니다' }
+        ]);
+    });
+
+    test('오류 메시지에 자막 내용을 담지 않음', () => {
+        const secret = ['비밀 문장', '00:00:01,000 --> 00:00:02,000', '', 'TOKEN-1234 --> nope', '내용'].join('\n');
+        const { errors } = parseCaptions(secret);
+        assert.ok(errors.length > 0);
+        for (const error of errors) {
+            assert.ok(!error.message.includes('비밀') && !error.message.includes('TOKEN-1234'), error.message);
+        }
+    });
+
+    test('타이밍 줄 없는 블록, 빈 자막, 헤더 없는 VTT', () => {
+        assert.deepEqual(parseCaptions('1\n안녕\n').errors, [{ line: 1, message: '타이밍 줄(시작 --> 끝)이 없습니다' }]);
+        assert.deepEqual(parseCaptions('1\n00:00:01,000 --> 00:00:02,000\n').errors, [{ line: 2, message: '자막 텍스트가 없습니다' }]);
+        assert.deepEqual(parseCaptions('').errors, [{ line: 1, message: '자막이 하나도 없습니다' }]);
+        assert.equal(parseCaptions('00:01.000 --> 00:02.000\n안녕', { format: 'vtt' }).errors[0].message, 'WebVTT 파일은 WEBVTT 헤더로 시작해야 합니다');
+    });
+
+    test('parseTimestamp는 형식별 규칙을 따름', () => {
+        assert.equal(parseTimestamp('01:02:03,450', 'srt'), 3723.45);
+        assert.equal(parseTimestamp('02:03.450', 'vtt'), 123.45);
+        assert.equal(parseTimestamp('02:03.450', 'srt'), null);
+        assert.equal(parseTimestamp('00:60:00,000', 'srt'), null);
+    });
+});
+
+describe('normalizeCaptions', () => {
+    let tempDir = null;
+    let allowedRoot = null;
+
+    before(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'captions-test-'));
+        allowedRoot = path.join(tempDir, 'allowed');
+        fs.mkdirSync(allowedRoot);
+        fs.writeFileSync(path.join(allowedRoot, 'intro.srt'), SRT);
+        fs.writeFileSync(path.join(tempDir, 'outside.srt'), SRT);
+        fs.writeFileSync(path.join(allowedRoot, 'notes.txt'), SRT);
+    });
+
+    after(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('내용 문자열을 SRT로 정리하고 기본 빈을 채움', () => {
+        const { captions, errors } = normalizeCaptions(SRT);
+        assert.deepEqual(errors, []);
+        assert.equal(captions.cueCount, 2);
+        assert.equal(captions.duration, 4);
+        assert.equal(captions.bin, 'Captions');
+        assert.equal(captions.fileName, null);
+        assert.match(captions.srt, /^1\n00:00:01,000 --> 00:00:02,500\n안녕하세요\n/);
+    });
+
+    test('파싱 오류는 "captions N번째 줄" 형식으로 돌려줌', () => {
+        const { captions, errors } = normalizeCaptions({ content: SRT.replace('00:00:03,000', '00:00:02,000') });
+        assert.equal(captions, null);
+        assert.deepEqual(errors, ['captions 6번째 줄: 앞 자막(2번째 줄)과 겹칩니다']);
+    });
+
+    test('허용된 폴더 안의 자막 파일을 읽음', () => {
+        const { captions, errors } = normalizeCaptions({ path: path.join(allowedRoot, 'intro.srt') }, { allowedRoots: [allowedRoot] });
+        assert.deepEqual(errors, []);
+        assert.equal(captions.fileName, 'intro.srt');
+        assert.equal(captions.cueCount, 2);
+    });
+
+    test('허용된 폴더 밖, 상위 폴더 이동, 자막이 아닌 파일은 읽지 않음', () => {
+        const options = { allowedRoots: [allowedRoot] };
+        const check = filePath => normalizeCaptions({ path: filePath }, options).errors[0];
+
+        assert.match(check(path.join(tempDir, 'outside.srt')), /^captions\.path: 허용된 폴더/);
+        assert.match(check(`${allowedRoot}${path.sep}..${path.sep}outside.srt`), /^captions\.path: 상위 폴더/);
+        assert.match(check(path.join(allowedRoot, 'notes.txt')), /^captions\.path: \.srt, \.vtt 파일/);
+        assert.match(check('intro.srt'), /^captions\.path: 절대 경로/);
+        assert.match(normalizeCaptions({ path: path.join(allowedRoot, 'intro.srt') }).errors[0], /^captions\.path: 허용된 폴더/);
+    });
+
+    test('허용된 폴더 밖을 가리키는 심볼릭 링크는 읽지 않음', (t) => {
+        const linkPath = path.join(allowedRoot, 'link.srt');
+        try {
+            fs.symlinkSync(path.join(tempDir, 'outside.srt'), linkPath);
+        } catch (error) {
+            t.skip(`심볼릭 링크를 만들 수 없음 (${error.code})`);
+            return;
+        }
+        assert.match(normalizeCaptions({ path: linkPath }, { allowedRoots: [allowedRoot] }).errors[0], /^captions\.path: 허용된 폴더/);
+    });
+});
@@ -0,0 +1,140 @@
+// ============================================
+// Cron Tests
+// cron.js 식 해석 / 다음 실행 시각 계산을 서버 없이 직접 검사
+// 서머타임 검사를 위해 America/New_York 시간대에서 실행 (2026-03-08 시작, 2026-11-01 종료)
+// npm test
+// ============================================
+process.env.TZ = 'America/New_York';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, nextRun, listRuns } = require('../cron');
+
+function cron(expression) {
+    const parsed = parseCron(expression);
+    assert.deepEqual(parsed.errors, [], expression);
+    return parsed.cron;
+}
+
+function values(parsedCron, field) {
+    return Array.from(parsedCron[field].values).sort((a, b) => a - b);
+}
+
+// 서버 시간대(America/New_York) 기준 시각
+function local(year, month, day, hour = 0, minute = 0, second = 0) {
+    return new Date(year, month - 1, day, hour, minute, second);
+}
+
+function localTimes(dates) {
+    return dates.map(date => `${date.getMonth() + 1}-${date.getDate()} ${date.getHours()}:${String(date.getMinutes()).padStart(2, '0')}`);
+}
+
+describe('parseCron', () => {
+    test('목록, 범위, 간격, 이름을 값 목록으로 해석', () => {
+        const parsed = cron('*/15 8-18/2 1,15 JAN-mar MON-FRI');
+        assert.deepEqual(values(parsed, 'minute'), [0, 15, 30, 45]);
+        assert.deepEqual(values(parsed, 'hour'), [8, 10, 12, 14, 16, 18]);
+        assert.deepEqual(values(parsed, 'dayOfMonth'), [1, 15]);
+        assert.deepEqual(values(parsed, 'month'), [1, 2, 3]);
+        assert.deepEqual(values(parsed, 'dayOfWeek'), [1, 2, 3, 4, 5]);
+    });
+
+    test('5/15는 5부터 끝까지, 요일 7은 일요일', () => {
+        assert.deepEqual(values(cron('5/15 * * * *'), 'minute'), [5, 20, 35, 50]);
+        assert.deepEqual(values(cron('0 0 * * 7'), 'dayOfWeek'), [0]);
+        assert.deepEqual(values(cron('0 0 * * 5-7'), 'dayOfWeek'), [0, 5, 6]);
+    });
+
+    test('별칭은 대소문자 없이 5필드 식으로 바꾸고 원래 식을 남김', () => {
+        const parsed = cron(' @Daily ');
+        assert.equal(parsed.expression, '@Daily');
+        assert.deepEqual(values(parsed, 'minute'), [0]);
+        assert.deepEqual(values(parsed, 'hour'), [0]);
+        assert.equal(parsed.dayOfMonth.any, true);
+        assert.deepEqual(values(cron('@weekly'), 'dayOfWeek'), [0]);
+    });
+
+    test('잘못된 식은 필드 이름을 붙인 오류', () => {
+        assert.deepEqual(parseCron('').errors, ['cron: 비어 있지 않은 문자열이어야 합니다']);
+        assert.deepEqual(parseCron(null).errors, ['cron: 비어 있지 않은 문자열이어야 합니다']);
+        assert.deepEqual(parseCron('0 7 * *').errors, ['cron: "분 시 일 월 요일" 5개 필드여야 합니다 (현재: 4개)']);
+        assert.deepEqual(parseCron('60 24 * * *').errors, ['cron: 분(60): 0~59 범위여야 합니다', 'cron: 시(24): 0~23 범위여야 합니다']);
+        assert.deepEqual(parseCron('*/0 * * * *').errors, ['cron: 분(*/0): 간격은 1 이상의 정수여야 합니다']);
+        assert.deepEqual(parseCron('0 0 * * FUN').errors, ['cron: 요일(FUN): 숫자 또는 이름이어야 합니다']);
+        assert.deepEqual(parseCron('0 0 10-5 * *').errors, ['cron: 일(10-5): 1~31 범위여야 합니다']);
+        assert.deepEqual(parseCron('1/2/3 * * * *').errors, ['cron: 분(1/2/3): 형식이 올바르지 않습니다']);
+    });
+
+    test('오지 않는 날짜(2월 30일, 4월 31일)는 오류, 2월 29일은 허용', () => {
+        const never = ['cron: 5년 안에 실행될 날짜가 없습니다'];
+        assert.deepEqual(parseCron('0 0 30 2 *').errors, never);
+        assert.deepEqual(parseCron('0 0 31 4,6 *').errors, never);
+        assert.deepEqual(parseCron('0 0 29 2 *').errors, []);
+    });
+});
+
+describe('nextRun', () => {
+    test('after 자체는 제외하고 다음 분부터 찾음', () => {
+        const daily = cron('0 7 * * *');
+        assert.deepEqual(nextRun(daily, local(2026, 5, 3, 7, 0)), local(2026, 5, 4, 7, 0));
+        assert.deepEqual(nextRun(daily, local(2026, 5, 3, 6, 59, 30)), local(2026, 5, 3, 7, 0));
+    });
+
+    test('일과 요일을 모두 지정하면 둘 중 하나만 맞아도 실행', () => {
+        // 2026-05-01은 금요일 - 1일 또는 월요일
+        const either = cron('0 9 1 * MON');
+        const runs = listRuns(either, local(2026, 4, 30, 12), local(2026, 5, 12, 12)).runs;
+        assert.deepEqual(localTimes(runs), ['5-1 9:00', '5-4 9:00', '5-11 9:00']);
+    });
+
+    test('일이나 요일 중 하나가 *이면 나머지 하나만 봄', () => {
+        const weekdays = cron('30 6 * * MON-FRI');
+        assert.deepEqual(nextRun(weekdays, local(2026, 5, 1, 7)), local(2026, 5, 4, 6, 30));
+        const firstDay = cron('0 0 1 * *');
+        assert.deepEqual(nextRun(firstDay, local(2026, 12, 15)), local(2027, 1, 1));
+    });
+
+    test('윤년 2월 29일은 다음 윤년까지 건너뜀', () => {
+        assert.deepEqual(nextRun(cron('0 0 29 2 *'), local(2026, 3, 1)), local(2028, 2, 29));
+    });
+});
+
+describe('listRuns', () => {
+    test('after 제외, until 포함 - limit은 최근 것만 남기고 total은 전체 개수', () => {
+        const hourly = cron('@hourly');
+        const all = listRuns(hourly, local(2026, 5, 3, 0), local(2026, 5, 3, 5));
+        assert.equal(all.total, 5);
+        assert.deepEqual(localTimes(all.runs), ['5-3 1:00', '5-3 2:00', '5-3 3:00', '5-3 4:00', '5-3 5:00']);
+
+        const recent = listRuns(hourly, local(2026, 5, 3, 0), local(2026, 5, 3, 5), 2);
+        assert.equal(recent.total, 5);
+        assert.deepEqual(localTimes(recent.runs), ['5-3 4:00', '5-3 5:00']);
+    });
+
+    test('범위 안에 실행이 없으면 빈 목록', () => {
+        assert.deepEqual(listRuns(cron('0 7 * * *'), local(2026, 5, 3, 7), local(2026, 5, 3, 12)), { runs: [], total: 0 });
+    });
+});
+
+describe('서머타임', () => {
+    test('시작일(03-08)에는 없는 2시 30분 실행을 건너뜀', () => {
+        const runs = listRuns(cron('30 2 * * *'), local(2026, 3, 6, 12), local(2026, 3, 10, 12)).runs;
+        assert.deepEqual(localTimes(runs), ['3-7 2:30', '3-9 2:30', '3-10 2:30']);
+    });
+
+    test('종료일(11-01)에 두 번 오는 1시 30분은 한 번만 실행', () => {
+        const runs = listRuns(cron('30 1 * * *'), local(2026, 10, 31, 12), local(2026, 11, 2, 12)).runs;
+        assert.deepEqual(localTimes(runs), ['11-1 1:30', '11-2 1:30']);
+        // 첫 번째 1시 30분 (EDT, UTC-4)
+        assert.equal(runs[0].toISOString(), '2026-11-01T05:30:00.000Z');
+    });
+
+    test('매시 실행은 벽시계 시각마다 한 번 - 시작일 2시, 종료일 반복되는 1시는 없음', () => {
+        const hourly = cron('0 * * * *');
+        const springForward = listRuns(hourly, local(2026, 3, 8, 0, 30), local(2026, 3, 8, 4, 30)).runs;
+        assert.deepEqual(localTimes(springForward), ['3-8 1:00', '3-8 3:00', '3-8 4:00']);
+
+        const fallBack = listRuns(hourly, new Date('2026-11-01T04:30:00Z'), new Date('2026-11-01T08:30:00Z')).runs;
+        assert.deepEqual(fallBack.map(date => date.toISOString()), ['2026-11-01T05:00:00.000Z', '2026-11-01T07:00:00.000Z', '2026-11-01T08:00:00.000Z']);
+    });
+});
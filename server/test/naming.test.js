@@ -0,0 +1,209 @@
+// ============================================
+// Naming Tests
+// naming.js 이름 패턴 검사 / 적용과 {counter} 번호를 서버 없이 직접 검사
+// npm test
+// ============================================
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createNamer, validatePatterns, renderPattern, formatDate } = require('../naming');
+
+const ROOT = '/projects';
+
+function request(overrides = {}) {
+    return {
+        projectName: 'vlog',
+        sequenceName: 'Main',
+        presetName: '4K',
+        savePath: `${ROOT}/2026`,
+        metadata: { client: 'acme' },
+        template: null,
+        naming: null,
+        ...overrides
+    };
+}
+
+describe('validatePatterns', () => {
+    test('쓸 수 있는 패턴과 빈 패턴은 통과', () => {
+        assert.deepEqual(validatePatterns({
+            project: '{name}_{date:YYYYMMDD}_{counter:03}',
+            sequence: '{sequence}-{time:HHmm}',
+            folder: '{date:YYYY}/{client}'
+        }), []);
+        assert.deepEqual(validatePatterns({ project: '', sequence: null }), []);
+    });
+
+    test('알 수 없는 토큰, 닫히지 않은 {, 형식 오류', () => {
+        assert.deepEqual(validatePatterns({ project: '{name}_{foo}' }), ['naming.project: 알 수 없는 토큰 {foo} (사용 가능: {name}, {date}, {time}, {counter}, {preset}, {client}, {user})']);
+        assert.deepEqual(validatePatterns({ project: '{name' }), ['naming.project: 닫히지 않은 { 가 있습니다']);
+        assert.deepEqual(validatePatterns({ project: '{name:upper}' }), ['naming.project: {name}에는 형식을 지정할 수 없습니다 ({name:upper})']);
+        assert.deepEqual(validatePatterns({ project: '{counter:abc}' }), ['naming.project: {counter:03}처럼 자릿수를 지정해야 합니다 ({counter:abc})']);
+        assert.deepEqual(validatePatterns({ sequence: 42 }, 'config.naming'), ['config.naming.sequence: 문자열이어야 합니다']);
+    });
+
+    test('폴더 패턴에는 {counter}를 쓸 수 없음', () => {
+        assert.match(validatePatterns({ folder: '{counter}' })[0], /^naming\.folder: 알 수 없는 토큰 \{counter\}/);
+    });
+
+    test('프로젝트 / 시퀀스 패턴의 경로, 폴더 패턴의 상위 폴더 이동은 거부', () => {
+        assert.match(validatePatterns({ project: 'clients/{name}' })[0], /^naming\.project: 경로\(\/, \\\)를 포함할 수 없습니다/);
+        assert.match(validatePatterns({ sequence: '{name}\\seq' })[0], /^naming\.sequence: 경로/);
+        assert.deepEqual(validatePatterns({ folder: '{client}/../secret' }), ['naming.folder: 상위 폴더(..)로 이동하는 경로는 쓸 수 없습니다']);
+    });
+});
+
+describe('renderPattern / formatDate', () => {
+    test('날짜 형식 토큰을 서버 시간대로 바꿈', () => {
+        const date = new Date(2026, 0, 3, 16, 12, 34);
+        assert.equal(formatDate(date, 'YYYYMMDD_HHmmss'), '20260103_161234');
+        assert.equal(formatDate(date, 'YY-MM-DD'), '26-01-03');
+    });
+
+    test('resolve가 null을 돌려준 토큰은 그대로 둠', () => {
+        const result = renderPattern('{a}-{b:x}-{c}', (token, format) => (token === 'c' ? null : `${token}${format || ''}`));
+        assert.equal(result, 'a-bx-{c}');
+    });
+});
+
+describe('createNamer', () => {
+    let tempDir = null;
+    let fileCount = 0;
+
+    before(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'naming-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    function namer(patterns, { counterScope = 'day', filePath = path.join(tempDir, `counters-${++fileCount}.json`) } = {}) {
+        return { filePath, ...createNamer({ filePath, patterns, counterScope, allowedRoots: [ROOT] }) };
+    }
+
+    function readCounters(filePath) {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8')).counters;
+    }
+
+    test('패턴이 없으면 요청 이름 그대로', () => {
+        const { names, errors } = namer({}).resolve(request());
+        assert.deepEqual(errors, []);
+        assert.equal(names.projectName, 'vlog');
+        assert.equal(names.savePath, `${ROOT}/2026`);
+        assert.deepEqual(names.sequenceNames, ['Main']);
+        assert.equal(names.counter, null);
+    });
+
+    test('미리보기는 번호를 쓰지 않고, 적용할 때만 날짜별 번호를 올려 저장', () => {
+        const { resolve, apply, filePath } = namer({ project: '{name}_{counter:03}', sequence: '{sequence}_{counter}' });
+        const today = formatDate(new Date(), 'YYYY-MM-DD');
+
+        assert.equal(resolve(request()).names.projectName, 'vlog_001');
+        assert.equal(resolve(request()).names.projectName, 'vlog_001');
+        assert.equal(fs.existsSync(filePath), false);
+
+        const first = apply(request());
+        assert.equal(first.projectName, 'vlog_001');
+        assert.equal(first.sequenceName, 'Main_1');
+        assert.deepEqual(first.naming, { project: '{name}_{counter:03}', sequence: '{sequence}_{counter}' });
+        assert.equal(apply(request()).projectName, 'vlog_002');
+        assert.deepEqual(readCounters(filePath), { [`day:${today}`]: 2 });
+
+        // 서버를 다시 시작해도 이어서
+        const restarted = namer({ project: '{name}_{counter:03}' }, { filePath });
+        assert.equal(restarted.apply(request()).projectName, 'vlog_003');
+    });
+
+    test("'folder' 범위는 저장 폴더마다 따로 번호를 매김", () => {
+        const { apply, filePath } = namer({ project: '{name}_{counter}', folder: '{client}' }, { counterScope: 'folder' });
+
+        assert.equal(apply(request()).projectName, 'vlog_1');
+        assert.equal(apply(request()).projectName, 'vlog_2');
+        const other = apply(request({ metadata: { client: 'globex' } }));
+        assert.equal(other.projectName, 'vlog_1');
+        assert.equal(other.savePath, `${ROOT}/2026/globex`);
+
+        assert.deepEqual(readCounters(filePath), {
+            [`folder:${ROOT}/2026/acme`]: 2,
+            [`folder:${ROOT}/2026/globex`]: 1
+        });
+    });
+
+    test('요청의 naming이 서버 패턴을 덮어쓰고, null이면 그 패턴을 쓰지 않음', () => {
+        const { resolve } = namer({ project: '{name}_{preset}', sequence: '{sequence}_{preset}' });
+        const { names } = resolve(request({ naming: { project: '{client}-{name}', sequence: null } }));
+        assert.equal(names.projectName, 'acme-vlog');
+        assert.deepEqual(names.sequenceNames, ['Main']);
+        assert.deepEqual(names.patterns, { project: '{client}-{name}' });
+    });
+
+    test('{user}는 요청한 API 키 이름, 없으면 요청 출처', () => {
+        const { resolve } = namer({ project: '{name}_{user}' });
+        assert.equal(resolve(request(), { client: 'editor-1', source: 'api' }).names.projectName, 'vlog_editor-1');
+        assert.equal(resolve(request(), { client: null, source: 'watch' }).names.projectName, 'vlog_watch');
+    });
+
+    test('값의 경로 구분자와 쓸 수 없는 문자는 바꾸고 Windows 예약 이름은 피함', () => {
+        const { resolve } = namer({ project: '{client}', folder: '{client}' });
+        const slashed = resolve(request({ metadata: { client: 'a/b:c' } })).names;
+        assert.equal(slashed.projectName, 'a-b-c');
+        assert.equal(slashed.savePath, `${ROOT}/2026/a-b-c`);
+
+        const reserved = resolve(request({ metadata: { client: 'nul' } })).names;
+        assert.equal(reserved.projectName, 'nul_');
+        assert.equal(reserved.savePath, `${ROOT}/2026/nul_`);
+    });
+
+    test('결과 이름은 100자 이하', () => {
+        const { resolve } = namer({ project: '{name}_{date:YYYYMMDD}' });
+        const longName = 'a'.repeat(95);
+        const { names, errors } = resolve(request({ projectName: longName }));
+        assert.equal(names, null);
+        assert.match(errors[0], /^naming\.project: 결과가 100자 이하여야 합니다 \(현재: 104자, /);
+        assert.deepEqual(resolve(request({ projectName: 'a'.repeat(91) })).errors, []);
+    });
+
+    test('값이 없는 토큰은 안내와 함께 오류', () => {
+        const { resolve } = namer({ project: '{name}_{client}', folder: '{preset}' });
+        const { names, errors } = resolve(request({ metadata: null, presetName: null }));
+        assert.equal(names, null);
+        assert.deepEqual(errors, [
+            'naming.folder: {preset} 값이 없습니다 - presetName을 지정하세요',
+            'naming.project: {client} 값이 없습니다 - metadata.client를 지정하세요'
+        ]);
+    });
+
+    test('폴더 패턴 결과도 허용된 저장 폴더 안이어야 함', () => {
+        const { resolve } = namer({ folder: '/elsewhere/{client}' });
+        const { names, errors } = resolve(request());
+        assert.equal(names, null);
+        assert.match(errors[0], /^naming\.folder: 허용된 저장 폴더 밖입니다/);
+        assert.equal(namer({ folder: `${ROOT}/{client}` }).resolve(request()).names.savePath, `${ROOT}/acme`);
+    });
+
+    test('템플릿 시퀀스마다 패턴을 적용하고 이름이 겹치면 오류', () => {
+        const template = {
+            name: 'vlog',
+            sequences: [{ name: 'Main' }, { name: 'Shorts' }],
+            activeSequence: 'Shorts'
+        };
+        const applied = namer({ sequence: '{name}-{sequence}' }).apply(request({ template }));
+        assert.deepEqual(applied.template.sequences.map(spec => spec.name), ['vlog-Main', 'vlog-Shorts']);
+        assert.equal(applied.template.activeSequence, 'vlog-Shorts');
+
+        const { errors } = namer({ sequence: '{name}' }).resolve(request({ template }));
+        assert.deepEqual(errors, ['naming.sequence: 템플릿 시퀀스 이름이 겹칩니다 (vlog, vlog) - {sequence}를 넣으세요']);
+    });
+
+    test('적용할 수 없으면 apply가 오류 목록을 details에 담아 던지고 번호를 쓰지 않음', () => {
+        const { apply, filePath } = namer({ project: '{client}_{counter}' });
+        assert.throws(() => apply(request({ metadata: {} })), error => {
+            assert.equal(error.message, '이름 패턴을 적용할 수 없습니다');
+            assert.deepEqual(error.details, ['naming.project: {client} 값이 없습니다 - metadata.client를 지정하세요']);
+            return true;
+        });
+        assert.equal(fs.existsSync(filePath), false);
+    });
+});
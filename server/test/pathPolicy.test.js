@@ -0,0 +1,147 @@
+// ============================================
+// Path Policy Tests
+// pathPolicy.js 저장 경로 / 파일명 규칙을 서버 없이 직접 검사
+// 같은 이름 파일 처리(onCollision)는 플러그인 몫이라 server.test.js에서 검사
+// npm test
+// ============================================
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    COLLISION_STRATEGIES,
+    MAX_NAME_LENGTH,
+    MAX_FOLDER_PATH_LENGTH,
+    sanitizeFileName,
+    checkProjectName,
+    checkSavePath,
+    checkOutputPath,
+    isInsideRoot,
+    isReservedName
+} = require('../pathPolicy');
+
+const POSIX_ROOT = '/srv/projects';
+const WINDOWS_ROOT = 'D:\\Projects';
+const ROOTS = [POSIX_ROOT, WINDOWS_ROOT];
+
+describe('sanitizeFileName', () => {
+    test('쓸 수 없는 문자는 -로, 끝의 점과 공백은 제거', () => {
+        assert.equal(sanitizeFileName('a<b>c:d"e/f\\g|h?i*j'), 'a-b-c-d-e-f-g-h-i-j');
+        assert.equal(sanitizeFileName('  show. . '), 'show');
+        assert.equal(sanitizeFileName('tab\there'), 'tab-here');
+    });
+
+    test('빈 이름은 fallback, Windows 예약 이름은 _를 붙임', () => {
+        assert.equal(sanitizeFileName(''), 'NewProject');
+        assert.equal(sanitizeFileName(null, 'Untitled'), 'Untitled');
+        assert.equal(sanitizeFileName('...'), 'NewProject');
+        assert.equal(sanitizeFileName('CON'), 'CON_');
+        assert.equal(sanitizeFileName('com1.txt'), 'com1.txt_');
+        assert.equal(sanitizeFileName('console'), 'console');
+    });
+
+    test(`${MAX_NAME_LENGTH}자로 자르고 잘린 끝의 점도 제거`, () => {
+        assert.equal(sanitizeFileName('a'.repeat(150)).length, MAX_NAME_LENGTH);
+        assert.equal(sanitizeFileName(`${'a'.repeat(MAX_NAME_LENGTH - 1)}.b`), 'a'.repeat(MAX_NAME_LENGTH - 1));
+    });
+
+    test('isReservedName은 확장자가 붙어도 예약 이름', () => {
+        assert.equal(isReservedName('nul'), true);
+        assert.equal(isReservedName('LPT9.prproj'), true);
+        assert.equal(isReservedName('lpt0'), false);
+        assert.equal(isReservedName('auxiliary'), false);
+    });
+});
+
+describe('checkProjectName', () => {
+    test('경로가 섞인 이름과 긴 이름은 거부', () => {
+        assert.deepEqual(checkProjectName('Weekly Show'), []);
+        assert.deepEqual(checkProjectName(undefined), []);
+        assert.deepEqual(checkProjectName('../secret'), ['projectName: 경로(/, \\, ..)를 포함할 수 없습니다 - 저장 폴더는 savePath로 지정하세요']);
+        assert.equal(checkProjectName('a\\b').length, 1);
+        assert.equal(checkProjectName(' .. ').length, 1);
+        assert.deepEqual(checkProjectName('a'.repeat(MAX_NAME_LENGTH + 1)), [`projectName: ${MAX_NAME_LENGTH}자 이하여야 합니다 (현재: ${MAX_NAME_LENGTH + 1}자)`]);
+    });
+
+    test('쓸 수 없는 문자와 예약 이름은 거부하지 않음 (sanitizeFileName이 바꿈)', () => {
+        assert.deepEqual(checkProjectName('a:b?'), []);
+        assert.deepEqual(checkProjectName('CON'), []);
+    });
+});
+
+describe('isInsideRoot', () => {
+    test('root 자신과 하위 폴더만 안쪽', () => {
+        assert.equal(isInsideRoot(POSIX_ROOT, POSIX_ROOT), true);
+        assert.equal(isInsideRoot(POSIX_ROOT, `${POSIX_ROOT}/2026/show`), true);
+        assert.equal(isInsideRoot(POSIX_ROOT, '/srv/projects-old'), false);
+        assert.equal(isInsideRoot(POSIX_ROOT, `${POSIX_ROOT}/../other`), false);
+    });
+
+    test('Windows 경로는 대소문자와 구분자 모양을 가리지 않음', () => {
+        assert.equal(isInsideRoot(WINDOWS_ROOT, 'd:/projects/Show'), true);
+        assert.equal(isInsideRoot(WINDOWS_ROOT, 'D:\\PROJECTS'), true);
+        assert.equal(isInsideRoot(WINDOWS_ROOT, 'E:\\Projects'), false);
+        assert.equal(isInsideRoot('\\\\nas\\share', '\\\\NAS\\Share\\show'), true);
+    });
+
+    test('posix 경로는 대소문자를 구분하고 Windows 경로와 섞이지 않음', () => {
+        assert.equal(isInsideRoot(POSIX_ROOT, '/srv/Projects/show'), false);
+        assert.equal(isInsideRoot(POSIX_ROOT, 'D:\\srv\\projects'), false);
+        assert.equal(isInsideRoot(WINDOWS_ROOT, '/Projects'), false);
+    });
+});
+
+describe('checkSavePath', () => {
+    test('허용된 폴더 안이면 정리한 경로를 돌려줌', () => {
+        assert.deepEqual(checkSavePath(`${POSIX_ROOT}//2026/show/`, ROOTS), { path: `${POSIX_ROOT}/2026/show`, errors: [] });
+        assert.deepEqual(checkSavePath('d:/projects/show\\', ROOTS), { path: 'd:\\projects\\show', errors: [] });
+        assert.deepEqual(checkSavePath('D:\\', ['D:\\']), { path: 'D:\\', errors: [] });
+    });
+
+    test('상위 폴더 이동과 상대 경로는 다른 검사 없이 거부', () => {
+        assert.deepEqual(checkSavePath(`${POSIX_ROOT}/../etc`, ROOTS), { path: null, errors: ['savePath: 상위 폴더(..)로 이동하는 경로는 쓸 수 없습니다'] });
+        assert.deepEqual(checkSavePath('D:\\Projects\\..\\Windows', ROOTS).errors, ['savePath: 상위 폴더(..)로 이동하는 경로는 쓸 수 없습니다']);
+        assert.deepEqual(checkSavePath('projects/show', ROOTS, 'naming.folder'), { path: null, errors: ['naming.folder: 절대 경로여야 합니다'] });
+    });
+
+    test('허용된 폴더 밖은 허용 목록과 함께 거부', () => {
+        assert.deepEqual(checkSavePath('/tmp/show', ROOTS).errors, [`savePath: 허용된 저장 폴더 밖입니다 (허용: ${ROOTS.join(', ')})`]);
+        assert.equal(checkSavePath('C:\\Projects', ROOTS).path, null);
+    });
+
+    test('폴더 이름의 쓸 수 없는 문자와 Windows 예약 이름은 거부 (드라이브, UNC 서버 이름 제외)', () => {
+        assert.deepEqual(checkSavePath(`${POSIX_ROOT}/a?b`, ROOTS).errors, ['savePath: 폴더 이름에 쓸 수 없는 문자가 있습니다 (a?b)']);
+        assert.deepEqual(checkSavePath('D:\\Projects\\aux', ROOTS).errors, ['savePath: Windows 예약 이름은 폴더 이름으로 쓸 수 없습니다 (aux)']);
+        assert.deepEqual(checkSavePath('\\\\nas\\share\\show', ['\\\\nas\\share']).errors, []);
+    });
+
+    test(`${MAX_FOLDER_PATH_LENGTH}자를 넘는 폴더 경로는 거부`, () => {
+        const fits = `${POSIX_ROOT}/${'a'.repeat(MAX_FOLDER_PATH_LENGTH - POSIX_ROOT.length - 1)}`;
+        assert.deepEqual(checkSavePath(fits, ROOTS).errors, []);
+        assert.deepEqual(checkSavePath(`${fits}b`, ROOTS).errors, [`savePath: ${MAX_FOLDER_PATH_LENGTH}자 이하여야 합니다 (현재: ${MAX_FOLDER_PATH_LENGTH + 1}자)`]);
+    });
+});
+
+describe('checkOutputPath', () => {
+    test('폴더를 정리하고 파일명을 붙인 경로', () => {
+        assert.deepEqual(checkOutputPath(`${POSIX_ROOT}/exports//show.mp4`, ROOTS), { path: `${POSIX_ROOT}/exports/show.mp4`, errors: [] });
+        assert.deepEqual(checkOutputPath('d:/projects/show.mp4', ROOTS), { path: 'd:\\projects\\show.mp4', errors: [] });
+    });
+
+    test('파일명이 없거나 쓸 수 없는 파일명은 거부', () => {
+        assert.deepEqual(checkOutputPath(`${POSIX_ROOT}/`, ROOTS).errors, ['outputPath: 파일명이 있는 경로여야 합니다']);
+        assert.deepEqual(checkOutputPath(`${POSIX_ROOT}/..`, ROOTS).errors, ['outputPath: 파일명이 있는 경로여야 합니다']);
+        assert.deepEqual(checkOutputPath(`${POSIX_ROOT}/a:b.mp4`, ROOTS).errors, ['outputPath: 파일명에 쓸 수 없는 문자가 있습니다 (a:b.mp4)']);
+        assert.deepEqual(checkOutputPath('D:\\Projects\\nul.mp4', ROOTS).errors, ['outputPath: Windows 예약 이름은 파일명으로 쓸 수 없습니다 (nul.mp4)']);
+    });
+
+    test('폴더는 savePath와 같은 규칙 - 상대 경로, 상위 폴더 이동, 허용된 폴더 밖', () => {
+        assert.deepEqual(checkOutputPath('show.mp4', ROOTS, 'export.outputPath').errors, ['export.outputPath: 절대 경로여야 합니다']);
+        assert.deepEqual(checkOutputPath(`${POSIX_ROOT}/../show.mp4`, ROOTS).errors, ['outputPath: 상위 폴더(..)로 이동하는 경로는 쓸 수 없습니다']);
+        assert.match(checkOutputPath('/tmp/show.mp4', ROOTS).errors[0], /^outputPath: 허용된 저장 폴더 밖입니다/);
+    });
+});
+
+describe('COLLISION_STRATEGIES', () => {
+    test('기본값 timestamp와 increment, fail, overwrite', () => {
+        assert.deepEqual(COLLISION_STRATEGIES, ['timestamp', 'increment', 'fail', 'overwrite']);
+    });
+});
@@ -0,0 +1,183 @@
+// ============================================
+// Schedules Tests
+// schedules.js 놓친 실행(catchUp) 처리를 서버 없이 직접 검사
+// 저장된 예약 파일로 실행기를 만들면 시작할 때 놓친 실행을 처리함
+// npm test
+// ============================================
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createScheduler, applyNamePattern } = require('../schedules');
+const { parseCron, listRuns } = require('../cron');
+const { formatDate } = require('../naming');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// 매시 지금부터 30분 뒤의 분에 실행 - 가장 최근 실행이 30분 전이라 제시간 실행과 겹치지 않음
+function hourlyCron() {
+    return `${(new Date().getMinutes() + 30) % 60} * * * *`;
+}
+
+describe('createScheduler 놓친 실행', () => {
+    let tempDir = null;
+    let fileCount = 0;
+
+    before(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedules-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    /**
+     * 예약 하나를 저장해 둔 파일로 실행기 생성 - 만들어진 작업 목록과 함께 반환
+     */
+    function startScheduler(schedule, { defaultCatchUp = 'once', prepare } = {}) {
+        const filePath = path.join(tempDir, `schedules-${++fileCount}.json`);
+        const saved = {
+            name: 'daily',
+            description: '',
+            cron: hourlyCron(),
+            namePattern: null,
+            request: { projectName: 'vlog', savePath: '/projects' },
+            catchUp: null,
+            enabled: true,
+            lastScheduledAt: new Date(Date.now() - 5 * HOUR_MS).toISOString(),
+            lastRun: null,
+            runCount: 0,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            ...schedule
+        };
+        fs.writeFileSync(filePath, JSON.stringify({ schedules: [saved] }));
+
+        const jobs = [];
+        const scheduler = createScheduler({
+            filePath,
+            defaultCatchUp,
+            prepare: prepare || (spec => ({ data: spec })),
+            enqueue: (data, options) => {
+                const job = { id: `job-${jobs.length + 1}`, data, options };
+                jobs.push(job);
+                return job;
+            }
+        });
+        const missed = listRuns(parseCron(saved.cron).cron, new Date(saved.lastScheduledAt), new Date()).runs;
+        return { scheduler, jobs, missed, filePath };
+    }
+
+    function scheduledTimes(jobs) {
+        return jobs.map(job => job.options.requestedBy.scheduledAt);
+    }
+
+    test("'skip'은 놓친 실행을 만들지 않고 마지막 처리 시각만 옮김", () => {
+        const { scheduler, jobs, missed } = startScheduler({ catchUp: 'skip' });
+        assert.equal(missed.length, 5);
+        assert.deepEqual(jobs, []);
+
+        const schedule = scheduler.get('daily');
+        assert.equal(schedule.lastScheduledAt, missed[missed.length - 1].toISOString());
+        assert.equal(schedule.runCount, 0);
+        assert.equal(schedule.lastRun, null);
+    });
+
+    test("'once'는 가장 최근에 놓친 실행만 한 번", () => {
+        const { scheduler, jobs, missed } = startScheduler({ catchUp: 'once' });
+        const latest = missed[missed.length - 1].toISOString();
+        assert.deepEqual(scheduledTimes(jobs), [latest]);
+        assert.deepEqual(jobs[0].options.requestedBy, { source: 'schedule', client: null, schedule: 'daily', scheduledAt: latest });
+
+        const schedule = scheduler.get('daily');
+        assert.equal(schedule.runCount, 1);
+        assert.equal(schedule.lastRun.jobId, 'job-1');
+        assert.equal(schedule.lastScheduledAt, latest);
+    });
+
+    test("'all'은 놓친 횟수만큼 오래된 순으로", () => {
+        const { jobs, missed } = startScheduler({ catchUp: 'all' });
+        assert.equal(missed.length, 5);
+        assert.deepEqual(scheduledTimes(jobs), missed.map(date => date.toISOString()));
+    });
+
+    test("'all'은 최근 24회까지만", () => {
+        const { scheduler, jobs, missed } = startScheduler({
+            catchUp: 'all',
+            lastScheduledAt: new Date(Date.now() - 30 * HOUR_MS).toISOString()
+        });
+        assert.equal(missed.length, 30);
+        assert.deepEqual(scheduledTimes(jobs), missed.slice(-24).map(date => date.toISOString()));
+        assert.equal(scheduler.get('daily').runCount, 24);
+    });
+
+    test('catchUp이 없으면 defaultCatchUp을 따름', () => {
+        const { scheduler, jobs } = startScheduler({ catchUp: null }, { defaultCatchUp: 'skip' });
+        assert.deepEqual(jobs, []);
+        assert.equal(scheduler.get('daily').catchUp, 'skip');
+    });
+
+    // 매분 실행 - 가장 최근 실행은 항상 1분 안이라 제시간 실행
+    for (const catchUp of ['skip', 'once']) {
+        test(`방금 지난 실행은 '${catchUp}'이어도 한 번만 제시간 실행으로 만듦`, () => {
+            const { scheduler, jobs } = startScheduler({
+                cron: '* * * * *',
+                catchUp,
+                lastScheduledAt: new Date(Date.now() - 3 * 60 * 1000).toISOString()
+            });
+            const { lastScheduledAt } = scheduler.get('daily');
+            assert.deepEqual(scheduledTimes(jobs), [lastScheduledAt]);
+            assert.ok(Date.now() - new Date(lastScheduledAt) < 2 * 60 * 1000);
+        });
+    }
+
+    test('꺼진 예약은 놓친 실행을 처리하지 않음', () => {
+        const lastScheduledAt = new Date(Date.now() - 5 * HOUR_MS).toISOString();
+        const { scheduler, jobs } = startScheduler({ catchUp: 'all', enabled: false, lastScheduledAt });
+        assert.deepEqual(jobs, []);
+        assert.equal(scheduler.get('daily').lastScheduledAt, lastScheduledAt);
+        assert.equal(scheduler.get('daily').nextRunAt, null);
+    });
+
+    test('처리 결과를 저장해 다시 시작해도 같은 실행을 만들지 않음', () => {
+        const { jobs, filePath } = startScheduler({ catchUp: 'all' });
+        assert.equal(jobs.length, 5);
+
+        const restarted = [];
+        createScheduler({
+            filePath,
+            defaultCatchUp: 'all',
+            prepare: spec => ({ data: spec }),
+            enqueue: data => {
+                restarted.push(data);
+                return { id: 'job-again' };
+            }
+        });
+        assert.deepEqual(restarted, []);
+        assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).schedules[0].runCount, 5);
+    });
+
+    test('projectName 패턴의 날짜는 실행 예정 시각 기준', () => {
+        const { jobs, missed } = startScheduler({ catchUp: 'all', namePattern: '{schedule}_{date:YYYYMMDD}_{time}' });
+        assert.deepEqual(
+            jobs.map(job => job.data.projectName),
+            missed.map(date => `daily_${formatDate(date, 'YYYYMMDD')}_${formatDate(date, 'HHmm')}`)
+        );
+        assert.equal(applyNamePattern('{schedule}-{unknown}', { date: missed[0], schedule: 'daily' }), 'daily-{unknown}');
+    });
+
+    test('요청 검증에 실패하면 작업 없이 lastRun에 오류를 남기고 진행', () => {
+        const { scheduler, jobs, missed } = startScheduler({ catchUp: 'once' }, {
+            prepare: () => ({ error: 'TEMPLATE_NOT_FOUND', details: ['template: 없는 템플릿입니다'] })
+        });
+        assert.deepEqual(jobs, []);
+
+        const schedule = scheduler.get('daily');
+        assert.equal(schedule.runCount, 0);
+        assert.equal(schedule.lastRun.jobId, null);
+        assert.equal(schedule.lastRun.error, 'TEMPLATE_NOT_FOUND');
+        assert.deepEqual(schedule.lastRun.details, ['template: 없는 템플릿입니다']);
+        assert.equal(schedule.lastScheduledAt, missed[missed.length - 1].toISOString());
+    });
+});
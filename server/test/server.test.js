@@ -0,0 +1,567 @@
+// ============================================
+// Server E2E Tests
+// 실제 server.js를 임시 포트 / 데이터 폴더로 띄우고 가짜 플러그인(mockPlugin.js)으로 작업 흐름 검사
+// npm test
+// ============================================
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const { once } = require('events');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { createMockPlugin } = require('../mockPlugin');
+
+const SERVER_PATH = path.join(__dirname, '..', 'server.js');
+const JOB_TIMEOUT_MS = 1500;
+
+let server = null;
+let baseUrl = null;
+let wsUrl = null;
+let tempDir = null;
+let savePath = null;
+let serverLog = '';
+const mocks = [];
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function request(method, route, body) {
+    const response = await fetch(`${baseUrl}${route}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+/**
+ * 작업이 끝날 때까지 대기 (succeeded / failed)
+ */
+async function waitForJob(jobId, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const { body: job } = await request('GET', `/jobs/${jobId}`);
+        if (job.status === 'succeeded' || job.status === 'failed') {
+            return job;
+        }
+        await wait(50);
+    }
+    throw new Error(`작업이 ${timeoutMs}ms 안에 끝나지 않았습니다: ${jobId}`);
+}
+
+async function connectMock(options = {}) {
+    const mock = createMockPlugin({ url: wsUrl, quiet: true, ...options });
+    await mock.connect();
+    mocks.push(mock);
+    return mock;
+}
+
+async function closeMock(mock) {
+    await mock.close();
+    mocks.splice(mocks.indexOf(mock), 1);
+    // 서버가 연결 해제를 처리할 시간
+    await wait(50);
+}
+
+async function waitForServer(timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        if (server.exitCode !== null) break;
+        try {
+            await request('GET', '/status');
+            return;
+        } catch (error) {
+            await wait(100);
+        }
+    }
+    throw new Error(`서버가 시작되지 않았습니다\n${serverLog}`);
+}
+
+before(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'premiere-server-test-'));
+    savePath = path.join(tempDir, 'inbox');
+    const configPath = path.join(tempDir, 'config.json');
+    fs.writeFileSync(configPath, JSON.stringify({ defaults: { savePath } }));
+
+    const [httpPort, wsPort] = [await freePort(), await freePort()];
+    baseUrl = `http://127.0.0.1:${httpPort}`;
+    wsUrl = `ws://127.0.0.1:${wsPort}`;
+
+    // 개발 환경의 PREMIERE_* 변수가 시험 설정을 덮어쓰지 않도록 제외
+    const env = Object.fromEntries(Object.entries(process.env).filter(([name]) => !name.startsWith('PREMIERE_')));
+    server = spawn(process.execPath, [
+        SERVER_PATH,
+        '--config', configPath,
+        '--http-port', String(httpPort),
+        '--ws-port', String(wsPort),
+        '--data-dir', path.join(tempDir, 'data'),
+        '--job-timeout-ms', String(JOB_TIMEOUT_MS),
+        '--query-timeout-ms', '1000'
+    ], { env, stdio: ['ignore', 'pipe', 'pipe'] });
+    server.stdout.on('data', chunk => { serverLog += chunk; });
+    server.stderr.on('data', chunk => { serverLog += chunk; });
+
+    await waitForServer();
+});
+
+after(async () => {
+    for (const mock of [...mocks]) {
+        await mock.close();
+    }
+    if (server && server.exitCode === null) {
+        server.kill();
+        await once(server, 'exit');
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('플러그인이 연결되지 않았을 때', () => {
+    test('GET /status는 연결 0개를 보고', async () => {
+        const { status, body } = await request('GET', '/status');
+        assert.equal(status, 200);
+        assert.equal(body.connectedClients, 0);
+        assert.equal(body.defaultSavePath, savePath);
+    });
+
+    test('플러그인 조회 라우트는 503 PLUGIN_NOT_CONNECTED', async () => {
+        const { status, body } = await request('GET', '/presets');
+        assert.equal(status, 503);
+        assert.equal(body.code, 'PLUGIN_NOT_CONNECTED');
+    });
+
+    test('대상 플러그인이 없으면 503 TARGET_NOT_CONNECTED', async () => {
+        const { status, body } = await request('GET', '/presets?target=EDIT-PC-99');
+        assert.equal(status, 503);
+        assert.equal(body.code, 'TARGET_NOT_CONNECTED');
+    });
+
+    test('/create-project는 대기열에 넣고 플러그인이 연결되면 실행', async () => {
+        const { status, body } = await request('POST', '/create-project', { projectName: 'Queued' });
+        assert.equal(status, 202);
+        assert.equal(body.targetConnected, false);
+
+        const { body: queued } = await request('GET', `/jobs/${body.jobId}`);
+        assert.equal(queued.status, 'queued');
+
+        const mock = await connectMock({ machineId: 'late-pc' });
+        const job = await waitForJob(body.jobId);
+        assert.equal(job.status, 'succeeded');
+        assert.equal(job.pluginId, 'late-pc');
+        await closeMock(mock);
+    });
+});
+
+describe('프로젝트 생성', () => {
+    let mock;
+
+    before(async () => {
+        mock = await connectMock({ machineId: 'edit-pc-01', hostname: 'EDIT-PC-01' });
+    });
+
+    after(async () => {
+        await closeMock(mock);
+    });
+
+    test('성공하면 결과에 프로젝트 경로와 시퀀스가 담김', async () => {
+        const { status, body } = await request('POST', '/create-project', {
+            projectName: 'Weekly Show',
+            sequenceName: 'Main',
+            onCollision: 'increment',
+            target: 'edit-pc-01'
+        });
+        assert.equal(status, 202);
+        assert.equal(body.targetConnected, true);
+        assert.equal(body.statusUrl, `/jobs/${body.jobId}`);
+
+        const job = await waitForJob(body.jobId);
+        assert.equal(job.status, 'succeeded');
+        assert.equal(job.result.projectName, 'Weekly Show');
+        assert.equal(job.result.projectPath, path.join(savePath, 'Weekly Show.prproj'));
+        assert.equal(job.result.sequenceName, 'Main');
+        assert.equal(job.result.presetUsed, 'shortsvideo');
+
+        // 플러그인이 받은 데이터는 서버 기본값으로 채워져 있음
+        const sent = mock.received.find(message => message.requestId === body.jobId);
+        assert.equal(sent.data.savePath, savePath);
+        assert.equal(sent.data.presetName, 'shortsvideo');
+    });
+
+    test('같은 이름의 프로젝트 파일은 onCollision 정책대로 처리', async () => {
+        const create = async onCollision => {
+            const { body } = await request('POST', '/create-project', { projectName: 'Collide', onCollision, target: 'edit-pc-01' });
+            return waitForJob(body.jobId);
+        };
+
+        assert.equal((await create('increment')).result.projectPath, path.join(savePath, 'Collide.prproj'));
+        assert.equal((await create('increment')).result.projectPath, path.join(savePath, 'Collide_2.prproj'));
+
+        const failed = await create('fail');
+        assert.equal(failed.status, 'failed');
+        assert.equal(failed.errorCode, 'PROJECT_EXISTS');
+
+        assert.equal((await create('overwrite')).result.projectPath, path.join(savePath, 'Collide.prproj'));
+        assert.match((await create('timestamp')).result.projectPath, /Collide_\d{8}_\d{6}\.prproj$/);
+    });
+
+    test('GET /status는 연결과 작업 수를 보고', async () => {
+        const { body } = await request('GET', '/status');
+        assert.equal(body.connectedClients, 1);
+        assert.ok(body.jobs.succeeded >= 2);
+        assert.equal(body.jobs.running, 0);
+    });
+
+    test('요청 형식이 틀리면 400 VALIDATION_FAILED', async () => {
+        const { status, body } = await request('POST', '/create-project', {
+            projectName: 42,
+            onCollision: 'rename'
+        });
+        assert.equal(status, 400);
+        assert.equal(body.code, 'VALIDATION_FAILED');
+        assert.ok(body.details.some(detail => detail.startsWith('projectName:')));
+        assert.ok(body.details.some(detail => detail.startsWith('onCollision:')));
+    });
+
+    test('CSV 라우트가 아니면 CSV 본문은 415 UNSUPPORTED_MEDIA_TYPE', async () => {
+        const postCsv = async route => {
+            const response = await fetch(`${baseUrl}${route}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'text/csv' },
+                body: 'name\nCsvProject\n'
+            });
+            return { status: response.status, body: await response.json() };
+        };
+
+        for (const route of ['/close-project', '/export', '/create-project']) {
+            const { status, body } = await postCsv(route);
+            assert.equal(status, 415, route);
+            assert.equal(body.code, 'UNSUPPORTED_MEDIA_TYPE');
+        }
+
+        // CSV 라우트는 그대로 받음 (검증까지 진행)
+        const { status, body } = await postCsv('/create-projects/batch?continueOnError=maybe');
+        assert.equal(status, 400);
+        assert.equal(body.code, 'VALIDATION_FAILED');
+    });
+
+    test('허용된 저장 폴더 밖이면 400', async () => {
+        const { status, body } = await request('POST', '/create-project', {
+            savePath: path.join(tempDir, '..', 'elsewhere')
+        });
+        assert.equal(status, 400);
+        assert.equal(body.code, 'VALIDATION_FAILED');
+    });
+
+    test('내보내기 출력 경로도 허용된 저장 폴더 안이어야 함', async () => {
+        const exportTo = outputPath => request('POST', '/export', {
+            sequenceName: 'Main',
+            presetPath: path.join(tempDir, 'preset.epr'),
+            outputPath
+        });
+
+        for (const outputPath of [path.join(tempDir, 'elsewhere', 'out.mp4'), `${savePath}${path.sep}..${path.sep}out.mp4`]) {
+            const { status, body } = await exportTo(outputPath);
+            assert.equal(status, 400, outputPath);
+            assert.equal(body.code, 'VALIDATION_FAILED');
+            assert.ok(body.details.every(detail => detail.startsWith('outputPath:')));
+        }
+
+        const { status, body } = await exportTo(path.join(savePath, 'renders', 'out.mp4'));
+        assert.equal(status, 202);
+        const { body: job } = await request('GET', `/jobs/${body.jobId}`);
+        assert.equal(job.data.outputPath, path.join(savePath, 'renders', 'out.mp4'));
+    });
+
+    test('저장 실패는 SAVE_FAILED로 기록', async () => {
+        mock.scenario = 'save-failure';
+        try {
+            const { body } = await request('POST', '/create-project', { projectName: 'Broken', target: 'edit-pc-01' });
+            const job = await waitForJob(body.jobId);
+            assert.equal(job.status, 'failed');
+            assert.equal(job.errorCode, 'SAVE_FAILED');
+            assert.match(job.error, /프로젝트 파일 생성 실패/);
+        } finally {
+            mock.scenario = 'success';
+        }
+    });
+
+    test('시퀀스 생성 실패는 SEQUENCE_CREATE_FAILED로 기록', async () => {
+        mock.scenario = 'sequence-failure';
+        try {
+            const { body } = await request('POST', '/create-project', { target: 'edit-pc-01' });
+            const job = await waitForJob(body.jobId);
+            assert.equal(job.status, 'failed');
+            assert.equal(job.errorCode, 'SEQUENCE_CREATE_FAILED');
+        } finally {
+            mock.scenario = 'success';
+        }
+    });
+
+    test('없는 프리셋은 PRESET_NOT_FOUND', async () => {
+        const { body } = await request('POST', '/create-project', { presetName: 'missing', target: 'edit-pc-01' });
+        const job = await waitForJob(body.jobId);
+        assert.equal(job.status, 'failed');
+        assert.equal(job.errorCode, 'PRESET_NOT_FOUND');
+    });
+
+    test('플러그인이 응답하지 않으면 PLUGIN_TIMEOUT, 응답하거나 끊길 때까지 새 작업을 보내지 않음', async () => {
+        const stuck = await connectMock({ machineId: 'stuck-pc', scenario: 'hang' });
+        const { body } = await request('POST', '/create-project', { target: 'stuck-pc' });
+        const job = await waitForJob(body.jobId, JOB_TIMEOUT_MS + 3000);
+        assert.equal(job.status, 'failed');
+        assert.equal(job.errorCode, 'PLUGIN_TIMEOUT');
+
+        // 플러그인은 아직 앞 작업을 실행 중일 수 있으므로 다음 작업은 대기
+        const { body: next } = await request('POST', '/create-project', { projectName: 'After Timeout', target: 'stuck-pc' });
+        await wait(200);
+        const { body: waiting } = await request('GET', `/jobs/${next.jobId}`);
+        assert.equal(waiting.status, 'queued');
+        const { body: plugins } = await request('GET', '/plugins');
+        assert.equal(plugins.plugins.find(plugin => plugin.machineId === 'stuck-pc').status, 'busy');
+
+        // 연결이 끊기면 시간 초과된 작업은 다시 실행하지 않고, 다시 연결된 플러그인이 다음 작업을 실행
+        await closeMock(stuck);
+        const recovered = await connectMock({ machineId: 'stuck-pc' });
+        try {
+            assert.equal((await waitForJob(next.jobId)).status, 'succeeded');
+            const { body: timedOut } = await request('GET', `/jobs/${body.jobId}`);
+            assert.equal(timedOut.status, 'failed');
+            assert.equal(timedOut.attempts, 1);
+        } finally {
+            await closeMock(recovered);
+        }
+    });
+
+    test('진행 이벤트가 오는 동안은 제한 시간보다 오래 걸려도 성공', async () => {
+        mock.scenario = 'slow';
+        try {
+            const { body } = await request('POST', '/create-project', { projectName: 'Slow', target: 'edit-pc-01' });
+            const job = await waitForJob(body.jobId, 8000);
+            assert.equal(job.status, 'succeeded');
+            assert.ok(new Date(job.finishedAt) - new Date(job.startedAt) > JOB_TIMEOUT_MS);
+        } finally {
+            mock.scenario = 'success';
+        }
+    });
+});
+
+describe('연결 끊김과 지원 명령', () => {
+    test('작업 중 연결이 끊기면 대기열로 돌아가 다른 플러그인에서 실행', async () => {
+        const dropping = await connectMock({ machineId: 'flaky-pc', scenario: 'disconnect' });
+        const { body } = await request('POST', '/create-project', { projectName: 'Retry' });
+
+        // 끊긴 플러그인의 close 처리 후 작업은 다시 대기
+        await wait(300);
+        const { body: requeued } = await request('GET', `/jobs/${body.jobId}`);
+        assert.equal(requeued.status, 'queued');
+        assert.equal(requeued.errorCode, 'PLUGIN_DISCONNECTED');
+        mocks.splice(mocks.indexOf(dropping), 1);
+
+        const healthy = await connectMock({ machineId: 'steady-pc' });
+        const job = await waitForJob(body.jobId);
+        assert.equal(job.status, 'succeeded');
+        assert.equal(job.pluginId, 'steady-pc');
+        assert.equal(job.attempts, 2);
+        await closeMock(healthy);
+    });
+
+    test('지원하지 않는 명령은 플러그인에 보내지 않고 501 UNSUPPORTED_ACTION', async () => {
+        const limited = await connectMock({ machineId: 'limited-pc', capabilities: ['CREATE_PROJECT', 'PING'] });
+        try {
+            const { status, body } = await request('GET', '/presets?target=limited-pc');
+            assert.equal(status, 501);
+            assert.equal(body.code, 'UNSUPPORTED_ACTION');
+            assert.ok(!limited.received.some(message => message.action === 'LIST_PRESETS'));
+        } finally {
+            await closeMock(limited);
+        }
+    });
+
+    test('서버보다 새 프로토콜 버전은 서버 버전으로 맞춰 등록하고 CONFIG로 알림', async () => {
+        const newer = await connectMock({ machineId: 'future-pc', protocolVersion: 999 });
+        try {
+            assert.equal(newer.config.protocolVersion, 2);
+            const { body } = await request('GET', '/plugins');
+            const plugin = body.plugins.find(candidate => candidate.machineId === 'future-pc');
+            assert.equal(plugin.protocolVersion, 2);
+        } finally {
+            await closeMock(newer);
+        }
+    });
+
+    test('플러그인 조회 라우트는 연결된 플러그인의 응답을 전달', async () => {
+        const mock = await connectMock({ machineId: 'preset-pc', presets: ['shortsvideo', 'square'] });
+        try {
+            const { status, body } = await request('GET', '/presets');
+            assert.equal(status, 200);
+            assert.equal(body.plugin.machineId, 'preset-pc');
+            assert.equal(body.defaultPresetInstalled, true);
+            assert.deepEqual(body.presets.map(preset => preset.name), ['shortsvideo', 'square']);
+        } finally {
+            await closeMock(mock);
+        }
+    });
+});
+
+describe('배치', () => {
+    test('등록과 동시에 끝난 항목 작업도 반영하고 배치를 마침', async () => {
+        // 대상 플러그인이 CREATE_PROJECT를 지원하지 않으면 작업은 등록 즉시 UNSUPPORTED_ACTION으로 실패
+        const limited = await connectMock({ machineId: 'no-create-pc', capabilities: ['PING'] });
+        try {
+            const { status, body } = await request('POST', '/create-projects/batch', {
+                items: [{ projectName: 'BatchA' }, { projectName: 'BatchB' }],
+                target: 'no-create-pc',
+                continueOnError: true
+            });
+            assert.equal(status, 202);
+
+            const { body: batch } = await request('GET', body.statusUrl);
+            assert.equal(batch.status, 'partial');
+            assert.deepEqual(batch.items.map(item => item.status), ['failed', 'failed']);
+            assert.ok(batch.items.every(item => item.jobId));
+            assert.ok(!limited.received.some(message => message.action === 'CREATE_PROJECT'));
+        } finally {
+            await closeMock(limited);
+        }
+    });
+});
+
+describe('요청 기록', () => {
+    test('요청자, 실행 플러그인, 단계별 시간과 결과를 기록하고 CSV로 내보냄', async () => {
+        const mock = await connectMock({ machineId: 'history-pc' });
+        try {
+            const { body } = await request('POST', '/create-project', { projectName: 'History Check', target: 'history-pc' });
+            await waitForJob(body.jobId);
+
+            const { status, body: history } = await request('GET', '/history?name=history%20check&status=succeeded');
+            assert.equal(status, 200);
+            assert.equal(history.count, 1);
+            const [entry] = history.entries;
+            assert.equal(entry.jobId, body.jobId);
+            assert.equal(entry.requestedBy.client, 'anonymous');
+            assert.equal(entry.pluginId, 'history-pc');
+            assert.ok(entry.steps.length > 0);
+            assert.ok(entry.steps.every(step => Number.isInteger(step.durationMs)));
+            assert.ok(entry.timings.totalMs >= entry.timings.runMs);
+
+            // 플러그인 패널에는 최근 기록이 전달됨
+            await wait(50);
+            assert.equal(mock.history[0].jobId, body.jobId);
+
+            const response = await fetch(`${baseUrl}/history?format=csv&status=succeeded`);
+            assert.match(response.headers.get('content-type'), /^text\/csv/);
+            const lines = (await response.text()).trim().split('\r\n');
+            assert.ok(lines[0].startsWith('createdAt,finishedAt,action,status,projectName'));
+            assert.ok(lines.some(line => line.includes(body.jobId)));
+        } finally {
+            await closeMock(mock);
+        }
+    });
+
+    test('잘못된 날짜는 400 VALIDATION_FAILED', async () => {
+        const { status, body } = await request('GET', '/history?from=2024-02-30');
+        assert.equal(status, 400);
+        assert.equal(body.code, 'VALIDATION_FAILED');
+    });
+});
+
+describe('예약', () => {
+    test('예약을 저장하면 다음 실행 시각과 만들어질 프로젝트 이름을 알려 줌', async () => {
+        const { status, body } = await request('POST', '/schedules', {
+            name: 'daily-vlog',
+            cron: '0 7 * * *',
+            namePattern: 'vlog_{date:YYYYMMDD}',
+            request: { sequenceName: 'Main' }
+        });
+        assert.equal(status, 201);
+        const next = new Date(body.schedule.nextRunAt);
+        assert.equal(next.getHours(), 7);
+        assert.equal(next.getMinutes(), 0);
+        const pad = value => String(value).padStart(2, '0');
+        assert.equal(body.schedule.nextProjectName, `vlog_${next.getFullYear()}${pad(next.getMonth() + 1)}${pad(next.getDate())}`);
+
+        const { body: list } = await request('GET', '/schedules');
+        assert.deepEqual(list.schedules.map(schedule => schedule.name), ['daily-vlog']);
+
+        const { status: deleted } = await request('DELETE', '/schedules/daily-vlog');
+        assert.equal(deleted, 200);
+        const { status: missing, body: error } = await request('GET', '/schedules/daily-vlog');
+        assert.equal(missing, 404);
+        assert.equal(error.code, 'SCHEDULE_NOT_FOUND');
+    });
+
+    test('잘못된 cron 식과 패턴 토큰은 400 VALIDATION_FAILED', async () => {
+        const { status, body } = await request('POST', '/schedules', {
+            name: 'broken',
+            cron: '0 25 * * *',
+            namePattern: 'vlog_{weekday}'
+        });
+        assert.equal(status, 400);
+        assert.equal(body.code, 'VALIDATION_FAILED');
+        assert.ok(body.details.some(detail => detail.startsWith('cron:')));
+        assert.ok(body.details.some(detail => detail.startsWith('namePattern:')));
+    });
+});
+
+describe('이름 패턴', () => {
+    const naming = {
+        project: '{name}_{date:YYYYMMDD}_{counter:03}',
+        sequence: '{sequence} {preset}',
+        folder: '{client}/{user}'
+    };
+
+    test('미리보기는 번호를 쓰지 않고, 작업 등록 때 패턴대로 이름과 폴더를 정함', async () => {
+        const pad = value => String(value).padStart(2, '0');
+        const now = new Date();
+        const today = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}`;
+        const spec = { projectName: 'Promo', sequenceName: 'Main', metadata: { client: 'Acme' }, naming };
+
+        const { status, body: preview } = await request('POST', '/naming/preview', spec);
+        assert.equal(status, 200);
+        assert.equal(preview.projectName, `Promo_${today}_${String(preview.counter).padStart(3, '0')}`);
+        assert.equal(preview.savePath, path.join(savePath, 'Acme', 'anonymous'));
+        assert.deepEqual(preview.sequenceNames, ['Main shortsvideo']);
+        const { body: again } = await request('POST', '/naming/preview', spec);
+        assert.equal(again.counter, preview.counter);
+
+        const mock = await connectMock({ machineId: 'naming-pc' });
+        try {
+            const { body } = await request('POST', '/create-project', { ...spec, target: 'naming-pc' });
+            const job = await waitForJob(body.jobId);
+            assert.equal(job.status, 'succeeded');
+            // 패턴으로 정한 이름에는 'timestamp' 충돌 처리여도 시각을 붙이지 않음
+            assert.equal(job.result.projectPath, path.join(preview.savePath, `${preview.projectName}.prproj`));
+            assert.equal(job.result.sequenceName, 'Main shortsvideo');
+
+            const { body: next } = await request('POST', '/naming/preview', spec);
+            assert.equal(next.counter, preview.counter + 1);
+        } finally {
+            await closeMock(mock);
+        }
+    });
+
+    test('값이 없는 토큰과 잘못된 패턴은 400 VALIDATION_FAILED', async () => {
+        const { status, body } = await request('POST', '/create-project', { projectName: 'Promo', naming });
+        assert.equal(status, 400);
+        assert.deepEqual(body.details, ['naming.folder: {client} 값이 없습니다 - metadata.client를 지정하세요']);
+
+        const { body: invalid } = await request('POST', '/naming/preview', {
+            naming: { project: 'show/{episode}', folder: '../{counter}' }
+        });
+        assert.equal(invalid.code, 'VALIDATION_FAILED');
+        assert.ok(invalid.details.some(detail => detail.includes('{episode}')));
+        assert.ok(invalid.details.some(detail => detail.startsWith('naming.project: 경로')));
+        assert.ok(invalid.details.some(detail => detail.startsWith('naming.folder: 상위 폴더')));
+    });
+});
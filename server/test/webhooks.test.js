@@ -0,0 +1,273 @@
+// ============================================
+// Webhooks Tests
+// webhooks.js 서명 / 재시도 / 중복 방지를 로컬 HTTP 서버로 직접 검사
+// npm test
+// ============================================
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createWebhookDispatcher, checkCallbackUrl, signPayload, DELIVERY_STATUS } = require('../webhooks');
+const { JOB_STATUS } = require('../jobQueue');
+
+const SECRET = 'test-secret';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function finishedJob(overrides = {}) {
+    return {
+        id: `job-${crypto.randomUUID()}`,
+        action: 'CREATE_PROJECT',
+        status: JOB_STATUS.SUCCEEDED,
+        data: { projectName: 'vlog', sequenceName: 'Main' },
+        result: { projectName: 'vlog', projectPath: '/projects/vlog.prproj', sequenceName: 'Main', presetUsed: '4K' },
+        error: null,
+        errorCode: null,
+        callbackUrl: null,
+        pluginId: 'edit-pc-01',
+        attempts: 1,
+        createdAt: '2026-05-03T07:00:00.000Z',
+        startedAt: '2026-05-03T07:00:00.100Z',
+        finishedAt: '2026-05-03T07:00:02.000Z',
+        ...overrides
+    };
+}
+
+describe('signPayload / checkCallbackUrl', () => {
+    test('HMAC-SHA256(secret, "타임스탬프.본문") 16진수', () => {
+        const expected = crypto.createHmac('sha256', SECRET).update('1700000000.{"a":1}').digest('hex');
+        assert.equal(signPayload(SECRET, '1700000000', '{"a":1}'), expected);
+        assert.notEqual(signPayload(SECRET, '1700000001', '{"a":1}'), expected);
+    });
+
+    test('http / https URL만 허용', () => {
+        assert.deepEqual(checkCallbackUrl('https://example.com/hook'), []);
+        assert.deepEqual(checkCallbackUrl('not a url'), ['callbackUrl: 올바른 URL이 아닙니다']);
+        assert.deepEqual(checkCallbackUrl('ftp://example.com', 'webhooks.urls[0]'), ['webhooks.urls[0]: http 또는 https URL이어야 합니다']);
+    });
+});
+
+describe('createWebhookDispatcher', () => {
+    let tempDir = null;
+    let server = null;
+    let baseUrl = null;
+    let fileCount = 0;
+    // 경로별 응답 (상태 코드 목록을 차례로 사용, 마지막 것은 계속) - 'hang'이면 응답하지 않음
+    const responses = new Map();
+    const received = [];
+
+    before(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-test-'));
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ path: req.url, headers: req.headers, body, at: Date.now() });
+                const queue = responses.get(req.url) || [200];
+                const status = queue.length > 1 ? queue.shift() : queue[0];
+                if (status === 'hang') return;
+                res.writeHead(status, { 'Content-Type': 'text/plain' });
+                res.end(status >= 300 ? 'boom' : 'ok');
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    function dispatcher(options = {}) {
+        const jobQueue = { events: new EventEmitter() };
+        const filePath = options.filePath || path.join(tempDir, `webhooks-${++fileCount}.json`);
+        const webhooks = createWebhookDispatcher({
+            filePath,
+            jobQueue,
+            urls: [],
+            secret: SECRET,
+            maxAttempts: 3,
+            retryBaseMs: 20,
+            timeoutMs: 1000,
+            ...options
+        });
+        return { ...webhooks, filePath, finish: job => jobQueue.events.emit('updated', job) };
+    }
+
+    async function waitForDeliveries(webhooks, count) {
+        for (let i = 0; i < 200; i++) {
+            const deliveries = webhooks.list();
+            if (deliveries.length >= count && deliveries.every(delivery => delivery.status !== DELIVERY_STATUS.PENDING)) {
+                return deliveries;
+            }
+            await wait(20);
+        }
+        throw new Error('웹훅 전송이 끝나지 않음');
+    }
+
+    function receivedAt(route) {
+        return received.filter(request => request.path === route);
+    }
+
+    test('작업 결과를 서명과 함께 보냄', async () => {
+        const webhooks = dispatcher({ urls: [`${baseUrl}/signed`] });
+        const job = finishedJob();
+        webhooks.finish(job);
+
+        const [delivery] = await waitForDeliveries(webhooks, 1);
+        assert.equal(delivery.status, DELIVERY_STATUS.SUCCEEDED);
+        assert.equal(delivery.source, 'global');
+        assert.equal(delivery.attempts[0].statusCode, 200);
+
+        const [request] = receivedAt('/signed');
+        const payload = JSON.parse(request.body);
+        assert.equal(request.headers['x-webhook-id'], delivery.id);
+        assert.equal(request.headers['x-webhook-event'], 'job.succeeded');
+        assert.equal(request.headers['x-webhook-signature'], `sha256=${signPayload(SECRET, request.headers['x-webhook-timestamp'], request.body)}`);
+        assert.equal(payload.deliveryId, delivery.id);
+        assert.equal(payload.jobId, job.id);
+        assert.equal(payload.projectPath, '/projects/vlog.prproj');
+        assert.deepEqual(payload.timings, {
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            queuedMs: 100,
+            runMs: 1900,
+            totalMs: 2000
+        });
+    });
+
+    test('secret이 없으면 서명하지 않고, 실패한 작업은 job.failed', async () => {
+        const webhooks = dispatcher({ urls: [`${baseUrl}/unsigned`], secret: '' });
+        webhooks.finish(finishedJob({ status: JOB_STATUS.FAILED, result: null, error: '프리셋 없음', errorCode: 'PRESET_NOT_FOUND' }));
+        await waitForDeliveries(webhooks, 1);
+
+        const [request] = receivedAt('/unsigned');
+        assert.equal(request.headers['x-webhook-signature'], undefined);
+        const payload = JSON.parse(request.body);
+        assert.equal(payload.event, 'job.failed');
+        assert.equal(payload.errorCode, 'PRESET_NOT_FOUND');
+        assert.equal(payload.projectName, 'vlog');
+    });
+
+    test('2xx가 아니면 retryBaseMs부터 2배씩 늘려 재시도 - 같은 전송 ID', async () => {
+        responses.set('/flaky', [500, 503, 200]);
+        const webhooks = dispatcher({ urls: [`${baseUrl}/flaky`] });
+        webhooks.finish(finishedJob());
+
+        const [delivery] = await waitForDeliveries(webhooks, 1);
+        assert.equal(delivery.status, DELIVERY_STATUS.SUCCEEDED);
+        assert.deepEqual(delivery.attempts.map(attempt => attempt.statusCode), [500, 503, 200]);
+        assert.equal(delivery.attempts[0].error, 'HTTP 500: boom');
+        assert.equal(delivery.nextAttemptAt, null);
+
+        const requests = receivedAt('/flaky');
+        assert.equal(new Set(requests.map(request => request.headers['x-webhook-id'])).size, 1);
+        // 타이머는 1ms 정도 일찍 깰 수 있음
+        assert.ok(requests[1].at - requests[0].at >= 18);
+        assert.ok(requests[2].at - requests[1].at >= 38);
+    });
+
+    test('maxAttempts번 실패하면 failed로 끝냄', async () => {
+        responses.set('/down', [500]);
+        const webhooks = dispatcher({ urls: [`${baseUrl}/down`] });
+        webhooks.finish(finishedJob());
+
+        const [delivery] = await waitForDeliveries(webhooks, 1);
+        assert.equal(delivery.status, DELIVERY_STATUS.FAILED);
+        assert.equal(delivery.attempts.length, 3);
+        assert.equal(receivedAt('/down').length, 3);
+        assert.ok(delivery.finishedAt);
+    });
+
+    test('시간 초과와 네트워크 오류도 재시도 대상', async () => {
+        responses.set('/hang', ['hang']);
+        const webhooks = dispatcher({ urls: [`${baseUrl}/hang`, 'http://127.0.0.1:1/refused'], maxAttempts: 1, timeoutMs: 50 });
+        webhooks.finish(finishedJob());
+
+        const deliveries = await waitForDeliveries(webhooks, 2);
+        const byUrl = new Map(deliveries.map(delivery => [delivery.url, delivery]));
+        assert.equal(byUrl.get(`${baseUrl}/hang`).attempts[0].error, '시간 초과 (50ms)');
+        assert.equal(byUrl.get('http://127.0.0.1:1/refused').status, DELIVERY_STATUS.FAILED);
+        assert.ok(byUrl.get('http://127.0.0.1:1/refused').attempts[0].error);
+    });
+
+    test('같은 작업은 URL마다 한 번만 알림 - 다시 끝나도, callbackUrl이 전역 URL과 같아도', async () => {
+        const url = `${baseUrl}/dedup`;
+        const webhooks = dispatcher({ urls: [url, `${baseUrl}/dedup-global`] });
+        const job = finishedJob({ callbackUrl: url });
+
+        webhooks.finish(job);
+        webhooks.finish({ ...job, status: JOB_STATUS.FAILED });
+        webhooks.finish({ ...finishedJob(), status: JOB_STATUS.RUNNING });
+
+        const deliveries = await waitForDeliveries(webhooks, 2);
+        assert.deepEqual(deliveries.map(delivery => [delivery.url, delivery.source]).sort(), [
+            [url, 'callback'],
+            [`${baseUrl}/dedup-global`, 'global']
+        ]);
+        assert.equal(receivedAt('/dedup').length, 1);
+        assert.equal(webhooks.list({ jobId: job.id }).length, 2);
+    });
+
+    test('서버를 다시 시작하면 남은 전송을 이어서 보내고 재시도 간격은 10분까지', async () => {
+        const filePath = path.join(tempDir, 'webhooks-resume.json');
+        const url = `${baseUrl}/resume`;
+        responses.set('/resume', [500]);
+        const now = new Date().toISOString();
+        fs.writeFileSync(filePath, JSON.stringify({
+            deliveries: [{
+                id: 'delivery-1',
+                jobId: 'job-1',
+                event: 'job.succeeded',
+                url,
+                source: 'global',
+                status: DELIVERY_STATUS.PENDING,
+                attempts: [{ at: now, statusCode: 500, error: 'HTTP 500: boom', durationMs: 1 }],
+                payload: { event: 'job.succeeded', jobId: 'job-1' },
+                nextAttemptAt: now,
+                createdAt: now,
+                updatedAt: now,
+                finishedAt: null
+            }]
+        }));
+
+        // 두 번째 재시도 대기 = min(8분 * 2, 10분)
+        const webhooks = dispatcher({ filePath, retryBaseMs: 8 * 60 * 1000 });
+        for (let i = 0; i < 100 && webhooks.list()[0].attempts.length < 2; i++) {
+            await wait(20);
+        }
+
+        const [delivery] = webhooks.list();
+        assert.equal(receivedAt('/resume').length, 1);
+        assert.equal(JSON.parse(receivedAt('/resume')[0].body).deliveryId, 'delivery-1');
+        assert.equal(delivery.status, DELIVERY_STATUS.PENDING);
+        const delayMs = new Date(delivery.nextAttemptAt) - new Date(delivery.updatedAt);
+        assert.ok(Math.abs(delayMs - 10 * 60 * 1000) < 1000, `${delayMs}ms`);
+
+        // 저장된 기록에도 반영
+        const saved = JSON.parse(fs.readFileSync(filePath, 'utf8')).deliveries[0];
+        assert.equal(saved.attempts.length, 2);
+    });
+
+    test('list는 최신순이고 status, jobId, limit으로 거름', async () => {
+        responses.set('/list-fail', [500]);
+        const webhooks = dispatcher({ urls: [`${baseUrl}/list-ok`, `${baseUrl}/list-fail`], maxAttempts: 1 });
+        const first = finishedJob();
+        const second = finishedJob();
+        webhooks.finish(first);
+        webhooks.finish(second);
+        await waitForDeliveries(webhooks, 4);
+
+        assert.deepEqual(webhooks.list().map(delivery => delivery.jobId), [second.id, second.id, first.id, first.id]);
+        assert.equal(webhooks.list({ status: DELIVERY_STATUS.FAILED }).length, 2);
+        assert.deepEqual(webhooks.list({ jobId: first.id, status: DELIVERY_STATUS.SUCCEEDED }).map(delivery => delivery.url), [`${baseUrl}/list-ok`]);
+        assert.equal(webhooks.list({ limit: 1 }).length, 1);
+    });
+});
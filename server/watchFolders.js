@@ -0,0 +1,287 @@
+// ============================================
+// Watch Folders
+// 감시 폴더에 미디어 하위 폴더가 들어오면 크기 변화가 멈춘 뒤 프로젝트 생성 작업 등록
+// ============================================
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeJsonAtomic } = require('./store');
+const { JOB_STATUS } = require('./jobQueue');
+
+const DONE_FOLDER = 'done';
+const FAILED_FOLDER = 'failed';
+const CAPTION_EXTENSIONS = ['.srt', '.vtt'];
+
+/**
+ * 폴더 안의 파일을 하위 폴더까지 모두 나열
+ * @returns {{ path: string, relativeDir: string, size: number, mtimeMs: number }[]}
+ */
+function listFiles(dir, relativeDir = '') {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) continue;
+
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...listFiles(fullPath, relativeDir ? `${relativeDir}/${entry.name}` : entry.name));
+        } else if (entry.isFile()) {
+            const stat = fs.statSync(fullPath);
+            files.push({ path: fullPath, relativeDir, size: stat.size, mtimeMs: stat.mtimeMs });
+        }
+    }
+    return files;
+}
+
+/**
+ * 폴더 상태 요약 - 복사가 진행 중이면 값이 계속 바뀜
+ */
+function getSignature(files) {
+    const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+    const latest = files.reduce((max, file) => Math.max(max, file.mtimeMs), 0);
+    return `${files.length}:${totalSize}:${latest}`;
+}
+
+/**
+ * 같은 이름이 있으면 _2, _3 ... 을 붙인 경로
+ */
+function uniquePath(dir, name) {
+    let candidate = path.join(dir, name);
+    for (let suffix = 2; fs.existsSync(candidate) || fs.existsSync(`${candidate}.json`); suffix++) {
+        candidate = path.join(dir, `${name}_${suffix}`);
+    }
+    return candidate;
+}
+
+/**
+ * 감시 폴더 생성
+ *
+ * 폴더가 안정되면 바로 done/ 으로 옮긴 뒤 그 경로의 미디어로 작업을 등록함
+ * (작업 후에 옮기면 프로젝트의 미디어 경로가 끊어지므로) - 작업이 실패하면 failed/ 로 다시 옮김
+ * 끝난 폴더 옆에는 결과를 담은 <폴더명>.json 사이드카를 남김
+ *
+ * @param {object} options
+ * @param {string[]} options.folders 감시할 폴더 목록
+ * @param {number} options.stableMs 이 시간 동안 변화가 없으면 복사가 끝난 것으로 봄
+ * @param {number} options.pollIntervalMs 폴더 검사 간격
+ * @param {string[]} options.extensions 가져올 미디어 확장자 (점 제외, 소문자)
+ * @param {string} options.stateFile 처리 중인 폴더 기록 (서버 재시작 후 이어서 처리)
+ * @param {object} options.jobQueue
+ * @param {(folder: { name: string, media: object[], captionsPath: string|null, watchFolder: string, folderPath: string }) => object} options.createJob 작업을 등록하고 job 반환
+ */
+function createFolderWatcher({ folders, stableMs, pollIntervalMs, extensions, stateFile, jobQueue, createJob }) {
+    const candidates = new Map(); // 폴더 경로 → { signature, since }
+    const state = readJson(stateFile, { entries: {} }); // jobId → 처리 중인 폴더
+    let timer = null;
+
+    function saveState() {
+        writeJsonAtomic(stateFile, state);
+    }
+
+    function isMedia(file) {
+        return extensions.includes(path.extname(file.path).slice(1).toLowerCase());
+    }
+
+    function isCaption(file) {
+        return CAPTION_EXTENSIONS.includes(path.extname(file.path).toLowerCase());
+    }
+
+    /**
+     * 안정된 폴더를 done/ 으로 옮기고 작업 등록
+     */
+    function claim(watchFolder, folderPath) {
+        const name = path.basename(folderPath);
+        const claimedPath = uniquePath(path.join(watchFolder, DONE_FOLDER), name);
+        fs.mkdirSync(path.dirname(claimedPath), { recursive: true });
+        fs.renameSync(folderPath, claimedPath);
+
+        const files = listFiles(claimedPath);
+        const media = files.filter(isMedia).map(file => ({
+            path: file.path,
+            bin: file.relativeDir || null
+        }));
+        const captionFiles = files.filter(isCaption);
+
+        const entry = {
+            watchFolder,
+            name,
+            folderPath: claimedPath,
+            media: media.map(item => item.path),
+            captionsPath: captionFiles.length === 1 ? captionFiles[0].path : null,
+            detectedAt: new Date().toISOString(),
+            jobId: null
+        };
+
+        let job;
+        try {
+            job = createJob({ name, media, captionsPath: entry.captionsPath, watchFolder, folderPath: claimedPath });
+        } catch (error) {
+            console.log(`❌ 감시 폴더 작업 등록 실패: ${name} - ${error.message}`);
+            finish(entry, { status: JOB_STATUS.FAILED, error: error.message, details: error.details });
+            return;
+        }
+
+        entry.jobId = job.id;
+        state.entries[job.id] = entry;
+        saveState();
+        console.log(`📂 감시 폴더 작업 등록: ${name} (미디어 ${media.length}개) → ${job.id}`);
+    }
+
+    /**
+     * 결과에 따라 폴더 위치를 정하고 사이드카 작성
+     */
+    function finish(entry, outcome) {
+        let folderPath = entry.folderPath;
+        if (outcome.status !== JOB_STATUS.SUCCEEDED) {
+            const failedPath = uniquePath(path.join(entry.watchFolder, FAILED_FOLDER), path.basename(folderPath));
+            try {
+                fs.mkdirSync(path.dirname(failedPath), { recursive: true });
+                fs.renameSync(folderPath, failedPath);
+                folderPath = failedPath;
+            } catch (error) {
+                console.error(`⚠️ failed 폴더로 이동 실패 (${folderPath}):`, error.message);
+            }
+        }
+
+        // failed/ 로 옮겼으면 파일 경로도 옮긴 위치로
+        const relocate = filePath => (filePath ? path.join(folderPath, path.relative(entry.folderPath, filePath)) : null);
+
+        writeJsonAtomic(`${folderPath}.json`, {
+            name: entry.name,
+            folder: folderPath,
+            status: outcome.status,
+            jobId: entry.jobId,
+            media: entry.media.map(relocate),
+            captionsPath: relocate(entry.captionsPath),
+            result: outcome.result || null,
+            error: outcome.error || null,
+            details: outcome.details || undefined,
+            detectedAt: entry.detectedAt,
+            finishedAt: new Date().toISOString()
+        });
+
+        if (entry.jobId && state.entries[entry.jobId]) {
+            delete state.entries[entry.jobId];
+            saveState();
+        }
+
+        const icon = outcome.status === JOB_STATUS.SUCCEEDED ? '✅' : '❌';
+        console.log(`${icon} 감시 폴더 처리 완료: ${entry.name} → ${folderPath}`);
+    }
+
+    function onJobUpdated(job) {
+        const entry = state.entries[job.id];
+        if (!entry) return;
+        if (job.status === JOB_STATUS.SUCCEEDED || job.status === JOB_STATUS.FAILED) {
+            finish(entry, job);
+        }
+    }
+
+    function scan() {
+        const now = Date.now();
+        const seen = new Set();
+
+        for (const watchFolder of folders) {
+            let entries;
+            try {
+                entries = fs.readdirSync(watchFolder, { withFileTypes: true });
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error(`⚠️ 감시 폴더 읽기 실패 (${watchFolder}):`, error.message);
+                }
+                continue;
+            }
+
+            for (const entry of entries) {
+                if (!entry.isDirectory() || entry.name.startsWith('.') ||
+                    entry.name === DONE_FOLDER || entry.name === FAILED_FOLDER) {
+                    continue;
+                }
+
+                const folderPath = path.join(watchFolder, entry.name);
+                seen.add(folderPath);
+
+                let signature;
+                try {
+                    const files = listFiles(folderPath);
+                    if (!files.some(isMedia)) continue; // 아직 미디어가 없음
+                    signature = getSignature(files);
+                } catch (error) {
+                    continue; // 복사 중 파일이 사라지는 경우 - 다음 검사에서 다시 확인
+                }
+
+                const candidate = candidates.get(folderPath);
+                if (!candidate || candidate.signature !== signature) {
+                    candidates.set(folderPath, { signature, since: now });
+                    continue;
+                }
+
+                if (now - candidate.since >= stableMs) {
+                    candidates.delete(folderPath);
+                    try {
+                        claim(watchFolder, folderPath);
+                    } catch (error) {
+                        console.error(`⚠️ 감시 폴더 처리 실패 (${folderPath}):`, error.message);
+                    }
+                }
+            }
+        }
+
+        // 사라진 폴더는 후보에서 제거
+        for (const folderPath of candidates.keys()) {
+            if (!seen.has(folderPath)) candidates.delete(folderPath);
+        }
+    }
+
+    function start() {
+        if (timer || folders.length === 0) return;
+
+        for (const watchFolder of folders) {
+            fs.mkdirSync(watchFolder, { recursive: true });
+        }
+
+        jobQueue.events.on('updated', onJobUpdated);
+
+        // 서버가 꺼진 사이 끝난 작업 정리
+        for (const entry of Object.values(state.entries)) {
+            const job = jobQueue.get(entry.jobId);
+            if (!job) {
+                finish(entry, { status: JOB_STATUS.FAILED, error: '작업 기록을 찾을 수 없습니다' });
+            } else {
+                onJobUpdated(job);
+            }
+        }
+
+        timer = setInterval(scan, pollIntervalMs);
+        scan();
+    }
+
+    function stop() {
+        if (!timer) return;
+        clearInterval(timer);
+        timer = null;
+        jobQueue.events.off('updated', onJobUpdated);
+    }
+
+    /**
+     * GET /watch 응답용 상태
+     */
+    function status() {
+        return {
+            folders,
+            stableMs,
+            pending: Array.from(candidates.entries()).map(([folderPath, candidate]) => ({
+                folder: folderPath,
+                stableForMs: Date.now() - candidate.since
+            })),
+            processing: Object.values(state.entries).map(entry => ({
+                name: entry.name,
+                folder: entry.folderPath,
+                jobId: entry.jobId,
+                detectedAt: entry.detectedAt
+            }))
+        };
+    }
+
+    return { start, stop, scan, status };
+}
+
+module.exports = { createFolderWatcher };
@@ -0,0 +1,276 @@
+// ============================================
+// Webhooks
+// 작업이 끝나면(성공/실패) 결과를 콜백 URL과 전역 웹훅 URL로 POST
+// HMAC 서명, 지수 백오프 재시도, 전송 기록(GET /webhooks/deliveries)
+// ============================================
+const crypto = require('crypto');
+const { readJson, writeJsonAtomic } = require('./store');
+const { JOB_STATUS } = require('./jobQueue');
+
+const DELIVERY_STATUS = {
+    PENDING: 'pending',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed'
+};
+
+// 전송 기록은 최근 것만 보관
+const MAX_DELIVERIES = 500;
+// 재시도 간격 상한
+const MAX_RETRY_DELAY_MS = 10 * 60 * 1000;
+// 기록에 남길 응답 본문 길이
+const MAX_RESPONSE_BODY = 500;
+
+/**
+ * 콜백 URL 검사 (http / https만)
+ * @returns {string[]} 필드별 오류
+ */
+function checkCallbackUrl(url, label = 'callbackUrl') {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return [`${label}: 올바른 URL이 아닙니다`];
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return [`${label}: http 또는 https URL이어야 합니다`];
+    }
+    return [];
+}
+
+/**
+ * 서명 - HMAC-SHA256(secret, "타임스탬프.본문")
+ * 타임스탬프를 함께 서명해 오래된 요청을 다시 보내는 공격을 받는 쪽에서 거를 수 있게 함
+ */
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function elapsedMs(from, to) {
+    return from && to ? new Date(to) - new Date(from) : null;
+}
+
+/**
+ * 끝난 작업 → 웹훅 본문
+ */
+function buildPayload(job) {
+    const result = job.result || {};
+    const data = job.data || {};
+    return {
+        event: job.status === JOB_STATUS.SUCCEEDED ? 'job.succeeded' : 'job.failed',
+        jobId: job.id,
+        action: job.action,
+        status: job.status,
+        projectName: result.projectName || data.projectName || null,
+        projectPath: result.projectPath || data.projectPath || null,
+        sequenceName: result.sequenceName || data.sequenceName || null,
+        presetUsed: result.presetUsed || null,
+        result: job.result,
+        error: job.error,
+        errorCode: job.errorCode,
+        pluginId: job.pluginId,
+        attempts: job.attempts,
+        timings: {
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            queuedMs: elapsedMs(job.createdAt, job.startedAt),
+            runMs: elapsedMs(job.startedAt, job.finishedAt),
+            totalMs: elapsedMs(job.createdAt, job.finishedAt)
+        }
+    };
+}
+
+/**
+ * 웹훅 전송기 생성
+ * @param {object} options
+ * @param {string} options.filePath 전송 기록을 저장할 JSON 파일 경로
+ * @param {object} options.jobQueue
+ * @param {string[]} options.urls 모든 작업 결과를 받을 전역 웹훅 URL
+ * @param {string} options.secret 서명 비밀 (비어 있으면 서명하지 않음)
+ * @param {number} options.maxAttempts 전송 시도 횟수 (첫 시도 포함)
+ * @param {number} options.retryBaseMs 첫 재시도 대기 시간 - 이후 2배씩 늘어남
+ * @param {number} options.timeoutMs 요청 제한 시간
+ */
+function createWebhookDispatcher({ filePath, jobQueue, urls, secret, maxAttempts, retryBaseMs, timeoutMs }) {
+    const deliveries = new Map(); // id → delivery (삽입 순서 = 생성 순서)
+    const timers = new Map(); // id → 재시도 타이머
+
+    function persist() {
+        writeJsonAtomic(filePath, { deliveries: Array.from(deliveries.values()) });
+    }
+
+    function prune() {
+        const finished = Array.from(deliveries.values()).filter(delivery => delivery.status !== DELIVERY_STATUS.PENDING);
+        const excess = deliveries.size - MAX_DELIVERIES;
+        for (let i = 0; i < excess && i < finished.length; i++) {
+            deliveries.delete(finished[i].id);
+        }
+    }
+
+    function retryDelay(attempt) {
+        return Math.min(retryBaseMs * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+    }
+
+    function schedule(delivery, delayMs) {
+        clearTimeout(timers.get(delivery.id));
+        const timer = setTimeout(() => {
+            timers.delete(delivery.id);
+            attempt(delivery);
+        }, Math.max(0, delayMs));
+        timer.unref();
+        timers.set(delivery.id, timer);
+    }
+
+    /**
+     * 한 번 전송 - 2xx면 성공, 그 외 응답/네트워크 오류/시간 초과는 재시도
+     */
+    async function attempt(delivery) {
+        const body = JSON.stringify({ ...delivery.payload, deliveryId: delivery.id });
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'premiere-remote-server',
+            'X-Webhook-Id': delivery.id,
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Timestamp': timestamp
+        };
+        if (secret) {
+            headers['X-Webhook-Signature'] = `sha256=${signPayload(secret, timestamp, body)}`;
+        }
+
+        const record = { at: new Date().toISOString(), statusCode: null, error: null, durationMs: null };
+        const started = Date.now();
+        try {
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                headers,
+                body,
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+            record.statusCode = response.status;
+            const text = await response.text().catch(() => '');
+            if (!response.ok) {
+                record.error = `HTTP ${response.status}${text ? `: ${text.slice(0, MAX_RESPONSE_BODY)}` : ''}`;
+            }
+        } catch (error) {
+            record.error = error.name === 'TimeoutError' ? `시간 초과 (${timeoutMs}ms)` : error.message;
+        }
+        record.durationMs = Date.now() - started;
+
+        delivery.attempts.push(record);
+        delivery.updatedAt = record.at;
+
+        if (!record.error) {
+            delivery.status = DELIVERY_STATUS.SUCCEEDED;
+            delivery.nextAttemptAt = null;
+            delivery.finishedAt = record.at;
+            console.log(`🔔 웹훅 전송: ${delivery.url} (작업 ${delivery.jobId})`);
+        } else if (delivery.attempts.length >= maxAttempts) {
+            delivery.status = DELIVERY_STATUS.FAILED;
+            delivery.nextAttemptAt = null;
+            delivery.finishedAt = record.at;
+            console.error(`❌ 웹훅 전송 실패 (${maxAttempts}회 시도): ${delivery.url} - ${record.error}`);
+        } else {
+            const delayMs = retryDelay(delivery.attempts.length);
+            delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+            console.warn(`⚠️ 웹훅 재시도 예정 (${Math.round(delayMs / 1000)}초 후): ${delivery.url} - ${record.error}`);
+            schedule(delivery, delayMs);
+        }
+
+        prune();
+        persist();
+    }
+
+    function enqueueDelivery(job, url, source) {
+        const payload = buildPayload(job);
+        const now = new Date().toISOString();
+        const delivery = {
+            id: crypto.randomUUID(),
+            jobId: job.id,
+            event: payload.event,
+            url,
+            source, // 'callback' (요청의 callbackUrl) | 'global' (config webhooks.urls)
+            status: DELIVERY_STATUS.PENDING,
+            attempts: [],
+            payload,
+            nextAttemptAt: now,
+            createdAt: now,
+            updatedAt: now,
+            finishedAt: null
+        };
+        deliveries.set(delivery.id, delivery);
+        schedule(delivery, 0);
+    }
+
+    function onJobUpdated(job) {
+        if (job.status !== JOB_STATUS.SUCCEEDED && job.status !== JOB_STATUS.FAILED) return;
+
+        const targets = [
+            ...(job.callbackUrl ? [{ url: job.callbackUrl, source: 'callback' }] : []),
+            ...urls.map(url => ({ url, source: 'global' }))
+        ];
+        // 같은 작업을 두 번 알리지 않도록 (callbackUrl이 전역 URL과 같아도 한 번)
+        const sent = new Set(Array.from(deliveries.values())
+            .filter(delivery => delivery.jobId === job.id)
+            .map(delivery => delivery.url));
+
+        let queued = 0;
+        for (const target of targets) {
+            if (sent.has(target.url)) continue;
+            sent.add(target.url);
+            enqueueDelivery(job, target.url, target.source);
+            queued++;
+        }
+        if (queued > 0) {
+            persist();
+        }
+    }
+
+    /**
+     * 서버가 꺼진 사이 남은 전송 재개
+     */
+    function load() {
+        const saved = readJson(filePath, { deliveries: [] });
+        let resumed = 0;
+        for (const delivery of saved.deliveries || []) {
+            deliveries.set(delivery.id, delivery);
+            if (delivery.status === DELIVERY_STATUS.PENDING) {
+                schedule(delivery, new Date(delivery.nextAttemptAt) - Date.now());
+                resumed++;
+            }
+        }
+        if (resumed > 0) {
+            console.log(`🔔 남은 웹훅 전송 ${resumed}개 재개`);
+        }
+    }
+
+    /**
+     * 전송 기록 (최신순)
+     * @param {object} [filter]
+     * @param {string} [filter.status] pending | succeeded | failed
+     * @param {string} [filter.jobId]
+     * @param {number} [filter.limit]
+     */
+    function list({ status, jobId, limit } = {}) {
+        let result = Array.from(deliveries.values()).reverse();
+        if (status) {
+            result = result.filter(delivery => delivery.status === status);
+        }
+        if (jobId) {
+            result = result.filter(delivery => delivery.jobId === jobId);
+        }
+        return limit ? result.slice(0, limit) : result;
+    }
+
+    load();
+    jobQueue.events.on('updated', onJobUpdated);
+
+    return { list };
+}
+
+module.exports = {
+    createWebhookDispatcher,
+    checkCallbackUrl,
+    signPayload,
+    DELIVERY_STATUS
+};
@@ -2,8 +2,11 @@
 chcp 65001 >nul
 REM Premiere Pro Remote Project Creator - Windows Batch Trigger
 REM Usage: trigger.bat [project_name]
+REM API key: set PREMIERE_API_KEY=...
+REM Server:  set PREMIERE_SERVER_URL=http://host:3000 (default http://localhost:3000)
 
-set SERVER=http://localhost:3000
+set SERVER=%PREMIERE_SERVER_URL%
+if "%SERVER%"=="" set SERVER=http://localhost:3000
 
 echo ==================================================
 echo Premiere Pro Remote Project Creator
@@ -12,10 +15,10 @@ echo.
 
 if "%1"=="" (
     echo Creating new project with default name...
-    powershell -Command "Invoke-RestMethod -Uri '%SERVER%/create-project' -Method Post -ContentType 'application/json' -Body '{}'"
+    powershell -Command "Invoke-RestMethod -Uri '%SERVER%/create-project' -Method Post -Headers @{'X-API-Key'=[string]$env:PREMIERE_API_KEY} -ContentType 'application/json' -Body '{}'"
 ) else (
     echo Creating project: %1
-    powershell -Command "Invoke-RestMethod -Uri '%SERVER%/create-project' -Method Post -ContentType 'application/json' -Body '{\"projectName\": \"%1\"}'"
+    powershell -Command "Invoke-RestMethod -Uri '%SERVER%/create-project' -Method Post -Headers @{'X-API-Key'=[string]$env:PREMIERE_API_KEY} -ContentType 'application/json' -Body '{\"projectName\": \"%1\"}'"
 )
 
 echo.
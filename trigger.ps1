@@ -1,13 +1,16 @@
 # Premiere Pro Remote Project Creator - PowerShell Trigger
-# Usage: .\trigger.ps1 [-ProjectName "MyProject"] [-SequenceName "Timeline"] [-PresetName "Preset"]
+# Usage: .\trigger.ps1 [-ProjectName "MyProject"] [-SequenceName "Timeline"] [-PresetName "Preset"] [-ApiKey "key"] [-ServerUrl "http://host:3000"]
 
 param(
     [string]$ProjectName = "",
     [string]$SequenceName = "",
-    [string]$PresetName = ""
+    [string]$PresetName = "",
+    [string]$ApiKey = $env:PREMIERE_API_KEY,
+    [string]$ServerUrl = $(if ($env:PREMIERE_SERVER_URL) { $env:PREMIERE_SERVER_URL } else { "http://localhost:3000" })
 )
 
-$ServerUrl = "http://localhost:3000"
+$Headers = @{}
+if ($ApiKey) { $Headers["X-API-Key"] = $ApiKey }
 
 Write-Host "=================================================="
 Write-Host "Premiere Pro Remote Project Creator v2.0" -ForegroundColor Cyan
@@ -17,7 +20,7 @@ Write-Host ""
 # Check server status
 Write-Host "Checking server status..." -ForegroundColor Yellow
 try {
-    $status = Invoke-RestMethod -Uri "$ServerUrl/status" -Method Get -TimeoutSec 5
+    $status = Invoke-RestMethod -Uri "$ServerUrl/status" -Headers $Headers -Method Get -TimeoutSec 5
     Write-Host "  Connected plugins: $($status.connectedClients)" -ForegroundColor Green
     Write-Host "  Save path: $($status.defaultSavePath)" -ForegroundColor Gray
     Write-Host "  Default preset: $($status.defaultPreset)" -ForegroundColor Gray
@@ -53,19 +56,34 @@ if ($body.Count -gt 0) {
 
 try {
     $jsonBody = $body | ConvertTo-Json
-    $response = Invoke-RestMethod -Uri "$ServerUrl/create-project" -Method Post -Body $jsonBody -ContentType "application/json" -TimeoutSec 60
+    $queued = Invoke-RestMethod -Uri "$ServerUrl/create-project" -Headers $Headers -Method Post -Body $jsonBody -ContentType "application/json" -TimeoutSec 10
+    Write-Host "  Job: $($queued.jobId)" -ForegroundColor Gray
     
-    if ($response.success) {
+    # Poll job status until it finishes
+    $job = $null
+    $deadline = (Get-Date).AddSeconds(60)
+    while ((Get-Date) -lt $deadline) {
+        $job = Invoke-RestMethod -Uri "$ServerUrl/jobs/$($queued.jobId)" -Headers $Headers -Method Get -TimeoutSec 5
+        if ($job.status -eq "succeeded" -or $job.status -eq "failed") { break }
+        Start-Sleep -Seconds 1
+    }
+    
+    if ($job.status -eq "succeeded") {
         Write-Host ""
         Write-Host "SUCCESS!" -ForegroundColor Green
-        Write-Host "  Project: $($response.projectName)" -ForegroundColor White
-        Write-Host "  Sequence: $($response.sequenceName)" -ForegroundColor White
-        Write-Host "  Preset: $($response.presetUsed)" -ForegroundColor Cyan
-        Write-Host "  Path: $($response.projectPath)" -ForegroundColor Gray
+        Write-Host "  Project: $($job.result.projectName)" -ForegroundColor White
+        Write-Host "  Sequence: $($job.result.sequenceName)" -ForegroundColor White
+        Write-Host "  Preset: $($job.result.presetUsed)" -ForegroundColor Cyan
+        Write-Host "  Path: $($job.result.projectPath)" -ForegroundColor Gray
+    }
+    elseif ($job.status -eq "failed") {
+        Write-Host ""
+        Write-Host "FAILED: $($job.error)" -ForegroundColor Red
+        exit 1
     }
     else {
         Write-Host ""
-        Write-Host "FAILED: $($response.error)" -ForegroundColor Red
+        Write-Host "Still $($job.status) after 60s - check $ServerUrl/jobs/$($queued.jobId)" -ForegroundColor Yellow
         exit 1
     }
 }
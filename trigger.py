@@ -2,6 +2,7 @@
 """
 Premiere Pro Remote Project Creator - Trigger Script v2.0
 Usage: python trigger.py [project_name] [sequence_name] [preset_name]
+       python trigger.py --batch projects.csv [--continue-on-error]
 
 Features:
 - Auto sequence creation with custom preset
@@ -12,9 +13,102 @@ Features:
 import urllib.request
 import urllib.error
 import json
+import os
 import sys
+import time
 
-SERVER_URL = "http://localhost:3000"
+SERVER_URL = os.environ.get("PREMIERE_SERVER_URL", "http://localhost:3000").rstrip("/")
+API_KEY = os.environ.get("PREMIERE_API_KEY", "")
+
+
+def api_headers(extra=None):
+    """Request headers including the API key (set PREMIERE_API_KEY)"""
+    headers = dict(extra or {})
+    if API_KEY:
+        headers["X-API-Key"] = API_KEY
+    return headers
+
+
+def print_http_error(e):
+    """Print an API error response: status, error message and per-field details"""
+    try:
+        body = json.loads(e.read().decode('utf-8') or '{}')
+    except ValueError:
+        body = {}
+    print(f"\nRequest failed: HTTP {e.code} {body.get('error', '')}".rstrip())
+    for detail in body.get("details") or []:
+        print(f"  - {detail}")
+    if e.code == 401:
+        print("  Set PREMIERE_API_KEY to a key from server/config.json")
+
+
+JOB_WAIT_SECONDS = 60
+
+def stream_job_events(job_id):
+    """Print progress events live (Server-Sent Events) until the job ends; returns the final job"""
+    
+    endpoint = f"{SERVER_URL}/jobs/{job_id}/events"
+    req = urllib.request.Request(endpoint, headers=api_headers({"Accept": "text/event-stream"}))
+    
+    deadline = time.time() + JOB_WAIT_SECONDS
+    
+    with urllib.request.urlopen(req, timeout=JOB_WAIT_SECONDS) as response:
+        event_type, data_lines = None, []
+        for raw in response:
+            # the server sends a keep-alive comment every 15s, so this is checked even while queued
+            if time.time() > deadline:
+                return None
+            line = raw.decode('utf-8').rstrip("\r\n")
+            
+            if line.startswith("event:"):
+                event_type = line[6:].strip()
+            elif line.startswith("data:"):
+                data_lines.append(line[5:].strip())
+            elif line == "" and data_lines:
+                event = json.loads("\n".join(data_lines))
+                if event_type == "end":
+                    return event
+                if event_type == "progress":
+                    step = f"[{event['step']}] " if event.get("step") is not None else ""
+                    print(f"  {event['level'].upper():7} {step}{event['message']}")
+                elif event_type == "status":
+                    print(f"  Job status: {event['status']}")
+                event_type, data_lines = None, []
+    
+    return None
+
+def wait_for_job(job_id):
+    """Follow job progress live, falling back to polling if the event stream is unavailable"""
+    
+    try:
+        return stream_job_events(job_id)
+    except Exception as e:
+        print(f"  (event stream unavailable: {e} - polling)")
+    
+    return poll_job(job_id)
+
+def poll_job(job_id):
+    """Poll job status until it succeeds or fails"""
+    
+    endpoint = f"{SERVER_URL}/jobs/{job_id}"
+    deadline = time.time() + JOB_WAIT_SECONDS
+    last_status = None
+    
+    while time.time() < deadline:
+        req = urllib.request.Request(endpoint, headers=api_headers())
+        with urllib.request.urlopen(req, timeout=5) as response:
+            job = json.loads(response.read().decode('utf-8'))
+        
+        if job.get("status") != last_status:
+            last_status = job.get("status")
+            print(f"  Job status: {last_status}")
+        
+        if last_status in ("succeeded", "failed"):
+            return job
+        
+        time.sleep(1)
+    
+    return None
 
 def create_project(project_name=None, sequence_name=None, preset_name=None):
     """Trigger new Premiere Pro project creation with sequence"""
@@ -39,38 +133,98 @@ def create_project(project_name=None, sequence_name=None, preset_name=None):
         req = urllib.request.Request(
             endpoint,
             data=data,
-            headers={"Content-Type": "application/json"},
+            headers=api_headers({"Content-Type": "application/json"}),
             method="POST"
         )
         
-        with urllib.request.urlopen(req, timeout=60) as response:
-            result = json.loads(response.read().decode('utf-8'))
-            
-            if result.get("success"):
-                print(f"\nSUCCESS!")
-                print(f"  Project: {result.get('projectName')}")
-                print(f"  Sequence: {result.get('sequenceName')}")
-                print(f"  Preset: {result.get('presetUsed')}")
-                print(f"  Path: {result.get('projectPath')}")
-                return True
-            else:
-                print(f"\nFAILED: {result.get('error', 'Unknown error')}")
-                return False
+        with urllib.request.urlopen(req, timeout=10) as response:
+            queued = json.loads(response.read().decode('utf-8'))
+        
+        job_id = queued.get("jobId")
+        print(f"  Job: {job_id}")
+        
+        job = wait_for_job(job_id)
+        if job is None:
+            print(f"\nStill running after {JOB_WAIT_SECONDS}s - check {SERVER_URL}/jobs/{job_id}")
+            return False
+        
+        if job.get("status") == "succeeded":
+            result = job.get("result") or {}
+            print(f"\nSUCCESS!")
+            print(f"  Project: {result.get('projectName')}")
+            print(f"  Sequence: {result.get('sequenceName')}")
+            print(f"  Preset: {result.get('presetUsed')}")
+            print(f"  Path: {result.get('projectPath')}")
+            return True
+        else:
+            print(f"\nFAILED: {job.get('error', 'Unknown error')}")
+            return False
                 
+    except urllib.error.HTTPError as e:
+        print_http_error(e)
+        return False
     except urllib.error.URLError as e:
-        print(f"\nConnection failed: Server not running?")
-        print(f"  1. cd server")
-        print(f"  2. npm start")
-        print(f"  3. Load plugin in Premiere Pro")
+        print("\nConnection failed: Server not running?")
+        print("  1. cd server")
+        print("  2. npm start")
+        print("  3. Load plugin in Premiere Pro")
         return False
     except Exception as e:
         print(f"\nError: {e}")
         return False
 
+def create_batch(csv_path, continue_on_error=False):
+    """Create one project per CSV row (name,sequence,preset,savePath,media) in order"""
+    
+    query = "?continueOnError=true" if continue_on_error else ""
+    endpoint = f"{SERVER_URL}/create-projects/batch{query}"
+    
+    print(f"Creating projects from {csv_path}...")
+    
+    try:
+        with open(csv_path, "rb") as f:
+            req = urllib.request.Request(
+                endpoint,
+                data=f.read(),
+                headers=api_headers({"Content-Type": "text/csv"}),
+                method="POST"
+            )
+        
+        with urllib.request.urlopen(req, timeout=10) as response:
+            queued = json.loads(response.read().decode('utf-8'))
+        
+        batch_url = f"{SERVER_URL}{queued.get('statusUrl')}"
+        print(f"  Batch: {queued.get('batchId')} ({queued.get('itemCount')} projects)")
+        
+        reported = set()
+        while True:
+            req = urllib.request.Request(batch_url, headers=api_headers())
+            with urllib.request.urlopen(req, timeout=5) as response:
+                batch = json.loads(response.read().decode('utf-8'))
+            
+            for item in batch.get("items", []):
+                if item["status"] in ("succeeded", "failed", "skipped") and item["index"] not in reported:
+                    reported.add(item["index"])
+                    detail = item.get("error") or (item.get("result") or {}).get("projectPath") or ""
+                    print(f"  [{item['index'] + 1}] {item['projectName']}: {item['status']} {detail}")
+            
+            if batch.get("status") != "running":
+                print(f"\nBatch {batch.get('status')}")
+                return batch.get("status") == "succeeded"
+            
+            time.sleep(1)
+    
+    except urllib.error.HTTPError as e:
+        print_http_error(e)
+        return False
+    except urllib.error.URLError:
+        print("\nConnection failed: Server not running?")
+        return False
+
 def check_status():
     """Check server status"""
     try:
-        req = urllib.request.Request(f"{SERVER_URL}/status")
+        req = urllib.request.Request(f"{SERVER_URL}/status", headers=api_headers())
         with urllib.request.urlopen(req, timeout=5) as response:
             result = json.loads(response.read().decode('utf-8'))
             
@@ -85,6 +239,10 @@ def check_status():
         return False
 
 if __name__ == "__main__":
+    if len(sys.argv) > 2 and sys.argv[1] == "--batch":
+        success = create_batch(sys.argv[2], "--continue-on-error" in sys.argv[3:])
+        sys.exit(0 if success else 1)
+    
     # Parse command line arguments
     project_name = sys.argv[1] if len(sys.argv) > 1 else None
     sequence_name = sys.argv[2] if len(sys.argv) > 2 else None